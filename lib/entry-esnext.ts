@@ -6,10 +6,51 @@ import * as dotparser from "./network/dotparser";
 export { dotparser as networkDOTParser };
 export const parseDOTNetwork = dotparser.DOTToGraph;
 
+import * as dotExporter from "./network/dotExporter";
+export { graphToDOT as convertToDOTNetwork } from "./network/dotExporter";
+export { dotExporter as networkDOTExporter };
+
 import * as gephiParser from "./network/gephiParser";
 export { parseGephi as parseGephiNetwork } from "./network/gephiParser";
 export { gephiParser as networkGephiParser };
 
+import * as gexfParser from "./network/gexfParser";
+export { parseGEXF as parseGEXFNetwork } from "./network/gexfParser";
+export { gexfParser as networkGEXFParser };
+
+import * as graphmlParser from "./network/graphmlParser";
+export {
+  parseGraphML as parseGraphMLNetwork,
+  graphToGraphML as convertToGraphMLNetwork,
+} from "./network/graphmlParser";
+export { graphmlParser as networkGraphMLParser };
+
+import * as cytoscapeConverter from "./network/cytoscapeConverter";
+export {
+  parseCytoscape as parseCytoscapeNetwork,
+  graphToCytoscape as convertToCytoscapeNetwork,
+} from "./network/cytoscapeConverter";
+export { cytoscapeConverter as networkCytoscapeConverter };
+
+import * as jgfConverter from "./network/jgfConverter";
+export {
+  parseJGF as parseJGFNetwork,
+  graphToJGF as convertToJGFNetwork,
+} from "./network/jgfConverter";
+export { jgfConverter as networkJGFConverter };
+
+import * as csvParser from "./network/csvParser";
+export {
+  csvToGraph as parseCSVNetwork,
+  adjacencyMatrixToGraph as parseAdjacencyMatrixNetwork,
+} from "./network/csvParser";
+export { csvParser as networkCSVParser };
+
+export {
+  computeLayout as computeNetworkLayout,
+  estimateTextWidth as estimateNetworkTextWidth,
+} from "./network/headless";
+
 import * as allOptions from "./network/options";
 export { allOptions as networkOptions };
 
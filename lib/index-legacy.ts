@@ -2,17 +2,41 @@
 export * from "./network/Network";
 
 import Images from "./network/Images";
+import * as csvParser from "./network/csvParser";
+import * as cytoscapeConverter from "./network/cytoscapeConverter";
 import * as dotparser from "./network/dotparser";
+import * as dotExporter from "./network/dotExporter";
 import * as gephiParser from "./network/gephiParser";
+import * as gexfParser from "./network/gexfParser";
+import * as graphmlParser from "./network/graphmlParser";
+import * as headless from "./network/headless";
+import * as jgfConverter from "./network/jgfConverter";
 import { parseGephi } from "./network/gephiParser";
 import * as allOptions from "./network/options";
 export const network = {
   Images,
+  csvParser,
+  cytoscapeConverter,
   dotparser,
+  dotExporter,
   gephiParser,
+  gexfParser,
+  graphmlParser,
+  jgfConverter,
   allOptions,
   convertDot: dotparser.DOTToGraph,
+  convertToDot: dotExporter.graphToDOT,
   convertGephi: parseGephi,
+  convertGEXF: gexfParser.parseGEXF,
+  convertGraphML: graphmlParser.parseGraphML,
+  convertToGraphML: graphmlParser.graphToGraphML,
+  convertCytoscape: cytoscapeConverter.parseCytoscape,
+  convertToCytoscape: cytoscapeConverter.graphToCytoscape,
+  convertJGF: jgfConverter.parseJGF,
+  convertToJGF: jgfConverter.graphToJGF,
+  convertCSV: csvParser.csvToGraph,
+  convertAdjacencyMatrix: csvParser.adjacencyMatrixToGraph,
+  computeLayout: headless.computeLayout,
 };
 
 // utils
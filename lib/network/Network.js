@@ -18,11 +18,16 @@ import {
   selectiveDeepExtend,
 } from "vis-util/esnext";
 import { DOTToGraph } from "./dotparser";
+import { graphToCytoscape } from "./cytoscapeConverter";
+import { graphToDOT } from "./dotExporter";
 import { parseGephi } from "./gephiParser";
+import { graphToGraphML } from "./graphmlParser";
+import { graphToJGF } from "./jgfConverter";
 import * as locales from "./locales";
 import { normalizeLanguageCode } from "./locale-utils";
 
 import Images from "./Images";
+import NetworkUtil from "./NetworkUtil";
 import { Groups } from "./modules/Groups";
 import NodesHandler from "./modules/NodesHandler";
 import EdgesHandler from "./modules/EdgesHandler";
@@ -41,6 +46,7 @@ import {
   configuratorHideOption,
 } from "./options";
 import KamadaKawai from "./modules/KamadaKawai.js";
+import MultilevelLayout from "./modules/MultilevelLayout.js";
 
 /**
  * Create a network visualization, displaying nodes and edges.
@@ -93,6 +99,7 @@ export function Network(container, data, options) {
       off: this.off.bind(this),
       emit: this.emit.bind(this),
       once: this.once.bind(this),
+      hasListeners: this.hasListeners.bind(this),
     },
     eventListeners: {
       onTap: function () {},
@@ -135,7 +142,11 @@ export function Network(container, data, options) {
   this.bindEventListeners();
 
   // setting up all modules
-  this.images = new Images(() => this.body.emitter.emit("_requestRedraw")); // object with images
+  // object with images, the loaded images have to be drawn into the cached layers
+  this.images = new Images(() => {
+    this.body.emitter.emit("_invalidateLayers");
+    this.body.emitter.emit("_requestRedraw");
+  });
   this.groups = new Groups(); // object with groups
   this.canvas = new Canvas(this.body); // DOM handler
   this.selectionHandler = new SelectionHandler(this.body, this.canvas); // Selection handler
@@ -165,7 +176,10 @@ export function Network(container, data, options) {
   this.edgesHandler = new EdgesHandler(this.body, this.images, this.groups); // Handle adding, deleting and updating of edges as well as global options
 
   this.body.modules["kamadaKawai"] = new KamadaKawai(this.body, 150, 0.05); // Layouting algorithm.
+  this.body.modules["multilevelLayout"] = new MultilevelLayout(this.body); // Layouting algorithm for large networks.
   this.body.modules["clustering"] = this.clustering;
+  this.body.modules["physics"] = this.physics;
+  this.body.modules["layoutConstraints"] = this.layoutEngine.constraints;
 
   // create the DOM elements
   this.canvas._create();
@@ -307,53 +321,10 @@ Network.prototype.setOptions = function (options) {
 /**
  * Update the visible nodes and edges list with the most recent node state.
  *
- * Visible nodes are stored in this.body.nodeIndices.
- * Visible edges are stored in this.body.edgeIndices.
- * A node or edges is visible if it is not hidden or clustered.
- *
  * @private
  */
 Network.prototype._updateVisibleIndices = function () {
-  const nodes = this.body.nodes;
-  const edges = this.body.edges;
-  this.body.nodeIndices = [];
-  this.body.edgeIndices = [];
-
-  for (const nodeId in nodes) {
-    if (Object.prototype.hasOwnProperty.call(nodes, nodeId)) {
-      if (
-        !this.clustering._isClusteredNode(nodeId) &&
-        nodes[nodeId].options.hidden === false
-      ) {
-        this.body.nodeIndices.push(nodes[nodeId].id);
-      }
-    }
-  }
-
-  for (const edgeId in edges) {
-    if (Object.prototype.hasOwnProperty.call(edges, edgeId)) {
-      const edge = edges[edgeId];
-
-      // It can happen that this is executed *after* a node edge has been removed,
-      // but *before* the edge itself has been removed. Taking this into account.
-      const fromNode = nodes[edge.fromId];
-      const toNode = nodes[edge.toId];
-      //const eventualNode = nodes[edge.eventualId];
-      const edgeNodesPresent = fromNode !== undefined && toNode !== undefined;
-
-      const isVisible =
-        !this.clustering._isClusteredEdge(edgeId) &&
-        edge.options.hidden === false &&
-        edgeNodesPresent &&
-        fromNode.options.hidden === false && // Also hidden if any of its connecting nodes are hidden
-        toNode.options.hidden === false; // idem
-      //eventualNode.options.hidden === false;
-
-      if (isVisible) {
-        this.body.edgeIndices.push(edge.id);
-      }
-    }
-  }
+  NetworkUtil.updateVisibleIndices(this.body);
 };
 
 /**
@@ -489,36 +460,10 @@ Network.prototype.destroy = function () {
  * value range of the objects in the array.
  *
  * @param {object} obj    An object containing a set of Edges or Nodes
- *                        The objects must have a method getValue() and
- *                        setValueRange(min, max).
  * @private
  */
 Network.prototype._updateValueRange = function (obj) {
-  let id;
-
-  // determine the range of the objects
-  let valueMin = undefined;
-  let valueMax = undefined;
-  let valueTotal = 0;
-  for (id in obj) {
-    if (Object.prototype.hasOwnProperty.call(obj, id)) {
-      const value = obj[id].getValue();
-      if (value !== undefined) {
-        valueMin = valueMin === undefined ? value : Math.min(value, valueMin);
-        valueMax = valueMax === undefined ? value : Math.max(value, valueMax);
-        valueTotal += value;
-      }
-    }
-  }
-
-  // adjust the range of all objects
-  if (valueMin !== undefined && valueMax !== undefined) {
-    for (id in obj) {
-      if (Object.prototype.hasOwnProperty.call(obj, id)) {
-        obj[id].setValueRange(valueMin, valueMax, valueTotal);
-      }
-    }
-  }
+  NetworkUtil.updateValueRange(obj);
 };
 
 /**
@@ -723,6 +668,18 @@ Network.prototype.getEdgeAt = function () {
   }
   return edge;
 };
+Network.prototype.getNodesInRect = function () {
+  return this.selectionHandler.getNodesInRect.apply(
+    this.selectionHandler,
+    arguments
+  );
+};
+Network.prototype.getNearestNode = function () {
+  return this.selectionHandler.getNearestNode.apply(
+    this.selectionHandler,
+    arguments
+  );
+};
 Network.prototype.selectNodes = function () {
   return this.selectionHandler.selectNodes.apply(
     this.selectionHandler,
@@ -743,6 +700,15 @@ Network.prototype.unselectAll = function () {
 Network.prototype.redraw = function () {
   return this.renderer.redraw.apply(this.renderer, arguments);
 };
+Network.prototype.toSVG = function () {
+  return this.renderer.toSVG.apply(this.renderer, arguments);
+};
+Network.prototype.toDataURL = function () {
+  return this.renderer.toDataURL.apply(this.renderer, arguments);
+};
+Network.prototype.toBlob = function () {
+  return this.renderer.toBlob.apply(this.renderer, arguments);
+};
 Network.prototype.getScale = function () {
   return this.view.getScale.apply(this.view, arguments);
 };
@@ -761,6 +727,133 @@ Network.prototype.focus = function () {
 Network.prototype.releaseNode = function () {
   return this.view.releaseNode.apply(this.view, arguments);
 };
+/**
+ * Export the current nodes and edges in the DOT language.
+ *
+ * @param {object} [options] The same options as `graphToDOT` accepts except
+ *                           for `positions`, which is a boolean here. If true
+ *                           the current positions of the nodes are written.
+ * @returns {string} A DOT document.
+ */
+Network.prototype.toDot = function (options = {}) {
+  const { positions = false, ...dotOptions } = options;
+  const nodes = this.body.data.nodes ? this.body.data.nodes.get() : [];
+  const edges = this.body.data.edges ? this.body.data.edges.get() : [];
+
+  if (positions === true) {
+    dotOptions.positions = this.getPositions(nodes.map((node) => node.id));
+  }
+
+  return graphToDOT({ nodes, edges }, dotOptions);
+};
+/**
+ * Export the current nodes and edges as GraphML.
+ *
+ * @param {object} [options] The same options as `graphToGraphML` accepts
+ *                           except for `positions`, which is a boolean here.
+ *                           Unless false the current positions of the nodes
+ *                           are written.
+ * @returns {string} A GraphML document.
+ */
+Network.prototype.toGraphML = function (options = {}) {
+  const { positions = true, ...graphMLOptions } = options;
+  const nodes = this.body.data.nodes ? this.body.data.nodes.get() : [];
+  const edges = this.body.data.edges ? this.body.data.edges.get() : [];
+
+  if (positions === true) {
+    graphMLOptions.positions = this.getPositions(nodes.map((node) => node.id));
+  }
+  if (graphMLOptions.yFiles === true) {
+    graphMLOptions.boundingBoxes = this._getBoundingBoxes(
+      nodes,
+      graphMLOptions.positions
+    );
+  }
+
+  return graphToGraphML({ nodes, edges }, graphMLOptions);
+};
+/**
+ * Get the bounding boxes of the nodes moved to the positions they're going to
+ * be exported at.
+ *
+ * @param {Array.<object>} nodes The nodes from the data set.
+ * @param {object} [positions] The exported positions by node id, the
+ *                             positions from the data set are used if omitted.
+ * @returns {object} The bounding boxes by node id, nodes without a position
+ *                   are left out.
+ * @private
+ */
+Network.prototype._getBoundingBoxes = function (nodes, positions) {
+  this.body.emitter.emit("_resizeNodes");
+
+  const boundingBoxes = {};
+  for (const { id, x, y } of nodes) {
+    const node = this.body.nodes[id];
+    const position =
+      positions != null
+        ? positions[id]
+        : x != null && y != null
+        ? { x: Number(x), y: Number(y) }
+        : undefined;
+    if (node === undefined || position == null) {
+      continue;
+    }
+
+    const dx = position.x - node.x;
+    const dy = position.y - node.y;
+    const { left, right, top, bottom } = node.shape.boundingBox;
+    boundingBoxes[id] = {
+      left: left + dx,
+      right: right + dx,
+      top: top + dy,
+      bottom: bottom + dy,
+    };
+  }
+
+  return boundingBoxes;
+};
+/**
+ * Export the current nodes and edges including their current positions in
+ * one of the supported interchange formats.
+ *
+ * @param {string} format One of cytoscape (Cytoscape.js elements), jgf (JSON
+ *                        Graph Format), dot or graphml.
+ * @param {object} [options] Options of the converter of given format.
+ * @returns {object | string} Elements for Cytoscape.js, a JGF document or a
+ *                            DOT or GraphML string.
+ */
+Network.prototype.exportData = function (format, options = {}) {
+  const nodes = this.body.data.nodes ? this.body.data.nodes.get() : [];
+  const edges = this.body.data.edges ? this.body.data.edges.get() : [];
+  const positions = this.nodesHandler.getPositions(
+    nodes.map((node) => node.id)
+  );
+
+  switch (format) {
+    case "cytoscape":
+      return graphToCytoscape({ nodes, edges }, { ...options, positions });
+    case "jgf":
+      return graphToJGF({ nodes, edges }, { ...options, positions });
+    case "dot":
+      return graphToDOT({ nodes, edges }, { ...options, positions });
+    case "graphml":
+      return graphToGraphML(
+        { nodes, edges },
+        {
+          ...options,
+          positions,
+          boundingBoxes:
+            options.yFiles === true
+              ? this._getBoundingBoxes(nodes, positions)
+              : undefined,
+        }
+      );
+    default:
+      throw new TypeError(
+        `Unknown format "${format}", supported are cytoscape, jgf, dot and graphml.`
+      );
+  }
+};
 Network.prototype.getOptionsFromConfigurator = function () {
   let options = {};
   if (this.configurator) {
@@ -117,6 +117,95 @@ class NetworkUtil {
     }
     return clonedOptions;
   }
+
+  /**
+   * Update the visible nodes and edges list with the most recent node state.
+   *
+   * Visible nodes are stored in body.nodeIndices.
+   * Visible edges are stored in body.edgeIndices.
+   * A node or edges is visible if it is not hidden or clustered.
+   *
+   * @param {object} body
+   * @static
+   */
+  static updateVisibleIndices(body) {
+    const nodes = body.nodes;
+    const edges = body.edges;
+    const clustering = body.modules.clustering;
+    body.nodeIndices = [];
+    body.edgeIndices = [];
+
+    for (const nodeId in nodes) {
+      if (Object.prototype.hasOwnProperty.call(nodes, nodeId)) {
+        if (
+          !clustering._isClusteredNode(nodeId) &&
+          nodes[nodeId].options.hidden === false
+        ) {
+          body.nodeIndices.push(nodes[nodeId].id);
+        }
+      }
+    }
+
+    for (const edgeId in edges) {
+      if (Object.prototype.hasOwnProperty.call(edges, edgeId)) {
+        const edge = edges[edgeId];
+
+        // It can happen that this is executed *after* a node edge has been removed,
+        // but *before* the edge itself has been removed. Taking this into account.
+        const fromNode = nodes[edge.fromId];
+        const toNode = nodes[edge.toId];
+        const edgeNodesPresent = fromNode !== undefined && toNode !== undefined;
+
+        const isVisible =
+          !clustering._isClusteredEdge(edgeId) &&
+          edge.options.hidden === false &&
+          edgeNodesPresent &&
+          fromNode.options.hidden === false && // Also hidden if any of its connecting nodes are hidden
+          toNode.options.hidden === false; // idem
+
+        if (isVisible) {
+          body.edgeIndices.push(edge.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Update the values of all object in the given array according to the current
+   * value range of the objects in the array.
+   *
+   * @param {object} obj    An object containing a set of Edges or Nodes
+   *                        The objects must have a method getValue() and
+   *                        setValueRange(min, max).
+   * @static
+   */
+  static updateValueRange(obj) {
+    let id;
+
+    // determine the range of the objects
+    let valueMin = undefined;
+    let valueMax = undefined;
+    let valueTotal = 0;
+    for (id in obj) {
+      if (Object.prototype.hasOwnProperty.call(obj, id)) {
+        const value = obj[id].getValue();
+        if (value !== undefined) {
+          valueMin = valueMin === undefined ? value : Math.min(value, valueMin);
+          valueMax = valueMax === undefined ? value : Math.max(value, valueMax);
+          valueTotal += value;
+        }
+      }
+    }
+
+    // adjust the range of all objects
+    if (valueMin !== undefined && valueMax !== undefined) {
+      for (id in obj) {
+        if (Object.prototype.hasOwnProperty.call(obj, id)) {
+          obj[id].setValueRange(valueMin, valueMax, valueTotal);
+        }
+      }
+    }
+  }
 }
 
 export default NetworkUtil;
@@ -0,0 +1,485 @@
+export type Id = number | string;
+
+export type CSVNodeProperty = "id" | "label" | "group" | "value" | "title";
+export type CSVEdgeProperty =
+  | "id"
+  | "from"
+  | "to"
+  | "label"
+  | "weight"
+  | "title";
+
+export interface CSVParseOptions {
+  /**
+   * The character separating the fields, a comma by default.
+   */
+  delimiter?: string;
+}
+
+export interface CSVNetworkOptions extends CSVParseOptions {
+  /**
+   * Mapping of the columns of the node table (the keys) to node properties
+   * (the values). It's merged into the default mapping which maps columns
+   * named like the properties (case insensitive). Null ignores the column.
+   * Columns that are not mapped are available in the `attributes` property
+   * of the nodes.
+   */
+  nodeColumns?: Record<string, CSVNodeProperty | null>;
+  /**
+   * Mapping of the columns of the edge table (the keys) to edge properties
+   * (the values). By default columns named like the properties are mapped as
+   * are source and target columns (to from and to). The weight is converted
+   * into the value of the edge.
+   */
+  edgeColumns?: Record<string, CSVEdgeProperty | null>;
+}
+
+export interface AdjacencyMatrixOptions extends CSVParseOptions {
+  /**
+   * Whether the first row contains the ids of the nodes, false by default. If
+   * its first cell is empty each following row starts with the id of its node
+   * too.
+   */
+  header?: boolean;
+  /**
+   * Whether the edges are directed. By default the graph is directed unless
+   * the matrix is symmetric.
+   */
+  directed?: boolean;
+}
+
+export interface CSVNode {
+  id: Id;
+  attributes?: Record<string, string>;
+  group?: string;
+  label?: string;
+  title?: string;
+  value?: number;
+}
+
+export interface CSVEdge {
+  from: Id;
+  to: Id;
+  arrows?: "to";
+  attributes?: Record<string, string>;
+  id?: Id;
+  label?: string;
+  title?: string;
+  value?: number;
+}
+
+export interface CSVData {
+  nodes: CSVNode[];
+  edges: CSVEdge[];
+}
+
+/**
+ * A parsed record including the line it starts at (for error messages).
+ */
+interface CSVRecord {
+  cells: string[];
+  row: number;
+}
+
+const NUMERIC_PROPERTIES = new Set(["value", "weight"]);
+
+/**
+ * Split CSV text into records (RFC 4180). Fields may be quoted, quotes inside
+ * of quoted fields are escaped by doubling them and quoted fields may span
+ * multiple lines. Empty lines are skipped.
+ *
+ * @param text - The CSV text.
+ * @param delimiter - The character separating the fields.
+ *
+ * @returns The records with the lines they start at.
+ *
+ * @throws {SyntaxError} On unterminated quoted fields and on quotes in the
+ * middle of fields.
+ */
+function readRecords(text: string, delimiter: string): CSVRecord[] {
+  const records: CSVRecord[] = [];
+  let cells: string[] = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let cellStarted = false;
+
+  const endCell = (): void => {
+    cells.push(cell);
+    cell = "";
+    cellStarted = false;
+  };
+  const endRecord = (): void => {
+    endCell();
+    if (cells.length > 1 || cells[0] !== "") {
+      records.push({ cells, row: recordLine });
+    }
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; ++i) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          ++i;
+        } else {
+          quoted = false;
+          const next = text[i + 1];
+          if (
+            next !== undefined &&
+            next !== delimiter &&
+            next !== "\n" &&
+            next !== "\r"
+          ) {
+            throw new SyntaxError(
+              `Unexpected text after a closing quote (row ${line})`
+            );
+          }
+        }
+      } else {
+        if (char === "\n") {
+          ++line;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      if (cellStarted) {
+        throw new SyntaxError(
+          `Quotes have to enclose the whole field (row ${line})`
+        );
+      }
+      quoted = true;
+      cellStarted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        ++i;
+      }
+      endRecord();
+      ++line;
+      recordLine = line;
+    } else {
+      cell += char;
+      cellStarted = true;
+    }
+  }
+
+  if (quoted) {
+    throw new SyntaxError(`Unterminated quoted field (row ${recordLine})`);
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Parse CSV text into rows of fields.
+ *
+ * @param text - The CSV text.
+ * @param options - Additional options.
+ *
+ * @returns The rows, empty lines are skipped.
+ */
+export function parseCSV(
+  text: string,
+  options: CSVParseOptions = {}
+): string[][] {
+  return readRecords(text, options.delimiter ?? ",").map(
+    ({ cells }): string[] => cells
+  );
+}
+
+/**
+ * Find the property a column is mapped to.
+ *
+ * @param name - The name of the column (from the header).
+ * @param mapping - Mapping of the columns to properties.
+ *
+ * @returns The property, null if the column is ignored or undefined if it's
+ * not mapped at all.
+ */
+function getProperty(
+  name: string,
+  mapping: Record<string, string | null>
+): string | null | undefined {
+  const trimmed = name.trim();
+  for (const key of [trimmed, trimmed.toLowerCase()]) {
+    if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+      return mapping[key];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read a table with a header and map its columns.
+ *
+ * @param text - The CSV text.
+ * @param delimiter - The character separating the fields.
+ * @param table - The name of the table (for error messages).
+ * @param mapping - Mapping of the columns to properties.
+ * @param required - Properties that have to be mapped and filled in.
+ *
+ * @returns The mapped properties, the unmapped attributes and the row of each
+ * record.
+ */
+function readTable(
+  text: string,
+  delimiter: string,
+  table: string,
+  mapping: Record<string, string | null>,
+  required: string[]
+): {
+  properties: Record<string, string>;
+  attributes?: Record<string, string>;
+  row: number;
+}[] {
+  const [header, ...records] = readRecords(text, delimiter);
+  if (header == null) {
+    throw new SyntaxError(`The ${table} table is empty`);
+  }
+
+  const columns = header.cells.map((name): string | null | undefined =>
+    getProperty(name, mapping)
+  );
+  for (const property of required) {
+    if (!columns.includes(property)) {
+      throw new SyntaxError(
+        `The ${table} table has no column for ${property} (row ${header.row})`
+      );
+    }
+  }
+
+  return records.map(({ cells, row }) => {
+    if (cells.length !== header.cells.length) {
+      throw new SyntaxError(
+        `Expected ${header.cells.length} fields in the ${table} table, got ${cells.length} (row ${row})`
+      );
+    }
+
+    const properties: Record<string, string> = {};
+    const attributes: Record<string, string> = {};
+    cells.forEach((cell, i): void => {
+      const property = columns[i];
+      if (property === undefined) {
+        attributes[header.cells[i].trim()] = cell;
+      } else if (property !== null && cell !== "") {
+        properties[property] = cell;
+      }
+    });
+
+    for (const property of required) {
+      if (properties[property] == null) {
+        throw new SyntaxError(
+          `Missing ${property} in the ${table} table (row ${row})`
+        );
+      }
+    }
+    for (const property of Object.keys(properties)) {
+      if (
+        NUMERIC_PROPERTIES.has(property) &&
+        !isFinite(+properties[property])
+      ) {
+        throw new SyntaxError(
+          `Expected a number for ${property} in the ${table} table, got "${properties[property]}" (row ${row})`
+        );
+      }
+    }
+
+    return Object.keys(attributes).length > 0
+      ? { properties, attributes, row }
+      : { properties, row };
+  });
+}
+
+/**
+ * Convert node and edge tables in CSV into vis.js nodes and edges.
+ *
+ * @param nodesCSV - The node table including a header. If it's null the
+ * nodes are created from the edges.
+ * @param edgesCSV - The edge table including a header.
+ * @param options - Additional options.
+ *
+ * @returns The converted data ready to be used in vis.js.
+ *
+ * @throws {SyntaxError} If the CSV is malformed, a required column or value
+ * is missing, a number is expected but not found, a node id is not unique or
+ * an edge refers to an unknown node. The message includes the row.
+ */
+export function csvToGraph(
+  nodesCSV: string | null,
+  edgesCSV: string,
+  options: CSVNetworkOptions = {}
+): CSVData {
+  const delimiter = options.delimiter ?? ",";
+  const nodeMapping: Record<string, string | null> = {
+    id: "id",
+    label: "label",
+    group: "group",
+    value: "value",
+    title: "title",
+    ...options.nodeColumns,
+  };
+  const edgeMapping: Record<string, string | null> = {
+    id: "id",
+    from: "from",
+    to: "to",
+    source: "from",
+    target: "to",
+    label: "label",
+    weight: "weight",
+    title: "title",
+    ...options.edgeColumns,
+  };
+
+  const nodes: CSVNode[] = [];
+  const ids = new Set<string>();
+  if (nodesCSV != null) {
+    for (const { properties, attributes, row } of readTable(
+      nodesCSV,
+      delimiter,
+      "node",
+      nodeMapping,
+      ["id"]
+    )) {
+      const { id, value, ...rest } = properties;
+      if (ids.has(id)) {
+        throw new SyntaxError(`Duplicate node id "${id}" (row ${row})`);
+      }
+      ids.add(id);
+
+      const node: CSVNode = { id, ...rest };
+      if (value != null) {
+        node.value = +value;
+      }
+      if (attributes != null) {
+        node.attributes = attributes;
+      }
+      nodes.push(node);
+    }
+  }
+
+  const edges = readTable(edgesCSV, delimiter, "edge", edgeMapping, [
+    "from",
+    "to",
+  ]).map(({ properties, attributes, row }): CSVEdge => {
+    const { from, to, weight, ...rest } = properties;
+    for (const [property, id] of [
+      ["from", from],
+      ["to", to],
+    ]) {
+      if (nodesCSV == null && !ids.has(id)) {
+        ids.add(id);
+        nodes.push({ id, label: id });
+      } else if (!ids.has(id)) {
+        throw new SyntaxError(
+          `Unknown node "${id}" in ${property} of the edge table (row ${row})`
+        );
+      }
+    }
+
+    const edge: CSVEdge = { from, to, ...rest };
+    if (weight != null) {
+      edge.value = +weight;
+    }
+    if (attributes != null) {
+      edge.attributes = attributes;
+    }
+    return edge;
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Convert an adjacency matrix in CSV into vis.js nodes and edges. Empty cells
+ * and zeros mean there is no edge, other numbers become the values of the
+ * edges.
+ *
+ * @param text - The matrix as CSV.
+ * @param options - Additional options.
+ *
+ * @returns The converted data ready to be used in vis.js.
+ *
+ * @throws {SyntaxError} If the CSV is malformed, the matrix is not square, a
+ * row doesn't belong to the node in the header or a cell is not a number. The
+ * message includes the row.
+ */
+export function adjacencyMatrixToGraph(
+  text: string,
+  options: AdjacencyMatrixOptions = {}
+): CSVData {
+  const records = readRecords(text, options.delimiter ?? ",");
+  let ids: Id[];
+  let rowLabels = false;
+  if (options.header === true) {
+    const header = records.shift();
+    if (header == null) {
+      throw new SyntaxError("The matrix is empty");
+    }
+    rowLabels = header.cells[0].trim() === "";
+    ids = header.cells.slice(rowLabels ? 1 : 0).map((id): string => id.trim());
+  } else {
+    ids = records.map((_record, i): number => i);
+  }
+
+  if (records.length !== ids.length) {
+    throw new SyntaxError(
+      `Expected ${ids.length} rows in the matrix, got ${records.length}`
+    );
+  }
+
+  const matrix = records.map(({ cells, row }, i): number[] => {
+    const expected = ids.length + (rowLabels ? 1 : 0);
+    if (cells.length !== expected) {
+      throw new SyntaxError(
+        `Expected ${expected} fields in the matrix, got ${cells.length} (row ${row})`
+      );
+    }
+    if (rowLabels && cells[0].trim() !== String(ids[i])) {
+      throw new SyntaxError(
+        `Expected the row of "${ids[i]}", got "${cells[0].trim()}" (row ${row})`
+      );
+    }
+
+    return cells.slice(rowLabels ? 1 : 0).map((cell, j): number => {
+      const weight = cell.trim() === "" ? 0 : +cell;
+      if (!isFinite(weight)) {
+        throw new SyntaxError(
+          `Expected a number in column ${
+            j + 1
+          } of the matrix, got "${cell}" (row ${row})`
+        );
+      }
+      return weight;
+    });
+  });
+
+  const directed =
+    options.directed ??
+    matrix.some((weights, i): boolean =>
+      weights.some((weight, j): boolean => weight !== matrix[j][i])
+    );
+
+  const nodes = ids.map((id): CSVNode => ({ id, label: String(id) }));
+  const edges: CSVEdge[] = [];
+  matrix.forEach((weights, i): void => {
+    weights.forEach((weight, j): void => {
+      // Undirected edges are stored twice in a symmetric matrix.
+      if (weight !== 0 && (directed || j >= i)) {
+        const edge: CSVEdge = { from: ids[i], to: ids[j], value: weight };
+        if (directed) {
+          edge.arrows = "to";
+        }
+        edges.push(edge);
+      }
+    });
+  });
+
+  return { nodes, edges };
+}
@@ -0,0 +1,224 @@
+export type Id = number | string;
+
+export interface CytoscapeElement {
+  group?: "nodes" | "edges";
+  data: {
+    id?: Id;
+    source?: Id;
+    target?: Id;
+    label?: string;
+    [property: string]: unknown;
+  };
+  position?: { x: number; y: number };
+  classes?: string | string[];
+  locked?: boolean;
+}
+
+export interface CytoscapeElements {
+  nodes: CytoscapeElement[];
+  edges: CytoscapeElement[];
+}
+
+/**
+ * Anything Cytoscape.js accepts as elements: an array of elements, elements
+ * grouped into nodes and edges or the output of `cy.json()`.
+ */
+export type CytoscapeInput =
+  | CytoscapeElement[]
+  | CytoscapeElements
+  | { elements: CytoscapeElement[] | CytoscapeElements };
+
+export interface CytoscapeNode {
+  id: Id;
+  attributes?: Record<string, unknown>;
+  fixed?: boolean;
+  group?: Id;
+  label?: string;
+  x?: number;
+  y?: number;
+}
+
+export interface CytoscapeEdge {
+  from: Id;
+  to: Id;
+  attributes?: Record<string, unknown>;
+  id?: Id;
+  label?: string;
+}
+
+export interface CytoscapeData {
+  nodes: CytoscapeNode[];
+  edges: CytoscapeEdge[];
+}
+
+export interface CytoscapeExportOptions {
+  /**
+   * Positions (in canvas units) of the nodes. If omitted the `x` and `y`
+   * properties of the nodes are used instead.
+   */
+  positions?: Record<Id, { x: number; y: number }>;
+}
+
+/**
+ * Get the classes of an element as an array.
+ *
+ * @param classes - Space separated classes or an array of classes.
+ *
+ * @returns The classes.
+ */
+function getClasses(classes: CytoscapeElement["classes"]): string[] {
+  if (Array.isArray(classes)) {
+    return classes;
+  } else if (typeof classes === "string") {
+    return classes.split(/\s+/).filter((name): boolean => name !== "");
+  } else {
+    return [];
+  }
+}
+
+/**
+ * Convert Cytoscape.js elements into vis.js nodes and edges.
+ *
+ * Node positions and labels are kept, the first class of a node becomes its
+ * group and locked nodes are fixed. The data of the elements (except for the
+ * ids) is available in the `attributes` property of the converted nodes and
+ * edges.
+ *
+ * @param input - The elements in any of the forms Cytoscape.js accepts.
+ *
+ * @returns The converted data ready to be used in vis.js.
+ */
+export function parseCytoscape(input: CytoscapeInput): CytoscapeData {
+  const source =
+    !Array.isArray(input) && "elements" in input ? input.elements : input;
+  const elements = Array.isArray(source)
+    ? source
+    : [
+        ...(source.nodes ?? []).map(
+          (node): CytoscapeElement => ({ group: "nodes", ...node })
+        ),
+        ...(source.edges ?? []).map(
+          (edge): CytoscapeElement => ({ group: "edges", ...edge })
+        ),
+      ];
+
+  const nodes: CytoscapeNode[] = [];
+  const edges: CytoscapeEdge[] = [];
+  for (const element of elements) {
+    if (element.data == null) {
+      throw new TypeError("Every element has to have data.");
+    }
+
+    // Cytoscape.js itself infers the group from the presence of source and
+    // target if it's not specified.
+    const isEdge =
+      element.group != null
+        ? element.group === "edges"
+        : element.data.source != null && element.data.target != null;
+    const { id, source, target, ...attributes } = element.data;
+
+    if (isEdge) {
+      if (source == null || target == null) {
+        throw new TypeError("Every edge has to have a source and a target.");
+      }
+
+      const edge: CytoscapeEdge = { from: source, to: target };
+      if (id != null) {
+        edge.id = id;
+      }
+      if (attributes.label != null) {
+        edge.label = String(attributes.label);
+      }
+      if (Object.keys(attributes).length > 0) {
+        edge.attributes = attributes;
+      }
+      edges.push(edge);
+    } else {
+      if (id == null) {
+        throw new TypeError("Every node has to have an id.");
+      }
+
+      const node: CytoscapeNode = { id };
+      const [group] = getClasses(element.classes);
+      if (attributes.label != null) {
+        node.label = String(attributes.label);
+      }
+      if (group != null) {
+        node.group = group;
+      }
+      if (element.position != null) {
+        node.x = element.position.x;
+        node.y = element.position.y;
+      }
+      if (element.locked === true) {
+        node.fixed = true;
+      }
+      if (Object.keys(attributes).length > 0) {
+        node.attributes = attributes;
+      }
+      nodes.push(node);
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Convert vis.js network data into Cytoscape.js elements. This is the inverse
+ * of `parseCytoscape`.
+ *
+ * @param data - Nodes and edges in vis.js format.
+ * @param options - Additional options.
+ *
+ * @returns Elements grouped into nodes and edges (the same as in the output
+ * of `cy.json()`).
+ */
+export function graphToCytoscape(
+  data: CytoscapeData,
+  options: CytoscapeExportOptions = {}
+): CytoscapeElements {
+  return {
+    nodes: data.nodes.map((node): CytoscapeElement => {
+      const element: CytoscapeElement = {
+        group: "nodes",
+        data: { ...node.attributes, id: String(node.id) },
+      };
+      const position =
+        options.positions != null
+          ? options.positions[node.id]
+          : node.x != null && node.y != null
+          ? { x: node.x, y: node.y }
+          : undefined;
+      if (node.label != null) {
+        element.data.label = node.label;
+      }
+      if (position != null) {
+        element.position = { x: position.x, y: position.y };
+      }
+      if (node.group != null) {
+        element.classes = String(node.group);
+      }
+      if (node.fixed === true) {
+        element.locked = true;
+      }
+      return element;
+    }),
+    edges: data.edges.map((edge): CytoscapeElement => {
+      const element: CytoscapeElement = {
+        group: "edges",
+        data: {
+          ...edge.attributes,
+          source: String(edge.from),
+          target: String(edge.to),
+        },
+      };
+      if (edge.id != null) {
+        element.data.id = String(edge.id);
+      }
+      if (edge.label != null) {
+        element.data.label = edge.label;
+      }
+      return element;
+    }),
+  };
+}
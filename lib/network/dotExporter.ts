@@ -0,0 +1,407 @@
+export type Id = number | string;
+
+export interface DOTExportOptions {
+  /**
+   * The id of the graph, omitted by default.
+   */
+  id?: Id;
+  /**
+   * Whether to write a `digraph` or a `graph`. By default a `digraph` is
+   * written if at least one edge has an arrow.
+   */
+  directed?: boolean;
+  /**
+   * Positions (in canvas units) that will be written as `pos` attributes. If
+   * omitted the `x` and `y` properties of the nodes are used instead.
+   */
+  positions?: Record<Id, { x: number; y: number }>;
+  /**
+   * Write positions as pinned (`pos="x,y!"`) so that Graphviz doesn't move
+   * the nodes, true by default.
+   */
+  pinPositions?: boolean;
+}
+
+interface VisColor {
+  background?: string;
+  border?: string;
+  color?: string;
+}
+
+interface VisFont {
+  color?: string;
+  face?: string;
+  size?: number;
+}
+
+interface VisArrowHead {
+  enabled?: boolean;
+  type?: string;
+}
+
+interface VisArrows {
+  from?: boolean | VisArrowHead;
+  middle?: boolean | VisArrowHead;
+  to?: boolean | VisArrowHead;
+}
+
+export interface DOTExportNode {
+  id: Id;
+  color?: string | VisColor;
+  font?: string | VisFont;
+  group?: Id;
+  image?: string;
+  label?: string;
+  shape?: string;
+  title?: string;
+  x?: number;
+  y?: number;
+}
+
+export interface DOTExportEdge {
+  from: Id;
+  to: Id;
+  arrows?: string | VisArrows;
+  color?: string | VisColor;
+  dashes?: boolean | number[];
+  font?: string | VisFont;
+  label?: string;
+  title?: string;
+  width?: number;
+}
+
+export interface DOTExportData {
+  nodes: DOTExportNode[];
+  edges: DOTExportEdge[];
+}
+
+type Attributes = [string, string | number][];
+
+// Keywords of the DOT language have to be quoted when used as ids.
+const KEYWORDS = new Set([
+  "node",
+  "edge",
+  "graph",
+  "digraph",
+  "subgraph",
+  "strict",
+]);
+
+/**
+ * Mapping of vis.js arrow types (the keys) to DOT arrow shapes (the values).
+ * This is the inverse of the arrow types used when parsing DOT.
+ */
+const ARROW_TYPES: Record<string, string> = {
+  arrow: "normal",
+  bar: "tee",
+  box: "box",
+  circle: "dot",
+  crow: "crow",
+  curve: "curve",
+  diamond: "diamond",
+  inv_curve: "icurve",
+  inv_triangle: "inv",
+  triangle: "normal",
+  vee: "vee",
+};
+
+/**
+ * Mapping of vis.js node shapes (the keys) to DOT node shapes (the values).
+ * Shapes known to both are written as they are.
+ */
+const NODE_SHAPES: Record<string, string> = {
+  database: "cylinder",
+  dot: "point",
+  icon: "plaintext",
+  text: "plaintext",
+  triangleDown: "invtriangle",
+};
+
+/**
+ * Write an id (or any other value) so that it's valid in DOT, quoting and
+ * escaping it if necessary.
+ *
+ * @param value - The value to be written.
+ *
+ * @returns The value as it should appear in the DOT file.
+ */
+export function quoteDOTId(value: Id): string {
+  const text = String(value);
+  if (
+    (/^[a-zA-Z_][a-zA-Z_0-9]*$/.test(text) && !KEYWORDS.has(text)) ||
+    /^-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)$/.test(text)
+  ) {
+    return text;
+  }
+
+  // In quoted strings only the quote itself is escaped, other backslashes are
+  // kept as they are (including the escape sequences of labels like \n).
+  return '"' + text.replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"';
+}
+
+/**
+ * Write an attribute list like `[label="A", shape=box]`.
+ *
+ * @param attributes - Pairs of names and values.
+ *
+ * @returns The attribute list including a leading space or an empty string
+ * if there are no attributes.
+ */
+function writeAttributes(attributes: Attributes): string {
+  if (attributes.length === 0) {
+    return "";
+  }
+
+  return (
+    " [" +
+    attributes
+      .map(([name, value]): string => `${name}=${quoteDOTId(value)}`)
+      .join(", ") +
+    "]"
+  );
+}
+
+/**
+ * Normalize the many forms the arrows option can take.
+ *
+ * @param arrows - The arrows option of an edge.
+ *
+ * @returns Arrow types (or null if not enabled) for both ends.
+ */
+function getArrows(arrows: DOTExportEdge["arrows"]): {
+  to: string | null;
+  from: string | null;
+} {
+  const getEnd = (end: undefined | boolean | VisArrowHead): string | null => {
+    if (end === true) {
+      return "arrow";
+    } else if (
+      end != null &&
+      typeof end === "object" &&
+      end.enabled !== false
+    ) {
+      return end.type ?? "arrow";
+    } else {
+      return null;
+    }
+  };
+
+  if (typeof arrows === "string") {
+    return {
+      to: /\bto\b/.test(arrows) ? "arrow" : null,
+      from: /\bfrom\b/.test(arrows) ? "arrow" : null,
+    };
+  } else if (arrows != null) {
+    return { to: getEnd(arrows.to), from: getEnd(arrows.from) };
+  } else {
+    return { to: null, from: null };
+  }
+}
+
+/**
+ * Collect the font attributes.
+ *
+ * @param font - The font option of a node or an edge.
+ * @param attributes - The attributes will be appended here.
+ */
+function addFontAttributes(
+  font: DOTExportNode["font"],
+  attributes: Attributes
+): void {
+  if (font != null && typeof font === "object") {
+    if (font.size != null) {
+      attributes.push(["fontsize", font.size]);
+    }
+    if (font.color != null) {
+      attributes.push(["fontcolor", font.color]);
+    }
+    if (font.face != null) {
+      attributes.push(["fontname", font.face]);
+    }
+  }
+}
+
+/**
+ * Convert a node into DOT attributes.
+ *
+ * @param node - The node to be converted.
+ * @param position - The position of the node (if known).
+ * @param pinPositions - Whether to append ! to the positions.
+ *
+ * @returns The attributes of the node.
+ */
+function getNodeAttributes(
+  node: DOTExportNode,
+  position: { x: number; y: number } | undefined,
+  pinPositions: boolean
+): Attributes {
+  const attributes: Attributes = [];
+
+  if (node.label != null) {
+    attributes.push(["label", node.label]);
+  }
+  if (node.shape != null) {
+    attributes.push(["shape", NODE_SHAPES[node.shape] ?? node.shape]);
+  }
+  if (node.image != null) {
+    attributes.push(["image", node.image]);
+  }
+  if (typeof node.color === "string") {
+    attributes.push(["color", node.color]);
+  } else if (node.color != null) {
+    if (node.color.border != null) {
+      attributes.push(["color", node.color.border]);
+    }
+    if (node.color.background != null) {
+      attributes.push(["fillcolor", node.color.background]);
+      attributes.push(["style", "filled"]);
+    }
+  }
+  addFontAttributes(node.font, attributes);
+  if (node.title != null) {
+    attributes.push(["tooltip", node.title]);
+  }
+  if (position != null) {
+    // Graphviz's y axis points up, the canvas' y axis points down.
+    attributes.push([
+      "pos",
+      `${position.x},${-position.y}${pinPositions ? "!" : ""}`,
+    ]);
+  }
+
+  return attributes;
+}
+
+/**
+ * Convert an edge into DOT attributes.
+ *
+ * @param edge - The edge to be converted.
+ * @param directed - Whether the graph is a digraph.
+ *
+ * @returns The attributes of the edge.
+ */
+function getEdgeAttributes(edge: DOTExportEdge, directed: boolean): Attributes {
+  const attributes: Attributes = [];
+
+  if (edge.label != null) {
+    attributes.push(["label", edge.label]);
+  }
+  if (typeof edge.color === "string") {
+    attributes.push(["color", edge.color]);
+  } else if (edge.color != null && edge.color.color != null) {
+    attributes.push(["color", edge.color.color]);
+  }
+  if (edge.dashes === true) {
+    attributes.push(["style", "dashed"]);
+  } else if (Array.isArray(edge.dashes)) {
+    attributes.push(["style", "dotted"]);
+  }
+  if (edge.width != null) {
+    attributes.push(["penwidth", edge.width]);
+  }
+  addFontAttributes(edge.font, attributes);
+  if (edge.title != null) {
+    attributes.push(["tooltip", edge.title]);
+  }
+
+  if (directed) {
+    const { to, from } = getArrows(edge.arrows);
+    if (to != null && from != null) {
+      attributes.push(["dir", "both"]);
+    } else if (from != null) {
+      attributes.push(["dir", "back"]);
+    } else if (to == null) {
+      attributes.push(["dir", "none"]);
+    }
+    if (to != null && to !== "arrow") {
+      attributes.push(["arrowhead", ARROW_TYPES[to] ?? "normal"]);
+    }
+    if (from != null && from !== "arrow") {
+      attributes.push(["arrowtail", ARROW_TYPES[from] ?? "normal"]);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Convert vis.js network data into a graph in the DOT language. This is the
+ * inverse of `DOTToGraph`.
+ *
+ * Nodes sharing a group are put into a `cluster_<group>` subgraph.
+ *
+ * @param data - Nodes and edges in vis.js format.
+ * @param options - Additional options.
+ *
+ * @returns A DOT document.
+ */
+export function graphToDOT(
+  data: DOTExportData,
+  options: DOTExportOptions = {}
+): string {
+  const directed =
+    options.directed ??
+    data.edges.some((edge): boolean => {
+      const { to, from } = getArrows(edge.arrows);
+      return to != null || from != null;
+    });
+  const pinPositions = options.pinPositions !== false;
+  const edgeOperator = directed ? "->" : "--";
+
+  const getPosition = (
+    node: DOTExportNode
+  ): { x: number; y: number } | undefined => {
+    if (options.positions != null) {
+      return options.positions[node.id];
+    } else if (node.x != null && node.y != null) {
+      return { x: node.x, y: node.y };
+    } else {
+      return undefined;
+    }
+  };
+  const writeNode = (node: DOTExportNode, indent: string): string =>
+    indent +
+    quoteDOTId(node.id) +
+    writeAttributes(getNodeAttributes(node, getPosition(node), pinPositions)) +
+    ";";
+
+  const lines = [
+    (directed ? "digraph" : "graph") +
+      (options.id != null ? " " + quoteDOTId(options.id) : "") +
+      " {",
+  ];
+
+  const groups = new Map<Id, DOTExportNode[]>();
+  for (const node of data.nodes) {
+    if (node.group != null) {
+      const members = groups.get(node.group) ?? [];
+      members.push(node);
+      groups.set(node.group, members);
+    } else {
+      lines.push(writeNode(node, "  "));
+    }
+  }
+
+  for (const [group, members] of groups) {
+    lines.push(`  subgraph ${quoteDOTId("cluster_" + group)} {`);
+    lines.push(`    label=${quoteDOTId(group)};`);
+    for (const node of members) {
+      lines.push(writeNode(node, "    "));
+    }
+    lines.push("  }");
+  }
+
+  for (const edge of data.edges) {
+    lines.push(
+      "  " +
+        quoteDOTId(edge.from) +
+        ` ${edgeOperator} ` +
+        quoteDOTId(edge.to) +
+        writeAttributes(getEdgeAttributes(edge, directed)) +
+        ";"
+    );
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
@@ -10,10 +10,19 @@
  *
  * DOT language attributes: http://graphviz.org/content/attrs
  *
+ * Syntax errors are thrown as SyntaxError with the line, column and a snippet
+ * of the offending line in the message (also available as the line, column
+ * and snippet properties). In lenient mode invalid statements are skipped
+ * instead and the errors are collected in the warnings of the graph.
+ *
  * @param {string} data     Text containing a graph in DOT-notation
+ * @param {object} [options]
+ * @param {boolean} [options.lenient=false]  Skip invalid statements
  * @returns {object} graph   An object containing two parameters:
  *                          {Object[]} nodes
  *                          {Object[]} edges
+ *                          and in lenient mode also
+ *                          {Object[]} warnings
  *
  * -------------------------------------------
  * TODO
@@ -38,9 +47,16 @@
  * - Note that text explicitly says 'labels'; the dot parser currently handles escape
  *   sequences in **all** strings.
  */
-export function parseDOT(data) {
+export function parseDOT(data, options) {
   dot = data;
-  return parseGraph();
+  lenient = !!(options && options.lenient);
+  warnings = [];
+
+  var graph = parseGraph();
+  if (lenient) {
+    graph.warnings = warnings;
+  }
+  return graph;
 }
 
 // mapping of attributes from DOT (the keys) to vis.js (the values)
@@ -75,6 +91,7 @@ var DELIMITERS = {
   ";": true,
   "=": true,
   ",": true,
+  ":": true,
 
   "->": true,
   "--": true,
@@ -85,6 +102,12 @@ var index = 0; // current index in dot file
 var c = ""; // current token character in expr
 var token = ""; // current token
 var tokenType = TOKENTYPE.NULL; // type of the token
+var tokenIsHTML = false; // whether the token is an HTML string like <<b>x</b>>
+var tokenIndex = 0; // index of the first character of the token
+var tokenError = ""; // description of the error of an invalid token
+var bracketDepth = 0; // number of open [ in the current statement
+var lenient = false; // whether invalid statements are skipped
+var warnings = []; // errors of the skipped statements
 
 /**
  * Get the first character from the dot file.
@@ -116,7 +139,7 @@ function nextPreview() {
 }
 
 /**
- * Test whether given character is alphabetic or numeric ( a-zA-Z_0-9.:# )
+ * Test whether given character is alphabetic or numeric ( a-zA-Z_0-9.# )
  *
  * @param {string} c
  * @returns {boolean} isAlphaNumeric
@@ -128,8 +151,8 @@ function isAlphaNumeric(c) {
     // #.
     return charCode === 35 || charCode === 46;
   }
-  if (charCode < 59) {
-    // 0-9 and :
+  if (charCode < 58) {
+    // 0-9
     return charCode > 47;
   }
   if (charCode < 91) {
@@ -290,9 +313,11 @@ function createEdge(graph, from, to, eventual, type, attr) {
   var edge = {
     from: from,
     to: to,
-    eventual: eventual,
     type: type,
   };
+  if (eventual !== undefined) {
+    edge.eventual = eventual;
+  }
 
   if (graph.edge) {
     edge.attr = merge({}, graph.edge); // clone default attributes
@@ -316,6 +341,7 @@ function createEdge(graph, from, to, eventual, type, attr) {
  */
 function getToken() {
   tokenType = TOKENTYPE.NULL;
+  tokenIsHTML = false;
   token = "";
 
   // skip over whitespaces
@@ -370,6 +396,7 @@ function getToken() {
       next();
     }
   } while (isComment);
+  tokenIndex = index;
 
   // check for end of dot file
   if (c === "") {
@@ -429,26 +456,64 @@ function getToken() {
         // Honor a newline escape sequence
         token += "\n";
         next();
+      } else if (c === "\\" && nextPreview() === '"') {
+        // Honor an escaped quote
+        token += '"';
+        next();
       } else {
         token += c;
       }
       next();
     }
     if (c != '"') {
-      throw newSyntaxError('End of string " expected');
+      setInvalidToken('End of string " expected');
+      return;
     }
     next();
     tokenType = TOKENTYPE.IDENTIFIER;
     return;
   }
 
-  // something unknown is found, wrong characters, a syntax error
-  tokenType = TOKENTYPE.UNKNOWN;
-  while (c != "") {
-    token += c;
+  // check for an HTML string enclosed by angle brackets, the brackets of the
+  // tags inside have to be balanced
+  if (c === "<") {
+    var depth = 0;
+    next();
+    while (c != "" && (c != ">" || depth > 0)) {
+      if (c === "<") {
+        depth++;
+      } else if (c === ">") {
+        depth--;
+      }
+      token += c;
+      next();
+    }
+    if (c != ">") {
+      setInvalidToken("End of HTML string > expected");
+      return;
+    }
     next();
+    tokenType = TOKENTYPE.IDENTIFIER;
+    tokenIsHTML = true;
+    return;
   }
-  throw new SyntaxError('Syntax error in part "' + chop(token, 30) + '"');
+
+  // something unknown is found, wrong characters, a syntax error
+  next();
+  setInvalidToken("Unexpected character");
+}
+
+/**
+ * Turn the text read since the start of the token into an invalid token. The
+ * error is reported by the parser when it gets to the token, so that the
+ * preceding statement is still complete.
+ *
+ * @param {string} message  Description of the error
+ */
+function setInvalidToken(message) {
+  tokenType = TOKENTYPE.UNKNOWN;
+  token = dot.slice(tokenIndex, index);
+  tokenError = message;
 }
 
 /**
@@ -491,15 +556,14 @@ function parseGraph() {
 
   // close angle bracket
   if (token != "}") {
-    throw newSyntaxError("Angle bracket } expected");
+    warnOrThrow(newSyntaxError("Angle bracket } expected"));
   }
   getToken();
 
-  // end of file
+  // end of file, the rest is ignored in lenient mode
   if (token !== "") {
-    throw newSyntaxError("End of file expected");
+    warnOrThrow(newSyntaxError("End of file expected"));
   }
-  getToken();
 
   // remove temporary default options
   delete graph.node;
@@ -516,13 +580,71 @@ function parseGraph() {
  */
 function parseStatements(graph) {
   while (token !== "" && token != "}") {
-    parseStatement(graph);
-    if (token === ";") {
-      getToken();
+    try {
+      bracketDepth = 0;
+      parseStatement(graph);
+      if (token === ";") {
+        getToken();
+      }
+    } catch (error) {
+      warnOrThrow(error);
+      skipStatement(error);
     }
   }
 }
 
+/**
+ * Skip the rest of an invalid statement. The statement ends with a semicolon
+ * (which is skipped as well), the closing bracket of the (sub)graph or a line
+ * break outside of brackets.
+ *
+ * @param {SyntaxError} error  The error of the statement
+ */
+function skipStatement(error) {
+  var depth = bracketDepth;
+
+  while (
+    token !== "" &&
+    !(
+      depth === 0 &&
+      tokenType === TOKENTYPE.DELIMITER &&
+      (token === ";" || token === "}")
+    ) &&
+    !(depth === 0 && dot.lastIndexOf("\n", tokenIndex - 1) >= error.index)
+  ) {
+    if (tokenType === TOKENTYPE.DELIMITER) {
+      if (token === "[" || token === "{") {
+        depth++;
+      } else if ((token === "]" || token === "}") && depth > 0) {
+        depth--;
+      }
+    }
+
+    getToken();
+  }
+
+  if (token === ";") {
+    getToken();
+  }
+}
+
+/**
+ * Throw an error or, in lenient mode, collect syntax errors as warnings.
+ *
+ * @param {Error} error
+ */
+function warnOrThrow(error) {
+  if (!lenient || !(error instanceof SyntaxError)) {
+    throw error;
+  }
+  warnings.push({
+    message: error.message,
+    line: error.line,
+    column: error.column,
+    snippet: error.snippet,
+  });
+}
+
 /**
  * Parse a single statement. Can be a an attribute statement, node
  * statement, a series of node statements and edge statements, or a
@@ -561,12 +683,60 @@ function parseStatement(graph) {
     }
     graph[id] = token;
     getToken();
-    // TODO: implement comma separated list with "a_list: ID=ID [','] [a_list] "
+
+    // comma separated list like "a_list: ID=ID [','] [a_list]"
+    while (token === ",") {
+      getToken();
+      if (tokenType != TOKENTYPE.IDENTIFIER) {
+        throw newSyntaxError("Identifier expected");
+      }
+      id = token;
+      getToken();
+      if (token != "=") {
+        throw newSyntaxError("Equal sign = expected");
+      }
+      getToken();
+      if (tokenType != TOKENTYPE.IDENTIFIER) {
+        throw newSyntaxError("Identifier expected");
+      }
+      graph[id] = token;
+      getToken();
+    }
   } else {
     parseNodeStatement(graph, id);
   }
 }
 
+/**
+ * Parse an optional port like ":port" or ":port:compass_pt" following the id
+ * of a node.
+ *
+ * @returns {string | null} port  The port including the compass point if
+ *                                any, or null if there is no port.
+ */
+function parsePort() {
+  if (token !== ":") {
+    return null;
+  }
+  getToken();
+  if (tokenType != TOKENTYPE.IDENTIFIER) {
+    throw newSyntaxError("Port expected");
+  }
+  var port = String(token);
+  getToken();
+
+  if (token === ":") {
+    getToken();
+    if (tokenType != TOKENTYPE.IDENTIFIER) {
+      throw newSyntaxError("Compass point expected");
+    }
+    port += ":" + token;
+    getToken();
+  }
+
+  return port;
+}
+
 /**
  * Parse a subgraph
  *
@@ -653,8 +823,9 @@ function parseAttributeStatement(graph) {
   } else if (token === "graph") {
     getToken();
 
-    // graph attributes
+    // graph attributes, these apply to this graph as well
     graph.graph = parseAttributeList();
+    merge(graph, graph.graph);
     return "graph";
   }
 
@@ -668,6 +839,9 @@ function parseAttributeStatement(graph) {
  * @param {string | number} id
  */
 function parseNodeStatement(graph, id) {
+  // a port is only meaningful in edge statements
+  var port = parsePort();
+
   // node statement
   var node = {
     id: id,
@@ -679,7 +853,7 @@ function parseNodeStatement(graph, id) {
   addNode(graph, node);
 
   // edge statements
-  parseEdge(graph, id);
+  parseEdge(graph, id, port);
 }
 
 /**
@@ -687,10 +861,12 @@ function parseNodeStatement(graph, id) {
  *
  * @param {object} graph
  * @param {string | number} from        Id of the from node
+ * @param {string | null} [fromPort]    Port of the from node
  */
-function parseEdge(graph, from) {
+function parseEdge(graph, from, fromPort) {
   while (token === "->" || token === "--") {
     var to;
+    var toPort = null;
     var type = token;
     getToken();
 
@@ -706,16 +882,24 @@ function parseEdge(graph, from) {
         id: to,
       });
       getToken();
+      toPort = parsePort();
     }
 
     // parse edge attributes
     var attr = parseAttributeList();
 
     // create edge
-    var edge = createEdge(graph, from, to, type, attr);
+    var edge = createEdge(graph, from, to, undefined, type, attr);
+    if (fromPort) {
+      edge.fromPort = fromPort;
+    }
+    if (toPort) {
+      edge.toPort = toPort;
+    }
     addEdge(graph, edge);
 
     from = to;
+    fromPort = toPort;
   }
 }
 
@@ -1013,6 +1197,7 @@ function parseAttributeList() {
 
   // parse attributes
   while (token === "[") {
+    bracketDepth++;
     getToken();
     attr = {};
     while (token !== "" && token != "]") {
@@ -1032,6 +1217,13 @@ function parseAttributeList() {
       }
       var value = token;
 
+      // convert HTML labels into the markup of multi-font labels
+      if (tokenIsHTML && name === "label") {
+        value = convertHTMLLabel(value);
+        attr_list.push({ attr: attr, name: "font.multi", value: "html" });
+        attr_names.push("font.multi");
+      }
+
       // convert from dot style to vis
       if (name === "style") {
         value = edgeStyles[value];
@@ -1054,7 +1246,7 @@ function parseAttributeList() {
       attr_names.push(name);
 
       getToken();
-      if (token == ",") {
+      if (token == "," || token == ";") {
         getToken();
       }
     }
@@ -1062,6 +1254,7 @@ function parseAttributeList() {
     if (token != "]") {
       throw newSyntaxError("Bracket ] expected");
     }
+    bracketDepth--;
     getToken();
   }
 
@@ -1325,16 +1518,141 @@ function parseAttributeList() {
   return attr;
 }
 
+// named character references supported in HTML strings, see
+// http://www.graphviz.org/doc/info/shapes.html#html
+var HTML_ENTITIES = {
+  amp: "&",
+  apos: "'",
+  gt: ">",
+  lt: "<",
+  nbsp: "\u00a0",
+  quot: '"',
+};
+
 /**
- * Create a syntax error with extra information on current token and index.
+ * Decode the character references in the text of an HTML string.
+ *
+ * @param {string} text
+ * @returns {string} The decoded text, unknown references are left untouched.
+ */
+function decodeHTMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function (ref, name) {
+    if (name.charAt(0) === "#") {
+      return String.fromCharCode(
+        name.charAt(1).toLowerCase() === "x"
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10)
+      );
+    }
+    return HTML_ENTITIES.hasOwnProperty(name) ? HTML_ENTITIES[name] : ref;
+  });
+}
+
+/**
+ * Convert an HTML-like label into the HTML markup of multi-font labels
+ * (font.multi = 'html'). Bold and italic text is kept, line breaks and table
+ * rows start new lines, table cells are separated by spaces and all the
+ * other tags are dropped.
+ *
+ * @param {string} html  Content of the HTML string without the outer < >
+ * @returns {string} label
+ */
+function convertHTMLLabel(html) {
+  var label = "";
+  var parts = String(html).match(/<[^>]*>|[^<]+/g) || [];
+
+  parts.forEach(function (part) {
+    var tag = /^<\s*(\/?)\s*([a-z]+)/i.exec(part);
+    if (tag) {
+      var closing = tag[1] === "/";
+      var name = tag[2].toLowerCase();
+      if (name === "b" || name === "i") {
+        label += "<" + tag[1] + name + ">";
+      } else if (name === "br" || (name === "tr" && closing)) {
+        label += "\n";
+      } else if (name === "td" && closing) {
+        label += " ";
+      }
+    } else if (part.charAt(0) !== "<") {
+      // whitespace in the source is only used for formatting, < and & have to
+      // stay escaped for the label splitter
+      label += decodeHTMLEntities(part.replace(/\s+/g, " "))
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;");
+    }
+  });
+
+  return label
+    .split("\n")
+    .map(function (line) {
+      return line.trim();
+    })
+    .join("\n")
+    .replace(/^\n+|\n+$/g, "");
+}
+
+/**
+ * Get the line and column of a position in the dot file and a snippet showing
+ * the position in its line.
+ *
+ * @param {number} position  Index in the dot file
+ * @returns {{line: number, column: number, snippet: string}}
+ */
+function getLocation(position) {
+  var start = dot.lastIndexOf("\n", position - 1) + 1;
+  var end = dot.indexOf("\n", position);
+  var line = dot.slice(start, end === -1 ? dot.length : end);
+  var column = position - start + 1;
+
+  // tabs are replaced so that the caret is aligned with the column
+  var text = line.replace(/[\t\r]/g, " ");
+  var caret = column - 1;
+  if (text.length > 80) {
+    var from = Math.max(0, Math.min(caret - 40, text.length - 80));
+    text =
+      (from > 0 ? "..." : "") +
+      text.substr(from, 80) +
+      (from + 80 < text.length ? "..." : "");
+    caret += (from > 0 ? 3 : 0) - from;
+  }
+
+  return {
+    line: dot.slice(0, start).split("\n").length,
+    column: column,
+    snippet: text.replace(/\s+$/, "") + "\n" + " ".repeat(caret) + "^",
+  };
+}
+
+/**
+ * Create a syntax error with extra information on current token and its
+ * location.
  *
  * @param {string} message
  * @returns {SyntaxError} err
  */
 function newSyntaxError(message) {
-  return new SyntaxError(
-    message + ', got "' + chop(token, 30) + '" (char ' + index + ")"
+  if (tokenType === TOKENTYPE.UNKNOWN) {
+    // the token itself is the problem
+    message = tokenError;
+  }
+
+  var location = getLocation(tokenIndex);
+  var err = new SyntaxError(
+    message +
+      ', got "' +
+      chop(String(token).replace(/\n[\s\S]*$/, "..."), 30) +
+      '" (line ' +
+      location.line +
+      ", column " +
+      location.column +
+      ")\n" +
+      location.snippet
   );
+  err.index = tokenIndex;
+  err.line = location.line;
+  err.column = location.column;
+  err.snippet = location.snippet;
+  return err;
 }
 
 /**
@@ -1401,8 +1719,15 @@ function setProp(object, path, value) {
     obj = obj[name];
   }
 
-  // set the property value
-  obj[prop] = value;
+  // set the property value, objects are merged so that for example font.size
+  // and font.multi don't overwrite each other
+  if (value instanceof Object && !Array.isArray(value)) {
+    var current =
+      obj[prop] instanceof Object && !Array.isArray(obj[prop]) ? obj[prop] : {};
+    obj[prop] = merge(merge({}, current), value);
+  } else {
+    obj[prop] = value;
+  }
 
   return object;
 }
@@ -1435,16 +1760,251 @@ function convertAttr(attr, mapping) {
   return converted;
 }
 
+// directions of the hierarchical layout for the values of rankdir
+var RANKDIR_MAPPING = {
+  TB: "UD",
+  BT: "DU",
+  LR: "LR",
+  RL: "RL",
+};
+
+// Graphviz measures distances in inches and its nodes are 0.75 by 0.5 inches
+// by default. The gaps between the nodes in DOT are turned into distances
+// between their centers using this size.
+var POINTS_PER_INCH = 72;
+var DEFAULT_NODE_WIDTH = 0.75;
+var DEFAULT_NODE_HEIGHT = 0.5;
+
+/**
+ * Collect the rank constraints and the clusters of all the (nested) subgraphs
+ * of a graph.
+ *
+ * @param {object} graph
+ * @param {Array} ranks      Receives objects like {rank: 'same', nodes: [ids]}
+ * @param {Array} clusters   Receives objects like {group, depth, nodes: [ids]}
+ * @param {number} [depth]   Depth of the subgraphs of the graph
+ */
+function collectSubgraphs(graph, ranks, clusters, depth) {
+  depth = depth || 0;
+
+  (graph.subgraphs || []).forEach(function (subgraph) {
+    var ids = (subgraph.nodes || []).map(function (node) {
+      return node.id;
+    });
+
+    if (subgraph.rank) {
+      ranks.push({ rank: subgraph.rank, nodes: ids });
+    }
+    if (typeof subgraph.id === "string" && /^cluster/.test(subgraph.id)) {
+      // cluster_backend becomes group backend, like in the DOT exporter
+      clusters.push({
+        group: subgraph.id.replace(/^cluster_?/, "") || subgraph.id,
+        depth: depth,
+        nodes: ids,
+      });
+    }
+
+    collectSubgraphs(subgraph, ranks, clusters, depth + 1);
+  });
+}
+
+/**
+ * Compute the level of every node for the hierarchical layout honoring the
+ * rank constraints of the subgraphs. Nodes are placed one level below the
+ * lowest of their predecessors like Graphviz does, edges closing cycles are
+ * ignored.
+ *
+ * @param {Array} nodes   Nodes with VisGraph format
+ * @param {Array} edges   Edges with VisGraph format
+ * @param {Array} ranks   Rank constraints as collected by collectSubgraphs()
+ * @returns {Map} The level of each node id
+ */
+function computeLevels(nodes, edges, ranks) {
+  // nodes which have to be on the same level share a representative
+  var parents = new Map();
+  var find = function (id) {
+    while (parents.get(id) !== id) {
+      id = parents.get(id);
+    }
+    return id;
+  };
+  nodes.forEach(function (node) {
+    parents.set(node.id, node.id);
+  });
+
+  var first = [];
+  var last = [];
+  ranks.forEach(function (constraint) {
+    var ids = constraint.nodes.filter(function (id) {
+      return parents.has(id);
+    });
+    if (ids.length === 0) {
+      return;
+    }
+    ids.forEach(function (id) {
+      parents.set(find(id), find(ids[0]));
+    });
+
+    if (constraint.rank === "min" || constraint.rank === "source") {
+      first.push(ids[0]);
+    } else if (constraint.rank === "max" || constraint.rank === "sink") {
+      last.push(ids[0]);
+    }
+  });
+  first = new Set(first.map(find));
+  last = new Set(last.map(find));
+
+  var successors = new Map();
+  edges.forEach(function (edge) {
+    var from = find(edge.from);
+    var to = find(edge.to);
+    if (from !== to && parents.has(from) && parents.has(to)) {
+      if (!successors.has(from)) {
+        successors.set(from, []);
+      }
+      successors.get(from).push(to);
+    }
+  });
+
+  // depth first search, the reversed post order is a topological order of
+  // all the edges except for the ones closing cycles
+  var state = new Map(); // 1: on the stack, 2: done
+  var order = [];
+  var backEdges = new Set();
+  nodes.forEach(function (node) {
+    var root = find(node.id);
+    if (state.has(root)) {
+      return;
+    }
+    state.set(root, 1);
+    var stack = [{ id: root, index: 0 }];
+    while (stack.length > 0) {
+      var top = stack[stack.length - 1];
+      var next = (successors.get(top.id) || [])[top.index++];
+      if (next === undefined) {
+        state.set(top.id, 2);
+        order.push(top.id);
+        stack.pop();
+      } else if (state.get(next) === 1) {
+        backEdges.add(top.id + "\u0000" + next);
+      } else if (!state.has(next)) {
+        state.set(next, 1);
+        stack.push({ id: next, index: 0 });
+      }
+    }
+  });
+
+  var levels = new Map();
+  var maxLevel = 0;
+  order.reverse().forEach(function (id) {
+    var level = first.has(id) ? 0 : levels.get(id) || 0;
+    levels.set(id, level);
+    maxLevel = Math.max(maxLevel, level);
+    if (last.has(id)) {
+      return;
+    }
+    (successors.get(id) || []).forEach(function (next) {
+      if (!backEdges.has(id + "\u0000" + next) && !first.has(next)) {
+        levels.set(next, Math.max(levels.get(next) || 0, level + 1));
+      }
+    });
+  });
+
+  var result = new Map();
+  nodes.forEach(function (node) {
+    var id = find(node.id);
+    result.set(node.id, last.has(id) ? maxLevel : levels.get(id));
+  });
+  return result;
+}
+
+/**
+ * Translate the attributes of a graph and the structure of its subgraphs:
+ * rankdir, ranksep and nodesep configure the hierarchical layout, rank
+ * constraints become the levels of the nodes and the nodes of cluster
+ * subgraphs are grouped by their cluster.
+ *
+ * @param {object} dotData     Graph as returned by parseDOT()
+ * @param {object} graphData   Graph with VisGraph format, changed in place
+ */
+function convertGraphAttributes(dotData, graphData) {
+  var ranks = [];
+  var clusters = [];
+  collectSubgraphs(dotData, ranks, clusters);
+
+  // the innermost cluster of a node becomes its group unless it has a group
+  var nodeClusters = new Map();
+  clusters.forEach(function (cluster) {
+    cluster.nodes.forEach(function (id) {
+      var current = nodeClusters.get(id);
+      if (!current || current.depth < cluster.depth) {
+        nodeClusters.set(id, cluster);
+      }
+    });
+  });
+  graphData.nodes.forEach(function (node) {
+    if (node.group === undefined && nodeClusters.has(node.id)) {
+      node.group = nodeClusters.get(node.id).group;
+    }
+  });
+
+  // the hierarchical layout corresponds to the dot layout engine only
+  if (dotData.layout !== undefined && dotData.layout !== "dot") {
+    return;
+  }
+
+  var hierarchical = {};
+  var direction = RANKDIR_MAPPING[String(dotData.rankdir).toUpperCase()];
+  var vertical =
+    direction === undefined || direction === "UD" || direction === "DU";
+  var ranksep = parseFloat(dotData.ranksep);
+  var nodesep = parseFloat(dotData.nodesep);
+  if (direction) {
+    hierarchical.direction = direction;
+  }
+  if (isFinite(ranksep)) {
+    hierarchical.levelSeparation = Math.round(
+      (ranksep + (vertical ? DEFAULT_NODE_HEIGHT : DEFAULT_NODE_WIDTH)) *
+        POINTS_PER_INCH
+    );
+  }
+  if (isFinite(nodesep)) {
+    hierarchical.nodeSpacing = Math.round(
+      (nodesep + (vertical ? DEFAULT_NODE_WIDTH : DEFAULT_NODE_HEIGHT)) *
+        POINTS_PER_INCH
+    );
+  }
+  if (Object.keys(hierarchical).length === 0 && ranks.length === 0) {
+    return;
+  }
+
+  if (ranks.length > 0) {
+    // vis.js requires the levels of either all or none of the nodes
+    var levels = computeLevels(graphData.nodes, graphData.edges, ranks);
+    graphData.nodes.forEach(function (node) {
+      node.level = levels.get(node.id);
+    });
+  }
+
+  graphData.options.layout = {
+    hierarchical: merge(
+      { enabled: true, sortMethod: "directed" },
+      hierarchical
+    ),
+  };
+}
+
 /**
  * Convert a string containing a graph in DOT language into a map containing
  * with nodes and edges in the format of graph.
  *
  * @param {string} data         Text containing a graph in DOT-notation
+ * @param {object} [options]     Options of parseDOT(), like lenient
  * @returns {object} graphData
  */
-export function DOTToGraph(data) {
+export function DOTToGraph(data, options) {
   // parse the DOT file
-  var dotData = parseDOT(data);
+  var dotData = parseDOT(data, options);
   var graphData = {
     nodes: [],
     edges: [],
@@ -1466,33 +2026,59 @@ export function DOTToGraph(data) {
     });
   }
 
-  // copy the edges
-  if (dotData.edges) {
-    /**
-     * Convert an edge in DOT format to an edge with VisGraph format
-     *
-     * @param {object} dotEdge
-     * @returns {object} graphEdge
-     */
-    var convertEdge = function (dotEdge) {
-      var graphEdge = {
-        from: dotEdge.from,
-        to: dotEdge.to,
-        eventual: dotEdge.eventual,
-      };
-      merge(graphEdge, convertAttr(dotEdge.attr, EDGE_ATTR_MAPPING));
+  /**
+   * Convert an edge in DOT format to an edge with VisGraph format
+   *
+   * @param {object} dotEdge
+   * @returns {object} graphEdge
+   */
+  var convertEdge = function (dotEdge) {
+    var graphEdge = {
+      from: dotEdge.from,
+      to: dotEdge.to,
+      eventual: dotEdge.eventual,
+    };
+    if (dotEdge.fromPort != null) {
+      graphEdge.fromPort = dotEdge.fromPort;
+    }
+    if (dotEdge.toPort != null) {
+      graphEdge.toPort = dotEdge.toPort;
+    }
+    merge(graphEdge, convertAttr(dotEdge.attr, EDGE_ATTR_MAPPING));
 
-      // Add arrows attribute to default styled arrow.
-      // The reason why default style is not added in parseAttributeList() is
-      // because only default is cleared before here.
-      if (graphEdge.arrows == null && dotEdge.type === "->") {
-        graphEdge.arrows = "to";
-      }
+    // Add arrows attribute to default styled arrow.
+    // The reason why default style is not added in parseAttributeList() is
+    // because only default is cleared before here.
+    if (graphEdge.arrows == null && dotEdge.type === "->") {
+      graphEdge.arrows = "to";
+    }
 
-      return graphEdge;
-    };
+    return graphEdge;
+  };
 
-    dotData.edges.forEach(function (dotEdge) {
+  // subgraphs used as endpoints of edges, their edges are converted along
+  // with the edges they are part of
+  var endpoints = [];
+
+  /**
+   * Convert the edges of a subgraph used as an endpoint (once)
+   *
+   * @param {object | string | number} endpoint
+   */
+  var convertEndpoint = function (endpoint) {
+    if (endpoint instanceof Object && endpoints.indexOf(endpoint) === -1) {
+      endpoints.push(endpoint);
+      convertEdges(endpoint.edges || []);
+    }
+  };
+
+  /**
+   * Convert edges in DOT format and add them to the graph data
+   *
+   * @param {Array} dotEdges
+   */
+  var convertEdges = function (dotEdges) {
+    dotEdges.forEach(function (dotEdge) {
       var from, to;
       if (dotEdge.from instanceof Object) {
         from = dotEdge.from.nodes;
@@ -1510,39 +2096,56 @@ export function DOTToGraph(data) {
         };
       }
 
-      if (dotEdge.from instanceof Object && dotEdge.from.edges) {
-        dotEdge.from.edges.forEach(function (subEdge) {
-          var graphEdge = convertEdge(subEdge);
-          graphData.edges.push(graphEdge);
-        });
-      }
+      convertEndpoint(dotEdge.from);
 
       forEach2(from, to, function (from, to) {
         var subEdge = createEdge(
           graphData,
           from.id,
           to.id,
+          dotEdge.eventual,
           dotEdge.type,
           dotEdge.attr
         );
+        subEdge.fromPort = dotEdge.fromPort;
+        subEdge.toPort = dotEdge.toPort;
         var graphEdge = convertEdge(subEdge);
         graphData.edges.push(graphEdge);
       });
 
-      if (dotEdge.to instanceof Object && dotEdge.to.edges) {
-        dotEdge.to.edges.forEach(function (subEdge) {
-          var graphEdge = convertEdge(subEdge);
-          graphData.edges.push(graphEdge);
-        });
+      convertEndpoint(dotEdge.to);
+    });
+  };
+
+  /**
+   * Convert the edges of the subgraphs which are not used as endpoints
+   *
+   * @param {object} graph
+   */
+  var convertSubgraphEdges = function (graph) {
+    (graph.subgraphs || []).forEach(function (subgraph) {
+      if (endpoints.indexOf(subgraph) === -1) {
+        convertEdges(subgraph.edges || []);
       }
+      convertSubgraphEdges(subgraph);
     });
-  }
+  };
+
+  // copy the edges
+  convertEdges(dotData.edges || []);
+  convertSubgraphEdges(dotData);
 
   // copy the options
   if (dotData.attr) {
     graphData.options = dotData.attr;
   }
 
+  convertGraphAttributes(dotData, graphData);
+
+  if (dotData.warnings) {
+    graphData.warnings = dotData.warnings;
+  }
+
   return graphData;
 }
 
@@ -45,6 +45,14 @@ export interface GephiEdge {
   type?: string;
 }
 
+/**
+ * A time interval during which a node or an edge exists (dynamic graphs).
+ */
+export interface Spell {
+  start?: number | string;
+  end?: number | string;
+}
+
 export interface VisData {
   nodes: VisNode[];
   edges: VisEdge[];
@@ -55,8 +63,11 @@ export interface VisNode {
   fixed: boolean;
 
   color?: string | ColorObject;
+  image?: string;
   label?: string;
+  shape?: string;
   size?: number;
+  spells?: Spell[];
   title?: string;
   x?: number;
   y?: number;
@@ -68,10 +79,14 @@ export interface VisEdge {
   from: Id;
   to: Id;
 
-  arrows?: "to";
+  arrows?: "to" | "to, from";
   color?: string;
+  kind?: string;
   label?: string;
+  spells?: Spell[];
   title?: string;
+  value?: number;
+  width?: number;
 
   attributes?: unknown;
 }
@@ -0,0 +1,358 @@
+import {
+  GephiData,
+  GephiEdge,
+  GephiNode,
+  GephiParseOptions,
+  Spell,
+  VisData,
+  parseGephi,
+} from "./gephiParser";
+import { getChildren, parseXML } from "./xml-utils";
+
+interface GEXFAttribute {
+  title: string;
+  type: string;
+  defaultValue: string | null;
+}
+
+/**
+ * Mapping of GEXF viz shapes (the keys) to vis.js shapes (the values).
+ */
+const SHAPES: Record<string, string> = {
+  diamond: "diamond",
+  disc: "dot",
+  image: "image",
+  square: "square",
+  triangle: "triangle",
+};
+
+/**
+ * Convert the value of an attribute according to its declared type.
+ *
+ * @param value - The value as written in the document.
+ * @param type - The declared type.
+ *
+ * @returns Boolean, number or string.
+ */
+function convertValue(value: string, type: string): unknown {
+  switch (type) {
+    case "boolean":
+      return value === "true";
+    case "integer":
+    case "long":
+    case "float":
+    case "double":
+      return Number(value);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Read the attribute declarations of given class (node or edge).
+ *
+ * @param graph - The graph element.
+ * @param domain - Either node or edge.
+ *
+ * @returns The declared attributes by their ids.
+ */
+function readDeclarations(
+  graph: Element,
+  domain: string
+): Map<string, GEXFAttribute> {
+  const declarations = new Map<string, GEXFAttribute>();
+
+  for (const attributes of getChildren(graph, "attributes")) {
+    if ((attributes.getAttribute("class") ?? "node") !== domain) {
+      continue;
+    }
+
+    for (const attribute of getChildren(attributes, "attribute")) {
+      const id = attribute.getAttribute("id");
+      if (id == null) {
+        throw new SyntaxError("Attribute id is required for every attribute.");
+      }
+
+      const defaultElement = getChildren(attribute, "default")[0];
+      declarations.set(id, {
+        title: attribute.getAttribute("title") ?? id,
+        type: attribute.getAttribute("type") ?? "string",
+        defaultValue:
+          defaultElement != null ? defaultElement.textContent : null,
+      });
+    }
+  }
+
+  return declarations;
+}
+
+/**
+ * Read the attribute values of a node or an edge including the defaults.
+ * Dynamic attributes are not supported, if an attribute has more than one
+ * value the last one is used.
+ *
+ * @param element - The node or edge element.
+ * @param declarations - The declared attributes.
+ *
+ * @returns The attributes by their titles or undefined if there are none.
+ */
+function readAttributes(
+  element: Element,
+  declarations: Map<string, GEXFAttribute>
+): Record<string, unknown> | undefined {
+  const attributes: Record<string, unknown> = {};
+
+  for (const { title, type, defaultValue } of declarations.values()) {
+    if (defaultValue != null) {
+      attributes[title] = convertValue(defaultValue, type);
+    }
+  }
+
+  for (const attvalues of getChildren(element, "attvalues")) {
+    for (const attvalue of getChildren(attvalues, "attvalue")) {
+      const id = attvalue.getAttribute("for") ?? attvalue.getAttribute("id");
+      const value = attvalue.getAttribute("value");
+      const declaration = id != null ? declarations.get(id) : undefined;
+      if (declaration != null && value != null) {
+        attributes[declaration.title] = convertValue(value, declaration.type);
+      }
+    }
+  }
+
+  return Object.keys(attributes).length > 0 ? attributes : undefined;
+}
+
+/**
+ * Read the spells (time intervals) of a node or an edge, either from its own
+ * start and end or from its spells element.
+ *
+ * @param element - The node or edge element.
+ * @param timeFormat - The time format of the graph.
+ *
+ * @returns The spells or undefined if the element is not dynamic.
+ */
+function readSpells(element: Element, timeFormat: string): Spell[] | undefined {
+  const convertTime = (value: string): number | string =>
+    timeFormat === "date" || timeFormat === "dateTime" ? value : +value;
+  const readSpell = (source: Element): Spell | null => {
+    // Timestamps (GEXF 1.3) are spells that start and end at the same time.
+    const timestamp = source.getAttribute("timestamp");
+    const start =
+      source.getAttribute("start") ??
+      source.getAttribute("startopen") ??
+      timestamp;
+    const end =
+      source.getAttribute("end") ?? source.getAttribute("endopen") ?? timestamp;
+    if (start == null && end == null) {
+      return null;
+    }
+
+    const spell: Spell = {};
+    if (start != null) {
+      spell.start = convertTime(start);
+    }
+    if (end != null) {
+      spell.end = convertTime(end);
+    }
+    return spell;
+  };
+
+  const spells: Spell[] = [];
+  const own = readSpell(element);
+  if (own != null) {
+    spells.push(own);
+  }
+  for (const container of getChildren(element, "spells")) {
+    for (const spell of getChildren(container, "spell")) {
+      const read = readSpell(spell);
+      if (read != null) {
+        spells.push(read);
+      }
+    }
+  }
+
+  return spells.length > 0 ? spells : undefined;
+}
+
+/**
+ * Read a viz:color element.
+ *
+ * @param element - The node or edge element.
+ *
+ * @returns The color as a CSS string or undefined if there is none.
+ */
+function readColor(element: Element): string | undefined {
+  const color = getChildren(element, "color")[0];
+  if (color == null) {
+    return undefined;
+  }
+
+  const hex = color.getAttribute("hex");
+  if (hex != null) {
+    return hex;
+  }
+
+  const [r, g, b] = ["r", "g", "b"].map(
+    (channel): number => +(color.getAttribute(channel) ?? 0)
+  );
+  const a = color.getAttribute("a");
+  return a != null ? `rgba(${r},${g},${b},${+a})` : `rgb(${r},${g},${b})`;
+}
+
+/**
+ * Read the value attribute of a viz element.
+ *
+ * @param element - The node or edge element.
+ * @param name - The local name of the viz element.
+ *
+ * @returns The value or undefined if there is no such element.
+ */
+function readVizValue(element: Element, name: string): number | undefined {
+  const viz = getChildren(element, name)[0];
+  const value = viz?.getAttribute("value");
+  return value != null ? +value : undefined;
+}
+
+/**
+ * Convert GEXF (Gephi's XML format) to Vis.
+ *
+ * The colors, sizes, positions and shapes of the viz namespace, declared
+ * attributes, edge weights and kinds and spells of dynamic graphs are read.
+ * The options have the same meaning as for `parseGephi`.
+ *
+ * @param gexf - The GEXF document.
+ * @param optionsObj - Additional options.
+ *
+ * @returns The converted data ready to be used in Vis.
+ */
+export function parseGEXF(
+  gexf: string,
+  optionsObj?: GephiParseOptions
+): VisData {
+  const root = parseXML(gexf, "gexf");
+  const graph = getChildren(root, "graph")[0];
+  if (graph == null) {
+    throw new SyntaxError("Element graph expected.");
+  }
+
+  const timeFormat = graph.getAttribute("timeformat") ?? "double";
+  const defaultEdgeType = graph.getAttribute("defaultedgetype") ?? "undirected";
+  const nodeDeclarations = readDeclarations(graph, "node");
+  const edgeDeclarations = readDeclarations(graph, "edge");
+
+  const nodeElements: Element[] = [];
+  for (const nodes of getChildren(graph, "nodes")) {
+    nodeElements.push(...getChildren(nodes, "node"));
+  }
+  const edgeElements: Element[] = [];
+  for (const edges of getChildren(graph, "edges")) {
+    edgeElements.push(...getChildren(edges, "edge"));
+  }
+
+  const gephiData: GephiData = {
+    nodes: nodeElements.map((element): GephiNode => {
+      const id = element.getAttribute("id");
+      if (id == null) {
+        throw new SyntaxError("Attribute id is required for every node.");
+      }
+
+      const node: GephiNode = { id };
+      const attributes = readAttributes(element, nodeDeclarations);
+      const label = element.getAttribute("label");
+      const color = readColor(element);
+      const size = readVizValue(element, "size");
+      const position = getChildren(element, "position")[0];
+      if (attributes != null) {
+        node.attributes = attributes;
+      }
+      if (label != null) {
+        node.label = label;
+      }
+      if (color != null) {
+        node.color = color;
+      }
+      if (size != null) {
+        node.size = size;
+      }
+      if (position != null) {
+        node.x = +(position.getAttribute("x") ?? 0);
+        node.y = +(position.getAttribute("y") ?? 0);
+      }
+      return node;
+    }),
+    edges: edgeElements.map((element, index): GephiEdge => {
+      const source = element.getAttribute("source");
+      const target = element.getAttribute("target");
+      if (source == null || target == null) {
+        throw new SyntaxError(
+          "Attributes source and target are required for every edge."
+        );
+      }
+
+      const type = element.getAttribute("type") ?? defaultEdgeType;
+      const edge: GephiEdge = {
+        id: element.getAttribute("id") ?? String(index),
+        source,
+        target,
+        type: type === "undirected" ? "Undirected" : "Directed",
+      };
+      const attributes = readAttributes(element, edgeDeclarations);
+      const label = element.getAttribute("label");
+      const color = readColor(element);
+      if (attributes != null) {
+        edge.attributes = attributes;
+      }
+      if (label != null) {
+        edge.label = label;
+      }
+      if (color != null) {
+        edge.color = color;
+      }
+      return edge;
+    }),
+  };
+
+  const visData = parseGephi(gephiData, optionsObj);
+
+  // Add what the Gephi JSON format doesn't know about.
+  visData.nodes.forEach((node, i): void => {
+    const element = nodeElements[i];
+    const shape = getChildren(element, "shape")[0];
+    const spells = readSpells(element, timeFormat);
+    if (shape != null) {
+      const value = shape.getAttribute("value") ?? "disc";
+      node.shape = SHAPES[value] ?? "dot";
+      const uri = shape.getAttribute("uri");
+      if (uri != null) {
+        node.image = uri;
+      }
+    }
+    if (spells != null) {
+      node.spells = spells;
+    }
+  });
+  visData.edges.forEach((edge, i): void => {
+    const element = edgeElements[i];
+    const weight = element.getAttribute("weight");
+    const kind = element.getAttribute("kind");
+    const thickness = readVizValue(element, "thickness");
+    const spells = readSpells(element, timeFormat);
+    if ((element.getAttribute("type") ?? defaultEdgeType) === "mutual") {
+      edge.arrows = "to, from";
+    }
+    if (weight != null) {
+      edge.value = +weight;
+    }
+    if (kind != null) {
+      edge.kind = kind;
+    }
+    if (thickness != null) {
+      edge.width = thickness;
+    }
+    if (spells != null) {
+      edge.spells = spells;
+    }
+  });
+
+  return visData;
+}
@@ -0,0 +1,703 @@
+import { escapeXML, getChildren, getDescendant, parseXML } from "./xml-utils";
+
+export type Id = number | string;
+
+export interface GraphMLParseOptions {
+  /**
+   * Fix the nodes that have a position, false by default.
+   */
+  fixed?: boolean;
+  /**
+   * Mapping of attribute names (`attr.name` of the keys) to vis.js
+   * properties. It's merged into the default mapping, null disables the
+   * mapping of an attribute. All attributes are always available in the
+   * `attributes` property of the converted nodes and edges.
+   */
+  attributeMapping?: Record<string, string | null>;
+}
+
+export interface GraphMLExportOptions {
+  /**
+   * The id of the graph, G by default.
+   */
+  id?: Id;
+  /**
+   * The default direction of the edges. By default the graph is directed if
+   * at least one edge has an arrow.
+   */
+  directed?: boolean;
+  /**
+   * Positions (in canvas units) that will be written as x and y attributes.
+   * If omitted the `x` and `y` properties of the nodes are used instead.
+   */
+  positions?: Record<Id, { x: number; y: number }>;
+  /**
+   * The bounding boxes (in canvas units) of the nodes at the written
+   * positions. They're used for the yFiles geometry, nodes without a box are
+   * written 30 by 30 around their position.
+   */
+  boundingBoxes?: Record<
+    Id,
+    { left: number; right: number; top: number; bottom: number }
+  >;
+  /**
+   * Also write yFiles graphics so that yEd shows the nodes where they are and
+   * as they look, false by default.
+   */
+  yFiles?: boolean;
+}
+
+export interface GraphMLNode {
+  id: Id;
+  attributes?: Record<string, unknown>;
+  [property: string]: unknown;
+}
+
+export interface GraphMLEdge {
+  id?: Id;
+  from: Id;
+  to: Id;
+  attributes?: Record<string, unknown>;
+  [property: string]: unknown;
+}
+
+export interface GraphMLData {
+  nodes: GraphMLNode[];
+  edges: GraphMLEdge[];
+}
+
+export interface GraphMLWarning {
+  message: string;
+  /**
+   * The edge that has been omitted.
+   */
+  edge: GraphMLEdge;
+}
+
+export interface GraphMLParseResult extends GraphMLData {
+  /**
+   * The problems that didn't stop the conversion.
+   */
+  warnings: GraphMLWarning[];
+}
+
+interface GraphMLKey {
+  domain: string;
+  name: string;
+  type: string;
+  defaultValue: string | null;
+}
+
+const YFILES_NS = "http://www.yworks.com/xml/graphml";
+
+/**
+ * Mapping of attribute names to vis.js node properties.
+ */
+const NODE_ATTRIBUTES: Record<string, string> = {
+  color: "color",
+  description: "title",
+  group: "group",
+  image: "image",
+  label: "label",
+  shape: "shape",
+  size: "size",
+  title: "title",
+  tooltip: "title",
+  value: "value",
+  x: "x",
+  y: "y",
+};
+
+/**
+ * Mapping of attribute names to vis.js edge properties.
+ */
+const EDGE_ATTRIBUTES: Record<string, string> = {
+  color: "color",
+  description: "title",
+  label: "label",
+  title: "title",
+  tooltip: "title",
+  value: "value",
+  weight: "value",
+  width: "width",
+};
+
+/**
+ * Mapping of yFiles shapes (the keys) to vis.js shapes (the values).
+ */
+const YFILES_SHAPES: Record<string, string> = {
+  diamond: "diamond",
+  ellipse: "ellipse",
+  hexagon: "hexagon",
+  rectangle: "box",
+  roundrectangle: "box",
+  star5: "star",
+  star6: "star",
+  star8: "star",
+  triangle: "triangle",
+};
+
+/**
+ * Convert the text content of a data element according to the type declared
+ * by its key.
+ *
+ * @param text - The text content.
+ * @param type - The attr.type of the key.
+ *
+ * @returns Boolean, number or string.
+ */
+function convertValue(text: string, type: string): unknown {
+  switch (type) {
+    case "boolean":
+      return text.trim() === "true" || text.trim() === "1";
+    case "int":
+    case "long":
+    case "float":
+    case "double":
+      return Number(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Read the attributes (data elements) of a node or an edge including the
+ * defaults of their keys.
+ *
+ * @param element - The node or edge element.
+ * @param domain - Either node or edge.
+ * @param keys - The keys declared in the document.
+ *
+ * @returns The attributes by name and the data elements with yFiles graphics.
+ */
+function readData(
+  element: Element,
+  domain: string,
+  keys: Map<string, GraphMLKey>
+): { attributes: Record<string, unknown>; graphics: Element[] } {
+  const attributes: Record<string, unknown> = {};
+  const graphics: Element[] = [];
+
+  for (const key of keys.values()) {
+    if (
+      (key.domain === domain || key.domain === "all") &&
+      key.defaultValue != null
+    ) {
+      attributes[key.name] = convertValue(key.defaultValue, key.type);
+    }
+  }
+
+  for (const data of getChildren(element, "data")) {
+    const key = keys.get(data.getAttribute("key") ?? "");
+    if (data.getElementsByTagNameNS(YFILES_NS, "*").length > 0) {
+      graphics.push(data);
+    } else if (key != null) {
+      attributes[key.name] = convertValue(data.textContent ?? "", key.type);
+    }
+  }
+
+  return { attributes, graphics };
+}
+
+/**
+ * Copy attributes to vis.js properties.
+ *
+ * @param item - The converted node or edge.
+ * @param attributes - The attributes by name.
+ * @param mapping - Attribute names and the properties they map to.
+ */
+function mapAttributes(
+  item: GraphMLNode | GraphMLEdge,
+  attributes: Record<string, unknown>,
+  mapping: Record<string, string | null>
+): void {
+  for (const name of Object.keys(attributes)) {
+    const property = mapping[name];
+    if (property != null) {
+      item[property] = attributes[name];
+    }
+  }
+
+  // Gephi writes colors as separate channels.
+  if (attributes.r != null && attributes.g != null && attributes.b != null) {
+    item.color = `rgb(${attributes.r},${attributes.g},${attributes.b})`;
+  }
+}
+
+/**
+ * Read yFiles node graphics (as written by yEd).
+ *
+ * @param node - The converted node.
+ * @param graphics - The data elements containing the graphics.
+ */
+function readNodeGraphics(node: GraphMLNode, graphics: Element[]): void {
+  for (const data of graphics) {
+    const geometry = getDescendant(data, "Geometry");
+    if (geometry != null) {
+      // yFiles positions the top left corner, vis.js the center.
+      const width = Number(geometry.getAttribute("width") ?? 0);
+      const height = Number(geometry.getAttribute("height") ?? 0);
+      node.x = Number(geometry.getAttribute("x") ?? 0) + width / 2;
+      node.y = Number(geometry.getAttribute("y") ?? 0) + height / 2;
+    }
+
+    const label = getDescendant(data, "NodeLabel");
+    if (label != null && (label.textContent ?? "").trim() !== "") {
+      node.label = (label.textContent ?? "").trim();
+    }
+
+    const fill = getDescendant(data, "Fill");
+    const border = getDescendant(data, "BorderStyle");
+    const background = fill?.getAttribute("color");
+    const borderColor = border?.getAttribute("color");
+    if (background != null || borderColor != null) {
+      node.color = {
+        ...(background != null ? { background } : {}),
+        ...(borderColor != null ? { border: borderColor } : {}),
+      };
+    }
+
+    const shape = getDescendant(data, "Shape")?.getAttribute("type");
+    if (shape != null && YFILES_SHAPES[shape] != null) {
+      node.shape = YFILES_SHAPES[shape];
+    }
+  }
+}
+
+/**
+ * Read yFiles edge graphics (as written by yEd).
+ *
+ * @param edge - The converted edge.
+ * @param graphics - The data elements containing the graphics.
+ */
+function readEdgeGraphics(edge: GraphMLEdge, graphics: Element[]): void {
+  for (const data of graphics) {
+    const label = getDescendant(data, "EdgeLabel");
+    if (label != null && (label.textContent ?? "").trim() !== "") {
+      edge.label = (label.textContent ?? "").trim();
+    }
+
+    const line = getDescendant(data, "LineStyle");
+    if (line != null) {
+      const color = line.getAttribute("color");
+      const width = line.getAttribute("width");
+      const type = line.getAttribute("type");
+      if (color != null) {
+        edge.color = color;
+      }
+      if (width != null) {
+        edge.width = Number(width);
+      }
+      if (type != null && type !== "line") {
+        edge.dashes = true;
+      }
+    }
+
+    const arrows = getDescendant(data, "Arrows");
+    if (arrows != null) {
+      const ends = ["from", "to"].filter(
+        (_end, i): boolean =>
+          (arrows.getAttribute(i === 0 ? "source" : "target") ?? "none") !==
+          "none"
+      );
+      edge.arrows = ends.join(", ");
+    }
+  }
+}
+
+/**
+ * Convert GraphML (as written for example by yEd, NetworkX or Gephi) into
+ * vis.js nodes and edges.
+ *
+ * Nodes containing a nested graph become groups: the nodes of the nested
+ * graph get the id of the containing node as their group. The containing
+ * node itself and edges connected to it are omitted because vis.js doesn't
+ * draw groups as nodes, each omitted edge is reported in the warnings.
+ *
+ * @param xml - The GraphML document.
+ * @param options - Additional options.
+ *
+ * @returns The converted data ready to be used in vis.js and the warnings.
+ */
+export function parseGraphML(
+  xml: string,
+  options: GraphMLParseOptions = {}
+): GraphMLParseResult {
+  const root = parseXML(xml, "graphml");
+
+  const keys = new Map<string, GraphMLKey>();
+  for (const key of getChildren(root, "key")) {
+    const id = key.getAttribute("id");
+    if (id == null) {
+      throw new SyntaxError("Attribute id is required for every key.");
+    }
+
+    const defaultElement = getChildren(key, "default")[0];
+    keys.set(id, {
+      domain: key.getAttribute("for") ?? "all",
+      name: key.getAttribute("attr.name") ?? id,
+      type: key.getAttribute("attr.type") ?? "string",
+      defaultValue: defaultElement != null ? defaultElement.textContent : null,
+    });
+  }
+
+  const topGraph = getChildren(root, "graph")[0];
+  if (topGraph == null) {
+    throw new SyntaxError("Element graph expected.");
+  }
+
+  const nodeMapping = { ...NODE_ATTRIBUTES, ...options.attributeMapping };
+  const edgeMapping = { ...EDGE_ATTRIBUTES, ...options.attributeMapping };
+  const nodes: GraphMLNode[] = [];
+  const edges: GraphMLEdge[] = [];
+  const groups = new Set<string>();
+
+  const readGraph = (
+    graph: Element,
+    group: string | undefined,
+    parentDirected: boolean
+  ): void => {
+    const edgeDefault = graph.getAttribute("edgedefault");
+    const directed =
+      edgeDefault != null ? edgeDefault === "directed" : parentDirected;
+
+    for (const element of getChildren(graph, "node")) {
+      const id = element.getAttribute("id");
+      if (id == null) {
+        throw new SyntaxError("Attribute id is required for every node.");
+      }
+
+      const nested = getChildren(element, "graph")[0];
+      if (nested != null) {
+        groups.add(id);
+        readGraph(nested, id, directed);
+        continue;
+      }
+
+      const node: GraphMLNode = { id };
+      const { attributes, graphics } = readData(element, "node", keys);
+      if (group != null) {
+        node.group = group;
+      }
+      readNodeGraphics(node, graphics);
+      mapAttributes(node, attributes, nodeMapping);
+      if (Object.keys(attributes).length > 0) {
+        node.attributes = attributes;
+      }
+      if (options.fixed === true && node.x != null && node.y != null) {
+        node.fixed = true;
+      }
+      nodes.push(node);
+    }
+
+    for (const element of getChildren(graph, "edge")) {
+      const from = element.getAttribute("source");
+      const to = element.getAttribute("target");
+      if (from == null || to == null) {
+        throw new SyntaxError(
+          "Attributes source and target are required for every edge."
+        );
+      }
+
+      const edge: GraphMLEdge = { from, to };
+      const id = element.getAttribute("id");
+      if (id != null) {
+        edge.id = id;
+      }
+      const edgeDirected = element.getAttribute("directed");
+      if (edgeDirected != null ? edgeDirected === "true" : directed === true) {
+        edge.arrows = "to";
+      }
+
+      const { attributes, graphics } = readData(element, "edge", keys);
+      readEdgeGraphics(edge, graphics);
+      mapAttributes(edge, attributes, edgeMapping);
+      if (Object.keys(attributes).length > 0) {
+        edge.attributes = attributes;
+      }
+      edges.push(edge);
+    }
+  };
+  readGraph(topGraph, undefined, true);
+
+  const warnings: GraphMLWarning[] = [];
+  return {
+    nodes,
+    edges: edges.filter((edge): boolean => {
+      const group = [edge.from, edge.to].find((id): boolean =>
+        groups.has(String(id))
+      );
+      if (group === undefined) {
+        return true;
+      }
+
+      warnings.push({
+        message: `Edge ${edge.from} -> ${edge.to} omitted, node ${group} contains a nested graph.`,
+        edge,
+      });
+      return false;
+    }),
+    warnings,
+  };
+}
+
+/**
+ * Find out whether an edge has an arrow at given end.
+ *
+ * @param arrows - The arrows option of an edge.
+ * @param end - Either from or to.
+ *
+ * @returns True if there is an arrow.
+ */
+function hasArrow(arrows: unknown, end: "from" | "to"): boolean {
+  if (typeof arrows === "string") {
+    return new RegExp(`\\b${end}\\b`).test(arrows);
+  } else if (arrows != null && typeof arrows === "object") {
+    const head = (arrows as Record<string, unknown>)[end];
+    return (
+      head === true ||
+      (head != null &&
+        typeof head === "object" &&
+        (head as { enabled?: boolean }).enabled !== false)
+    );
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Get the color of a node or an edge as a single string.
+ *
+ * @param color - The color option.
+ * @param property - The property to be used for color objects.
+ *
+ * @returns The color or undefined.
+ */
+function getColor(color: unknown, property: string): string | undefined {
+  if (typeof color === "string") {
+    return color;
+  } else if (color != null && typeof color === "object") {
+    const value = (color as Record<string, unknown>)[property];
+    return typeof value === "string" ? value : undefined;
+  } else {
+    return undefined;
+  }
+}
+
+/**
+ * Collects the keys and writes the data elements of an export.
+ */
+class KeyWriter {
+  readonly #keys = new Map<
+    string,
+    { id: string; domain: string; name: string; type: string }
+  >();
+
+  /**
+   * Write the data elements for given attributes, declaring keys as needed.
+   *
+   * @param domain - Either node or edge.
+   * @param attributes - Attribute names and values, undefined and null
+   * values are skipped.
+   *
+   * @returns The data elements.
+   */
+  public write(domain: string, attributes: Record<string, unknown>): string[] {
+    const lines: string[] = [];
+
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value == null || typeof value === "object") {
+        continue;
+      }
+
+      const type =
+        typeof value === "number"
+          ? "double"
+          : typeof value === "boolean"
+          ? "boolean"
+          : "string";
+      const keyName = `${domain}:${name}`;
+      let key = this.#keys.get(keyName);
+      if (key == null) {
+        key = { id: `d${this.#keys.size}`, domain, name, type };
+        this.#keys.set(keyName, key);
+      } else if (key.type !== type) {
+        key.type = "string";
+      }
+
+      lines.push(`<data key="${key.id}">${escapeXML(String(value))}</data>`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Write the declarations of all the keys used so far.
+   *
+   * @returns The key elements.
+   */
+  public declare(): string[] {
+    return [...this.#keys.values()].map(
+      ({ id, domain, name, type }): string =>
+        `<key id="${id}" for="${domain}" attr.name="${escapeXML(
+          name
+        )}" attr.type="${type}"/>`
+    );
+  }
+}
+
+/**
+ * Convert vis.js network data into a GraphML document. This is the inverse
+ * of `parseGraphML`.
+ *
+ * Labels, titles, groups, shapes, sizes, values, colors, widths and
+ * positions are written as attributes as are the `attributes` of the nodes
+ * and edges (for example from an earlier import).
+ *
+ * @param data - Nodes and edges in vis.js format.
+ * @param options - Additional options.
+ *
+ * @returns A GraphML document.
+ */
+export function graphToGraphML(
+  data: GraphMLData,
+  options: GraphMLExportOptions = {}
+): string {
+  const directed =
+    options.directed ??
+    data.edges.some(
+      (edge): boolean =>
+        hasArrow(edge.arrows, "to") || hasArrow(edge.arrows, "from")
+    );
+  const keys = new KeyWriter();
+  const body: string[] = [];
+
+  for (const node of data.nodes) {
+    const position =
+      options.positions != null
+        ? options.positions[node.id]
+        : node.x != null && node.y != null
+        ? { x: Number(node.x), y: Number(node.y) }
+        : undefined;
+
+    const lines = keys.write("node", {
+      ...node.attributes,
+      label: node.label,
+      title: node.title,
+      group: node.group,
+      shape: node.shape,
+      size: node.size,
+      value: node.value,
+      color: getColor(node.color, "background"),
+      x: position?.x,
+      y: position?.y,
+    });
+
+    if (options.yFiles === true) {
+      const label = node.label != null ? escapeXML(String(node.label)) : "";
+      const background = getColor(node.color, "background");
+      const border = getColor(node.color, "border");
+      // yFiles positions the top left corner, vis.js the center.
+      const box =
+        options.boundingBoxes?.[node.id] ??
+        (position != null
+          ? {
+              left: position.x - 15,
+              right: position.x + 15,
+              top: position.y - 15,
+              bottom: position.y + 15,
+            }
+          : undefined);
+      lines.push(
+        `<data key="ng"><y:ShapeNode>` +
+          (box != null
+            ? `<y:Geometry x="${box.left}" y="${box.top}" width="${
+                box.right - box.left
+              }" height="${box.bottom - box.top}"/>`
+            : "") +
+          (background != null
+            ? `<y:Fill color="${escapeXML(background)}"/>`
+            : "") +
+          (border != null
+            ? `<y:BorderStyle color="${escapeXML(border)}"/>`
+            : "") +
+          `<y:NodeLabel>${label}</y:NodeLabel>` +
+          `<y:Shape type="${
+            node.shape === "box" ? "rectangle" : "ellipse"
+          }"/>` +
+          `</y:ShapeNode></data>`
+      );
+    }
+
+    body.push(
+      `    <node id="${escapeXML(String(node.id))}">`,
+      ...lines.map((line): string => "      " + line),
+      "    </node>"
+    );
+  }
+
+  for (const edge of data.edges) {
+    const to = hasArrow(edge.arrows, "to");
+    const from = hasArrow(edge.arrows, "from");
+    // An edge with the only arrow at its start is written reversed.
+    const [source, target] =
+      from && !to ? [edge.to, edge.from] : [edge.from, edge.to];
+    const edgeDirected = to || from;
+
+    const lines = keys.write("edge", {
+      ...edge.attributes,
+      label: edge.label,
+      title: edge.title,
+      value: edge.value,
+      width: edge.width,
+      color: getColor(edge.color, "color"),
+    });
+
+    if (options.yFiles === true) {
+      const label = edge.label != null ? escapeXML(String(edge.label)) : "";
+      lines.push(
+        `<data key="eg"><y:PolyLineEdge>` +
+          `<y:Arrows source="${to && from ? "standard" : "none"}" target="${
+            edgeDirected ? "standard" : "none"
+          }"/>` +
+          `<y:EdgeLabel>${label}</y:EdgeLabel>` +
+          `</y:PolyLineEdge></data>`
+      );
+    }
+
+    body.push(
+      "    <edge" +
+        (edge.id != null ? ` id="${escapeXML(String(edge.id))}"` : "") +
+        ` source="${escapeXML(String(source))}" target="${escapeXML(
+          String(target)
+        )}"` +
+        (edgeDirected !== directed ? ` directed="${edgeDirected}"` : "") +
+        ">",
+      ...lines.map((line): string => "      " + line),
+      "    </edge>"
+    );
+  }
+
+  const declarations = keys.declare();
+  if (options.yFiles === true) {
+    declarations.push(
+      '<key id="ng" for="node" yfiles.type="nodegraphics"/>',
+      '<key id="eg" for="edge" yfiles.type="edgegraphics"/>'
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"' +
+      (options.yFiles === true ? ` xmlns:y="${YFILES_NS}"` : "") +
+      ">",
+    ...declarations.map((line): string => "  " + line),
+    `  <graph id="${escapeXML(String(options.id ?? "G"))}" edgedefault="${
+      directed ? "directed" : "undirected"
+    }">`,
+    ...body,
+    "  </graph>",
+    "</graphml>",
+    "",
+  ].join("\n");
+}
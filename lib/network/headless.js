@@ -0,0 +1,236 @@
+import Emitter from "component-emitter";
+import { VALIDATOR_PRINT_STYLE, Validator } from "vis-util/esnext";
+
+import NetworkUtil from "./NetworkUtil";
+import { Groups } from "./modules/Groups";
+import NodesHandler from "./modules/NodesHandler";
+import EdgesHandler from "./modules/EdgesHandler";
+import PhysicsEngine from "./modules/PhysicsEngine";
+import ClusterEngine from "./modules/Clustering";
+import LayoutEngine from "./modules/LayoutEngine";
+import KamadaKawai from "./modules/KamadaKawai.js";
+import MultilevelLayout from "./modules/MultilevelLayout.js";
+import { allOptions } from "./options";
+
+/**
+ * Estimate the width of a text without a canvas. The average glyph of common
+ * sans-serif fonts is a little over half as wide as the font size.
+ *
+ * @param {string} text
+ * @param {string} font - A CSS font like `bold 14px arial`.
+ * @returns {number}
+ */
+export function estimateTextWidth(text, font) {
+  const match = /(\d+(?:\.\d+)?)px/.exec(font);
+  const size = match !== null ? parseFloat(match[1]) : 14;
+  return 0.6 * size * text.length;
+}
+
+/**
+ * The part of CanvasRenderingContext2D the nodes need to compute their sizes.
+ */
+class MeasuringContext {
+  /**
+   * @param {Function} measureText - Returns the width of given text in given
+   * CSS font.
+   */
+  constructor(measureText) {
+    this.font = "10px sans-serif";
+    this._measureText = measureText;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {{width: number}}
+   */
+  measureText(text) {
+    return { width: this._measureText(text, this.font) };
+  }
+
+  save() {}
+  restore() {}
+  translate() {}
+  scale() {}
+  setTransform() {}
+}
+
+/**
+ * Images are never loaded, image nodes are sized as if the image was broken.
+ *
+ * @private
+ */
+const unloadedImages = {
+  load() {
+    return { width: 0, height: 0 };
+  },
+};
+
+/**
+ * The modules of the network that take part in the layout, without a canvas,
+ * a renderer or any interaction.
+ */
+class HeadlessNetwork {
+  /**
+   * @param {Function} measureText
+   */
+  constructor(measureText) {
+    this.body = {
+      nodes: {},
+      nodeIndices: [],
+      edges: {},
+      edgeIndices: [],
+      emitter: new Emitter(),
+      data: {
+        nodes: null,
+        edges: null,
+      },
+      functions: {
+        createNode: function () {},
+        createEdge: function () {},
+        getPointer: function () {},
+      },
+      modules: {},
+      view: {
+        scale: 1,
+        translation: { x: 0, y: 0 },
+      },
+    };
+
+    const ctx = new MeasuringContext(measureText);
+    this.body.emitter.on("_resizeNodes", () => {
+      const nodes = this.body.nodes;
+      for (const nodeId in nodes) {
+        if (Object.prototype.hasOwnProperty.call(nodes, nodeId)) {
+          nodes[nodeId].resize(ctx);
+          nodes[nodeId].updateBoundingBox(ctx, nodes[nodeId].selected);
+        }
+      }
+    });
+
+    // The same as in the network, see Network.bindEventListeners.
+    this.body.emitter.on("_dataChanged", () => {
+      this.edgesHandler._updateState();
+      this.body.emitter.emit("_dataUpdated");
+    });
+    this.body.emitter.on("_dataUpdated", () => {
+      this.clustering._updateState();
+      NetworkUtil.updateVisibleIndices(this.body);
+      NetworkUtil.updateValueRange(this.body.nodes);
+      NetworkUtil.updateValueRange(this.body.edges);
+      this.body.emitter.emit("startSimulation");
+    });
+
+    this.groups = new Groups();
+    this.physics = new PhysicsEngine(this.body);
+    this.layoutEngine = new LayoutEngine(this.body);
+    this.clustering = new ClusterEngine(this.body);
+    this.nodesHandler = new NodesHandler(
+      this.body,
+      unloadedImages,
+      this.groups,
+      this.layoutEngine
+    );
+    this.edgesHandler = new EdgesHandler(
+      this.body,
+      unloadedImages,
+      this.groups
+    );
+
+    this.body.modules["kamadaKawai"] = new KamadaKawai(this.body, 150, 0.05);
+    this.body.modules["multilevelLayout"] = new MultilevelLayout(this.body);
+    this.body.modules["clustering"] = this.clustering;
+    this.body.modules["physics"] = this.physics;
+    this.body.modules["layoutConstraints"] = this.layoutEngine.constraints;
+  }
+
+  /**
+   * @param {object} options - The network options.
+   */
+  setOptions(options) {
+    if (Validator.validate(options, allOptions) === true) {
+      console.error(
+        "%cErrors have been found in the supplied options object.",
+        VALIDATOR_PRINT_STYLE
+      );
+    }
+
+    // The hierarchical layout adapts the edge and physics options.
+    options = this.layoutEngine.setOptions(options.layout, options);
+
+    this.groups.setOptions(options.groups);
+    this.nodesHandler.setOptions(options.nodes);
+    this.edgesHandler.setOptions(options.edges);
+    this.physics.setOptions(options.physics);
+  }
+
+  /**
+   * @param {object} data - The nodes and edges.
+   */
+  setData(data) {
+    this.body.emitter.emit("resetPhysics");
+    this.body.emitter.emit("_resetData");
+
+    this.nodesHandler.setData(data.nodes, true);
+    this.edgesHandler.setData(data.edges, true);
+
+    this.body.emitter.emit("_dataChanged");
+    this.body.emitter.emit("_dataLoaded");
+    this.body.emitter.emit("initPhysics");
+  }
+
+  /**
+   * Stop the physics.
+   */
+  destroy() {
+    this.body.emitter.emit("destroy");
+    this.body.emitter.off();
+  }
+}
+
+/**
+ * Compute the positions of the nodes without a DOM, a canvas or a render
+ * loop, for example to lay out networks on a server. The initial layout
+ * (including the hierarchical layout and the improved layout) is computed and
+ * the network is stabilized exactly like a network would do it. Use
+ * `layout.randomSeed` to get the same positions every time.
+ *
+ * The sizes of the labels matter for the hierarchical layout and for avoiding
+ * overlaps. They are estimated unless a function that measures texts is
+ * provided, it gets the text and the CSS font and returns the width in pixels.
+ *
+ * Images can't be loaded, nodes showing them are sized as if the image was
+ * broken. Without stabilization the positions of the initial layout are
+ * returned.
+ *
+ * @param {object} data - The nodes and edges, arrays or data sets.
+ * @param {object} [options] - The network options. Only the options of the
+ * layout, physics, groups, nodes and edges have an effect.
+ * @param {Function} [options.measureText] - `(text, font) => width`.
+ * @returns {Promise<Object.<Id, {x: number, y: number}>>} The positions of the
+ * visible nodes, rounded like Network.getPositions does.
+ */
+export function computeLayout(data, options = {}) {
+  return new Promise((resolve) => {
+    const { measureText = estimateTextWidth, ...networkOptions } = options;
+    if (typeof measureText !== "function") {
+      throw new TypeError("measureText has to be a function.");
+    }
+
+    const network = new HeadlessNetwork(measureText);
+    const finish = () => {
+      const positions = network.nodesHandler.getPositions();
+      network.destroy();
+      resolve(positions);
+    };
+
+    network.body.emitter.once("stabilizationIterationsDone", finish);
+    network.setOptions(networkOptions);
+    network.setData(data || {});
+
+    // There was nothing to stabilize.
+    if (network.physics.ready === true) {
+      network.body.emitter.off("stabilizationIterationsDone");
+      finish();
+    }
+  });
+}
@@ -0,0 +1,267 @@
+export type Id = number | string;
+
+export interface JGFNode {
+  id?: Id;
+  label?: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface JGFEdge {
+  id?: Id;
+  source: Id;
+  target: Id;
+  directed?: boolean;
+  label?: string;
+  relation?: string;
+  metadata?: Record<string, unknown>;
+}
+
+export interface JGFGraph {
+  id?: Id;
+  label?: string;
+  type?: string;
+  directed?: boolean;
+  metadata?: Record<string, unknown>;
+  /**
+   * Nodes keyed by their ids (version 2) or an array of nodes (version 1).
+   */
+  nodes?: Record<string, JGFNode> | JGFNode[];
+  edges?: JGFEdge[];
+}
+
+export interface JGFDocument {
+  graph?: JGFGraph;
+  graphs?: JGFGraph[];
+}
+
+export interface JGFVisNode {
+  id: Id;
+  attributes?: Record<string, unknown>;
+  group?: Id;
+  label?: string;
+  x?: number;
+  y?: number;
+}
+
+export interface JGFVisEdge {
+  from: Id;
+  to: Id;
+  arrows?: "to";
+  attributes?: Record<string, unknown>;
+  id?: Id;
+  label?: string;
+}
+
+export interface JGFData {
+  nodes: JGFVisNode[];
+  edges: JGFVisEdge[];
+}
+
+export interface JGFExportOptions {
+  /**
+   * The id of the graph, omitted by default.
+   */
+  id?: Id;
+  /**
+   * The label of the graph, omitted by default.
+   */
+  label?: string;
+  /**
+   * The metadata of the graph, omitted by default.
+   */
+  metadata?: Record<string, unknown>;
+  /**
+   * Whether the graph is directed. By default the graph is directed if at
+   * least one edge has an arrow.
+   */
+  directed?: boolean;
+  /**
+   * Positions (in canvas units) that will be written into the metadata of
+   * the nodes. If omitted the `x` and `y` properties of the nodes are used
+   * instead.
+   */
+  positions?: Record<Id, { x: number; y: number }>;
+}
+
+/**
+ * Find out whether an edge has any arrows.
+ *
+ * @param arrows - The arrows option of an edge.
+ *
+ * @returns True if there is at least one arrow.
+ */
+function hasArrows(arrows: unknown): boolean {
+  if (typeof arrows === "string") {
+    return /\b(to|from|middle)\b/.test(arrows);
+  } else if (typeof arrows === "object" && arrows !== null) {
+    return Object.values(arrows).some(
+      (head): boolean =>
+        head === true ||
+        (head != null &&
+          typeof head === "object" &&
+          (head as { enabled?: boolean }).enabled !== false)
+    );
+  } else {
+    return false;
+  }
+}
+
+/**
+ * Convert a JSON Graph Format (JGF) document into vis.js nodes and edges.
+ * Both version 1 (nodes as an array) and version 2 (nodes keyed by their ids)
+ * are supported. Only the first graph of documents with multiple graphs is
+ * converted.
+ *
+ * The metadata of nodes and edges is available in their `attributes`
+ * property. Positions (either `x` and `y` or `position` in the metadata) and
+ * groups (`group` in the metadata) are also copied to the nodes.
+ *
+ * @param jgf - The parsed JGF document.
+ *
+ * @returns The converted data ready to be used in vis.js.
+ */
+export function parseJGF(jgf: JGFDocument): JGFData {
+  const graph = jgf.graph ?? (jgf.graphs != null ? jgf.graphs[0] : undefined);
+  if (graph == null) {
+    throw new TypeError("JGF document without a graph.");
+  }
+
+  const jgfNodes: JGFNode[] = Array.isArray(graph.nodes)
+    ? graph.nodes
+    : Object.entries(graph.nodes ?? {}).map(
+        ([id, node]): JGFNode => ({ ...node, id })
+      );
+
+  const nodes = jgfNodes.map((jgfNode): JGFVisNode => {
+    if (jgfNode.id == null) {
+      throw new TypeError("Every node has to have an id.");
+    }
+
+    const node: JGFVisNode = { id: jgfNode.id };
+    const metadata = jgfNode.metadata;
+    if (jgfNode.label != null) {
+      node.label = jgfNode.label;
+    }
+    if (metadata != null) {
+      const position =
+        metadata.position != null && typeof metadata.position === "object"
+          ? (metadata.position as Record<string, unknown>)
+          : metadata;
+      if (typeof position.x === "number" && typeof position.y === "number") {
+        node.x = position.x;
+        node.y = position.y;
+      }
+      if (
+        typeof metadata.group === "string" ||
+        typeof metadata.group === "number"
+      ) {
+        node.group = metadata.group;
+      }
+      node.attributes = metadata;
+    }
+    return node;
+  });
+
+  const edges = (graph.edges ?? []).map((jgfEdge): JGFVisEdge => {
+    if (jgfEdge.source == null || jgfEdge.target == null) {
+      throw new TypeError("Every edge has to have a source and a target.");
+    }
+
+    const edge: JGFVisEdge = { from: jgfEdge.source, to: jgfEdge.target };
+    if (jgfEdge.id != null) {
+      edge.id = jgfEdge.id;
+    }
+    if (jgfEdge.label != null) {
+      edge.label = jgfEdge.label;
+    }
+    if (jgfEdge.directed ?? graph.directed ?? false) {
+      edge.arrows = "to";
+    }
+    if (jgfEdge.metadata != null) {
+      edge.attributes = jgfEdge.metadata;
+    }
+    return edge;
+  });
+
+  return { nodes, edges };
+}
+
+/**
+ * Convert vis.js network data into a JSON Graph Format (version 2) document.
+ * This is the inverse of `parseJGF`.
+ *
+ * @param data - Nodes and edges in vis.js format.
+ * @param options - Additional options.
+ *
+ * @returns The JGF document (not serialized).
+ */
+export function graphToJGF(
+  data: {
+    nodes: (JGFVisNode & { [property: string]: unknown })[];
+    edges: (JGFVisEdge & { [property: string]: unknown })[];
+  },
+  options: JGFExportOptions = {}
+): { graph: JGFGraph } {
+  const directed =
+    options.directed ??
+    data.edges.some((edge): boolean => hasArrows(edge.arrows));
+
+  const nodes: Record<string, JGFNode> = {};
+  for (const node of data.nodes) {
+    const jgfNode: JGFNode = {};
+    const metadata: Record<string, unknown> = { ...node.attributes };
+    const position =
+      options.positions != null
+        ? options.positions[node.id]
+        : node.x != null && node.y != null
+        ? { x: node.x, y: node.y }
+        : undefined;
+    if (node.label != null) {
+      jgfNode.label = node.label;
+    }
+    if (node.group != null) {
+      metadata.group = node.group;
+    }
+    if (position != null) {
+      delete metadata.position;
+      metadata.x = position.x;
+      metadata.y = position.y;
+    }
+    if (Object.keys(metadata).length > 0) {
+      jgfNode.metadata = metadata;
+    }
+    nodes[node.id] = jgfNode;
+  }
+
+  const edges = data.edges.map((edge): JGFEdge => {
+    const jgfEdge: JGFEdge = {
+      source: String(edge.from),
+      target: String(edge.to),
+    };
+    if (edge.id != null) {
+      jgfEdge.id = edge.id;
+    }
+    if (edge.label != null) {
+      jgfEdge.label = edge.label;
+    }
+    if (hasArrows(edge.arrows) !== directed) {
+      jgfEdge.directed = !directed;
+    }
+    if (edge.attributes != null) {
+      jgfEdge.metadata = edge.attributes;
+    }
+    return jgfEdge;
+  });
+
+  const graph: JGFGraph = { directed, nodes, edges };
+  if (options.id != null) {
+    graph.id = options.id;
+  }
+  if (options.label != null) {
+    graph.label = options.label;
+  }
+  if (options.metadata != null) {
+    graph.metadata = options.metadata;
+  }
+  return { graph };
+}
@@ -1,4 +1,12 @@
-import { selectiveDeepExtend } from "vis-util/esnext";
+import { mergeOptions, selectiveDeepExtend } from "vis-util/esnext";
+import NetworkUtil from "../NetworkUtil";
+import { SVGContext } from "./svg-export";
+
+/**
+ * Space (in canvas units) added around the nodes when exporting the whole
+ * network, so that borders, shadows and edges leaving the nodes aren't cut off.
+ */
+const EXPORT_MARGIN = 10;
 
 /**
  * Initializes window.requestAnimationFrame() to a usable form.
@@ -65,11 +73,22 @@ class CanvasRenderer {
 
     this.dragging = false;
     this.zooming = false;
+    this.layers = undefined;
     this.options = {};
     this.defaultOptions = {
       hideEdgesOnDrag: false,
       hideEdgesOnZoom: false,
       hideNodesOnDrag: false,
+      layeredRendering: false,
+      levelOfDetail: {
+        enabled: false,
+        edgeThreshold: 0.4,
+        nodeThreshold: 0.2,
+      },
+      progressiveRendering: {
+        enabled: false,
+        timeBudget: 12,
+      },
     };
     Object.assign(this.options, this.defaultOptions);
 
@@ -111,12 +130,36 @@ class CanvasRenderer {
       this.redrawRequested = false;
     });
     this.body.emitter.on("_requestRedraw", this._requestRedraw.bind(this));
+    // everything but the selection and the hover can change the look of the
+    // cached nodes and edges
+    this.body.emitter.on("_dataChanged", () => {
+      this._invalidateLayers(false);
+    });
+    this.body.emitter.on("_dataUpdated", () => {
+      this._invalidateLayers(false);
+    });
+    this.body.emitter.on("refreshNodes", () => {
+      this._invalidateLayers(false);
+    });
+    // dragging and moving nodes start the simulation, the simulation and the
+    // stabilization move the nodes until they stop
+    this.body.emitter.on("startSimulation", () => {
+      this._invalidateMovedLayers();
+    });
+    this.body.emitter.on("stabilizationIterationsDone", () => {
+      this._invalidateMovedLayers();
+    });
+    this.body.emitter.on("_invalidateLayers", () => {
+      this._invalidateLayers(false);
+    });
     this.body.emitter.on("_startRendering", () => {
       this.renderRequests += 1;
       this.renderingActive = true;
       this._startRendering();
     });
     this.body.emitter.on("_stopRendering", () => {
+      // the nodes moved in the last frame of the simulation too
+      this._invalidateMovedLayers();
       this.renderRequests -= 1;
       this.renderingActive = this.renderRequests > 0;
       this.renderTimer = undefined;
@@ -130,6 +173,7 @@ class CanvasRenderer {
       } else {
         window.cancelAnimationFrame(this.renderTimer);
       }
+      this.layers = undefined;
       this.body.emitter.off();
     });
   }
@@ -140,8 +184,18 @@ class CanvasRenderer {
    */
   setOptions(options) {
     if (options !== undefined) {
-      const fields = ["hideEdgesOnDrag", "hideEdgesOnZoom", "hideNodesOnDrag"];
+      const fields = [
+        "hideEdgesOnDrag",
+        "hideEdgesOnZoom",
+        "hideNodesOnDrag",
+        "layeredRendering",
+      ];
       selectiveDeepExtend(fields, this.options, options);
+      mergeOptions(this.options, options, "levelOfDetail");
+      mergeOptions(this.options, options, "progressiveRendering");
+
+      // the offscreen canvases take as much memory as the visible one each
+      this.layers = undefined;
     }
   }
 
@@ -230,6 +284,7 @@ class CanvasRenderer {
    */
   redraw() {
     this.body.emitter.emit("setSize");
+    this._invalidateLayers();
     this._redraw();
   }
 
@@ -290,6 +345,15 @@ class CanvasRenderer {
         return;
       }
 
+      if (
+        hidden === false &&
+        (this.options.layeredRendering === true ||
+          this.options.progressiveRendering.enabled === true)
+      ) {
+        this._drawLayered(ctx);
+        return;
+      }
+
       // set scaling and translation
       ctx.save();
       ctx.translate(this.body.view.translation.x, this.body.view.translation.y);
@@ -299,37 +363,18 @@ class CanvasRenderer {
       this.body.emitter.emit("beforeDrawing", ctx);
       ctx.closePath();
 
-      if (hidden === false) {
-        if (
-          (this.dragging === false ||
-            (this.dragging === true &&
-              this.options.hideEdgesOnDrag === false)) &&
-          (this.zooming === false ||
-            (this.zooming === true && this.options.hideEdgesOnZoom === false))
-        ) {
-          this._drawEdges(ctx);
-        }
+      if (hidden === false && this._showsEdges()) {
+        this._drawEdges(ctx);
       }
 
-      if (
-        this.dragging === false ||
-        (this.dragging === true && this.options.hideNodesOnDrag === false)
-      ) {
+      if (this._showsNodes()) {
         const { drawExternalLabels } = this._drawNodes(ctx, hidden);
         drawLater.drawExternalLabels = drawExternalLabels;
       }
 
       // draw the arrows last so they will be at the top
-      if (hidden === false) {
-        if (
-          (this.dragging === false ||
-            (this.dragging === true &&
-              this.options.hideEdgesOnDrag === false)) &&
-          (this.zooming === false ||
-            (this.zooming === true && this.options.hideEdgesOnZoom === false))
-        ) {
-          this._drawArrows(ctx);
-        }
+      if (hidden === false && this._showsEdges()) {
+        this._drawArrows(ctx);
       }
 
       if (drawLater.drawExternalLabels != null) {
@@ -352,6 +397,683 @@ class CanvasRenderer {
     }
   }
 
+  /**
+   * @returns {boolean} False if the edges are hidden while dragging or zooming.
+   * @private
+   */
+  _showsEdges() {
+    return (
+      (this.dragging === false || this.options.hideEdgesOnDrag === false) &&
+      (this.zooming === false || this.options.hideEdgesOnZoom === false)
+    );
+  }
+
+  /**
+   * @returns {boolean} False if the nodes are hidden while dragging.
+   * @private
+   */
+  _showsNodes() {
+    return this.dragging === false || this.options.hideNodesOnDrag === false;
+  }
+
+  /**
+   * Draw the network from cached layers. The background (whatever the
+   * beforeDrawing handlers draw), the edges and the nodes are kept in
+   * offscreen canvases and only redrawn when the view, the positions or the
+   * data have changed. The background is redrawn with every frame if there
+   * are beforeDrawing handlers, they can draw anything. The selected and
+   * hovered nodes and edges are drawn with every redraw, so changing the
+   * selection or hovering doesn't redraw the whole network. Their edges are
+   * drawn below the cached nodes like all the other edges.
+   *
+   * With progressive rendering the edges and nodes are drawn into the back
+   * buffers of their layers bit by bit over as many frames as it takes, each
+   * frame only spends the time budget on it. The last complete layers are
+   * shown, moved to the current view, until the new ones are finished. The
+   * selected and hovered items are still drawn completely with every frame.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The context of the visible canvas.
+   * @private
+   */
+  _drawLayered(ctx) {
+    const startTime = window.performance.now();
+    if (this.layers === undefined) {
+      const createLayer = () => ({
+        canvas: undefined,
+        buffer: undefined,
+        view: undefined,
+        valid: false,
+      });
+      this.layers = {
+        background: createLayer(),
+        edges: createLayer(),
+        nodes: createLayer(),
+        view: undefined,
+        visibility: undefined,
+        fill: undefined,
+        restartFill: false,
+      };
+    }
+    const layers = this.layers;
+    const frame = this.canvas.frame.canvas;
+    const view = this.body.view;
+    const showEdges = this._showsEdges();
+    const showNodes = this._showsNodes();
+
+    const viewKey = [
+      frame.width,
+      frame.height,
+      this.canvas.pixelRatio,
+      view.scale,
+      view.translation.x,
+      view.translation.y,
+    ].join();
+    if (layers.view !== viewKey) {
+      layers.view = viewKey;
+      this._invalidateLayers();
+    }
+    const visibility = `${showEdges},${showNodes}`;
+    if (layers.visibility !== visibility) {
+      layers.visibility = visibility;
+      this._invalidateLayers(false);
+    }
+    // the physics and the animations move the nodes with every frame
+    if (this.renderingActive === true) {
+      this._invalidateMovedLayers();
+    }
+    if (this.body.emitter.hasListeners("beforeDrawing")) {
+      layers.background.valid = false;
+    }
+
+    if (layers.background.valid === false) {
+      const layerCtx = this._beginLayer(layers.background);
+      layerCtx.beginPath();
+      this.body.emitter.emit("beforeDrawing", layerCtx);
+      layerCtx.closePath();
+    }
+    // the cached layers show everything unselected, the selection is drawn
+    // into the frame with them
+    const progressive = this.options.progressiveRendering;
+    if (layers.edges.valid === false || layers.nodes.valid === false) {
+      if (progressive.enabled === true) {
+        // a running fill is finished before the moved nodes are drawn, it
+        // would never finish while they keep moving otherwise
+        if (layers.fill === undefined || layers.restartFill === true) {
+          this._startFill(showEdges, showNodes);
+        }
+      } else {
+        this._withoutInteractionState(() => {
+          const edgesCtx = this._beginLayer(layers.edges);
+          if (showEdges) {
+            this._drawEdges(edgesCtx);
+          }
+
+          const nodesCtx = this._beginLayer(layers.nodes);
+          let drawExternalLabels = () => {};
+          if (showNodes) {
+            ({ drawExternalLabels } = this._drawNodes(nodesCtx));
+          }
+          if (showEdges) {
+            this._drawArrows(nodesCtx);
+          }
+          drawExternalLabels();
+        });
+      }
+    }
+    if (layers.fill !== undefined) {
+      this._withoutInteractionState(() => {
+        this._continueFill(startTime + progressive.timeBudget);
+      });
+    }
+
+    const edges = this.body.edges;
+    const edgeIndices = showEdges
+      ? this.body.edgeIndices.filter(
+          (id) => edges[id].selected === true || edges[id].hover === true
+        )
+      : [];
+
+    this._drawLayer(ctx, layers.background);
+    this._drawLayer(ctx, layers.edges);
+
+    ctx.save();
+    ctx.translate(view.translation.x, view.translation.y);
+    ctx.scale(view.scale, view.scale);
+    this._drawEdges(ctx, false, edgeIndices);
+    ctx.restore();
+
+    this._drawLayer(ctx, layers.nodes);
+
+    ctx.save();
+    ctx.translate(view.translation.x, view.translation.y);
+    ctx.scale(view.scale, view.scale);
+
+    this._drawInteractionLayer(ctx, edgeIndices, showNodes);
+    this._drawSelectionBox(ctx);
+
+    ctx.beginPath();
+    this.body.emitter.emit("afterDrawing", ctx);
+    ctx.closePath();
+
+    ctx.restore();
+
+    if (
+      layers.fill !== undefined ||
+      layers.edges.valid === false ||
+      layers.nodes.valid === false
+    ) {
+      this._requestRedraw();
+    }
+  }
+
+  /**
+   * Clear the back buffers of the layers of the edges and nodes and plan
+   * drawing them in the order of priority: the nodes, the edges including their arrows and at last
+   * the labels of the edges and the labels next to the nodes.
+   *
+   * @param {boolean} showEdges
+   * @param {boolean} showNodes
+   * @private
+   */
+  _startFill(showEdges, showNodes) {
+    const nodes = this.body.nodes;
+    const edges = this.body.edges;
+    const viewableArea = this._getViewableArea();
+    const simplifiedNodes = this._isSimplified("nodeThreshold");
+    const simplifiedEdges = this._isSimplified("edgeThreshold");
+    const lineWidth = 1 / this.body.view.scale;
+    const drawnEdges = [];
+    const externalLabels = [];
+
+    for (const layer of [this.layers.edges, this.layers.nodes]) {
+      layer.buffer = this._clearCanvas(layer.buffer);
+      layer.valid = true;
+    }
+    this.layers.restartFill = false;
+    this.layers.fill = {
+      view: this._getLayerView(),
+      step: 0,
+      index: 0,
+      steps: [
+        {
+          layer: "nodes",
+          items: showNodes ? this.body.nodeIndices : [],
+          draw: (ctx, id) => {
+            const node = nodes[id];
+            if (node.isBoundingBoxOverlappingWith(viewableArea) === false) {
+              node.updateBoundingBox(ctx, node.selected);
+            } else if (simplifiedNodes) {
+              node.drawSimplified(ctx);
+            } else {
+              const drawLater = node.draw(ctx);
+              if (drawLater.drawExternalLabel != null) {
+                externalLabels.push(drawLater.drawExternalLabel);
+              }
+            }
+          },
+        },
+        {
+          layer: "edges",
+          items: showEdges ? this.body.edgeIndices : [],
+          draw: (ctx, id) => {
+            const edge = edges[id];
+            if (
+              edge.connected !== true ||
+              edge.isBoundingBoxOverlappingWith(viewableArea) === false
+            ) {
+              return;
+            }
+            if (simplifiedEdges) {
+              edge.drawSimplified(ctx, lineWidth);
+            } else if (edge.drawLine(ctx)) {
+              drawnEdges.push(edge);
+            }
+          },
+        },
+        {
+          layer: "nodes",
+          items: drawnEdges,
+          draw: (ctx, edge) => {
+            edge.drawArrows(ctx);
+          },
+        },
+        {
+          layer: "edges",
+          items: drawnEdges,
+          draw: (ctx, edge) => {
+            edge.drawLabel(ctx, edge.edgeType.getViaNode());
+          },
+        },
+        {
+          layer: "nodes",
+          items: externalLabels,
+          draw: (ctx, drawExternalLabel) => {
+            drawExternalLabel();
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Continue drawing the edges and nodes into the back buffers until
+   * everything is drawn or the time is up, the finished buffers replace the
+   * layers. At least one item is drawn with every call.
+   *
+   * @param {number} deadline - The time of `performance.now()` to stop at.
+   * @private
+   */
+  _continueFill(deadline) {
+    const fill = this.layers.fill;
+    while (fill.step < fill.steps.length) {
+      const step = fill.steps[fill.step];
+      const ctx = this._getLayerContext(
+        this.layers[step.layer].buffer,
+        fill.view
+      );
+      while (fill.index < step.items.length) {
+        step.draw(ctx, step.items[fill.index]);
+        fill.index += 1;
+        if (window.performance.now() >= deadline) {
+          return;
+        }
+      }
+      fill.step += 1;
+      fill.index = 0;
+    }
+
+    for (const layer of [this.layers.edges, this.layers.nodes]) {
+      [layer.canvas, layer.buffer] = [layer.buffer, layer.canvas];
+      layer.view = fill.view;
+    }
+    this.layers.fill = undefined;
+  }
+
+  /**
+   * Draw the selected and hovered nodes and the arrows of the selected and
+   * hovered edges over the cached layers, the lines of these edges are drawn
+   * below the cached nodes already.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array.<Edge.id>} edgeIndices - The selected and hovered edges.
+   * @param {boolean} showNodes
+   * @private
+   */
+  _drawInteractionLayer(ctx, edgeIndices, showNodes) {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.body.nodeIndices.filter(
+      (id) => nodes[id].isSelected() || nodes[id].hover
+    );
+
+    let drawExternalLabels = () => {};
+    if (showNodes) {
+      ({ drawExternalLabels } = this._drawNodes(ctx, false, nodeIndices));
+    }
+    this._drawArrows(ctx, false, edgeIndices);
+    drawExternalLabels();
+  }
+
+  /**
+   * Clear a cached layer and prepare its context for drawing in canvas space.
+   *
+   * @param {{canvas: HTMLCanvasElement, view: object, valid: boolean}} layer
+   * @returns {CanvasRenderingContext2D}
+   * @private
+   */
+  _beginLayer(layer) {
+    layer.canvas = this._clearCanvas(layer.canvas);
+    layer.view = this._getLayerView();
+    layer.valid = true;
+    return this._getLayerContext(layer.canvas, layer.view);
+  }
+
+  /**
+   * Create an offscreen canvas of the size of the visible one or clear it.
+   *
+   * @param {HTMLCanvasElement} [canvas] - The canvas to reuse.
+   * @returns {HTMLCanvasElement} The cleared canvas.
+   * @private
+   */
+  _clearCanvas(canvas) {
+    const frame = this.canvas.frame.canvas;
+    if (canvas === undefined) {
+      canvas = document.createElement("canvas");
+    }
+    if (canvas.width !== frame.width || canvas.height !== frame.height) {
+      canvas.width = frame.width;
+      canvas.height = frame.height;
+    }
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  /**
+   * Get the current view, the layers remember the view they were drawn with.
+   *
+   * @returns {{scale: number, x: number, y: number, pixelRatio: number}}
+   * @private
+   */
+  _getLayerView() {
+    const view = this.body.view;
+    return {
+      scale: view.scale,
+      x: view.translation.x,
+      y: view.translation.y,
+      pixelRatio: this.canvas.pixelRatio,
+    };
+  }
+
+  /**
+   * @param {HTMLCanvasElement} canvas - The canvas of a layer.
+   * @param {{scale: number, x: number, y: number, pixelRatio: number}} view - The view to draw with.
+   * @returns {CanvasRenderingContext2D} The context of the canvas, transformed
+   * to draw in canvas space.
+   * @private
+   */
+  _getLayerContext(canvas, view) {
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(view.pixelRatio, 0, 0, view.pixelRatio, 0, 0);
+    ctx.translate(view.x, view.y);
+    ctx.scale(view.scale, view.scale);
+    return ctx;
+  }
+
+  /**
+   * Draw a cached layer onto the visible canvas. A layer drawn with another
+   * view is moved and scaled to the current one.
+   *
+   * @param {CanvasRenderingContext2D} ctx - The context of the visible canvas.
+   * @param {{canvas: HTMLCanvasElement, view: object}} layer
+   * @private
+   */
+  _drawLayer(ctx, layer) {
+    if (layer.canvas === undefined || layer.view === undefined) {
+      return;
+    }
+
+    const view = this.body.view;
+    const drawn = layer.view;
+    const scale = view.scale / drawn.scale;
+    ctx.save();
+    ctx.translate(view.translation.x, view.translation.y);
+    ctx.scale(scale, scale);
+    ctx.translate(-drawn.x, -drawn.y);
+    ctx.drawImage(
+      layer.canvas,
+      0,
+      0,
+      layer.canvas.width / drawn.pixelRatio,
+      layer.canvas.height / drawn.pixelRatio
+    );
+    ctx.restore();
+  }
+
+  /**
+   * Mark the cached layers as outdated, they're redrawn with the next frame.
+   *
+   * @param {boolean} [background=true] - The background only depends on the
+   * view and the beforeDrawing handlers, not on the nodes and edges.
+   * @private
+   */
+  _invalidateLayers(background = true) {
+    if (this.layers === undefined) {
+      return;
+    }
+    if (background === true) {
+      this.layers.background.valid = false;
+    }
+    this.layers.edges.valid = false;
+    this.layers.nodes.valid = false;
+    this.layers.restartFill = true;
+  }
+
+  /**
+   * Mark the layers of the edges and nodes as outdated because nodes moved.
+   * Unlike other changes this doesn't start a running progressive fill over.
+   *
+   * @private
+   */
+  _invalidateMovedLayers() {
+    if (this.layers === undefined) {
+      return;
+    }
+    this.layers.edges.valid = false;
+    this.layers.nodes.valid = false;
+  }
+
+  /**
+   * Render the network into a standalone SVG document.
+   *
+   * The drawing code of the nodes, edges, arrows and labels is replayed into
+   * an SVG recording context so the result matches the canvas but stays crisp
+   * at any zoom. The current view (zoom and position) is not used, everything
+   * is exported in canvas units.
+   *
+   * @param {object} [options]
+   * @param {{top: number, left: number, right: number, bottom: number}} [options.region]
+   *   The part of the network (in canvas units) to export, the whole network by default.
+   * @param {string} [options.background] Background color, transparent by default.
+   * @param {boolean} [options.includeLabels=true] Whether to draw labels or not.
+   * @returns {string} The SVG document.
+   */
+  toSVG(options = {}) {
+    const { region, background, includeLabels = true } = options;
+    const ctx = new SVGContext(this.canvas.getContext(), { includeLabels });
+
+    this._withExportView(1, { x: 0, y: 0 }, () => {
+      this._drawForExport(ctx);
+    });
+
+    const { top, left, right, bottom } = region ?? this._getExportRegion();
+    return ctx.toSVG(
+      { x: left, y: top, width: right - left, height: bottom - top },
+      background
+    );
+  }
+
+  /**
+   * Render the network into a data URL containing a raster image.
+   *
+   * @param {object} [options] See `_renderOffscreen`, additionally `type` and
+   *   `quality` are passed to `HTMLCanvasElement.toDataURL`.
+   * @returns {string}
+   */
+  toDataURL(options = {}) {
+    return this._renderOffscreen(options).toDataURL(
+      options.type,
+      options.quality
+    );
+  }
+
+  /**
+   * Render the network into a blob containing a raster image.
+   *
+   * @param {object} [options] See `_renderOffscreen`, additionally `type` and
+   *   `quality` are passed to `HTMLCanvasElement.toBlob`.
+   * @returns {Promise<Blob>}
+   */
+  toBlob(options = {}) {
+    const canvas = this._renderOffscreen(options);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          if (blob == null) {
+            reject(new Error("The image couldn't be created."));
+          } else {
+            resolve(blob);
+          }
+        },
+        options.type,
+        options.quality
+      );
+    });
+  }
+
+  /**
+   * Render the network into a new canvas which is not attached to the DOM.
+   * Neither the view nor the size of the network's own canvas is affected.
+   *
+   * @param {object} [options]
+   * @param {number} [options.scale=this.canvas.pixelRatio] Image pixels per canvas unit.
+   * @param {{top: number, left: number, right: number, bottom: number}} [options.region]
+   *   The part of the network (in canvas units) to render, the whole network by default.
+   * @param {string} [options.background] Background color, transparent by default.
+   * @param {boolean} [options.hideSelection=false] Draw selected and hovered
+   *   nodes and edges the same way as the others.
+   * @returns {HTMLCanvasElement}
+   * @private
+   */
+  _renderOffscreen(options) {
+    const {
+      scale = this.canvas.pixelRatio,
+      region = this._getExportRegion(),
+      background,
+      hideSelection = false,
+    } = options;
+
+    if (!(typeof scale === "number" && scale > 0)) {
+      throw new TypeError("Scale has to be a number higher than zero.");
+    }
+
+    const width = Math.max(1, Math.ceil((region.right - region.left) * scale));
+    const height = Math.max(1, Math.ceil((region.bottom - region.top) * scale));
+    const translation = { x: -region.left * scale, y: -region.top * scale };
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    this._withExportView(scale, translation, () => {
+      const draw = () => {
+        ctx.save();
+        ctx.translate(translation.x, translation.y);
+        ctx.scale(scale, scale);
+
+        ctx.beginPath();
+        this.body.emitter.emit("beforeDrawing", ctx);
+        ctx.closePath();
+
+        this._drawForExport(ctx);
+
+        ctx.beginPath();
+        this.body.emitter.emit("afterDrawing", ctx);
+        ctx.closePath();
+
+        ctx.restore();
+      };
+
+      if (hideSelection) {
+        this._withoutInteractionState(draw);
+      } else {
+        draw();
+      }
+    });
+
+    return canvas;
+  }
+
+  /**
+   * Temporarily clear the selected and hovered state of all nodes and edges
+   * while calling the callback. The state is restored afterwards, even if the
+   * callback throws.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _withoutInteractionState(callback) {
+    // only a few items are selected or hovered, the progressive rendering
+    // calls this with every frame
+    const states = [];
+    for (const items of [this.body.nodes, this.body.edges]) {
+      for (const id in items) {
+        const item = items[id];
+        if (item.selected || item.hover) {
+          states.push([item, item.selected, item.hover]);
+          item.selected = false;
+          item.hover = false;
+        }
+      }
+    }
+    try {
+      callback();
+    } finally {
+      for (const [item, selected, hover] of states) {
+        item.selected = selected;
+        item.hover = hover;
+      }
+    }
+  }
+
+  /**
+   * Draw everything regardless of the viewport into the given context. This
+   * is used by the exports which are not limited to the visible part of the
+   * network.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @private
+   */
+  _drawForExport(ctx) {
+    this._drawEdges(ctx, true);
+    const { drawExternalLabels } = this._drawNodes(ctx, true);
+    this._drawArrows(ctx, true);
+    drawExternalLabels();
+  }
+
+  /**
+   * Temporarily replace the view (zoom and position) while calling the
+   * callback. The view of the user is restored afterwards, even if the
+   * callback throws.
+   *
+   * @param {number} scale
+   * @param {{x: number, y: number}} translation
+   * @param {Function} callback
+   * @private
+   */
+  _withExportView(scale, translation, callback) {
+    const view = this.body.view;
+    const originalScale = view.scale;
+    const originalTranslation = view.translation;
+
+    view.scale = scale;
+    view.translation = translation;
+    try {
+      callback();
+    } finally {
+      view.scale = originalScale;
+      view.translation = originalTranslation;
+    }
+  }
+
+  /**
+   * The bounding box of all visible nodes (including their labels) with some
+   * margin around them.
+   *
+   * @returns {{top: number, left: number, right: number, bottom: number}}
+   * @private
+   */
+  _getExportRegion() {
+    // The bounding boxes are only updated while drawing which may not have
+    // happened yet (e.g. the container is hidden).
+    this._resizeNodes();
+
+    const range = NetworkUtil.getRange(this.body.nodes, this.body.nodeIndices);
+    return {
+      top: range.minY - EXPORT_MARGIN,
+      left: range.minX - EXPORT_MARGIN,
+      right: range.maxX + EXPORT_MARGIN,
+      bottom: range.maxY + EXPORT_MARGIN,
+    };
+  }
+
   /**
    * Redraw all nodes
    *
@@ -377,6 +1099,7 @@ class CanvasRenderer {
         node.updateBoundingBox(ctx, node.selected);
       }
     }
+    this.body.emitter.emit("_nodesResized");
 
     // restore original scaling and translation
     ctx.restore();
@@ -387,31 +1110,34 @@ class CanvasRenderer {
    *
    * @param {CanvasRenderingContext2D} ctx  2D context of a HTML canvas
    * @param {boolean} [alwaysShow]
+   * @param {Array.<Node.id>} [nodeIndices] - The nodes to draw, all visible nodes by default.
    * @private
    *
    * @returns {object} Callbacks to draw later on higher layers.
    */
-  _drawNodes(ctx, alwaysShow = false) {
+  _drawNodes(ctx, alwaysShow = false, nodeIndices = this.body.nodeIndices) {
     const nodes = this.body.nodes;
-    const nodeIndices = this.body.nodeIndices;
     let node;
     const selected = [];
     const hovered = [];
-    const margin = 20;
-    const topLeft = this.canvas.DOMtoCanvas({ x: -margin, y: -margin });
-    const bottomRight = this.canvas.DOMtoCanvas({
-      x: this.canvas.frame.canvas.clientWidth + margin,
-      y: this.canvas.frame.canvas.clientHeight + margin,
-    });
-    const viewableArea = {
-      top: topLeft.y,
-      left: topLeft.x,
-      bottom: bottomRight.y,
-      right: bottomRight.x,
-    };
+    const viewableArea = this._getViewableArea();
 
     const drawExternalLabels = [];
 
+    // zoomed out far, the nodes are just dots
+    if (alwaysShow === false && this._isSimplified("nodeThreshold")) {
+      for (let i = 0; i < nodeIndices.length; i++) {
+        node = nodes[nodeIndices[i]];
+        if (node.isBoundingBoxOverlappingWith(viewableArea) === true) {
+          node.drawSimplified(ctx);
+        } else {
+          node.updateBoundingBox(ctx, node.selected);
+        }
+      }
+      this.body.emitter.emit("_nodesDrawn", nodeIndices);
+      return { drawExternalLabels: () => {} };
+    }
+
     // draw unselected nodes;
     for (let i = 0; i < nodeIndices.length; i++) {
       node = nodes[nodeIndices[i]];
@@ -459,6 +1185,9 @@ class CanvasRenderer {
       }
     }
 
+    // the shapes of the nodes are at their positions now
+    this.body.emitter.emit("_nodesDrawn", nodeIndices);
+
     return {
       drawExternalLabels: () => {
         for (const draw of drawExternalLabels) {
@@ -472,16 +1201,30 @@ class CanvasRenderer {
    * Redraw all edges
    *
    * @param {CanvasRenderingContext2D} ctx  2D context of a HTML canvas
+   * @param {boolean} [alwaysShow]
+   * @param {Array.<Edge.id>} [edgeIndices] - The edges to draw, all visible edges by default.
    * @private
    */
-  _drawEdges(ctx) {
+  _drawEdges(ctx, alwaysShow = false, edgeIndices = this.body.edgeIndices) {
     const edges = this.body.edges;
-    const edgeIndices = this.body.edgeIndices;
+    const viewableArea = this._getViewableArea();
+    // zoomed out far, the edges are plain lines of one pixel
+    const simplified =
+      alwaysShow === false && this._isSimplified("edgeThreshold");
+    const lineWidth = 1 / this.body.view.scale;
 
     for (let i = 0; i < edgeIndices.length; i++) {
       const edge = edges[edgeIndices[i]];
-      if (edge.connected === true) {
-        edge.draw(ctx);
+      if (
+        edge.connected === true &&
+        (alwaysShow === true ||
+          edge.isBoundingBoxOverlappingWith(viewableArea) === true)
+      ) {
+        if (simplified) {
+          edge.drawSimplified(ctx, lineWidth);
+        } else {
+          edge.draw(ctx);
+        }
       }
     }
   }
@@ -490,20 +1233,67 @@ class CanvasRenderer {
    * Redraw all arrows
    *
    * @param {CanvasRenderingContext2D} ctx  2D context of a HTML canvas
+   * @param {boolean} [alwaysShow]
+   * @param {Array.<Edge.id>} [edgeIndices] - The edges to draw, all visible edges by default.
    * @private
    */
-  _drawArrows(ctx) {
+  _drawArrows(ctx, alwaysShow = false, edgeIndices = this.body.edgeIndices) {
     const edges = this.body.edges;
-    const edgeIndices = this.body.edgeIndices;
+    if (alwaysShow === false && this._isSimplified("edgeThreshold")) {
+      return;
+    }
+    const viewableArea = this._getViewableArea();
 
     for (let i = 0; i < edgeIndices.length; i++) {
       const edge = edges[edgeIndices[i]];
-      if (edge.connected === true) {
+      if (
+        edge.connected === true &&
+        (alwaysShow === true ||
+          edge.isBoundingBoxOverlappingWith(viewableArea) === true)
+      ) {
         edge.drawArrows(ctx);
       }
     }
   }
 
+  /**
+   * The part of the network that is visible in the canvas, with a margin so
+   * that nothing pops up at the border while dragging the view.
+   *
+   * @returns {{top: number, left: number, right: number, bottom: number}} In canvas space.
+   * @private
+   */
+  _getViewableArea() {
+    const margin = 20;
+    const topLeft = this.canvas.DOMtoCanvas({ x: -margin, y: -margin });
+    const bottomRight = this.canvas.DOMtoCanvas({
+      x: this.canvas.frame.canvas.clientWidth + margin,
+      y: this.canvas.frame.canvas.clientHeight + margin,
+    });
+    return {
+      top: topLeft.y,
+      left: topLeft.x,
+      bottom: bottomRight.y,
+      right: bottomRight.x,
+    };
+  }
+
+  /**
+   * Check whether the view is zoomed out beyond a threshold of the level of
+   * detail.
+   *
+   * @param {string} threshold - "edgeThreshold" or "nodeThreshold".
+   * @returns {boolean} True if the details should be left out.
+   * @private
+   */
+  _isSimplified(threshold) {
+    const levelOfDetail = this.options.levelOfDetail;
+    return (
+      levelOfDetail.enabled === true &&
+      this.body.view.scale < levelOfDetail[threshold]
+    );
+  }
+
   /**
    * Determine if the browser requires a setTimeout or a requestAnimationFrame. This was required because
    * some implementations (safari and IE9) did not support requestAnimationFrame
@@ -368,10 +368,12 @@ class InteractionHandler {
       let deltaY = pointer.y - this.drag.pointer.y;
 
       // update position of all selected nodes
+      const movedIds = [];
       selection.forEach((selection) => {
         const node = selection.node;
 
         if (node !== undefined) {
+          movedIds.push(node.id);
           //if dragged node is a labelNode, constrain movement to within x/y: 40 of the parent node
           if (node.options.isLabelNode == true) {
             // get the node that this is the label for
@@ -411,6 +413,7 @@ class InteractionHandler {
           }
         }
       });
+      this.body.emitter.emit("_nodesMoved", movedIds);
 
       // start the simulation of the physics
       this.body.emitter.emit("startSimulation");
@@ -478,33 +481,20 @@ class InteractionHandler {
     if (this.body.selectionBox.show) {
       this.body.selectionBox.show = false;
       const selectionBoxPosition = this.body.selectionBox.position;
-      const selectionBoxPositionMinMax = {
-        minX: Math.min(
+      const toBeSelectedNodes = this.selectionHandler.getNodesInRect({
+        left: Math.min(
           selectionBoxPosition.start.x,
           selectionBoxPosition.end.x
         ),
-        minY: Math.min(
-          selectionBoxPosition.start.y,
-          selectionBoxPosition.end.y
-        ),
-        maxX: Math.max(
+        top: Math.min(selectionBoxPosition.start.y, selectionBoxPosition.end.y),
+        right: Math.max(
           selectionBoxPosition.start.x,
           selectionBoxPosition.end.x
         ),
-        maxY: Math.max(
+        bottom: Math.max(
           selectionBoxPosition.start.y,
           selectionBoxPosition.end.y
         ),
-      };
-
-      const toBeSelectedNodes = this.body.nodeIndices.filter((nodeId) => {
-        const node = this.body.nodes[nodeId];
-        return (
-          node.x >= selectionBoxPositionMinMax.minX &&
-          node.x <= selectionBoxPositionMinMax.maxX &&
-          node.y >= selectionBoxPositionMinMax.minY &&
-          node.y <= selectionBoxPositionMinMax.maxY
-        );
       });
 
       toBeSelectedNodes.forEach((nodeId) =>
@@ -735,19 +725,13 @@ class InteractionHandler {
     // check if a node is under the cursor.
     if (this.popupObj === undefined) {
       // search the nodes for overlap, select the top one in case of multiple nodes
-      const nodeIndices = this.body.nodeIndices;
       const nodes = this.body.nodes;
-      let node;
-      const overlappingNodes = [];
-      for (let i = 0; i < nodeIndices.length; i++) {
-        node = nodes[nodeIndices[i]];
-        if (node.isOverlappingWith(pointerObj) === true) {
-          nodeUnderCursor = true;
-          if (node.getTitle() !== undefined) {
-            overlappingNodes.push(nodeIndices[i]);
-          }
-        }
-      }
+      const nodesUnderCursor =
+        this.selectionHandler._getAllNodesOverlappingWith(pointerObj);
+      nodeUnderCursor = nodesUnderCursor.length > 0;
+      const overlappingNodes = nodesUnderCursor.filter(
+        (nodeId) => nodes[nodeId].getTitle() !== undefined
+      );
 
       if (overlappingNodes.length > 0) {
         // if there are overlapping nodes, select the last one, this is the one which is drawn on top of the others
@@ -759,18 +743,13 @@ class InteractionHandler {
 
     if (this.popupObj === undefined && nodeUnderCursor === false) {
       // search the edges for overlap
-      const edgeIndices = this.body.edgeIndices;
       const edges = this.body.edges;
-      let edge;
-      const overlappingEdges = [];
-      for (let i = 0; i < edgeIndices.length; i++) {
-        edge = edges[edgeIndices[i]];
-        if (edge.isOverlappingWith(pointerObj) === true) {
-          if (edge.connected === true && edge.getTitle() !== undefined) {
-            overlappingEdges.push(edgeIndices[i]);
-          }
-        }
-      }
+      const overlappingEdges = this.selectionHandler
+        ._getAllEdgesOverlappingWith(pointerObj)
+        .filter((edgeId) => {
+          const edge = edges[edgeId];
+          return edge.connected === true && edge.getTitle() !== undefined;
+        });
 
       if (overlappingEdges.length > 0) {
         this.popupObj = edges[overlappingEdges[overlappingEdges.length - 1]];
@@ -1,5 +1,7 @@
 // distance finding algorithm
-import FloydWarshall from "./components/algorithms/FloydWarshall.js";
+import ShortestPaths, {
+  UNREACHABLE,
+} from "./components/algorithms/ShortestPaths.js";
 
 /**
  * KamadaKawai positions the nodes initially based on
@@ -7,7 +9,15 @@ import FloydWarshall from "./components/algorithms/FloydWarshall.js";
  * "AN ALGORITHM FOR DRAWING GENERAL UNDIRECTED GRAPHS"
  * -- Tomihisa KAMADA and Satoru KAWAI in 1989
  *
- * Possible optimizations in the distance calculation can be implemented.
+ * The nodes are referred to by their position in the array of nodes that are
+ * being positioned, the matrices are stored row by row in typed arrays.
+ *
+ * The algorithm needs the distances between all nodes which takes quadratic
+ * memory. For large networks the pivot based sparse stress model can be used
+ * instead:
+ *
+ * "A SPARSE STRESS MODEL"
+ * -- Mark ORTMANN, Mirza KLIMENTA and Ulrik BRANDES in 2016
  */
 class KamadaKawai {
   /**
@@ -19,7 +29,7 @@ class KamadaKawai {
     this.body = body;
     this.springLength = edgeLength;
     this.springConstant = edgeStrength;
-    this.distanceSolver = new FloydWarshall();
+    this.pivots = 0; // use the sparse stress model with this many pivots
   }
 
   /**
@@ -35,23 +45,31 @@ class KamadaKawai {
       if (options.springConstant) {
         this.springConstant = options.springConstant;
       }
+      if (options.pivots !== undefined) {
+        this.pivots = options.pivots;
+      }
     }
   }
 
   /**
    * Position the system
    *
-   * @param {Array.<Node>} nodesArray
+   * @param {Array.<Node.id>} nodesArray
    * @param {Array.<vis.Edge>} edgesArray
    * @param {boolean} [ignoreClusters=false]
    */
   solve(nodesArray, edgesArray, ignoreClusters = false) {
+    this.nodesArray = nodesArray;
+    this.size = nodesArray.length;
+    const paths = new ShortestPaths(this.body, nodesArray, edgesArray);
+
+    if (this.pivots > 0) {
+      this._solveSparse(paths, ignoreClusters);
+      return;
+    }
+
     // get distance matrix
-    const D_matrix = this.distanceSolver.getDistances(
-      this.body,
-      nodesArray,
-      edgesArray
-    ); // distance matrix
+    const D_matrix = paths.getDistances();
 
     // get the L Matrix
     this._createL_matrix(D_matrix);
@@ -73,7 +91,7 @@ class KamadaKawai {
     const maxInnerIterations = 5;
 
     let maxEnergy = 1e9;
-    let highE_nodeId = 0,
+    let highE_node = 0,
       dE_dx = 0,
       dE_dy = 0,
       delta_m = 0,
@@ -81,16 +99,38 @@ class KamadaKawai {
 
     while (maxEnergy > threshold && iterations < maxIterations) {
       iterations += 1;
-      [highE_nodeId, maxEnergy, dE_dx, dE_dy] =
+      [highE_node, maxEnergy, dE_dx, dE_dy] =
         this._getHighestEnergyNode(ignoreClusters);
       delta_m = maxEnergy;
       subIterations = 0;
       while (delta_m > innerThreshold && subIterations < maxInnerIterations) {
         subIterations += 1;
-        this._moveNode(highE_nodeId, dE_dx, dE_dy);
-        [delta_m, dE_dx, dE_dy] = this._getEnergy(highE_nodeId);
+        this._moveNode(highE_node, dE_dx, dE_dy);
+        [delta_m, dE_dx, dE_dy] = this._getEnergy(highE_node);
       }
     }
+
+    // free the quadratic memory
+    this.K_matrix = this.L_matrix = this.E_matrix_x = this.E_matrix_y = null;
+  }
+
+  /**
+   * Check whether a node may be moved.
+   *
+   * @param {number} m
+   * @param {boolean} ignoreClusters
+   * @returns {boolean}
+   * @private
+   */
+  _isMovable(m, ignoreClusters) {
+    const node = this.body.nodes[this.nodesArray[m]];
+    // by not evaluating nodes with predefined positions we should only move nodes that have no positions.
+    return (
+      node.predefinedPosition !== true ||
+      (node.isCluster === true && ignoreClusters === true) ||
+      node.options.fixed.x !== true ||
+      node.options.fixed.y !== true
+    );
   }
 
   /**
@@ -101,44 +141,36 @@ class KamadaKawai {
    * @private
    */
   _getHighestEnergyNode(ignoreClusters) {
-    const nodesArray = this.body.nodeIndices;
-    const nodes = this.body.nodes;
     let maxEnergy = 0;
-    let maxEnergyNodeId = nodesArray[0];
+    let maxEnergyNode = 0;
     let dE_dx_max = 0,
       dE_dy_max = 0;
 
-    for (let nodeIdx = 0; nodeIdx < nodesArray.length; nodeIdx++) {
-      const m = nodesArray[nodeIdx];
-      // by not evaluating nodes with predefined positions we should only move nodes that have no positions.
-      if (
-        nodes[m].predefinedPosition !== true ||
-        (nodes[m].isCluster === true && ignoreClusters === true) ||
-        nodes[m].options.fixed.x !== true ||
-        nodes[m].options.fixed.y !== true
-      ) {
+    for (let m = 0; m < this.size; m++) {
+      if (this._isMovable(m, ignoreClusters)) {
         const [delta_m, dE_dx, dE_dy] = this._getEnergy(m);
         if (maxEnergy < delta_m) {
           maxEnergy = delta_m;
-          maxEnergyNodeId = m;
+          maxEnergyNode = m;
           dE_dx_max = dE_dx;
           dE_dy_max = dE_dy;
         }
       }
     }
 
-    return [maxEnergyNodeId, maxEnergy, dE_dx_max, dE_dy_max];
+    return [maxEnergyNode, maxEnergy, dE_dx_max, dE_dy_max];
   }
 
   /**
    * calculate the energy of a single node
    *
-   * @param {Node.id} m
+   * @param {number} m
    * @returns {number[]}
    * @private
    */
   _getEnergy(m) {
-    const [dE_dx, dE_dy] = this.E_sums[m];
+    const dE_dx = this.E_sums_x[m];
+    const dE_dy = this.E_sums_y[m];
     const delta_m = Math.sqrt(dE_dx ** 2 + dE_dy ** 2);
     return [delta_m, dE_dx, dE_dy];
   }
@@ -153,24 +185,23 @@ class KamadaKawai {
    * @private
    */
   _moveNode(m, dE_dx, dE_dy) {
-    const nodesArray = this.body.nodeIndices;
     const nodes = this.body.nodes;
+    const size = this.size;
     let d2E_dx2 = 0;
     let d2E_dxdy = 0;
     let d2E_dy2 = 0;
 
-    const x_m = nodes[m].x;
-    const y_m = nodes[m].y;
-    const km = this.K_matrix[m];
-    const lm = this.L_matrix[m];
+    const node_m = nodes[this.nodesArray[m]];
+    const x_m = node_m.x;
+    const y_m = node_m.y;
 
-    for (let iIdx = 0; iIdx < nodesArray.length; iIdx++) {
-      const i = nodesArray[iIdx];
+    for (let i = 0; i < size; i++) {
       if (i !== m) {
-        const x_i = nodes[i].x;
-        const y_i = nodes[i].y;
-        const kmat = km[i];
-        const lmat = lm[i];
+        const node_i = nodes[this.nodesArray[i]];
+        const x_i = node_i.x;
+        const y_i = node_i.y;
+        const kmat = this.K_matrix[m * size + i];
+        const lmat = this.L_matrix[m * size + i];
         const denominator = 1.0 / ((x_m - x_i) ** 2 + (y_m - y_i) ** 2) ** 1.5;
         d2E_dx2 += kmat * (1 - lmat * (y_m - y_i) ** 2 * denominator);
         d2E_dxdy += kmat * (lmat * (x_m - x_i) * (y_m - y_i) * denominator);
@@ -189,8 +220,8 @@ class KamadaKawai {
     const dx = -(B * dy + C) / A;
 
     // move the node
-    nodes[m].x += dx;
-    nodes[m].y += dy;
+    node_m.x += dx;
+    node_m.y += dy;
 
     // Recalculate E_matrix (should be incremental)
     this._updateE_matrix(m);
@@ -199,41 +230,62 @@ class KamadaKawai {
   /**
    * Create the L matrix: edge length times shortest path
    *
-   * @param {object} D_matrix
+   * @param {Uint32Array} D_matrix
    * @private
    */
   _createL_matrix(D_matrix) {
-    const nodesArray = this.body.nodeIndices;
     const edgeLength = this.springLength;
 
-    this.L_matrix = [];
-    for (let i = 0; i < nodesArray.length; i++) {
-      this.L_matrix[nodesArray[i]] = {};
-      for (let j = 0; j < nodesArray.length; j++) {
-        this.L_matrix[nodesArray[i]][nodesArray[j]] =
-          edgeLength * D_matrix[nodesArray[i]][nodesArray[j]];
-      }
-    }
+    this.L_matrix = Float64Array.from(
+      D_matrix,
+      (distance) => edgeLength * distance
+    );
   }
 
   /**
    * Create the K matrix: spring constants times shortest path
    *
-   * @param {object} D_matrix
+   * @param {Uint32Array} D_matrix
    * @private
    */
   _createK_matrix(D_matrix) {
-    const nodesArray = this.body.nodeIndices;
     const edgeStrength = this.springConstant;
 
-    this.K_matrix = [];
-    for (let i = 0; i < nodesArray.length; i++) {
-      this.K_matrix[nodesArray[i]] = {};
-      for (let j = 0; j < nodesArray.length; j++) {
-        this.K_matrix[nodesArray[i]][nodesArray[j]] =
-          edgeStrength * D_matrix[nodesArray[i]][nodesArray[j]] ** -2;
-      }
+    // The distances are whole numbers and only a few of them are different.
+    // Calculating the power once for each of them also keeps the results the
+    // same in older versions of V8, their optimizing compiler rounds powers
+    // with constant exponents differently than the interpreter.
+    const constants = new Map();
+    for (const distance of new Set(D_matrix)) {
+      constants.set(distance, edgeStrength * distance ** -2);
     }
+    this.K_matrix = Float64Array.from(D_matrix, (distance) =>
+      constants.get(distance)
+    );
+  }
+
+  /**
+   * Calculate the energy between two nodes.
+   *
+   * @param {number} m
+   * @param {number} i
+   * @param {Node} node_m
+   * @param {Node} node_i
+   * @returns {number[]}
+   * @private
+   */
+  _getPairEnergy(m, i, node_m, node_i) {
+    const kmat = this.K_matrix[m * this.size + i];
+    const lmat = this.L_matrix[m * this.size + i];
+    const x_m = node_m.x;
+    const y_m = node_m.y;
+    const x_i = node_i.x;
+    const y_i = node_i.y;
+    const denominator = 1.0 / Math.sqrt((x_m - x_i) ** 2 + (y_m - y_i) ** 2);
+    return [
+      kmat * (x_m - x_i - lmat * (x_m - x_i) * denominator),
+      kmat * (y_m - y_i - lmat * (y_m - y_i) * denominator),
+    ];
   }
 
   /**
@@ -242,39 +294,31 @@ class KamadaKawai {
    *  @private
    */
   _createE_matrix() {
-    const nodesArray = this.body.nodeIndices;
     const nodes = this.body.nodes;
-    this.E_matrix = {};
-    this.E_sums = {};
-    for (let mIdx = 0; mIdx < nodesArray.length; mIdx++) {
-      this.E_matrix[nodesArray[mIdx]] = [];
-    }
-    for (let mIdx = 0; mIdx < nodesArray.length; mIdx++) {
-      const m = nodesArray[mIdx];
-      const x_m = nodes[m].x;
-      const y_m = nodes[m].y;
+    const size = this.size;
+    this.E_matrix_x = new Float64Array(size * size);
+    this.E_matrix_y = new Float64Array(size * size);
+    this.E_sums_x = new Float64Array(size);
+    this.E_sums_y = new Float64Array(size);
+    for (let m = 0; m < size; m++) {
+      const node_m = nodes[this.nodesArray[m]];
       let dE_dx = 0;
       let dE_dy = 0;
-      for (let iIdx = mIdx; iIdx < nodesArray.length; iIdx++) {
-        const i = nodesArray[iIdx];
-        if (i !== m) {
-          const x_i = nodes[i].x;
-          const y_i = nodes[i].y;
-          const denominator =
-            1.0 / Math.sqrt((x_m - x_i) ** 2 + (y_m - y_i) ** 2);
-          this.E_matrix[m][iIdx] = [
-            this.K_matrix[m][i] *
-              (x_m - x_i - this.L_matrix[m][i] * (x_m - x_i) * denominator),
-            this.K_matrix[m][i] *
-              (y_m - y_i - this.L_matrix[m][i] * (y_m - y_i) * denominator),
-          ];
-          this.E_matrix[i][mIdx] = this.E_matrix[m][iIdx];
-          dE_dx += this.E_matrix[m][iIdx][0];
-          dE_dy += this.E_matrix[m][iIdx][1];
-        }
+      for (let i = m + 1; i < size; i++) {
+        const [dx, dy] = this._getPairEnergy(
+          m,
+          i,
+          node_m,
+          nodes[this.nodesArray[i]]
+        );
+        this.E_matrix_x[m * size + i] = this.E_matrix_x[i * size + m] = dx;
+        this.E_matrix_y[m * size + i] = this.E_matrix_y[i * size + m] = dy;
+        dE_dx += dx;
+        dE_dy += dy;
       }
       //Store sum
-      this.E_sums[m] = [dE_dx, dE_dy];
+      this.E_sums_x[m] = dE_dx;
+      this.E_sums_y[m] = dE_dy;
     }
   }
 
@@ -285,44 +329,182 @@ class KamadaKawai {
    * @private
    */
   _updateE_matrix(m) {
-    const nodesArray = this.body.nodeIndices;
     const nodes = this.body.nodes;
-    const colm = this.E_matrix[m];
-    const kcolm = this.K_matrix[m];
-    const lcolm = this.L_matrix[m];
-    const x_m = nodes[m].x;
-    const y_m = nodes[m].y;
+    const size = this.size;
+    const node_m = nodes[this.nodesArray[m]];
     let dE_dx = 0;
     let dE_dy = 0;
-    for (let iIdx = 0; iIdx < nodesArray.length; iIdx++) {
-      const i = nodesArray[iIdx];
+    for (let i = 0; i < size; i++) {
       if (i !== m) {
         //Keep old energy value for sum modification below
-        const cell = colm[iIdx];
-        const oldDx = cell[0];
-        const oldDy = cell[1];
+        const oldDx = this.E_matrix_x[m * size + i];
+        const oldDy = this.E_matrix_y[m * size + i];
 
         //Calc new energy:
-        const x_i = nodes[i].x;
-        const y_i = nodes[i].y;
-        const denominator =
-          1.0 / Math.sqrt((x_m - x_i) ** 2 + (y_m - y_i) ** 2);
-        const dx =
-          kcolm[i] * (x_m - x_i - lcolm[i] * (x_m - x_i) * denominator);
-        const dy =
-          kcolm[i] * (y_m - y_i - lcolm[i] * (y_m - y_i) * denominator);
-        colm[iIdx] = [dx, dy];
+        const [dx, dy] = this._getPairEnergy(
+          m,
+          i,
+          node_m,
+          nodes[this.nodesArray[i]]
+        );
+        this.E_matrix_x[m * size + i] = dx;
+        this.E_matrix_y[m * size + i] = dy;
         dE_dx += dx;
         dE_dy += dy;
 
         //add new energy to sum of each column
-        const sum = this.E_sums[i];
-        sum[0] += dx - oldDx;
-        sum[1] += dy - oldDy;
+        this.E_sums_x[i] += dx - oldDx;
+        this.E_sums_y[i] += dy - oldDy;
+      }
+    }
+    //Store sum
+    this.E_sums_x[m] = dE_dx;
+    this.E_sums_y[m] = dE_dy;
+  }
+
+  /**
+   * Position the nodes by the sparse stress model. Instead of the distances to
+   * all other nodes every node only considers its neighbours and the distances
+   * to a few pivots that are spread over the network. A pivot stands in for
+   * the nodes closer to it than to any other pivot, which is taken into
+   * account by the weights. The stress is minimized by localized stress
+   * majorization.
+   *
+   * @param {ShortestPaths} paths
+   * @param {boolean} ignoreClusters
+   * @private
+   */
+  _solveSparse(paths, ignoreClusters) {
+    const size = this.size;
+    const nodes = this.nodesArray.map((id) => this.body.nodes[id]);
+    const pivotCount = Math.min(this.pivots, size);
+
+    // Pick pivots far from each other (max/min), the first node of every
+    // component is picked before any other node.
+    const pivots = [];
+    const pivotDistances = new Uint32Array(pivotCount * size);
+    const closestPivot = new Int32Array(size);
+    const closestDistance = new Uint32Array(size).fill(UNREACHABLE + 1);
+    let next = 0;
+    for (let p = 0; p < pivotCount; p++) {
+      pivots.push(next);
+      paths.getDistancesFrom(next, pivotDistances, p * size);
+      let farthest = 0;
+      for (let i = 0; i < size; i++) {
+        if (pivotDistances[p * size + i] < closestDistance[i]) {
+          closestDistance[i] = pivotDistances[p * size + i];
+          closestPivot[i] = p;
+        }
+        if (closestDistance[i] > closestDistance[farthest]) {
+          farthest = i;
+        }
+      }
+      if (closestDistance[farthest] === 0) {
+        break; // every node is a pivot
+      }
+      next = farthest;
+    }
+
+    // Nodes in other components are kept at a little more than the diameter.
+    let maxDistance = 1;
+    for (let i = 0; i < pivots.length * size; i++) {
+      if (pivotDistances[i] !== UNREACHABLE) {
+        maxDistance = Math.max(maxDistance, pivotDistances[i]);
+      }
+    }
+
+    // The distances of the nodes each pivot stands in for, the weight of a
+    // pivot depends on how many of them are closer than half the distance.
+    const regions = pivots.map(() => []);
+    for (let i = 0; i < size; i++) {
+      regions[closestPivot[i]].push(closestDistance[i]);
+    }
+    regions.forEach((region) => region.sort((a, b) => a - b));
+    const countUpTo = (region, distance) => {
+      let low = 0;
+      let high = region.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (region[middle] <= distance) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      return low;
+    };
+
+    // The terms of every node: the other node, the distance and the weight.
+    const termOffsets = new Int32Array(size + 1);
+    const termNodes = [];
+    const termDistances = [];
+    const termWeights = [];
+    for (let i = 0; i < size; i++) {
+      for (let n = paths.offsets[i]; n < paths.offsets[i + 1]; n++) {
+        if (paths.neighbours[n] !== i) {
+          termNodes.push(paths.neighbours[n]);
+          termDistances.push(1);
+          termWeights.push(1);
+        }
+      }
+      for (let p = 0; p < pivots.length; p++) {
+        let distance = pivotDistances[p * size + i];
+        if (distance === UNREACHABLE) {
+          distance = maxDistance + 1;
+        }
+        // neighbours are taken into account already
+        if (distance > 1) {
+          termNodes.push(pivots[p]);
+          termDistances.push(distance);
+          termWeights.push(
+            Math.max(1, countUpTo(regions[p], distance / 2)) /
+              (distance * distance)
+          );
+        }
+      }
+      termOffsets[i + 1] = termNodes.length;
+    }
+
+    // localized stress majorization
+    const threshold = 0.01 * this.springLength;
+    const maxIterations = 500;
+    let maxMovement = Infinity;
+    for (
+      let iteration = 0;
+      iteration < maxIterations && maxMovement > threshold;
+      iteration++
+    ) {
+      maxMovement = 0;
+      for (let i = 0; i < size; i++) {
+        const node = nodes[i];
+        if (
+          termOffsets[i] === termOffsets[i + 1] ||
+          !this._isMovable(i, ignoreClusters)
+        ) {
+          continue;
+        }
+
+        let x = 0;
+        let y = 0;
+        let weights = 0;
+        for (let t = termOffsets[i]; t < termOffsets[i + 1]; t++) {
+          const other = nodes[termNodes[t]];
+          const dx = node.x - other.x;
+          const dy = node.y - other.y;
+          const length = this.springLength * termDistances[t];
+          const distance = Math.sqrt(dx * dx + dy * dy) || 1e-3;
+          x += termWeights[t] * (other.x + (length * dx) / distance);
+          y += termWeights[t] * (other.y + (length * dy) / distance);
+          weights += termWeights[t];
+        }
+        x /= weights;
+        y /= weights;
+
+        maxMovement = Math.max(maxMovement, Math.hypot(x - node.x, y - node.y));
+        node.x = x;
+        node.y = y;
       }
     }
-    //Store sum at -1 index
-    this.E_sums[m] = [dE_dx, dE_dy];
   }
 }
 
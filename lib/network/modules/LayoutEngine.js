@@ -30,7 +30,7 @@
  * on non-hierarchical networks as well. The converse is also possible.
  */
 "use strict";
-import TimSort from "timsort";
+import { sort as timsort } from "timsort";
 import {
   Alea,
   deepExtend,
@@ -43,6 +43,8 @@ import {
   HorizontalStrategy,
   VerticalStrategy,
 } from "./components/DirectionStrategy.js";
+import LayoutConstraints from "./components/algorithms/LayoutConstraints";
+import ComponentPacking from "./components/algorithms/ComponentPacking";
 import {
   fillLevelsByDirectionLeaves,
   fillLevelsByDirectionRoots,
@@ -337,6 +339,7 @@ class LayoutEngine {
     this._resetRNG(Math.random() + ":" + Date.now());
 
     this.setPhysics = false;
+    this.constraints = new LayoutConstraints(body);
     this.options = {};
     this.optionsBackup = { physics: {} };
 
@@ -344,6 +347,20 @@ class LayoutEngine {
       randomSeed: undefined,
       improvedLayout: true,
       clusterThreshold: 150,
+      constraints: [],
+      packComponents: {
+        enabled: false,
+        method: "grid", // grid, spiral
+        padding: 50,
+      },
+      multilevel: {
+        enabled: false,
+        iterations: 50,
+      },
+      sparseStress: {
+        enabled: false,
+        pivots: 50,
+      },
       hierarchical: {
         enabled: false,
         levelSeparation: 150,
@@ -369,6 +386,12 @@ class LayoutEngine {
     });
     this.body.emitter.on("_dataLoaded", () => {
       this.layoutNetwork();
+      this._applyConstraints();
+    });
+    this.body.emitter.on("_packComponents", () => {
+      if (this._packComponents() === true) {
+        this._applyConstraints();
+      }
     });
     this.body.emitter.on("_resetHierarchicalLayout", () => {
       this.setupHierarchicalLayout();
@@ -400,12 +423,24 @@ class LayoutEngine {
         this.options,
         options
       );
+      mergeOptions(this.options, options, "packComponents");
+      mergeOptions(this.options, options, "multilevel");
+      mergeOptions(this.options, options, "sparseStress");
       mergeOptions(this.options, options, "hierarchical");
 
       if (options.randomSeed !== undefined) {
         this._resetRNG(options.randomSeed);
       }
 
+      if (options.constraints !== undefined) {
+        this.options.constraints = options.constraints;
+        this.constraints.setConstraints(options.constraints);
+        if (this._applyConstraints() === true) {
+          this.body.emitter.emit("_requestRedraw");
+          this.body.emitter.emit("startSimulation");
+        }
+      }
+
       if (hierarchical.enabled === true) {
         if (prevHierarchicalState === true) {
           // refresh the overridden options for nodes and edges.
@@ -572,7 +607,8 @@ class LayoutEngine {
 
   /**
    * Use Kamada Kawai to position nodes. This is quite a heavy algorithm so if there are a lot of nodes we
-   * cluster them first to reduce the amount.
+   * cluster them first to reduce the amount, or use the multilevel layout or the sparse stress model if
+   * they're enabled.
    */
   layoutNetwork() {
     if (
@@ -591,8 +627,37 @@ class LayoutEngine {
         }
       }
 
+      // the sparse stress model only needs the distances to a few pivots
+      const sparseStress = this.options.sparseStress;
+      this.body.modules.kamadaKawai.setOptions({
+        pivots: sparseStress.enabled === true ? sparseStress.pivots : 0,
+      });
+
       // if less than half of the nodes have a predefined position we continue
-      if (positionDefined < 0.5 * indices.length) {
+      if (
+        positionDefined < 0.5 * indices.length &&
+        this.options.multilevel.enabled === true &&
+        indices.length > this.options.clusterThreshold
+      ) {
+        // coarsen, position and refine instead of clustering the network
+        this.body.modules.multilevelLayout.solve(
+          indices,
+          this.body.edgeIndices,
+          {
+            coarsestSize: this.options.clusterThreshold,
+            iterations: this.options.multilevel.iterations,
+          },
+          this._rng
+        );
+
+        // shift to center point unless there are nodes that have to stay
+        if (positionDefined === 0) {
+          this._shiftToCenter();
+        }
+
+        // reposition all bezier nodes.
+        this.body.emitter.emit("_repositionBezierNodes");
+      } else if (positionDefined < 0.5 * indices.length) {
         const MAX_LEVELS = 10;
         let level = 0;
         const clusterThreshold = this.options.clusterThreshold;
@@ -629,7 +694,10 @@ class LayoutEngine {
         // NOTE: this part fails to find clusters for large scale-free networks, which should
         //       be easily clusterable.
         // TODO: examine why this is so
-        if (indices.length > clusterThreshold) {
+        if (
+          indices.length > clusterThreshold &&
+          sparseStress.enabled !== true
+        ) {
           const startLength = indices.length;
           while (indices.length > clusterThreshold && level <= MAX_LEVELS) {
             //console.time("clustering")
@@ -816,10 +884,52 @@ class LayoutEngine {
 
         // shift to center so gravity does not have to do much
         this._shiftToCenter();
+
+        this._packComponents();
+
+        // the constraints move the nodes along their levels only
+        this._applyConstraints();
       }
     }
   }
 
+  /**
+   * Pack the connected components of the visible nodes if enabled.
+   *
+   * @returns {boolean} True if any node has been moved.
+   * @private
+   */
+  _packComponents() {
+    if (this.options.packComponents.enabled !== true) {
+      return false;
+    }
+
+    // The hierarchical layout fixes the nodes on their levels, only the axis
+    // along the levels tells the components the user fixed apart.
+    let fixedAxes = ["x", "y"];
+    if (this.options.hierarchical.enabled === true) {
+      const direction = this.options.hierarchical.direction;
+      fixedAxes = direction === "LR" || direction === "RL" ? ["y"] : ["x"];
+    }
+
+    this.body.emitter.emit("_resizeNodes");
+    return new ComponentPacking(this.body, this.options.packComponents).solve(
+      this.body.nodeIndices,
+      this.body.edgeIndices,
+      fixedAxes
+    );
+  }
+
+  /**
+   * Move the visible nodes in line with the layout constraints.
+   *
+   * @returns {boolean} True if any node has been moved.
+   * @private
+   */
+  _applyConstraints() {
+    return this.constraints.project(this.body.nodeIndices).length > 0;
+  }
+
   /**
    * @private
    */
@@ -1506,7 +1616,7 @@ class LayoutEngine {
       result.push(Number(size));
     });
 
-    TimSort.sort(result, function (a, b) {
+    timsort(result, function (a, b) {
       return b - a;
     });
 
@@ -0,0 +1,468 @@
+import KamadaKawai from "./KamadaKawai.js";
+
+/**
+ * Positions large networks with a multilevel scheme in the style of FM3 and
+ * sfdp.
+ *
+ * The network is coarsened repeatedly by collapsing matched neighbours into
+ * single nodes until it's small enough, the coarsest network is positioned by
+ * Kamada Kawai. Then the levels are expanded again one by one: every node
+ * starts close to the node it has been collapsed into and the level is refined
+ * by a few iterations of the solvers configured in the physics options.
+ *
+ * A level is described by typed arrays indexed by the position of the node in
+ * the level, the nodes of the network are the finest level.
+ */
+class MultilevelLayout {
+  /**
+   * @param {object} body
+   */
+  constructor(body) {
+    this.body = body;
+  }
+
+  /**
+   * Position the system
+   *
+   * @param {Array.<Node.id>} nodesArray
+   * @param {Array.<Edge.id>} edgesArray
+   * @param {object} options
+   * @param {number} options.coarsestSize - Coarsen until there are at most
+   * this many nodes left.
+   * @param {number} options.iterations - The number of refinement iterations
+   * of the coarsest level, the finer levels get less.
+   * @param {Function} rng - The random number generator of the layout engine.
+   */
+  solve(nodesArray, edgesArray, options, rng) {
+    const levels = [this._createFinestLevel(nodesArray, edgesArray)];
+    while (levels[levels.length - 1].size > options.coarsestSize) {
+      const coarse = this._coarsen(levels[levels.length - 1], rng);
+      if (coarse === null) {
+        break;
+      }
+      levels.push(coarse);
+    }
+
+    const coarsest = levels[levels.length - 1];
+    this._layoutCoarsest(coarsest, rng);
+    this._refine(coarsest, options.iterations);
+    for (let i = levels.length - 2; i >= 0; i--) {
+      this._interpolate(levels[i], levels[i + 1], rng);
+      // The finer levels only have to be adjusted locally, the iterations get
+      // more expensive with every level too.
+      const iterations = Math.ceil(
+        options.iterations * Math.sqrt(coarsest.size / levels[i].size)
+      );
+      this._refine(levels[i], iterations);
+    }
+
+    const positions = levels[0].positions;
+    for (let i = 0; i < nodesArray.length; i++) {
+      const node = this.body.nodes[nodesArray[i]];
+      node.x = positions[2 * i];
+      node.y = positions[2 * i + 1];
+    }
+  }
+
+  /**
+   * The length of the edges between nodes of given masses, coarse nodes
+   * replace many nodes and have to be further apart.
+   *
+   * @param {number} massA
+   * @param {number} massB
+   * @returns {number}
+   * @private
+   */
+  _getEdgeLength(massA, massB) {
+    // The same as straight edges in the spring solver.
+    const springLength =
+      1.5 * this.body.modules.physics.modelOptions.springLength;
+    return springLength * Math.sqrt(0.5 * (massA + massB));
+  }
+
+  /**
+   * Create a level from given edges.
+   *
+   * @param {Float64Array} mass
+   * @param {Float64Array} radius
+   * @param {Map.<number, number>} edgeWeights - The weights per pair of node
+   * indices, the key is `a * size + b` with `a < b`.
+   * @returns {object}
+   * @private
+   */
+  _createLevel(mass, radius, edgeWeights) {
+    const size = mass.length;
+    const neighbours = [];
+    const weights = [];
+    for (let i = 0; i < size; i++) {
+      neighbours.push([]);
+      weights.push([]);
+    }
+    for (const [key, weight] of edgeWeights) {
+      const a = Math.floor(key / size);
+      const b = key - a * size;
+      neighbours[a].push(b);
+      weights[a].push(weight);
+      neighbours[b].push(a);
+      weights[b].push(weight);
+    }
+
+    return {
+      size,
+      mass,
+      radius,
+      neighbours,
+      weights,
+      positions: new Float64Array(2 * size),
+      fixed: new Uint8Array(2 * size),
+      lengths: null, // the lengths of the edges of the network, finest level only
+      parents: null, // the index of the coarse node per node, set by coarsening
+    };
+  }
+
+  /**
+   * Create the level of the nodes and edges of the network.
+   *
+   * @param {Array.<Node.id>} nodesArray
+   * @param {Array.<Edge.id>} edgesArray
+   * @returns {object}
+   * @private
+   */
+  _createFinestLevel(nodesArray, edgesArray) {
+    const size = nodesArray.length;
+    const index = {};
+    const mass = new Float64Array(size);
+    const radius = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      const node = this.body.nodes[nodesArray[i]];
+      index[nodesArray[i]] = i;
+      mass[i] = node.options.mass;
+      radius[i] = node.shape.radius || 0;
+    }
+
+    const edgeWeights = new Map();
+    const edgeLengths = new Map();
+    for (let i = 0; i < edgesArray.length; i++) {
+      const edge = this.body.edges[edgesArray[i]];
+      const from = index[edge.fromId];
+      const to = index[edge.toId];
+      if (
+        edge.connected === true &&
+        from !== undefined &&
+        to !== undefined &&
+        from !== to
+      ) {
+        const key = from < to ? from * size + to : to * size + from;
+        edgeWeights.set(key, (edgeWeights.get(key) || 0) + 1);
+        edgeLengths.set(key, edge.options.length);
+      }
+    }
+
+    const level = this._createLevel(mass, radius, edgeWeights);
+    level.lengths = edgeLengths;
+
+    // Only nodes with a predefined position keep it, all the others have been
+    // positioned randomly.
+    for (let i = 0; i < size; i++) {
+      const node = this.body.nodes[nodesArray[i]];
+      if (node.predefinedPosition === true) {
+        level.fixed[2 * i] = node.options.fixed.x === true ? 1 : 0;
+        level.fixed[2 * i + 1] = node.options.fixed.y === true ? 1 : 0;
+      }
+      level.positions[2 * i] = node.x;
+      level.positions[2 * i + 1] = node.y;
+    }
+
+    return level;
+  }
+
+  /**
+   * Collapse pairs of neighbours into single nodes.
+   *
+   * @param {object} level
+   * @param {Function} rng
+   * @returns {object | null} The coarse level or null if the level couldn't
+   * be coarsened.
+   * @private
+   */
+  _coarsen(level, rng) {
+    const { size, mass, neighbours, weights } = level;
+    const parents = new Int32Array(size).fill(-1);
+    const coarseMass = [];
+
+    const order = new Int32Array(size);
+    for (let i = 0; i < size; i++) {
+      const j = Math.floor(rng() * (i + 1));
+      order[i] = order[j];
+      order[j] = i;
+    }
+
+    // Match every node with the free neighbour it's connected to the most
+    // relative to their masses, this keeps the coarse nodes balanced.
+    for (let k = 0; k < size; k++) {
+      const i = order[k];
+      if (parents[i] === -1) {
+        let match = -1;
+        let bestScore = 0;
+        for (let n = 0; n < neighbours[i].length; n++) {
+          const j = neighbours[i][n];
+          const score = weights[i][n] / (mass[i] * mass[j]);
+          if (parents[j] === -1 && score > bestScore) {
+            match = j;
+            bestScore = score;
+          }
+        }
+        if (match !== -1) {
+          parents[i] = parents[match] = coarseMass.length;
+          coarseMass.push(mass[i] + mass[match]);
+        }
+      }
+    }
+
+    // All the neighbours of the remaining nodes are matched already (think of
+    // the leaves of a star), they join the lightest of them. Nodes without any
+    // edges are paired up.
+    let unconnected = -1;
+    for (let k = 0; k < size; k++) {
+      const i = order[k];
+      if (parents[i] === -1) {
+        let lightest = -1;
+        for (let n = 0; n < neighbours[i].length; n++) {
+          const parent = parents[neighbours[i][n]];
+          if (lightest === -1 || coarseMass[parent] < coarseMass[lightest]) {
+            lightest = parent;
+          }
+        }
+
+        if (lightest !== -1) {
+          parents[i] = lightest;
+          coarseMass[lightest] += mass[i];
+        } else if (unconnected !== -1) {
+          parents[i] = unconnected;
+          coarseMass[unconnected] += mass[i];
+          unconnected = -1;
+        } else {
+          parents[i] = unconnected = coarseMass.length;
+          coarseMass.push(mass[i]);
+        }
+      }
+    }
+
+    const coarseSize = coarseMass.length;
+    if (coarseSize === size) {
+      return null;
+    }
+
+    const radius = new Float64Array(coarseSize);
+    const edgeWeights = new Map();
+    for (let i = 0; i < size; i++) {
+      const a = parents[i];
+      radius[a] = Math.sqrt(radius[a] ** 2 + level.radius[i] ** 2);
+      for (let n = 0; n < neighbours[i].length; n++) {
+        const j = neighbours[i][n];
+        const b = parents[j];
+        // Every edge is listed at both of its nodes.
+        if (i < j && a !== b) {
+          const key = Math.min(a, b) * coarseSize + Math.max(a, b);
+          edgeWeights.set(key, (edgeWeights.get(key) || 0) + weights[i][n]);
+        }
+      }
+    }
+
+    level.parents = parents;
+    return this._createLevel(
+      Float64Array.from(coarseMass),
+      radius,
+      edgeWeights
+    );
+  }
+
+  /**
+   * Position the coarsest level by Kamada Kawai.
+   *
+   * @param {object} level
+   * @param {Function} rng
+   * @private
+   */
+  _layoutCoarsest(level, rng) {
+    const { size, mass, neighbours, positions } = level;
+    const body = { nodes: {}, edges: {}, nodeIndices: [] };
+    const edgeIndices = [];
+
+    let totalMass = 0;
+    for (let i = 0; i < size; i++) {
+      totalMass += mass[i];
+    }
+    const meanMass = totalMass / size;
+    const edgeLength = this._getEdgeLength(meanMass, meanMass);
+
+    // The same as the initial positions of the layout engine.
+    const radius = size + 50;
+    for (let i = 0; i < size; i++) {
+      const angle = 2 * Math.PI * rng();
+      body.nodes[i] = {
+        id: i,
+        x: radius * Math.cos(angle),
+        y: radius * Math.sin(angle),
+        predefinedPosition: false,
+        options: { fixed: { x: false, y: false } },
+      };
+      body.nodeIndices.push(i);
+
+      for (let n = 0; n < neighbours[i].length; n++) {
+        const j = neighbours[i][n];
+        if (i < j) {
+          const id = edgeIndices.length;
+          body.edges[id] = { id, connected: true, fromId: i, toId: j };
+          edgeIndices.push(id);
+        }
+      }
+    }
+
+    new KamadaKawai(body, edgeLength, 0.05).solve(
+      body.nodeIndices,
+      edgeIndices
+    );
+
+    for (let i = 0; i < size; i++) {
+      positions[2 * i] = body.nodes[i].x;
+      positions[2 * i + 1] = body.nodes[i].y;
+    }
+  }
+
+  /**
+   * Place the nodes of a level around the coarse nodes they have been
+   * collapsed into.
+   *
+   * @param {object} level
+   * @param {object} coarseLevel - The positioned level.
+   * @param {Function} rng
+   * @private
+   */
+  _interpolate(level, coarseLevel, rng) {
+    const { size, parents, positions, fixed } = level;
+    for (let i = 0; i < size; i++) {
+      const parent = parents[i];
+      const spread =
+        0.25 *
+        this._getEdgeLength(
+          coarseLevel.mass[parent],
+          coarseLevel.mass[parent]
+        ) *
+        rng();
+      const angle = 2 * Math.PI * rng();
+      if (fixed[2 * i] === 0) {
+        positions[2 * i] =
+          coarseLevel.positions[2 * parent] + spread * Math.cos(angle);
+      }
+      if (fixed[2 * i + 1] === 0) {
+        positions[2 * i + 1] =
+          coarseLevel.positions[2 * parent + 1] + spread * Math.sin(angle);
+      }
+    }
+  }
+
+  /**
+   * Run the physics solvers on a level.
+   *
+   * @param {object} level
+   * @param {number} iterations
+   * @private
+   */
+  _refine(level, iterations) {
+    const { size, mass, radius, neighbours, positions, fixed } = level;
+    const physics = this.body.modules.physics;
+    const body = { nodes: {}, edges: {} };
+    const physicsBody = {
+      physicsNodeIndices: [],
+      physicsEdgeIndices: [],
+      forces: {},
+      velocities: {},
+    };
+
+    for (let i = 0; i < size; i++) {
+      body.nodes[i] = {
+        id: i,
+        x: positions[2 * i],
+        y: positions[2 * i + 1],
+        edges: [],
+        options: {
+          mass: mass[i],
+          fixed: { x: fixed[2 * i] === 1, y: fixed[2 * i + 1] === 1 },
+        },
+        shape: { radius: radius[i] },
+      };
+      physicsBody.physicsNodeIndices.push(i);
+      physicsBody.forces[i] = { x: 0, y: 0 };
+      physicsBody.velocities[i] = { x: 0, y: 0 };
+    }
+    for (let i = 0; i < size; i++) {
+      for (let n = 0; n < neighbours[i].length; n++) {
+        const j = neighbours[i][n];
+        if (i < j) {
+          const edge = {
+            id: physicsBody.physicsEdgeIndices.length,
+            connected: true,
+            fromId: i,
+            toId: j,
+            from: body.nodes[i],
+            to: body.nodes[j],
+            edgeType: {},
+            options: {
+              length:
+                level.lengths !== null
+                  ? level.lengths.get(i * size + j)
+                  : this._getEdgeLength(mass[i], mass[j]),
+            },
+          };
+          body.edges[edge.id] = edge;
+          physicsBody.physicsEdgeIndices.push(edge.id);
+          body.nodes[i].edges.push(edge);
+          body.nodes[j].edges.push(edge);
+        }
+      }
+    }
+
+    const { nodesSolver, edgesSolver, gravitySolver, integrator, options } =
+      physics.createSolvers(body, physicsBody);
+    const timestep = physics.options.timestep;
+    const maxVelocity = physics.options.maxVelocity || 1e9;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      gravitySolver.solve();
+      nodesSolver.solve();
+      if (edgesSolver !== undefined) {
+        edgesSolver.solve();
+      }
+
+      if (integrator !== undefined) {
+        integrator.move();
+        continue;
+      }
+
+      // The same integration as the physics engine does.
+      for (let i = 0; i < size; i++) {
+        const node = body.nodes[i];
+        const force = physicsBody.forces[i];
+        const velocity = physicsBody.velocities[i];
+        for (const axis of ["x", "y"]) {
+          if (node.options.fixed[axis] === false) {
+            const acceleration =
+              (force[axis] - options.damping * velocity[axis]) / mass[i];
+            velocity[axis] = Math.max(
+              -maxVelocity,
+              Math.min(maxVelocity, velocity[axis] + acceleration * timestep)
+            );
+            node[axis] += velocity[axis] * timestep;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < size; i++) {
+      positions[2 * i] = body.nodes[i].x;
+      positions[2 * i + 1] = body.nodes[i].y;
+    }
+  }
+}
+
+export default MultilevelLayout;
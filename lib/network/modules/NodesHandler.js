@@ -1,6 +1,7 @@
-import { bridgeObject, forEach } from "vis-util/esnext";
+import { forEach } from "vis-util/esnext";
 import { DataSet, isDataViewLike } from "vis-data/esnext";
 import Node from "./components/Node";
+import { bridgeObject } from "./components/shared/ComponentUtil";
 
 /**
  * Handler for Nodes
@@ -492,6 +493,11 @@ class NodesHandler {
       }
     }
 
+    // the nodes are moved to the rounded positions
+    this.body.emitter.emit(
+      "_nodesMoved",
+      dataArray.map((data) => data.id)
+    );
     dataset.update(dataArray);
   }
 
@@ -578,6 +584,7 @@ class NodesHandler {
     if (this.body.nodes[nodeId] !== undefined) {
       this.body.nodes[nodeId].x = Number(x);
       this.body.nodes[nodeId].y = Number(y);
+      this.body.emitter.emit("_nodesMoved", [nodeId]);
       setTimeout(() => {
         this.body.emitter.emit("startSimulation");
       }, 0);
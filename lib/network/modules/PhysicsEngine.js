@@ -6,6 +6,18 @@ import HierarchicalSpringSolver from "./components/physics/HierarchicalSpringSol
 import CentralGravitySolver from "./components/physics/CentralGravitySolver";
 import ForceAtlas2BasedRepulsionSolver from "./components/physics/FA2BasedRepulsionSolver";
 import ForceAtlas2BasedCentralGravitySolver from "./components/physics/FA2BasedCentralGravitySolver";
+import ForceAtlas2RepulsionSolver from "./components/physics/ForceAtlas2RepulsionSolver";
+import ForceAtlas2AttractionSolver from "./components/physics/ForceAtlas2AttractionSolver";
+import ForceAtlas2GravitySolver from "./components/physics/ForceAtlas2GravitySolver";
+import ForceAtlas2Integrator from "./components/physics/ForceAtlas2Integrator";
+import FruchtermanReingoldRepulsionSolver from "./components/physics/FruchtermanReingoldRepulsionSolver";
+import FruchtermanReingoldAttractionSolver from "./components/physics/FruchtermanReingoldAttractionSolver";
+import StressMajorizationSolver from "./components/physics/StressMajorizationSolver";
+import DisplacementIntegrator from "./components/physics/DisplacementIntegrator";
+import GroupAttractionSolver from "./components/physics/GroupAttractionSolver";
+import AnchorSolver from "./components/physics/AnchorSolver";
+import PhysicsWorker from "./components/physics/PhysicsWorker";
+import OverlapRemoval from "./components/algorithms/OverlapRemoval";
 import {
   HSVToHex,
   mergeOptions,
@@ -47,6 +59,7 @@ class PhysicsEngine {
     this.startedStabilization = false;
     this.stabilizationIterations = 0;
     this.ready = false; // will be set to true if the stabilize
+    this.worker = undefined; // set if the solvers run in a web worker
 
     // default options
     this.options = {};
@@ -70,6 +83,28 @@ class PhysicsEngine {
         damping: 0.4,
         avoidOverlap: 0,
       },
+      forceAtlas2: {
+        theta: 1.2,
+        scalingRatio: 2,
+        gravity: 1,
+        strongGravityMode: false,
+        linLogMode: false,
+        dissuadeHubs: false,
+        edgeWeightInfluence: 1,
+        preventOverlap: false,
+        jitterTolerance: 1,
+      },
+      fruchtermanReingold: {
+        theta: 0.5,
+        centralGravity: 1,
+        springLength: 100,
+        temperature: 100,
+        cooling: 0.97,
+      },
+      stressMajorization: {
+        centralGravity: 0,
+        springLength: 100,
+      },
       repulsion: {
         centralGravity: 0.2,
         springLength: 200,
@@ -95,9 +130,19 @@ class PhysicsEngine {
         onlyDynamicEdges: false,
         fit: true,
       },
+      overlapRemoval: {
+        enabled: false,
+        padding: 10,
+      },
+      groupAttraction: {
+        enabled: false,
+        strength: 0.01,
+      },
+      anchors: [],
       timestep: 0.5,
       adaptiveTimestep: true,
       wind: { x: 0, y: 0 },
+      worker: false,
     };
     Object.assign(this.options, this.defaultOptions);
     this.timestep = 0.5;
@@ -140,6 +185,10 @@ class PhysicsEngine {
     });
     this.body.emitter.on("destroy", () => {
       this.stopSimulation(false);
+      if (this.worker !== undefined) {
+        this.worker.terminate();
+        this.worker = undefined;
+      }
       this.body.emitter.off();
     });
     this.body.emitter.on("_dataChanged", () => {
@@ -168,8 +217,14 @@ class PhysicsEngine {
         this.startSimulation();
       } else {
         this.physicsEnabled = true;
-        selectiveNotDeepExtend(["stabilization"], this.options, options);
+        selectiveNotDeepExtend(
+          ["stabilization", "overlapRemoval", "groupAttraction"],
+          this.options,
+          options
+        );
         mergeOptions(this.options, options, "stabilization");
+        mergeOptions(this.options, options, "overlapRemoval");
+        mergeOptions(this.options, options, "groupAttraction");
 
         if (options.enabled === undefined) {
           this.options.enabled = true;
@@ -201,63 +256,181 @@ class PhysicsEngine {
    * configure the engine.
    */
   init() {
-    let options;
-    if (this.options.solver === "forceAtlas2Based") {
+    const solvers = this.createSolvers(this.body, this.physicsBody);
+    this.nodesSolver = solvers.nodesSolver;
+    this.edgesSolver = solvers.edgesSolver;
+    this.gravitySolver = solvers.gravitySolver;
+    this.integrator = solvers.integrator;
+    this.groupAttractionSolver = new GroupAttractionSolver(
+      this.body,
+      this.physicsBody,
+      this.options.groupAttraction
+    );
+    this.anchorSolver = new AnchorSolver(
+      this.body,
+      this.physicsBody,
+      this.options.anchors
+    );
+
+    this.modelOptions = solvers.options;
+    this._setupWorker();
+  }
+
+  /**
+   * Create the solvers of the configured model. Other modules use this to
+   * simulate nodes that aren't part of the network, like the coarse nodes of
+   * the multilevel layout. Models that move the nodes themselves instead of
+   * the velocity integration come with an integrator. Models that account
+   * for the edges in the nodes solver have no edges solver.
+   *
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @returns {{nodesSolver: object, edgesSolver: (object|undefined), gravitySolver: object, integrator: (object|undefined), options: object}}
+   */
+  createSolvers(body, physicsBody) {
+    let options, nodesSolver, edgesSolver, gravitySolver, integrator;
+    if (this.options.solver === "forceAtlas2") {
+      options = this.options.forceAtlas2;
+      nodesSolver = new ForceAtlas2RepulsionSolver(body, physicsBody, options);
+      edgesSolver = new ForceAtlas2AttractionSolver(body, physicsBody, options);
+      gravitySolver = new ForceAtlas2GravitySolver(body, physicsBody, options);
+      integrator = new ForceAtlas2Integrator(body, physicsBody, options);
+    } else if (this.options.solver === "fruchtermanReingold") {
+      options = this.options.fruchtermanReingold;
+      nodesSolver = new FruchtermanReingoldRepulsionSolver(
+        body,
+        physicsBody,
+        options
+      );
+      edgesSolver = new FruchtermanReingoldAttractionSolver(
+        body,
+        physicsBody,
+        options
+      );
+      gravitySolver = new CentralGravitySolver(body, physicsBody, options);
+      integrator = new DisplacementIntegrator(body, physicsBody, options);
+    } else if (this.options.solver === "stressMajorization") {
+      options = this.options.stressMajorization;
+      nodesSolver = new StressMajorizationSolver(body, physicsBody, options);
+      gravitySolver = new CentralGravitySolver(body, physicsBody, options);
+      integrator = new DisplacementIntegrator(body, physicsBody, options);
+    } else if (this.options.solver === "forceAtlas2Based") {
       options = this.options.forceAtlas2Based;
-      this.nodesSolver = new ForceAtlas2BasedRepulsionSolver(
-        this.body,
-        this.physicsBody,
+      nodesSolver = new ForceAtlas2BasedRepulsionSolver(
+        body,
+        physicsBody,
         options
       );
-      this.edgesSolver = new SpringSolver(this.body, this.physicsBody, options);
-      this.gravitySolver = new ForceAtlas2BasedCentralGravitySolver(
-        this.body,
-        this.physicsBody,
+      edgesSolver = new SpringSolver(body, physicsBody, options);
+      gravitySolver = new ForceAtlas2BasedCentralGravitySolver(
+        body,
+        physicsBody,
         options
       );
     } else if (this.options.solver === "repulsion") {
       options = this.options.repulsion;
-      this.nodesSolver = new Repulsion(this.body, this.physicsBody, options);
-      this.edgesSolver = new SpringSolver(this.body, this.physicsBody, options);
-      this.gravitySolver = new CentralGravitySolver(
-        this.body,
-        this.physicsBody,
-        options
-      );
+      nodesSolver = new Repulsion(body, physicsBody, options);
+      edgesSolver = new SpringSolver(body, physicsBody, options);
+      gravitySolver = new CentralGravitySolver(body, physicsBody, options);
     } else if (this.options.solver === "hierarchicalRepulsion") {
       options = this.options.hierarchicalRepulsion;
-      this.nodesSolver = new HierarchicalRepulsion(
-        this.body,
-        this.physicsBody,
-        options
-      );
-      this.edgesSolver = new HierarchicalSpringSolver(
-        this.body,
-        this.physicsBody,
-        options
-      );
-      this.gravitySolver = new CentralGravitySolver(
-        this.body,
-        this.physicsBody,
-        options
-      );
+      nodesSolver = new HierarchicalRepulsion(body, physicsBody, options);
+      edgesSolver = new HierarchicalSpringSolver(body, physicsBody, options);
+      gravitySolver = new CentralGravitySolver(body, physicsBody, options);
     } else {
       // barnesHut
       options = this.options.barnesHut;
-      this.nodesSolver = new BarnesHutSolver(
-        this.body,
-        this.physicsBody,
-        options
-      );
-      this.edgesSolver = new SpringSolver(this.body, this.physicsBody, options);
-      this.gravitySolver = new CentralGravitySolver(
-        this.body,
-        this.physicsBody,
-        options
-      );
+      nodesSolver = new BarnesHutSolver(body, physicsBody, options);
+      edgesSolver = new SpringSolver(body, physicsBody, options);
+      gravitySolver = new CentralGravitySolver(body, physicsBody, options);
+    }
+
+    return { nodesSolver, edgesSolver, gravitySolver, integrator, options };
+  }
+
+  /**
+   * Start, update or stop the web worker the solvers run in depending on the
+   * options. The simulation stays on the main thread if workers aren't
+   * available.
+   *
+   * @private
+   */
+  _setupWorker() {
+    if (this.options.worker === true && PhysicsWorker.isSupported()) {
+      if (this.worker === undefined) {
+        try {
+          this.worker = new PhysicsWorker(
+            this.body,
+            this.physicsBody,
+            this._onWorkerMessage.bind(this),
+            this._onWorkerError.bind(this)
+          );
+        } catch (error) {
+          console.error(
+            "The physics worker can't be started, the physics will run on the main thread: ",
+            error
+          );
+          return;
+        }
+      }
+      this.worker.setOptions(this.options);
+    } else if (this.worker !== undefined) {
+      this.worker.terminate();
+      this.worker = undefined;
+    }
+  }
+
+  /**
+   * Handle the results of the web worker.
+   *
+   * @param {object} message
+   * @private
+   */
+  _onWorkerMessage(message) {
+    switch (message.type) {
+      case "positions":
+        this.stabilizationIterations += message.iterations;
+        if (message.stabilized === true && this.viewFunction !== undefined) {
+          this.stabilized = true;
+          this._removeOverlaps();
+          this.stopSimulation();
+        }
+        break;
+      case "progress":
+      case "stabilization":
+        if (this._startStabilizing()) {
+          this._emitStabilizationProgress(); // Ensure that there is at least one start event.
+        }
+        this.stabilizationIterations = message.iterations;
+        this._emitStabilizationProgress();
+
+        if (message.type === "stabilization") {
+          this.stabilized = message.stabilized;
+          this._finalizeStabilization();
+        }
+        break;
     }
+  }
 
-    this.modelOptions = options;
+  /**
+   * The web worker failed, continue on the main thread.
+   *
+   * @param {ErrorEvent} error
+   * @private
+   */
+  _onWorkerError(error) {
+    console.error(
+      "The physics worker failed, the physics will run on the main thread: ",
+      error.message
+    );
+
+    const stabilizing = this.worker.stabilizing;
+    this.worker.terminate();
+    this.worker = undefined;
+
+    if (stabilizing === true) {
+      this._stabilizationBatch();
+    }
   }
 
   /**
@@ -291,6 +464,12 @@ class PhysicsEngine {
 
       // this sets the width of all nodes initially which could be required for the avoidOverlap
       this.body.emitter.emit("_resizeNodes");
+      if (this.integrator !== undefined) {
+        this.integrator.start();
+      }
+      if (this.worker !== undefined) {
+        this.worker.start();
+      }
       if (this.viewFunction === undefined) {
         this.viewFunction = this.simulationStep.bind(this);
         this.body.emitter.on("initRedraw", this.viewFunction);
@@ -325,6 +504,29 @@ class PhysicsEngine {
    *
    */
   simulationStep() {
+    if (this.worker !== undefined) {
+      // The positions are applied when the worker answers, stopping is
+      // handled there as well.
+      if (this.stabilized === false) {
+        this._startStabilizing();
+        this.worker.step();
+      }
+      return;
+    }
+
+    this.simulateFrame();
+
+    if (this.stabilized === true) {
+      this._removeOverlaps();
+      this.stopSimulation();
+    }
+  }
+
+  /**
+   * Run the physics of one frame of the simulation. The web worker runs its
+   * frames by this too.
+   */
+  simulateFrame() {
     // check if the physics have settled
     const startTime = Date.now();
     this.physicsTick();
@@ -341,10 +543,6 @@ class PhysicsEngine {
       // this makes sure there is no jitter. The decision is taken once to run it at double speed.
       this.runDoubleSpeed = true;
     }
-
-    if (this.stabilized === true) {
-      this.stopSimulation();
-    }
   }
 
   /**
@@ -376,8 +574,54 @@ class PhysicsEngine {
   physicsStep() {
     this.gravitySolver.solve();
     this.nodesSolver.solve();
-    this.edgesSolver.solve();
+    if (this.edgesSolver !== undefined) {
+      this.edgesSolver.solve();
+    }
+    if (this.options.groupAttraction.enabled === true) {
+      this.groupAttractionSolver.solve();
+    }
+    this.anchorSolver.solve();
     this.moveNodes();
+    this._enforceConstraints();
+  }
+
+  /**
+   * Move the nodes back in line with the layout constraints. The velocities of
+   * the moved nodes are corrected to the distance they actually moved, so
+   * nodes pushing against a constraint come to rest.
+   *
+   * @private
+   */
+  _enforceConstraints() {
+    const constraints = this.body.modules.layoutConstraints;
+    if (constraints === undefined) {
+      return;
+    }
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const movedIds = constraints.project(nodeIndices);
+    if (movedIds.length === 0) {
+      return;
+    }
+
+    // the integrators store the displacements as the velocities
+    const scale = this.integrator !== undefined ? 1 : 1 / this.timestep;
+    const velocities = this.physicsBody.velocities;
+    for (let i = 0; i < movedIds.length; i++) {
+      const node = this.body.nodes[movedIds[i]];
+      const previousState = this.previousStates[movedIds[i]];
+      velocities[movedIds[i]].x = (node.x - previousState.x) * scale;
+      velocities[movedIds[i]].y = (node.y - previousState.y) * scale;
+    }
+
+    let maxVelocity = 0;
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const velocity = velocities[nodeIndices[i]];
+      maxVelocity = Math.max(
+        maxVelocity,
+        Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y)
+      );
+    }
+    this.stabilized = maxVelocity < this.options.minVelocity;
   }
 
   /**
@@ -451,6 +695,7 @@ class PhysicsEngine {
     }
 
     if (this.stabilized === true) this.revert();
+    this.body.emitter.emit("_nodesMoved", this.physicsBody.physicsNodeIndices);
     this.stabilizationIterations++;
   }
 
@@ -501,6 +746,10 @@ class PhysicsEngine {
         delete this.physicsBody.velocities[nodeId];
       }
     }
+
+    if (this.worker !== undefined) {
+      this.worker.invalidateData();
+    }
   }
 
   /**
@@ -564,6 +813,11 @@ class PhysicsEngine {
    * move the nodes one timestep and check if they are stabilized
    */
   moveNodes() {
+    if (this.integrator !== undefined) {
+      this._integrate();
+      return;
+    }
+
     const nodeIndices = this.physicsBody.physicsNodeIndices;
     let maxNodeVelocity = 0;
     let averageNodeVelocity = 0;
@@ -585,6 +839,40 @@ class PhysicsEngine {
     this.stabilized = maxNodeVelocity < this.options.minVelocity;
   }
 
+  /**
+   * Move the nodes by the integrator of the model. It adapts its speed
+   * itself, so the adaptive timestep is never used. The displacement of the
+   * nodes in one iteration is compared to the minimum velocity.
+   *
+   * @private
+   */
+  _integrate() {
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const nodeId = nodeIndices[i];
+      const node = this.body.nodes[nodeId];
+      const force = this.physicsBody.forces[nodeId];
+      const velocity = this.physicsBody.velocities[nodeId];
+
+      if (this.options.wind) {
+        force.x += this.options.wind.x;
+        force.y += this.options.wind.y;
+      }
+
+      // store the state so we can revert
+      this.previousStates[nodeId] = {
+        x: node.x,
+        y: node.y,
+        vx: velocity.x,
+        vy: velocity.y,
+      };
+    }
+
+    const maxDisplacement = this.integrator.move();
+    this.adaptiveTimestepEnabled = false;
+    this.stabilized = maxDisplacement < this.options.minVelocity;
+  }
+
   /**
    * Calculate new velocity for a coordinate direction
    *
@@ -730,6 +1018,9 @@ class PhysicsEngine {
 
     this.stopSimulation(); // stop the render loop
     this.stabilized = false;
+    if (this.integrator !== undefined) {
+      this.integrator.start();
+    }
 
     // block redraw requests
     this.body.emitter.emit("_blockRedraw");
@@ -741,7 +1032,15 @@ class PhysicsEngine {
     }
     this.stabilizationIterations = 0;
 
-    setTimeout(() => this._stabilizationBatch(), 0);
+    if (this.worker !== undefined) {
+      this.worker.stabilize(
+        iterations,
+        this.options.stabilization.updateInterval,
+        this.adaptiveTimestep
+      );
+    } else {
+      setTimeout(() => this._stabilizationBatch(), 0);
+    }
   }
 
   /**
@@ -758,42 +1057,62 @@ class PhysicsEngine {
     return true;
   }
 
+  /**
+   * Emit the progress of the stabilization.
+   *
+   * @private
+   */
+  _emitStabilizationProgress() {
+    this.body.emitter.emit("stabilizationProgress", {
+      iterations: this.stabilizationIterations,
+      total: this.targetIterations,
+    });
+  }
+
   /**
    * One batch of stabilization
    *
    * @private
    */
   _stabilizationBatch() {
-    const running = () =>
-      this.stabilized === false &&
-      this.stabilizationIterations < this.targetIterations;
-
-    const sendProgress = () => {
-      this.body.emitter.emit("stabilizationProgress", {
-        iterations: this.stabilizationIterations,
-        total: this.targetIterations,
-      });
-    };
-
     if (this._startStabilizing()) {
-      sendProgress(); // Ensure that there is at least one start event.
+      this._emitStabilizationProgress(); // Ensure that there is at least one start event.
     }
 
-    let count = 0;
-    while (running() && count < this.options.stabilization.updateInterval) {
-      this.physicsTick();
-      count++;
-    }
+    const running = this.stabilizeBatch(
+      this.options.stabilization.updateInterval
+    );
 
-    sendProgress();
+    this._emitStabilizationProgress();
 
-    if (running()) {
+    if (running) {
       setTimeout(this._stabilizationBatch.bind(this), 0);
     } else {
       this._finalizeStabilization();
     }
   }
 
+  /**
+   * Run the iterations of one batch of the stabilization. The web worker runs
+   * its stabilizations by this too.
+   *
+   * @param {number} updateInterval - The maximum number of iterations.
+   * @returns {boolean} True if the stabilization isn't finished yet.
+   */
+  stabilizeBatch(updateInterval) {
+    const running = () =>
+      this.stabilized === false &&
+      this.stabilizationIterations < this.targetIterations;
+
+    let count = 0;
+    while (running() && count < updateInterval) {
+      this.physicsTick();
+      count++;
+    }
+
+    return running();
+  }
+
   /**
    * Wrap up the stabilization, fit and emit the events.
    *
@@ -801,6 +1120,10 @@ class PhysicsEngine {
    */
   _finalizeStabilization() {
     this.body.emitter.emit("_allowRedraw");
+    this._removeOverlaps();
+    // the user may move the components apart later, so they're only packed
+    // once and not whenever the simulation settles
+    this.body.emitter.emit("_packComponents");
     if (this.options.stabilization.fit === true) {
       this.body.emitter.emit("fit");
     }
@@ -821,6 +1144,25 @@ class PhysicsEngine {
     this.ready = true;
   }
 
+  /**
+   * Move overlapping nodes apart if enabled. This is done once the nodes have
+   * settled, forces would have to be very strong to keep boxes of any shape
+   * apart during the simulation.
+   *
+   * @private
+   */
+  _removeOverlaps() {
+    if (this.options.overlapRemoval.enabled !== true) {
+      return;
+    }
+
+    // the bounding boxes have to match the current positions and sizes
+    this.body.emitter.emit("_resizeNodes");
+    new OverlapRemoval(this.body, this.options.overlapRemoval).solve(
+      this.body.nodeIndices
+    );
+  }
+
   //---------------------------  DEBUGGING BELOW  ---------------------------//
 
   /**
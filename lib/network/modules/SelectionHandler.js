@@ -1,9 +1,27 @@
 import Node from "./components/Node";
 import Edge from "./components/Edge";
+import SpatialIndex from "./components/SpatialIndex";
 import { SelectionAccumulator } from "./selection";
 
 import { selectiveDeepExtend } from "vis-util/esnext";
 
+/**
+ * The region covered by a pointer object, the pointer objects have the top
+ * and the bottom swapped.
+ *
+ * @param {{left: number, top: number, right: number, bottom: number}} object
+ * @returns {{left: number, top: number, right: number, bottom: number}} The region in canvas space.
+ * @private
+ */
+function getRegion(object) {
+  return {
+    left: Math.min(object.left, object.right),
+    top: Math.min(object.top, object.bottom),
+    right: Math.max(object.left, object.right),
+    bottom: Math.max(object.top, object.bottom),
+  };
+}
+
 /**
  * The handler for selections
  */
@@ -20,6 +38,7 @@ class SelectionHandler {
     // now and (at least to me) it seems like something that could be
     // quite useful.
     this._selectionAccumulator = new SelectionAccumulator();
+    this.spatialIndex = new SpatialIndex(body);
     this.hoverObj = { nodes: {}, edges: {} };
 
     this.options = {};
@@ -216,15 +235,53 @@ class SelectionHandler {
    * @private
    */
   _getAllNodesOverlappingWith(object) {
-    const overlappingNodes = [];
     const nodes = this.body.nodes;
-    for (let i = 0; i < this.body.nodeIndices.length; i++) {
-      const nodeId = this.body.nodeIndices[i];
-      if (nodes[nodeId].isOverlappingWith(object)) {
-        overlappingNodes.push(nodeId);
+    const candidates = this.spatialIndex.getNodesInRegion(getRegion(object));
+    return candidates.filter((nodeId) =>
+      nodes[nodeId].isOverlappingWith(object)
+    );
+  }
+
+  /**
+   * Get the nodes whose positions are inside of a rectangle, like the ones a
+   * selection box selects.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - In canvas space.
+   * @returns {Array.<Node.id>} The ids of the nodes.
+   */
+  getNodesInRect(rect) {
+    const nodes = this.body.nodes;
+    return this.spatialIndex.getNodesInRegion(rect).filter((nodeId) => {
+      const node = nodes[nodeId];
+      return (
+        node.x >= rect.left &&
+        node.x <= rect.right &&
+        node.y >= rect.top &&
+        node.y <= rect.bottom
+      );
+    });
+  }
+
+  /**
+   * Get the node whose position is closest to a point.
+   *
+   * @param {{x: number, y: number}} point - In canvas space.
+   * @param {number} [maxDistance=Infinity] - Nodes further away are ignored.
+   * @returns {Node.id | undefined} The id of the node, the one drawn on top
+   * if several are equally close.
+   */
+  getNearestNode(point, maxDistance = Infinity) {
+    const nodes = this.body.nodes;
+    const nearestNodes = this.spatialIndex.getNearestNodes(
+      point,
+      maxDistance,
+      (nodeId) => {
+        const dx = nodes[nodeId].x - point.x;
+        const dy = nodes[nodeId].y - point.y;
+        return Math.sqrt(dx * dx + dy * dy);
       }
-    }
-    return overlappingNodes;
+    );
+    return nearestNodes[nearestNodes.length - 1];
   }
 
   /**
@@ -277,8 +334,9 @@ class SelectionHandler {
    */
   _getEdgesOverlappingWith(object, overlappingEdges) {
     const edges = this.body.edges;
-    for (let i = 0; i < this.body.edgeIndices.length; i++) {
-      const edgeId = this.body.edgeIndices[i];
+    const candidates = this.spatialIndex.getEdgesInRegion(getRegion(object));
+    for (let i = 0; i < candidates.length; i++) {
+      const edgeId = candidates[i];
       if (edges[edgeId].isOverlappingWith(object)) {
         overlappingEdges.push(edgeId);
       }
@@ -311,8 +369,14 @@ class SelectionHandler {
     let mindist = 10;
     let overlappingEdge = null;
     const edges = this.body.edges;
-    for (let i = 0; i < this.body.edgeIndices.length; i++) {
-      const edgeId = this.body.edgeIndices[i];
+    const candidates = this.spatialIndex.getEdgesInRegion({
+      left: canvasPos.x,
+      top: canvasPos.y,
+      right: canvasPos.x,
+      bottom: canvasPos.y,
+    });
+    for (let i = 0; i < candidates.length; i++) {
+      const edgeId = candidates[i];
       const edge = edges[edgeId];
       if (edge.connected) {
         const xFrom = edge.from.x;
@@ -1,5 +1,4 @@
 import {
-  bridgeObject,
   deepExtend,
   isString,
   mergeOptions,
@@ -7,6 +6,7 @@ import {
 } from "vis-util/esnext";
 import Label from "./shared/Label";
 import {
+  bridgeObject,
   choosify,
   getSelfRefCoordinates,
   isValidLabel,
@@ -705,6 +705,55 @@ class Edge {
     this.drawLabel(ctx, viaNode);
   }
 
+  /**
+   * Draw the line of this edge without the arrows and the label.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @returns {boolean} False if the edge is hidden.
+   */
+  drawLine(ctx) {
+    const values = this.getFormattingValues();
+    if (values.hidden) {
+      return false;
+    }
+
+    const viaNode = this.edgeType.getViaNode();
+    this.edgeType.drawLine(ctx, values, this.selected, this.hover, viaNode);
+    return true;
+  }
+
+  /**
+   * Draw this edge as a plain line without arrows and label, for networks
+   * zoomed out too far to tell the details apart. Curves are drawn straight.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} lineWidth
+   */
+  drawSimplified(ctx, lineWidth) {
+    const values = this.getFormattingValues();
+    if (values.hidden) {
+      return;
+    }
+
+    ctx.strokeStyle = this.edgeType.getColor(ctx, values);
+    ctx.lineWidth = lineWidth;
+    ctx.beginPath();
+    if (this.from !== this.to) {
+      ctx.moveTo(this.from.x, this.from.y);
+      ctx.lineTo(this.to.x, this.to.y);
+    } else {
+      const radius = this.options.selfReference.size;
+      const center = getSelfRefCoordinates(
+        ctx,
+        this.options.selfReference.angle,
+        radius,
+        this.from
+      );
+      ctx.arc(center.x, center.y, radius, 0, 2 * Math.PI);
+    }
+    ctx.stroke();
+  }
+
   /**
    * Redraw arrows
    * Draw this arrows in the given canvas
@@ -953,6 +1002,88 @@ class Edge {
     }
   }
 
+  /**
+   * The box around everything drawn for this edge. The curves stay within
+   * their ends and control points, self referencing edges are circles. The
+   * line, the arrow heads and the label, which is rotated around the middle
+   * of the edge, can reach a bit further.
+   *
+   * @returns {{top: number, left: number, right: number, bottom: number}}
+   */
+  getBoundingBox() {
+    let box;
+    if (this.from !== this.to) {
+      box = {
+        top: Math.min(this.from.y, this.to.y),
+        left: Math.min(this.from.x, this.to.x),
+        right: Math.max(this.from.x, this.to.x),
+        bottom: Math.max(this.from.y, this.to.y),
+      };
+      const via = this.edgeType.getViaNode();
+      const points = Array.isArray(via) ? via : via !== undefined ? [via] : [];
+      for (const point of points) {
+        box.top = Math.min(box.top, point.y);
+        box.left = Math.min(box.left, point.x);
+        box.right = Math.max(box.right, point.x);
+        box.bottom = Math.max(box.bottom, point.y);
+      }
+    } else {
+      const radius = this.options.selfReference.size;
+      const center = getSelfRefCoordinates(
+        undefined,
+        this.options.selfReference.angle,
+        radius,
+        this.from
+      );
+      box = {
+        top: center.y - radius,
+        left: center.x - radius,
+        right: center.x + radius,
+        bottom: center.y + radius,
+      };
+    }
+
+    let margin = this.options.width;
+    for (const type of ["from", "middle", "to"]) {
+      const arrow = this.options.arrows[type];
+      if (arrow.enabled) {
+        margin = Math.max(
+          margin,
+          15 * Math.abs(arrow.scaleFactor) + 3 * this.options.width
+        );
+      }
+    }
+    if (this.labelModule.visible()) {
+      const { width, height } = this.labelModule.size;
+      margin = Math.max(
+        margin,
+        0.5 * Math.sqrt(width * width + height * height)
+      );
+    }
+
+    box.top -= margin;
+    box.left -= margin;
+    box.right += margin;
+    box.bottom += margin;
+    return box;
+  }
+
+  /**
+   * Check if the bounding box of this edge overlaps with the provided object.
+   *
+   * @param {object} obj   an object with parameters left, top, right, bottom
+   * @returns {boolean}     True if the boxes overlap
+   */
+  isBoundingBoxOverlappingWith(obj) {
+    const box = this.getBoundingBox();
+    return (
+      box.left < obj.right &&
+      box.right > obj.left &&
+      box.top < obj.bottom &&
+      box.bottom > obj.top
+    );
+  }
+
   /**
    * Determine the rotation point, if any.
    *
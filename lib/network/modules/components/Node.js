@@ -1,6 +1,5 @@
 import {
   VALIDATOR_PRINT_STYLE,
-  bridgeObject,
   fillIfDefined,
   mergeOptions,
   overrideOpacity,
@@ -9,7 +8,7 @@ import {
 } from "vis-util/esnext";
 
 import Label from "./shared/Label";
-import { choosify, pointInRect } from "./shared/ComponentUtil";
+import { bridgeObject, choosify, pointInRect } from "./shared/ComponentUtil";
 import Box from "./nodes/shapes/Box";
 import Circle from "./nodes/shapes/Circle";
 import CircularImage from "./nodes/shapes/CircularImage";
@@ -758,6 +757,21 @@ class Node {
     );
   }
 
+  /**
+   * Draw this node as a plain dot of its size without border and label, for
+   * networks zoomed out too far to tell the details apart.
+   *
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  drawSimplified(ctx) {
+    const values = this.getFormattingValues();
+    ctx.fillStyle = values.color;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, values.size, 0, 2 * Math.PI);
+    ctx.fill();
+    this.updateBoundingBox(ctx);
+  }
+
   /**
    * Update the bounding box of the shape
    *
@@ -0,0 +1,342 @@
+import QuadTree from "./algorithms/QuadTree";
+
+/**
+ * How close to an edge a point has to be to hit it, the same distance as in
+ * Edge.isOverlappingWith.
+ */
+const EDGE_HIT_DISTANCE = 10;
+
+/**
+ * Keeps quadtrees of the boxes around the visible nodes and edges, so that
+ * finding the nodes and edges at the pointer or in a region doesn't have to
+ * look at all of them.
+ *
+ * The boxes are generous: a node's box covers its position, its shape and its
+ * label and an edge's box covers its curve plus the distance it can be hit
+ * from. The results of the queries are the candidates, the callers check the
+ * exact geometry. Each query moves the boxes of the nodes that moved or were
+ * resized since the last one and the boxes of their edges, all the boxes are
+ * only recomputed after the data changed.
+ *
+ * The modules moving the nodes tell about it with the _nodesMoved event. The
+ * shapes of the nodes only follow their positions when they're drawn, so the
+ * moved nodes are boxed again once they have been drawn.
+ */
+class SpatialIndex {
+  /**
+   * @param {object} body
+   */
+  constructor(body) {
+    this.body = body;
+    this.nodeTree = new QuadTree();
+    this.edgeTree = new QuadTree();
+    this.nodeOrder = new Map();
+    this.edgeOrder = new Map();
+    // reused for the boxes of the nodes
+    this.box = {};
+    // the edges of the support nodes of the dynamic smooth edges, they're
+    // moved by the physics like any other node
+    this.viaEdges = new Map();
+    this.dataChanged = true;
+    // the nodes whose boxes have to be moved by the next query
+    this.movedNodes = new Set();
+    this.allNodesMoved = false;
+    // the moved nodes whose shapes haven't been drawn at their positions yet
+    this.undrawnNodes = new Set();
+
+    const onDataChanged = () => {
+      this.dataChanged = true;
+    };
+    this.body.emitter.on("_dataChanged", onDataChanged);
+    this.body.emitter.on("_dataUpdated", onDataChanged);
+    this.body.emitter.on("_nodesMoved", (nodeIds) => {
+      for (let i = 0; i < nodeIds.length; i++) {
+        this.movedNodes.add(nodeIds[i]);
+        this.undrawnNodes.add(nodeIds[i]);
+      }
+    });
+    this.body.emitter.on("_nodesDrawn", (nodeIds) => {
+      if (this.undrawnNodes.size === 0) {
+        return;
+      }
+      for (let i = 0; i < nodeIds.length; i++) {
+        if (this.undrawnNodes.delete(nodeIds[i])) {
+          this.movedNodes.add(nodeIds[i]);
+        }
+      }
+    });
+    this.body.emitter.on("_nodesResized", () => {
+      this.allNodesMoved = true;
+      this.undrawnNodes.clear();
+    });
+  }
+
+  /**
+   * Get the nodes whose boxes overlap a region.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} region - In canvas space.
+   * @returns {Array.<Node.id>} The ids in the order the nodes are drawn.
+   */
+  getNodesInRegion(region) {
+    this._update();
+    return this._sort(this.nodeTree.search(region), this.nodeOrder);
+  }
+
+  /**
+   * Get the edges that can be hit in a region.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} region - In canvas space.
+   * @returns {Array.<Edge.id>} The ids in the order the edges are drawn.
+   */
+  getEdgesInRegion(region) {
+    this._update();
+    return this._sort(this.edgeTree.search(region), this.edgeOrder);
+  }
+
+  /**
+   * Get the nodes closest to a point.
+   *
+   * @param {{x: number, y: number}} point - In canvas space.
+   * @param {number} maxDistance - Nodes further away are ignored.
+   * @param {Function} getDistance - Gets the distance of the node with the
+   * given id to the point. It must not be smaller than the distance to the
+   * box of the node, which covers at least the position of the node.
+   * @returns {Array.<Node.id>} The ids of the equally close nodes in the
+   * order they are drawn.
+   */
+  getNearestNodes(point, maxDistance, getDistance) {
+    this._update();
+    return this._sort(
+      this.nodeTree.nearest(point.x, point.y, maxDistance, getDistance),
+      this.nodeOrder
+    );
+  }
+
+  /**
+   * Bring the trees up to date.
+   *
+   * @private
+   */
+  _update() {
+    if (this.dataChanged === true) {
+      this.dataChanged = false;
+      this.allNodesMoved = false;
+      this.movedNodes.clear();
+      this._rebuild();
+      return;
+    }
+
+    if (this.allNodesMoved === true) {
+      this.allNodesMoved = false;
+      this.movedNodes.clear();
+      const nodeIndices = this.body.nodeIndices;
+      for (let i = 0; i < nodeIndices.length; i++) {
+        this._updateNode(nodeIndices[i]);
+      }
+      for (const nodeId of this.viaEdges.keys()) {
+        this._updateNode(nodeId);
+      }
+      return;
+    }
+
+    for (const nodeId of this.movedNodes) {
+      this._updateNode(nodeId);
+    }
+    this.movedNodes.clear();
+  }
+
+  /**
+   * Move the box of a node and the boxes of its edges if it changed. The
+   * support nodes of the dynamic smooth edges aren't indexed themselves, they
+   * only move their edges.
+   *
+   * @param {Node.id} nodeId
+   * @private
+   */
+  _updateNode(nodeId) {
+    const node = this.body.nodes[nodeId];
+    if (node === undefined) {
+      return;
+    }
+
+    const viaEdge = this.viaEdges.get(nodeId);
+    if (viaEdge !== undefined) {
+      this._updateEdge(viaEdge);
+      return;
+    }
+    if (!this.nodeOrder.has(nodeId)) {
+      return;
+    }
+
+    if (this._getNodeBox(node, this.box) === undefined) {
+      this.nodeTree.remove(nodeId);
+    } else if (this.nodeTree.set(nodeId, this.box) === false) {
+      return;
+    }
+
+    for (let i = 0; i < node.edges.length; i++) {
+      this._updateEdge(node.edges[i]);
+    }
+  }
+
+  /**
+   * Recompute all the boxes and the order of the nodes and edges.
+   *
+   * @private
+   */
+  _rebuild() {
+    const nodes = this.body.nodes;
+    const edges = this.body.edges;
+    this._rebuildTree(
+      this.nodeTree,
+      this.nodeOrder,
+      this.body.nodeIndices,
+      (id) => this._getNodeBox(nodes[id], this.box)
+    );
+    this._rebuildTree(
+      this.edgeTree,
+      this.edgeOrder,
+      this.body.edgeIndices,
+      (id) => this._getEdgeBox(edges[id])
+    );
+
+    this.viaEdges.clear();
+    for (const edgeId of this.edgeOrder.keys()) {
+      const via = edges[edgeId].edgeType.via;
+      if (via !== undefined) {
+        this.viaEdges.set(via.id, edges[edgeId]);
+      }
+    }
+  }
+
+  /**
+   * @param {QuadTree} tree
+   * @param {Map} order - The index of each id in the ids, updated here.
+   * @param {Array.<Node.id|Edge.id>} ids - The items that should be in the tree.
+   * @param {Function} getBox - Gets the box of an item, undefined if it can't
+   * be hit.
+   * @private
+   */
+  _rebuildTree(tree, order, ids, getBox) {
+    order.clear();
+    for (let i = 0; i < ids.length; i++) {
+      const id = ids[i];
+      const box = getBox(id);
+      order.set(id, i);
+      if (box !== undefined) {
+        tree.set(id, box);
+      } else {
+        tree.remove(id);
+      }
+    }
+
+    const indexed = tree.getIds();
+    for (let i = 0; i < indexed.length; i++) {
+      if (!order.has(indexed[i])) {
+        tree.remove(indexed[i]);
+      }
+    }
+  }
+
+  /**
+   * Move the box of an edge whose nodes moved, the hidden edges aren't
+   * indexed.
+   *
+   * @param {Edge} edge
+   * @private
+   */
+  _updateEdge(edge) {
+    if (!this.edgeOrder.has(edge.id)) {
+      return;
+    }
+
+    const box = this._getEdgeBox(edge);
+    if (box !== undefined) {
+      this.edgeTree.set(edge.id, box);
+    } else {
+      this.edgeTree.remove(edge.id);
+    }
+  }
+
+  /**
+   * The box around the position, the shape and the bounding box including the
+   * label of a node. The shape and the bounding box are updated when the node
+   * is drawn, so they can lag behind the position.
+   *
+   * @param {Node} node
+   * @param {object} box - Receives the box.
+   * @returns {{left: number, top: number, right: number, bottom: number}|undefined}
+   * The passed box.
+   * @private
+   */
+  _getNodeBox(node, box) {
+    if (!isFinite(node.x) || !isFinite(node.y)) {
+      return undefined;
+    }
+    box.left = box.right = node.x;
+    box.top = box.bottom = node.y;
+
+    const shape = node.shape;
+    if (isFinite(shape.left) && isFinite(shape.top)) {
+      this._extend(box, shape.left, shape.top);
+      this._extend(box, shape.left + shape.width, shape.top + shape.height);
+    }
+    const boundingBox = shape.boundingBox;
+    if (boundingBox !== undefined) {
+      this._extend(box, boundingBox.left, boundingBox.top);
+      this._extend(box, boundingBox.right, boundingBox.bottom);
+    }
+    return box;
+  }
+
+  /**
+   * The bounding box of an edge grown by the distance it can be hit from.
+   *
+   * @param {Edge} edge
+   * @returns {{left: number, top: number, right: number, bottom: number}|undefined}
+   * @private
+   */
+  _getEdgeBox(edge) {
+    if (edge.connected !== true) {
+      return undefined;
+    }
+
+    const box = edge.getBoundingBox();
+    box.left -= EDGE_HIT_DISTANCE;
+    box.top -= EDGE_HIT_DISTANCE;
+    box.right += EDGE_HIT_DISTANCE;
+    box.bottom += EDGE_HIT_DISTANCE;
+    return isFinite(box.left + box.top + box.right + box.bottom)
+      ? box
+      : undefined;
+  }
+
+  /**
+   * Extend a box to cover a point, points that aren't known yet are ignored.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} box
+   * @param {number} x
+   * @param {number} y
+   * @private
+   */
+  _extend(box, x, y) {
+    if (isFinite(x) && isFinite(y)) {
+      box.left = Math.min(box.left, x);
+      box.top = Math.min(box.top, y);
+      box.right = Math.max(box.right, x);
+      box.bottom = Math.max(box.bottom, y);
+    }
+  }
+
+  /**
+   * @param {Array.<Node.id|Edge.id>} ids
+   * @param {Map} order
+   * @returns {Array.<Node.id|Edge.id>} The ids sorted by their order.
+   * @private
+   */
+  _sort(ids, order) {
+    return ids.sort((a, b) => order.get(a) - order.get(b));
+  }
+}
+
+export default SpatialIndex;
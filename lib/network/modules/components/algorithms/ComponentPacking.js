@@ -0,0 +1,310 @@
+/**
+ * Packs the connected components of a network next to each other. Networks
+ * with many components either spread out endlessly because the components
+ * repel each other or, with enough gravity, pile up in the middle.
+ *
+ * The bounding boxes of the components (including the labels, plus some
+ * padding) are placed largest first:
+ *
+ * - grid: in rows, a new row starts when the current one gets wider than the
+ *   square root of the total area of the boxes. This is fast, even for
+ *   thousands of components.
+ * - spiral: each box is put at the free place next to the boxes placed before
+ *   that is closest to the center, which packs the boxes in a roughly round
+ *   shape.
+ *
+ * Components with fixed nodes stay where they are, the other components are
+ * packed next to them. Otherwise the packed components are centered where the
+ * network was before.
+ */
+class ComponentPacking {
+  /**
+   * @param {object} body
+   * @param {{method: string, padding: number}} options
+   */
+  constructor(body, options) {
+    this.body = body;
+    this.setOptions(options);
+  }
+
+  /**
+   *
+   * @param {{method: string, padding: number}} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Pack the components of given nodes.
+   *
+   * @param {Array.<Node.id>} nodeIds
+   * @param {Array.<Edge.id>} edgeIds - The edges that connect the nodes.
+   * @param {Array.<string>} [fixedAxes=["x", "y"]] - The axes nodes can be
+   * fixed in, the hierarchical layout fixes all nodes on their levels.
+   * @returns {boolean} True if any node has been moved.
+   */
+  solve(nodeIds, edgeIds, fixedAxes = ["x", "y"]) {
+    const components = this._findComponents(nodeIds, edgeIds, fixedAxes);
+    const movable = components.filter((component) => !component.fixed);
+    if (components.length < 2 || movable.length === 0) {
+      return false;
+    }
+
+    // largest first, the order of the nodes breaks ties
+    movable.sort(
+      (a, b) => b.width * b.height - a.width * a.height || a.index - b.index
+    );
+    if (this.options.method === "spiral") {
+      this._packInSpiral(movable);
+    } else {
+      this._packInRows(movable);
+    }
+
+    // place the packed boxes next to the fixed components or where the
+    // network was
+    const packed = this._getRange(movable, "x", "y");
+    const fixed = components.filter((component) => component.fixed);
+    let shiftX, shiftY;
+    if (fixed.length > 0) {
+      const obstacles = this._getRange(fixed, "left", "top");
+      shiftX = obstacles.maxX - packed.minX;
+      shiftY =
+        0.5 * (obstacles.minY + obstacles.maxY - packed.minY - packed.maxY);
+    } else {
+      const previous = this._getRange(movable, "left", "top");
+      shiftX =
+        0.5 * (previous.minX + previous.maxX - packed.minX - packed.maxX);
+      shiftY =
+        0.5 * (previous.minY + previous.maxY - packed.minY - packed.maxY);
+    }
+
+    for (let i = 0; i < movable.length; i++) {
+      const component = movable[i];
+      const dx = component.x + shiftX - component.left;
+      const dy = component.y + shiftY - component.top;
+      for (let j = 0; j < component.nodes.length; j++) {
+        component.nodes[j].x += dx;
+        component.nodes[j].y += dy;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the connected components and their bounding boxes. The support
+   * nodes of smooth edges belong to the component of the edge.
+   *
+   * @param {Array.<Node.id>} nodeIds
+   * @param {Array.<Edge.id>} edgeIds
+   * @param {Array.<string>} fixedAxes
+   * @returns {Array.<object>} The components in the order of their first node.
+   * @private
+   */
+  _findComponents(nodeIds, edgeIds, fixedAxes) {
+    const nodes = this.body.nodes;
+    const edges = this.body.edges;
+    const padding = this.options.padding;
+
+    // union find over the indices of the nodes
+    const indices = {};
+    const parents = new Int32Array(nodeIds.length);
+    for (let i = 0; i < nodeIds.length; i++) {
+      indices[nodeIds[i]] = i;
+      parents[i] = i;
+    }
+    const find = (i) => {
+      while (parents[i] !== i) {
+        parents[i] = parents[parents[i]];
+        i = parents[i];
+      }
+      return i;
+    };
+    for (let i = 0; i < edgeIds.length; i++) {
+      const edge = edges[edgeIds[i]];
+      const from = indices[edge.fromId];
+      const to = indices[edge.toId];
+      if (edge.connected === true && from !== undefined && to !== undefined) {
+        parents[find(from)] = find(to);
+      }
+    }
+
+    const components = [];
+    const byRoot = {};
+    for (let i = 0; i < nodeIds.length; i++) {
+      const root = find(i);
+      let component = byRoot[root];
+      if (component === undefined) {
+        component = byRoot[root] = {
+          index: components.length,
+          nodes: [],
+          fixed: false,
+          left: Infinity,
+          right: -Infinity,
+          top: Infinity,
+          bottom: -Infinity,
+        };
+        components.push(component);
+      }
+
+      const node = nodes[nodeIds[i]];
+      const box = node.shape.boundingBox;
+      component.nodes.push(node);
+      for (let a = 0; a < fixedAxes.length; a++) {
+        component.fixed = component.fixed || node.options.fixed[fixedAxes[a]];
+      }
+      component.left = Math.min(component.left, box.left - 0.5 * padding);
+      component.right = Math.max(component.right, box.right + 0.5 * padding);
+      component.top = Math.min(component.top, box.top - 0.5 * padding);
+      component.bottom = Math.max(component.bottom, box.bottom + 0.5 * padding);
+    }
+
+    for (let i = 0; i < edgeIds.length; i++) {
+      const edge = edges[edgeIds[i]];
+      const from = indices[edge.fromId];
+      if (edge.edgeType.via !== undefined && from !== undefined) {
+        byRoot[find(from)].nodes.push(edge.edgeType.via);
+      }
+    }
+
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      component.width = component.right - component.left;
+      component.height = component.bottom - component.top;
+    }
+    return components;
+  }
+
+  /**
+   * Place the boxes in rows. The positions are the top left corners.
+   *
+   * @param {Array.<object>} components
+   * @private
+   */
+  _packInRows(components) {
+    let totalArea = 0;
+    let maxWidth = 0;
+    for (let i = 0; i < components.length; i++) {
+      totalArea += components[i].width * components[i].height;
+      maxWidth = Math.max(maxWidth, components[i].width);
+    }
+    const rowWidth = Math.max(maxWidth, Math.sqrt(totalArea));
+
+    let x = 0;
+    let y = 0;
+    let rowHeight = 0;
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      if (x > 0 && x + component.width > rowWidth) {
+        x = 0;
+        y += rowHeight;
+        rowHeight = 0;
+      }
+      component.x = x;
+      component.y = y;
+      x += component.width;
+      rowHeight = Math.max(rowHeight, component.height);
+    }
+  }
+
+  /**
+   * Place each box at the free place closest to the center. The candidates
+   * are the places touching a side of a box placed before, aligned with one
+   * of its corners. The positions are the top left corners.
+   *
+   * @param {Array.<object>} components
+   * @private
+   */
+  _packInSpiral(components) {
+    components[0].x = -0.5 * components[0].width;
+    components[0].y = -0.5 * components[0].height;
+
+    for (let i = 1; i < components.length; i++) {
+      const component = components[i];
+      const width = component.width;
+      const height = component.height;
+      let bestDistance = Infinity;
+      for (let j = 0; j < i; j++) {
+        const placed = components[j];
+        const right = placed.x + placed.width;
+        const bottom = placed.y + placed.height;
+        const candidates = [
+          [right, placed.y],
+          [right, bottom - height],
+          [placed.x - width, placed.y],
+          [placed.x - width, bottom - height],
+          [placed.x, bottom],
+          [right - width, bottom],
+          [placed.x, placed.y - height],
+          [right - width, placed.y - height],
+        ];
+        for (let c = 0; c < candidates.length; c++) {
+          const [x, y] = candidates[c];
+          const centerX = x + 0.5 * width;
+          const centerY = y + 0.5 * height;
+          const distance = centerX * centerX + centerY * centerY;
+          if (distance < bestDistance && this._isFree(components, i, x, y)) {
+            bestDistance = distance;
+            component.x = x;
+            component.y = y;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that a box doesn't overlap the boxes placed before.
+   *
+   * @param {Array.<object>} components
+   * @param {number} count - The number of boxes placed before.
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   * @private
+   */
+  _isFree(components, count, x, y) {
+    const width = components[count].width;
+    const height = components[count].height;
+    for (let i = 0; i < count; i++) {
+      const placed = components[i];
+      if (
+        x < placed.x + placed.width &&
+        placed.x < x + width &&
+        y < placed.y + placed.height &&
+        placed.y < y + height
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Get the range of the boxes of some components.
+   *
+   * @param {Array.<object>} components
+   * @param {string} left - The property with the left side of the boxes.
+   * @param {string} top - The property with the top side of the boxes.
+   * @returns {{minX: number, maxX: number, minY: number, maxY: number}}
+   * @private
+   */
+  _getRange(components, left, top) {
+    const range = {
+      minX: Infinity,
+      maxX: -Infinity,
+      minY: Infinity,
+      maxY: -Infinity,
+    };
+    for (let i = 0; i < components.length; i++) {
+      const component = components[i];
+      range.minX = Math.min(range.minX, component[left]);
+      range.maxX = Math.max(range.maxX, component[left] + component.width);
+      range.minY = Math.min(range.minY, component[top]);
+      range.maxY = Math.max(range.maxY, component[top] + component.height);
+    }
+    return range;
+  }
+}
+
+export default ComponentPacking;
@@ -0,0 +1,334 @@
+/**
+ * The constraints are satisfied if no node moves more than this in a sweep.
+ */
+const TOLERANCE = 1e-6;
+
+/**
+ * Constraints that contradict each other can't be satisfied, the sweeps end at
+ * some point with a compromise between them.
+ */
+const MAX_SWEEPS = 100;
+
+/**
+ * Check that a constraint refers to an axis.
+ *
+ * @param {object} constraint
+ * @param {string} axis
+ * @private
+ */
+function checkAxis(constraint, axis) {
+  if (axis !== "x" && axis !== "y") {
+    throw new Error(
+      'The axis of a layout constraint has to be "x" or "y", got "' +
+        axis +
+        '" in ' +
+        JSON.stringify(constraint) +
+        "."
+    );
+  }
+}
+
+/**
+ * Keeps the positions of nodes in line with constraints given by the user:
+ *
+ * - align: `{type: "align", axis: "y", nodes: [1, 2, 3]}`, the nodes share the
+ *   same coordinate on the axis, "y" puts them on one horizontal line.
+ * - separation: `{type: "separation", axis: "x", from: 1, to: 2, gap: 50}`,
+ *   the coordinate of `to` is at least `gap` larger than the one of `from`,
+ *   this keeps node 2 right of node 1.
+ * - region: `{type: "region", nodes: [1, 2], left: 0, top: 0, right: 200}`,
+ *   the positions of the nodes stay within the sides that are given.
+ * - offset: `{type: "offset", from: 1, to: 2, x: 100}`, node 2 is 100 right of
+ *   node 1. The offset can be given for one or both axes.
+ *
+ * The constraints are enforced by projecting the positions: every sweep moves
+ * the nodes of each violated constraint just as far as needed to satisfy it,
+ * both nodes of a pair by the same amount. The sweeps are repeated until no
+ * node has to move anymore.
+ *
+ * Only the nodes the projection is given can move and only along the axes
+ * they aren't fixed in, the other nodes are anchors the movable ones are
+ * aligned to or kept apart from.
+ */
+class LayoutConstraints {
+  /**
+   * @param {object} body
+   */
+  constructor(body) {
+    this.body = body;
+    this.constraints = [];
+  }
+
+  /**
+   * Set the constraints, they replace the previous ones.
+   *
+   * @param {Array.<object>} constraints
+   */
+  setConstraints(constraints) {
+    const normalized = [];
+    for (let i = 0; i < constraints.length; i++) {
+      const constraint = constraints[i];
+      switch (constraint.type) {
+        case "align":
+          checkAxis(constraint, constraint.axis);
+          normalized.push({
+            type: "align",
+            axis: constraint.axis,
+            nodes: constraint.nodes.slice(),
+          });
+          break;
+        case "separation":
+          checkAxis(constraint, constraint.axis);
+          normalized.push({
+            type: "separation",
+            axis: constraint.axis,
+            from: constraint.from,
+            to: constraint.to,
+            gap: constraint.gap !== undefined ? constraint.gap : 0,
+          });
+          break;
+        case "region":
+          normalized.push({
+            type: "region",
+            nodes: constraint.nodes.slice(),
+            left: constraint.left !== undefined ? constraint.left : -Infinity,
+            right: constraint.right !== undefined ? constraint.right : Infinity,
+            top: constraint.top !== undefined ? constraint.top : -Infinity,
+            bottom:
+              constraint.bottom !== undefined ? constraint.bottom : Infinity,
+          });
+          break;
+        case "offset":
+          // one constraint per axis, they're independent of each other
+          for (const axis of ["x", "y"]) {
+            if (constraint[axis] !== undefined) {
+              normalized.push({
+                type: "offset",
+                axis,
+                from: constraint.from,
+                to: constraint.to,
+                distance: constraint[axis],
+              });
+            }
+          }
+          break;
+        default:
+          throw new Error(
+            'Unknown layout constraint type "' +
+              constraint.type +
+              '", use "align", "separation", "region" or "offset".'
+          );
+      }
+    }
+    this.constraints = normalized;
+  }
+
+  /**
+   * Get the ids of all nodes the constraints refer to.
+   *
+   * @returns {Array.<Node.id>}
+   */
+  getNodeIds() {
+    const nodeIds = [];
+    for (let i = 0; i < this.constraints.length; i++) {
+      const constraint = this.constraints[i];
+      if (constraint.nodes !== undefined) {
+        nodeIds.push(...constraint.nodes);
+      } else {
+        nodeIds.push(constraint.from, constraint.to);
+      }
+    }
+    return nodeIds;
+  }
+
+  /**
+   * Move the nodes so that they satisfy the constraints.
+   *
+   * @param {Array.<Node.id>} nodeIds - The nodes that may be moved.
+   * @returns {Array.<Node.id>} The nodes that have been moved.
+   */
+  project(nodeIds) {
+    if (this.constraints.length === 0) {
+      return [];
+    }
+
+    const movable = {};
+    for (let i = 0; i < nodeIds.length; i++) {
+      movable[nodeIds[i]] = true;
+    }
+
+    const moved = {};
+    for (let sweep = 0; sweep < MAX_SWEEPS; sweep++) {
+      let maxChange = 0;
+      for (let i = 0; i < this.constraints.length; i++) {
+        maxChange = Math.max(
+          maxChange,
+          this._projectConstraint(this.constraints[i], movable, moved)
+        );
+      }
+      if (maxChange <= TOLERANCE) {
+        break;
+      }
+    }
+
+    return Object.keys(moved).map((key) => this.body.nodes[key].id);
+  }
+
+  /**
+   * Project the positions of the nodes of one constraint.
+   *
+   * @param {object} constraint
+   * @param {object} movable - The ids of the nodes that may be moved.
+   * @param {object} moved - The ids of the nodes that have been moved.
+   * @returns {number} The largest distance a node has been moved.
+   * @private
+   */
+  _projectConstraint(constraint, movable, moved) {
+    const nodes = this.body.nodes;
+    if (constraint.type === "align") {
+      return this._align(constraint, movable, moved);
+    } else if (constraint.type === "region") {
+      return this._contain(constraint, movable, moved);
+    }
+
+    const from = nodes[constraint.from];
+    const to = nodes[constraint.to];
+    if (from === undefined || to === undefined) {
+      return 0;
+    }
+
+    const axis = constraint.axis;
+    let amount;
+    if (constraint.type === "separation") {
+      amount = constraint.gap - (to[axis] - from[axis]);
+      if (amount <= 0) {
+        return 0;
+      }
+    } else {
+      amount = constraint.distance - (to[axis] - from[axis]);
+      if (amount === 0) {
+        return 0;
+      }
+    }
+
+    // the nodes move apart by the amount, or closer together if it's negative
+    const fromMovable = this._isMovable(from, axis, movable);
+    const toMovable = this._isMovable(to, axis, movable);
+    if (fromMovable && toMovable) {
+      amount *= 0.5;
+      from[axis] -= amount;
+      to[axis] += amount;
+      moved[from.id] = moved[to.id] = true;
+    } else if (fromMovable) {
+      from[axis] -= amount;
+      moved[from.id] = true;
+    } else if (toMovable) {
+      to[axis] += amount;
+      moved[to.id] = true;
+    } else {
+      return 0;
+    }
+    return Math.abs(amount);
+  }
+
+  /**
+   * Move the nodes onto one line. If some of them can't move, the others
+   * are aligned to them.
+   *
+   * @param {{axis: string, nodes: Array.<Node.id>}} constraint
+   * @param {object} movable
+   * @param {object} moved
+   * @returns {number} The largest distance a node has been moved.
+   * @private
+   */
+  _align(constraint, movable, moved) {
+    const nodes = this.body.nodes;
+    const axis = constraint.axis;
+    let sum = 0;
+    let count = 0;
+    let anchorSum = 0;
+    let anchorCount = 0;
+    for (let i = 0; i < constraint.nodes.length; i++) {
+      const node = nodes[constraint.nodes[i]];
+      if (node === undefined) {
+        continue;
+      }
+      if (this._isMovable(node, axis, movable)) {
+        sum += node[axis];
+        count++;
+      } else {
+        anchorSum += node[axis];
+        anchorCount++;
+      }
+    }
+    if (count === 0) {
+      return 0;
+    }
+
+    const target = anchorCount > 0 ? anchorSum / anchorCount : sum / count;
+    let maxChange = 0;
+    for (let i = 0; i < constraint.nodes.length; i++) {
+      const node = nodes[constraint.nodes[i]];
+      if (
+        node !== undefined &&
+        this._isMovable(node, axis, movable) &&
+        node[axis] !== target
+      ) {
+        maxChange = Math.max(maxChange, Math.abs(target - node[axis]));
+        node[axis] = target;
+        moved[node.id] = true;
+      }
+    }
+    return maxChange;
+  }
+
+  /**
+   * Move the nodes back into a region.
+   *
+   * @param {{nodes: Array.<Node.id>, left: number, right: number, top: number, bottom: number}} constraint
+   * @param {object} movable
+   * @param {object} moved
+   * @returns {number} The largest distance a node has been moved.
+   * @private
+   */
+  _contain(constraint, movable, moved) {
+    const nodes = this.body.nodes;
+    let maxChange = 0;
+    for (let i = 0; i < constraint.nodes.length; i++) {
+      const node = nodes[constraint.nodes[i]];
+      if (node === undefined) {
+        continue;
+      }
+      if (this._isMovable(node, "x", movable)) {
+        const x = Math.min(Math.max(node.x, constraint.left), constraint.right);
+        if (x !== node.x) {
+          maxChange = Math.max(maxChange, Math.abs(x - node.x));
+          node.x = x;
+          moved[node.id] = true;
+        }
+      }
+      if (this._isMovable(node, "y", movable)) {
+        const y = Math.min(Math.max(node.y, constraint.top), constraint.bottom);
+        if (y !== node.y) {
+          maxChange = Math.max(maxChange, Math.abs(y - node.y));
+          node.y = y;
+          moved[node.id] = true;
+        }
+      }
+    }
+    return maxChange;
+  }
+
+  /**
+   * @param {Node} node
+   * @param {string} axis
+   * @param {object} movable
+   * @returns {boolean} True if the node can be moved along the axis.
+   * @private
+   */
+  _isMovable(node, axis, movable) {
+    return movable[node.id] === true && node.options.fixed[axis] === false;
+  }
+}
+
+export default LayoutConstraints;
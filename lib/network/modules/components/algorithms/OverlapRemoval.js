@@ -0,0 +1,260 @@
+/**
+ * Nodes overlap if their boxes intersect by more than this.
+ */
+const TOLERANCE = 1e-6;
+
+/**
+ * Most overlaps are gone after a few passes. Dense piles make the nodes push
+ * each other back and forth instead, they are untangled by placing the nodes
+ * one after the other.
+ */
+const MAX_PASSES = 50;
+
+/**
+ * Moves nodes apart until their bounding boxes (including external labels)
+ * don't overlap anymore. Every pass sweeps over the boxes sorted by their left
+ * side and separates each overlapping pair along the axis with the smaller
+ * overlap, so that the nodes move as little as possible. The moves are applied
+ * immediately, the passes are repeated until there are no more overlaps.
+ * If that doesn't work out, the nodes are placed from the center outwards,
+ * each one moves away from the center until it doesn't overlap the nodes
+ * placed before anymore.
+ *
+ * Nodes that are fixed or not part of the physics don't move, the other node
+ * of a pair moves the whole way instead. Pairs that can't be separated at all
+ * are left as they are.
+ *
+ * The boxes have to be up to date with the sizes of the nodes, their offsets
+ * from the node positions are taken when the removal starts.
+ */
+class OverlapRemoval {
+  /**
+   * @param {object} body
+   * @param {{padding: number}} options
+   */
+  constructor(body, options) {
+    this.body = body;
+    this.setOptions(options);
+  }
+
+  /**
+   *
+   * @param {{padding: number}} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Remove the overlaps of given nodes.
+   *
+   * @param {Array.<Node.id>} nodeIds
+   * @returns {number} The number of nodes that have been moved.
+   */
+  solve(nodeIds) {
+    const size = nodeIds.length;
+    const halfPadding = 0.5 * this.options.padding;
+    const nodes = new Array(size);
+    const x = new Float64Array(size);
+    const y = new Float64Array(size);
+    // the sides of the boxes relative to the positions
+    const left = new Float64Array(size);
+    const right = new Float64Array(size);
+    const top = new Float64Array(size);
+    const bottom = new Float64Array(size);
+    const movableX = new Uint8Array(size);
+    const movableY = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+      const node = this.body.nodes[nodeIds[i]];
+      const box = node.shape.boundingBox;
+      nodes[i] = node;
+      x[i] = node.x;
+      y[i] = node.y;
+      left[i] = box.left - node.x - halfPadding;
+      right[i] = box.right - node.x + halfPadding;
+      top[i] = box.top - node.y - halfPadding;
+      bottom[i] = box.bottom - node.y + halfPadding;
+      movableX[i] = node.options.physics === true && !node.options.fixed.x;
+      movableY[i] = node.options.physics === true && !node.options.fixed.y;
+    }
+
+    const order = new Array(size);
+    for (let i = 0; i < size; i++) {
+      order[i] = i;
+    }
+
+    let separated = true;
+    for (let pass = 0; pass < MAX_PASSES && separated === true; pass++) {
+      order.sort((a, b) => x[a] + left[a] - (x[b] + left[b]) || a - b);
+
+      separated = false;
+      for (let k = 0; k < size; k++) {
+        const i = order[k];
+        for (let l = k + 1; l < size; l++) {
+          const j = order[l];
+          // the boxes further right start to the right of this one
+          if (x[j] + left[j] >= x[i] + right[i] - TOLERANCE) {
+            break;
+          }
+
+          const overlapX =
+            Math.min(x[i] + right[i], x[j] + right[j]) -
+            Math.max(x[i] + left[i], x[j] + left[j]);
+          const overlapY =
+            Math.min(y[i] + bottom[i], y[j] + bottom[j]) -
+            Math.max(y[i] + top[i], y[j] + top[j]);
+          if (overlapX <= TOLERANCE || overlapY <= TOLERANCE) {
+            continue;
+          }
+
+          const canMoveX = movableX[i] || movableX[j];
+          const canMoveY = movableY[i] || movableY[j];
+          if ((overlapX <= overlapY && canMoveX) || !canMoveY) {
+            if (canMoveX) {
+              this._separate(x, i, j, overlapX, movableX, left, right);
+              separated = true;
+            }
+          } else {
+            this._separate(y, i, j, overlapY, movableY, top, bottom);
+            separated = true;
+          }
+        }
+      }
+    }
+    if (separated === true) {
+      this._place(x, y, left, right, top, bottom, movableX, movableY);
+    }
+
+    let moved = 0;
+    for (let i = 0; i < size; i++) {
+      if (nodes[i].x !== x[i] || nodes[i].y !== y[i]) {
+        nodes[i].x = x[i];
+        nodes[i].y = y[i];
+        moved++;
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Place the nodes one after the other, the immovable ones first and then by
+   * their distance from the center. A node that overlaps any of the nodes
+   * placed before moves straight away from the center, just far enough to
+   * leave the boxes it runs into.
+   *
+   * @param {Float64Array} x
+   * @param {Float64Array} y
+   * @param {Float64Array} left
+   * @param {Float64Array} right
+   * @param {Float64Array} top
+   * @param {Float64Array} bottom
+   * @param {Uint8Array} movableX
+   * @param {Uint8Array} movableY
+   * @private
+   */
+  _place(x, y, left, right, top, bottom, movableX, movableY) {
+    const size = x.length;
+    let centerX = 0;
+    let centerY = 0;
+    for (let i = 0; i < size; i++) {
+      centerX += x[i] / size;
+      centerY += y[i] / size;
+    }
+
+    const order = new Array(size);
+    const distances = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      order[i] = i;
+      const dx = x[i] - centerX;
+      const dy = y[i] - centerY;
+      distances[i] =
+        movableX[i] || movableY[i] ? Math.sqrt(dx * dx + dy * dy) : -1;
+    }
+    order.sort((a, b) => distances[a] - distances[b] || a - b);
+
+    for (let k = 0; k < size; k++) {
+      const i = order[k];
+      let directionX = movableX[i] ? x[i] - centerX : 0;
+      let directionY = movableY[i] ? y[i] - centerY : 0;
+      if (directionX === 0 && directionY === 0) {
+        if (movableX[i]) {
+          directionX = 1;
+        } else if (movableY[i]) {
+          directionY = 1;
+        } else {
+          continue;
+        }
+      }
+
+      for (let l = 0; l < k; l++) {
+        const j = order[l];
+        if (
+          Math.min(x[i] + right[i], x[j] + right[j]) -
+            Math.max(x[i] + left[i], x[j] + left[j]) <=
+            TOLERANCE ||
+          Math.min(y[i] + bottom[i], y[j] + bottom[j]) -
+            Math.max(y[i] + top[i], y[j] + top[j]) <=
+            TOLERANCE
+        ) {
+          continue;
+        }
+
+        // the way out of the box along the direction, through the closer side
+        let step = Infinity;
+        if (directionX > 0) {
+          step = (x[j] + right[j] - (x[i] + left[i])) / directionX;
+        } else if (directionX < 0) {
+          step = (x[j] + left[j] - (x[i] + right[i])) / directionX;
+        }
+        if (directionY > 0) {
+          step = Math.min(
+            step,
+            (y[j] + bottom[j] - (y[i] + top[i])) / directionY
+          );
+        } else if (directionY < 0) {
+          step = Math.min(
+            step,
+            (y[j] + top[j] - (y[i] + bottom[i])) / directionY
+          );
+        }
+        x[i] += step * directionX;
+        y[i] += step * directionY;
+
+        // the new position may overlap nodes that have been checked already
+        l = -1;
+      }
+    }
+  }
+
+  /**
+   * Move two nodes apart along one axis. The node whose box is centered
+   * further along the axis moves forwards, the other one backwards.
+   *
+   * @param {Float64Array} positions - The positions on the axis.
+   * @param {number} i
+   * @param {number} j
+   * @param {number} overlap
+   * @param {Uint8Array} movable
+   * @param {Float64Array} low - The lower sides of the boxes on the axis.
+   * @param {Float64Array} high - The higher sides of the boxes on the axis.
+   * @private
+   */
+  _separate(positions, i, j, overlap, movable, low, high) {
+    const centerI = positions[i] + 0.5 * (low[i] + high[i]);
+    const centerJ = positions[j] + 0.5 * (low[j] + high[j]);
+    const forwards = centerI > centerJ || (centerI === centerJ && i > j);
+    const first = forwards ? i : j;
+    const second = forwards ? j : i;
+
+    if (movable[first] && movable[second]) {
+      positions[first] += 0.5 * overlap;
+      positions[second] -= 0.5 * overlap;
+    } else if (movable[first]) {
+      positions[first] += overlap;
+    } else {
+      positions[second] -= overlap;
+    }
+  }
+}
+
+export default OverlapRemoval;
@@ -0,0 +1,376 @@
+/**
+ * The number of items a cell holds before it's split into quadrants.
+ */
+const MAX_ITEMS = 8;
+
+/**
+ * Cells aren't split any deeper, many items at the same place would split
+ * them endlessly.
+ */
+const MAX_DEPTH = 16;
+
+/**
+ * @param {{left: number, top: number, right: number, bottom: number}} box
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} The distance of the point to the box, 0 inside of it.
+ * @private
+ */
+function getDistanceToBox(box, x, y) {
+  const dx = Math.max(box.left - x, 0, x - box.right);
+  const dy = Math.max(box.top - y, 0, y - box.bottom);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * A quadtree of boxes, it finds the boxes in a region or next to a point
+ * without looking at all of them.
+ *
+ * Each box is kept in the smallest cell it fits in completely, boxes crossing
+ * the middle of a cell stay in the cell itself. The boxes can be moved any
+ * time, the tree is only rebuilt when a box leaves the area the tree covers.
+ * The top of a box is its smallest y coordinate like on the canvas.
+ */
+class QuadTree {
+  /**
+   *
+   */
+  constructor() {
+    this.clear();
+  }
+
+  /**
+   * Remove all boxes.
+   */
+  clear() {
+    this.items = new Map();
+    this.root = undefined;
+    this.outdated = false;
+  }
+
+  /**
+   * @returns {Array.<Node.id|Edge.id>} The ids of all boxes.
+   */
+  getIds() {
+    return Array.from(this.items.keys());
+  }
+
+  /**
+   * Add a box or move it if the id is known already.
+   *
+   * @param {Node.id|Edge.id} id
+   * @param {{left: number, top: number, right: number, bottom: number}} box
+   * @returns {boolean} False if the box was already there.
+   */
+  set(id, box) {
+    let item = this.items.get(id);
+    if (item === undefined) {
+      item = { id, cell: undefined };
+      this.items.set(id, item);
+    } else if (
+      item.left === box.left &&
+      item.top === box.top &&
+      item.right === box.right &&
+      item.bottom === box.bottom
+    ) {
+      return false;
+    } else {
+      this._removeFromCell(item);
+    }
+
+    item.left = box.left;
+    item.top = box.top;
+    item.right = box.right;
+    item.bottom = box.bottom;
+    if (this.root !== undefined && this._contains(this.root, item)) {
+      this._insert(this.root, item);
+    } else {
+      // the tree is rebuilt with the next search, rebuilding it right away
+      // would rebuild it for every box if they're all moved at once
+      this.outdated = true;
+    }
+    return true;
+  }
+
+  /**
+   * Remove a box.
+   *
+   * @param {Node.id|Edge.id} id
+   */
+  remove(id) {
+    const item = this.items.get(id);
+    if (item !== undefined) {
+      this._removeFromCell(item);
+      this.items.delete(id);
+    }
+  }
+
+  /**
+   * Find the boxes that overlap a region, touching counts.
+   *
+   * @param {{left: number, top: number, right: number, bottom: number}} region
+   * @returns {Array.<Node.id|Edge.id>} The ids of the boxes in no specific order.
+   */
+  search(region) {
+    this._update();
+    const ids = [];
+    if (this.root === undefined) {
+      return ids;
+    }
+
+    const cells = [this.root];
+    while (cells.length > 0) {
+      const cell = cells.pop();
+      if (!this._overlaps(cell, region)) {
+        continue;
+      }
+      for (let i = 0; i < cell.items.length; i++) {
+        if (this._overlaps(cell.items[i], region)) {
+          ids.push(cell.items[i].id);
+        }
+      }
+      if (cell.children !== undefined) {
+        cells.push(...cell.children);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Find the boxes closest to a point.
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [maxDistance=Infinity] - Boxes further away are ignored.
+   * @param {Function} [getDistance] - Gets the distance of the item with the
+   * given id to the point. It must not be smaller than the distance to its
+   * box. Defaults to the distance to the box.
+   * @returns {Array.<Node.id|Edge.id>} The ids of the closest boxes, more
+   * than one if they're equally close (the point is inside of them).
+   */
+  nearest(x, y, maxDistance = Infinity, getDistance) {
+    this._update();
+    let ids = [];
+    if (this.root === undefined) {
+      return ids;
+    }
+
+    let best = maxDistance;
+    const cells = [this.root];
+    while (cells.length > 0) {
+      const cell = cells.pop();
+      if (getDistanceToBox(cell, x, y) > best) {
+        continue;
+      }
+      for (let i = 0; i < cell.items.length; i++) {
+        const item = cell.items[i];
+        if (getDistanceToBox(item, x, y) > best) {
+          continue;
+        }
+        const distance =
+          getDistance !== undefined
+            ? getDistance(item.id)
+            : getDistanceToBox(item, x, y);
+        if (distance < best) {
+          best = distance;
+          ids = [item.id];
+        } else if (distance === best) {
+          ids.push(item.id);
+        }
+      }
+      if (cell.children !== undefined) {
+        // the closest cell is looked at first, it likely narrows the search
+        const children = cell.children
+          .map((child) => [getDistanceToBox(child, x, y), child])
+          .sort((a, b) => b[0] - a[0]);
+        for (let i = 0; i < children.length; i++) {
+          cells.push(children[i][1]);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Rebuild the tree around all boxes if any box is outside of it.
+   *
+   * @private
+   */
+  _update() {
+    if (this.outdated === false) {
+      return;
+    }
+    this.outdated = false;
+
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    for (const item of this.items.values()) {
+      left = Math.min(left, item.left);
+      top = Math.min(top, item.top);
+      right = Math.max(right, item.right);
+      bottom = Math.max(bottom, item.bottom);
+    }
+    if (this.items.size === 0) {
+      this.root = undefined;
+      return;
+    }
+
+    // A square with some room around the boxes, so that moving them a bit
+    // doesn't require the next rebuild.
+    const size = Math.max(right - left, bottom - top, 1);
+    const centerX = 0.5 * (left + right);
+    const centerY = 0.5 * (top + bottom);
+    this.root = this._createCell(
+      centerX - size,
+      centerY - size,
+      centerX + size,
+      centerY + size,
+      0
+    );
+    for (const item of this.items.values()) {
+      this._insert(this.root, item);
+    }
+  }
+
+  /**
+   * @param {number} left
+   * @param {number} top
+   * @param {number} right
+   * @param {number} bottom
+   * @param {number} depth
+   * @returns {object} An empty cell.
+   * @private
+   */
+  _createCell(left, top, right, bottom, depth) {
+    return {
+      left,
+      top,
+      right,
+      bottom,
+      depth,
+      items: [],
+      children: undefined,
+    };
+  }
+
+  /**
+   * Put an item into the smallest cell below the given one it fits in.
+   *
+   * @param {object} cell
+   * @param {object} item
+   * @private
+   */
+  _insert(cell, item) {
+    for (;;) {
+      const child =
+        cell.children !== undefined ? this._getChild(cell, item) : undefined;
+      if (child === undefined) {
+        cell.items.push(item);
+        item.cell = cell;
+        if (
+          cell.children === undefined &&
+          cell.items.length > MAX_ITEMS &&
+          cell.depth < MAX_DEPTH
+        ) {
+          this._split(cell);
+        }
+        return;
+      }
+      cell = child;
+    }
+  }
+
+  /**
+   * Split a cell into quadrants and move the items that fit into them.
+   *
+   * @param {object} cell
+   * @private
+   */
+  _split(cell) {
+    const middleX = 0.5 * (cell.left + cell.right);
+    const middleY = 0.5 * (cell.top + cell.bottom);
+    const depth = cell.depth + 1;
+    cell.children = [
+      this._createCell(cell.left, cell.top, middleX, middleY, depth),
+      this._createCell(middleX, cell.top, cell.right, middleY, depth),
+      this._createCell(cell.left, middleY, middleX, cell.bottom, depth),
+      this._createCell(middleX, middleY, cell.right, cell.bottom, depth),
+    ];
+
+    const items = cell.items;
+    cell.items = [];
+    for (let i = 0; i < items.length; i++) {
+      this._insert(cell, items[i]);
+    }
+  }
+
+  /**
+   * @param {object} cell - A cell with children.
+   * @param {object} item
+   * @returns {object|undefined} The quadrant the item fits in, undefined if
+   * it crosses the middle of the cell.
+   * @private
+   */
+  _getChild(cell, item) {
+    const middleX = 0.5 * (cell.left + cell.right);
+    const middleY = 0.5 * (cell.top + cell.bottom);
+    let index = 0;
+    if (item.left >= middleX) {
+      index += 1;
+    } else if (item.right > middleX) {
+      return undefined;
+    }
+    if (item.top >= middleY) {
+      index += 2;
+    } else if (item.bottom > middleY) {
+      return undefined;
+    }
+    return cell.children[index];
+  }
+
+  /**
+   * @param {object} item
+   * @private
+   */
+  _removeFromCell(item) {
+    if (item.cell !== undefined) {
+      const items = item.cell.items;
+      items.splice(items.indexOf(item), 1);
+      item.cell = undefined;
+    }
+  }
+
+  /**
+   * @param {object} outer
+   * @param {object} inner
+   * @returns {boolean} True if the inner box is completely inside the outer one.
+   * @private
+   */
+  _contains(outer, inner) {
+    return (
+      outer.left <= inner.left &&
+      outer.top <= inner.top &&
+      outer.right >= inner.right &&
+      outer.bottom >= inner.bottom
+    );
+  }
+
+  /**
+   * @param {object} a
+   * @param {object} b
+   * @returns {boolean} True if the boxes overlap or touch.
+   * @private
+   */
+  _overlaps(a, b) {
+    return (
+      a.left <= b.right &&
+      a.right >= b.left &&
+      a.top <= b.bottom &&
+      a.bottom >= b.top
+    );
+  }
+}
+
+export default QuadTree;
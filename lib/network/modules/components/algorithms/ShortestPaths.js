@@ -0,0 +1,238 @@
+/**
+ * The distance of nodes that can't be reached from each other.
+ */
+export const UNREACHABLE = 1e9;
+
+/**
+ * Shortest paths in the network by breadth first searches over adjacency
+ * lists. All edges have the length 1 and are undirected.
+ *
+ * If the edges have lengths, the paths are found by Dijkstra's algorithm
+ * instead. An edge then runs through the support node of a smooth edge if it
+ * is one of the nodes, each half of the edge has half of its length.
+ *
+ * The nodes are referred to by their position in the array of node ids the
+ * paths have been created for.
+ */
+class ShortestPaths {
+  /**
+   * @param {object} body
+   * @param {Array.<Node.id>} nodesArray
+   * @param {Array.<Edge.id>} edgesArray
+   * @param {function(Edge): number} [getLength] - The lengths of the edges,
+   * all of them are 1 if omitted.
+   */
+  constructor(body, nodesArray, edgesArray, getLength) {
+    const size = nodesArray.length;
+    const index = {};
+    for (let i = 0; i < size; i++) {
+      index[nodesArray[i]] = i;
+    }
+
+    // edge has to be connected if it counts to the distances, edges to nodes
+    // that aren't part of the paths (like inner clusters) are ignored
+    const from = [];
+    const to = [];
+    const lengths = [];
+    for (let i = 0; i < edgesArray.length; i++) {
+      const edge = body.edges[edgesArray[i]];
+      if (
+        edge.connected === true &&
+        index[edge.fromId] !== undefined &&
+        index[edge.toId] !== undefined
+      ) {
+        const via =
+          getLength !== undefined && edge.edgeType.via !== undefined
+            ? index[edge.edgeType.via.id]
+            : undefined;
+        if (via !== undefined) {
+          const length = 0.5 * getLength(edge);
+          from.push(index[edge.fromId], via);
+          to.push(via, index[edge.toId]);
+          lengths.push(length, length);
+        } else {
+          from.push(index[edge.fromId]);
+          to.push(index[edge.toId]);
+          lengths.push(getLength !== undefined ? getLength(edge) : 1);
+        }
+      }
+    }
+
+    // compressed adjacency lists, the neighbours of node i are at
+    // offsets[i] to offsets[i + 1]
+    this.size = size;
+    this.offsets = new Int32Array(size + 1);
+    this.neighbours = new Int32Array(2 * from.length);
+    for (let i = 0; i < from.length; i++) {
+      this.offsets[from[i] + 1]++;
+      this.offsets[to[i] + 1]++;
+    }
+    for (let i = 0; i < size; i++) {
+      this.offsets[i + 1] += this.offsets[i];
+    }
+    this.lengths =
+      getLength !== undefined ? new Float64Array(2 * from.length) : null;
+    const fill = this.offsets.slice(0, size);
+    for (let i = 0; i < from.length; i++) {
+      if (this.lengths !== null) {
+        this.lengths[fill[from[i]]] = lengths[i];
+        this.lengths[fill[to[i]]] = lengths[i];
+      }
+      this.neighbours[fill[from[i]]++] = to[i];
+      this.neighbours[fill[to[i]]++] = from[i];
+    }
+
+    this._queue = new Int32Array(size);
+    if (this.lengths !== null) {
+      // a node is pushed at most once per incoming edge and once as source
+      this._heapNodes = new Int32Array(this.neighbours.length + 1);
+      this._heapKeys = new Float64Array(this.neighbours.length + 1);
+    }
+  }
+
+  /**
+   * Create an array for the distances of given number of nodes.
+   *
+   * @param {number} size
+   * @returns {Uint32Array | Float64Array} Integers unless the edges have
+   * lengths.
+   * @private
+   */
+  _createDistances(size) {
+    return this.lengths !== null
+      ? new Float64Array(size)
+      : new Uint32Array(size);
+  }
+
+  /**
+   * Get the distances of all nodes from given node.
+   *
+   * @param {number} source
+   * @param {Uint32Array | Float64Array} [distances] - Where to write the
+   * distances to.
+   * @param {number} [offset=0] - The position of the distance of the first
+   * node in distances.
+   * @returns {Uint32Array | Float64Array}
+   */
+  getDistancesFrom(
+    source,
+    distances = this._createDistances(this.size),
+    offset = 0
+  ) {
+    if (this.lengths !== null) {
+      return this._getWeightedDistancesFrom(source, distances, offset);
+    }
+
+    const queue = this._queue;
+    distances.fill(UNREACHABLE, offset, offset + this.size);
+    distances[offset + source] = 0;
+    queue[0] = source;
+
+    let length = 1;
+    for (let head = 0; head < length; head++) {
+      const node = queue[head];
+      const distance = distances[offset + node] + 1;
+      for (let i = this.offsets[node]; i < this.offsets[node + 1]; i++) {
+        const neighbour = this.neighbours[i];
+        if (distances[offset + neighbour] === UNREACHABLE) {
+          distances[offset + neighbour] = distance;
+          queue[length++] = neighbour;
+        }
+      }
+    }
+
+    return distances;
+  }
+
+  /**
+   * Dijkstra's algorithm with a binary heap. Nodes may be pushed more than
+   * once, the entries that have been improved upon are skipped when popped.
+   *
+   * @param {number} source
+   * @param {Float64Array} distances
+   * @param {number} offset
+   * @returns {Float64Array}
+   * @private
+   */
+  _getWeightedDistancesFrom(source, distances, offset) {
+    const heapNodes = this._heapNodes;
+    const heapKeys = this._heapKeys;
+    distances.fill(UNREACHABLE, offset, offset + this.size);
+    distances[offset + source] = 0;
+    heapNodes[0] = source;
+    heapKeys[0] = 0;
+
+    let heapSize = 1;
+    while (heapSize > 0) {
+      const node = heapNodes[0];
+      const key = heapKeys[0];
+
+      // move the last entry to the top and let it sink
+      heapSize--;
+      const lastNode = heapNodes[heapSize];
+      const lastKey = heapKeys[heapSize];
+      let parent = 0;
+      for (;;) {
+        let child = 2 * parent + 1;
+        if (child >= heapSize) {
+          break;
+        }
+        if (child + 1 < heapSize && heapKeys[child + 1] < heapKeys[child]) {
+          child++;
+        }
+        if (heapKeys[child] >= lastKey) {
+          break;
+        }
+        heapNodes[parent] = heapNodes[child];
+        heapKeys[parent] = heapKeys[child];
+        parent = child;
+      }
+      heapNodes[parent] = lastNode;
+      heapKeys[parent] = lastKey;
+
+      if (key > distances[offset + node]) {
+        continue;
+      }
+
+      for (let i = this.offsets[node]; i < this.offsets[node + 1]; i++) {
+        const neighbour = this.neighbours[i];
+        const distance = key + this.lengths[i];
+        if (distance < distances[offset + neighbour]) {
+          distances[offset + neighbour] = distance;
+
+          // add the improved distance and let it rise
+          let child = heapSize++;
+          while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (heapKeys[parent] <= distance) {
+              break;
+            }
+            heapNodes[child] = heapNodes[parent];
+            heapKeys[child] = heapKeys[parent];
+            child = parent;
+          }
+          heapNodes[child] = neighbour;
+          heapKeys[child] = distance;
+        }
+      }
+    }
+
+    return distances;
+  }
+
+  /**
+   * Get the distances between all nodes, row by row.
+   *
+   * @returns {Uint32Array | Float64Array} The distance between node i and j is
+   * at `i * size + j`.
+   */
+  getDistances() {
+    const distances = this._createDistances(this.size * this.size);
+    for (let i = 0; i < this.size; i++) {
+      this.getDistancesFrom(i, distances, i * this.size);
+    }
+    return distances;
+  }
+}
+
+export default ShortestPaths;
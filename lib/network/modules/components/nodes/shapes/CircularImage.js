@@ -110,17 +110,9 @@ class CircularImage extends CircleImageBase {
     }
 
     // TODO: compare with Image.updateBoundingBox(), consolidate?
-    this.boundingBox.left = Math.min(
-      this.boundingBox.left,
-      this.labelModule.size.left
-    );
-    this.boundingBox.right = Math.max(
-      this.boundingBox.right,
-      this.labelModule.size.left + this.labelModule.size.width
-    );
-    this.boundingBox.bottom = Math.max(
-      this.boundingBox.bottom,
-      this.boundingBox.bottom + this.labelOffset
+    this._addLabelToBoundingBox(
+      0.5 * (this.boundingBox.left + this.boundingBox.right),
+      this.labelOffset
     );
   }
 
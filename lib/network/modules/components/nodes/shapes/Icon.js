@@ -85,17 +85,9 @@ class Icon extends NodeBase {
 
     if (this.options.label !== undefined && this.labelModule.size.width > 0) {
       const iconTextSpacing = 5;
-      this.boundingBox.left = Math.min(
-        this.boundingBox.left,
-        this.labelModule.size.left
-      );
-      this.boundingBox.right = Math.max(
-        this.boundingBox.right,
-        this.labelModule.size.left + this.labelModule.size.width
-      );
-      this.boundingBox.bottom = Math.max(
-        this.boundingBox.bottom,
-        this.boundingBox.bottom + this.labelModule.size.height + iconTextSpacing
+      this._addLabelToBoundingBox(
+        x - 0.5 * this.width + 0.5 * this.iconSize.width + this.margin.left,
+        this.labelModule.size.height + iconTextSpacing
       );
     }
   }
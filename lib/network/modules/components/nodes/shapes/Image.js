@@ -148,17 +148,9 @@ class Image extends CircleImageBase {
     this.boundingBox.right = this.left + this.width;
 
     if (this.options.label !== undefined && this.labelModule.size.width > 0) {
-      this.boundingBox.left = Math.min(
-        this.boundingBox.left,
-        this.labelModule.size.left
-      );
-      this.boundingBox.right = Math.max(
-        this.boundingBox.right,
-        this.labelModule.size.left + this.labelModule.size.width
-      );
-      this.boundingBox.bottom = Math.max(
-        this.boundingBox.bottom,
-        this.boundingBox.bottom + this.labelOffset
+      this._addLabelToBoundingBox(
+        this.left + 0.5 * this.width,
+        this.labelOffset
       );
     }
   }
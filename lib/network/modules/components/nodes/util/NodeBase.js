@@ -260,6 +260,28 @@ class NodeBase {
     this.boundingBox.right += margin;
   }
 
+  /**
+   * Extend the bounding box by the label centered below the node. Only the
+   * size of the label is used, the position in the label module is where it
+   * was drawn last, which can be anywhere.
+   *
+   * @param {number} centerX - The horizontal center of the label.
+   * @param {number} labelHeight - How far the label reaches below the node.
+   * @private
+   */
+  _addLabelToBoundingBox(centerX, labelHeight) {
+    const labelLeft = centerX - 0.5 * this.labelModule.size.width;
+    this.boundingBox.left = Math.min(this.boundingBox.left, labelLeft);
+    this.boundingBox.right = Math.max(
+      this.boundingBox.right,
+      labelLeft + this.labelModule.size.width
+    );
+    this.boundingBox.bottom = Math.max(
+      this.boundingBox.bottom,
+      this.boundingBox.bottom + labelHeight
+    );
+  }
+
   /**
    * Actual implementation of this method call.
    *
@@ -116,18 +116,7 @@ class ShapeBase extends NodeBase {
     this.boundingBox.bottom = y + this.options.size;
 
     if (this.options.label !== undefined && this.labelModule.size.width > 0) {
-      this.boundingBox.left = Math.min(
-        this.boundingBox.left,
-        this.labelModule.size.left
-      );
-      this.boundingBox.right = Math.max(
-        this.boundingBox.right,
-        this.labelModule.size.left + this.labelModule.size.width
-      );
-      this.boundingBox.bottom = Math.max(
-        this.boundingBox.bottom,
-        this.boundingBox.bottom + this.labelModule.size.height
-      );
+      this._addLabelToBoundingBox(x, this.labelModule.size.height);
     }
   }
 }
@@ -0,0 +1,73 @@
+/**
+ * The strength of anchors that don't define one.
+ */
+const DEFAULT_STRENGTH = 0.05;
+
+/**
+ * @param {{strength: (number|undefined)}} anchor
+ * @returns {number} The strength of the anchor.
+ */
+export function getAnchorStrength(anchor) {
+  return anchor.strength !== undefined ? anchor.strength : DEFAULT_STRENGTH;
+}
+
+/**
+ * Check whether an anchor pulls at a node.
+ *
+ * @param {{filter: (Function|undefined)}} anchor
+ * @param {Node} node
+ * @returns {boolean}
+ */
+export function isAnchored(anchor, node) {
+  return typeof anchor.filter !== "function" || !!anchor.filter(node.options);
+}
+
+/**
+ * Pulls nodes towards fixed positions, the anchors. Each anchor pulls the
+ * nodes its filter accepts (all nodes without a filter) with a force that
+ * grows linearly with the distance, like a spring of no length.
+ */
+class AnchorSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {Array.<{x: number, y: number, strength: number, filter: Function}>} anchors
+   */
+  constructor(body, physicsBody, anchors) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(anchors);
+  }
+
+  /**
+   *
+   * @param {Array.<{x: number, y: number, strength: number, filter: Function}>} anchors
+   */
+  setOptions(anchors) {
+    this.anchors = anchors;
+  }
+
+  /**
+   * Calculate the forces towards the anchors.
+   */
+  solve() {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const forces = this.physicsBody.forces;
+
+    for (let a = 0; a < this.anchors.length; a++) {
+      const anchor = this.anchors[a];
+      const strength = getAnchorStrength(anchor);
+      for (let i = 0; i < nodeIndices.length; i++) {
+        const nodeId = nodeIndices[i];
+        const node = nodes[nodeId];
+        if (isAnchored(anchor, node)) {
+          forces[nodeId].x += strength * (anchor.x - node.x);
+          forces[nodeId].y += strength * (anchor.y - node.y);
+        }
+      }
+    }
+  }
+}
+
+export default AnchorSolver;
@@ -0,0 +1,78 @@
+/**
+ * Moves the nodes by their forces as displacements, there are no velocities
+ * and no damping. If the model has a temperature, a node moves at most by it
+ * and the temperature cools down after every iteration, so that the layout
+ * freezes as in Fruchterman-Reingold. It's heated up again when the simulation
+ * restarts.
+ */
+class DisplacementIntegrator {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+    this.start();
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Heat up to the initial temperature.
+   */
+  start() {
+    this.temperature =
+      this.options.temperature !== undefined
+        ? this.options.temperature
+        : Infinity;
+  }
+
+  /**
+   * Move the nodes one iteration, the displacements are stored as the
+   * velocities of the nodes.
+   *
+   * @returns {number} The largest displacement of a node.
+   */
+  move() {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const forces = this.physicsBody.forces;
+    const velocities = this.physicsBody.velocities;
+
+    let maxDisplacement = 0;
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const nodeId = nodeIndices[i];
+      const node = nodes[nodeId];
+      const force = forces[nodeId];
+      const length = Math.sqrt(force.x * force.x + force.y * force.y);
+      const factor = length > this.temperature ? this.temperature / length : 1;
+
+      const velocity = velocities[nodeId];
+      velocity.x = node.options.fixed.x === false ? force.x * factor : 0;
+      velocity.y = node.options.fixed.y === false ? force.y * factor : 0;
+      node.x += velocity.x;
+      node.y += velocity.y;
+      maxDisplacement = Math.max(
+        maxDisplacement,
+        Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y)
+      );
+    }
+
+    if (this.options.cooling !== undefined) {
+      this.temperature *= this.options.cooling;
+    }
+
+    return maxDisplacement;
+  }
+}
+
+export default DisplacementIntegrator;
@@ -0,0 +1,134 @@
+import {
+  getForceAtlas2Mass,
+  getForceAtlas2Size,
+} from "./ForceAtlas2RepulsionSolver";
+
+/**
+ * The attraction of ForceAtlas2, connected nodes attract each other
+ * proportionally to their distance (or the logarithm of it in the LinLog mode)
+ * and to the weight of the edge, its value.
+ */
+class ForceAtlas2AttractionSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Calculate the attraction of all edges.
+   */
+  solve() {
+    const edgeIndices = this.physicsBody.physicsEdgeIndices;
+    const edges = this.body.edges;
+
+    // Dissuading hubs divides the attraction by the mass of the from node, the
+    // average mass compensates this.
+    let coefficient = 1;
+    if (this.options.dissuadeHubs === true) {
+      const nodeIndices = this.physicsBody.physicsNodeIndices;
+      let totalMass = 0;
+      for (let i = 0; i < nodeIndices.length; i++) {
+        totalMass += getForceAtlas2Mass(this.body.nodes[nodeIndices[i]]);
+      }
+      coefficient = nodeIndices.length > 0 ? totalMass / nodeIndices.length : 1;
+    }
+
+    for (let i = 0; i < edgeIndices.length; i++) {
+      const edge = edges[edgeIndices[i]];
+      if (
+        edge.connected === true &&
+        edge.toId !== edge.fromId &&
+        this.body.nodes[edge.toId] !== undefined &&
+        this.body.nodes[edge.fromId] !== undefined
+      ) {
+        const weight = coefficient * this._getWeight(edge);
+        if (edge.edgeType.via !== undefined) {
+          // the support node of a smooth edge pulls at both ends
+          this._calculateForces(edge.from, edge.edgeType.via, weight);
+          this._calculateForces(edge.edgeType.via, edge.to, weight);
+        } else {
+          this._calculateForces(edge.from, edge.to, weight);
+        }
+      }
+    }
+  }
+
+  /**
+   * The value of an edge raised to the edge weight influence.
+   *
+   * @param {Edge} edge
+   * @returns {number}
+   * @private
+   */
+  _getWeight(edge) {
+    const influence = this.options.edgeWeightInfluence;
+    const value = edge.options.value;
+    if (influence === 0 || typeof value !== "number") {
+      return 1;
+    }
+    return influence === 1 ? value : Math.pow(value, influence);
+  }
+
+  /**
+   * Calculate the attraction between two nodes.
+   *
+   * @param {Node} node1
+   * @param {Node} node2
+   * @param {number} weight
+   * @private
+   */
+  _calculateForces(node1, node2, weight) {
+    const dx = node1.x - node2.x;
+    const dy = node1.y - node2.y;
+    let distance = Math.sqrt(dx * dx + dy * dy);
+
+    // nodes that overlap don't attract each other
+    if (this.options.preventOverlap === true) {
+      distance -= getForceAtlas2Size(node1) + getForceAtlas2Size(node2);
+      if (distance <= 0) {
+        return;
+      }
+    }
+
+    let attractionForce;
+    if (this.options.linLogMode === true) {
+      attractionForce =
+        distance > 0 ? (-weight * Math.log(1 + distance)) / distance : 0;
+    } else {
+      attractionForce = -weight;
+    }
+    if (this.options.dissuadeHubs === true) {
+      attractionForce /= getForceAtlas2Mass(node1);
+    }
+
+    const fx = dx * attractionForce;
+    const fy = dy * attractionForce;
+
+    // handle the case where one node is not part of the physics
+    if (this.physicsBody.forces[node1.id] !== undefined) {
+      this.physicsBody.forces[node1.id].x += fx;
+      this.physicsBody.forces[node1.id].y += fy;
+    }
+
+    if (this.physicsBody.forces[node2.id] !== undefined) {
+      this.physicsBody.forces[node2.id].x -= fx;
+      this.physicsBody.forces[node2.id].y -= fy;
+    }
+  }
+}
+
+export default ForceAtlas2AttractionSolver;
@@ -0,0 +1,44 @@
+import CentralGravitySolver from "./CentralGravitySolver";
+import { getForceAtlas2Mass } from "./ForceAtlas2RepulsionSolver";
+
+/**
+ * The gravity of ForceAtlas2 pulls every node to the center with a force
+ * proportional to its mass, independent of the distance. The strong gravity
+ * grows with the distance instead.
+ *
+ * @augments CentralGravitySolver
+ */
+class ForceAtlas2GravitySolver extends CentralGravitySolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    super(body, physicsBody, options);
+  }
+
+  /**
+   * Calculate the forces based on the distance.
+   *
+   * @param {number} distance
+   * @param {number} dx
+   * @param {number} dy
+   * @param {object<Node.id, Node>} forces
+   * @param {Node} node
+   * @private
+   */
+  _calculateForces(distance, dx, dy, forces, node) {
+    let gravityForce =
+      this.options.scalingRatio *
+      this.options.gravity *
+      getForceAtlas2Mass(node);
+    if (this.options.strongGravityMode !== true) {
+      gravityForce = distance === 0 ? 0 : gravityForce / distance;
+    }
+    forces[node.id].x = dx * gravityForce;
+    forces[node.id].y = dy * gravityForce;
+  }
+}
+
+export default ForceAtlas2GravitySolver;
@@ -0,0 +1,153 @@
+import { getForceAtlas2Mass } from "./ForceAtlas2RepulsionSolver";
+
+/**
+ * Moves the nodes by the forces of ForceAtlas2. There are no velocities and no
+ * damping, instead a global speed adapts to how much the nodes swing (their
+ * forces change direction) compared to how much they are pulled somewhere
+ * (their forces keep the direction). The nodes that swing a lot are slowed
+ * down further.
+ */
+class ForceAtlas2Integrator {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+
+    this.speed = 1;
+    this.speedEfficiency = 1;
+    this.previousForces = {};
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * The simulation (re)starts. The adaptive speed carries over, it adapts to
+   * the new situation within a few iterations.
+   */
+  start() {}
+
+  /**
+   * Move the nodes one iteration, the displacements are stored as the
+   * velocities of the nodes.
+   *
+   * @returns {number} The largest displacement of a node.
+   */
+  move() {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const forces = this.physicsBody.forces;
+    const velocities = this.physicsBody.velocities;
+    if (nodeIndices.length === 0) {
+      return 0;
+    }
+
+    let totalSwinging = 0;
+    let totalTraction = 0;
+    const swingings = new Array(nodeIndices.length);
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const nodeId = nodeIndices[i];
+      const force = forces[nodeId];
+      const previous = this.previousForces[nodeId] || { x: 0, y: 0 };
+      const mass = getForceAtlas2Mass(nodes[nodeId]);
+      const swingX = previous.x - force.x;
+      const swingY = previous.y - force.y;
+      const tractionX = previous.x + force.x;
+      const tractionY = previous.y + force.y;
+      swingings[i] = mass * Math.sqrt(swingX * swingX + swingY * swingY);
+      totalSwinging += swingings[i];
+      totalTraction +=
+        0.5 * mass * Math.sqrt(tractionX * tractionX + tractionY * tractionY);
+    }
+    this._adjustSpeed(totalSwinging, totalTraction, nodeIndices.length);
+
+    let maxDisplacement = 0;
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const nodeId = nodeIndices[i];
+      const node = nodes[nodeId];
+      const force = forces[nodeId];
+      let factor = this.speed / (1 + Math.sqrt(this.speed * swingings[i]));
+      if (this.options.preventOverlap === true) {
+        // slower and limited to keep the nodes from jumping over each other
+        const length = Math.sqrt(force.x * force.x + force.y * force.y);
+        factor = length > 0 ? Math.min(0.1 * factor * length, 10) / length : 0;
+      }
+
+      const velocity = velocities[nodeId];
+      velocity.x = node.options.fixed.x === false ? force.x * factor : 0;
+      velocity.y = node.options.fixed.y === false ? force.y * factor : 0;
+      node.x += velocity.x;
+      node.y += velocity.y;
+      maxDisplacement = Math.max(
+        maxDisplacement,
+        Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y)
+      );
+
+      this.previousForces[nodeId] = { x: force.x, y: force.y };
+    }
+
+    return maxDisplacement;
+  }
+
+  /**
+   * Adapt the global speed to the swinging and the traction of all nodes.
+   *
+   * @param {number} totalSwinging
+   * @param {number} totalTraction
+   * @param {number} nodeCount
+   * @private
+   */
+  _adjustSpeed(totalSwinging, totalTraction, nodeCount) {
+    // how much swinging is tolerated depends on the size of the network
+    const estimatedJitterTolerance = 0.05 * Math.sqrt(nodeCount);
+    const minJitterTolerance = Math.sqrt(estimatedJitterTolerance);
+    const maxJitterTolerance = 10;
+    let jitterTolerance =
+      this.options.jitterTolerance *
+      Math.max(
+        minJitterTolerance,
+        Math.min(
+          maxJitterTolerance,
+          (estimatedJitterTolerance * totalTraction) / (nodeCount * nodeCount)
+        )
+      );
+
+    const minSpeedEfficiency = 0.05;
+    if (totalTraction > 0 && totalSwinging / totalTraction > 2) {
+      if (this.speedEfficiency > minSpeedEfficiency) {
+        this.speedEfficiency *= 0.5;
+      }
+      jitterTolerance = Math.max(jitterTolerance, this.options.jitterTolerance);
+    }
+
+    const targetSpeed =
+      totalSwinging > 0
+        ? (jitterTolerance * this.speedEfficiency * totalTraction) /
+          totalSwinging
+        : Infinity;
+
+    if (totalSwinging > jitterTolerance * totalTraction) {
+      if (this.speedEfficiency > minSpeedEfficiency) {
+        this.speedEfficiency *= 0.7;
+      }
+    } else if (this.speed < 1000) {
+      this.speedEfficiency *= 1.3;
+    }
+
+    // the speed rises slowly but may drop at once
+    const maxRise = 0.5;
+    this.speed += Math.min(targetSpeed - this.speed, maxRise * this.speed);
+  }
+}
+
+export default ForceAtlas2Integrator;
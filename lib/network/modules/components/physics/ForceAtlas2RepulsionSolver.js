@@ -0,0 +1,129 @@
+import BarnesHutSolver from "./BarnesHutSolver";
+import { Alea } from "vis-util/esnext";
+
+/**
+ * The mass of a node in ForceAtlas2 is its degree plus one. It's multiplied by
+ * the mass option so that heavier nodes still repel more.
+ *
+ * @param {Node} node
+ * @returns {number}
+ */
+export function getForceAtlas2Mass(node) {
+  return (node.edges.length + 1) * node.options.mass;
+}
+
+/**
+ * The size of a node ForceAtlas2 prevents overlaps with, the radius of a circle
+ * around the shape of the node.
+ *
+ * @param {Node} node
+ * @returns {number}
+ */
+export function getForceAtlas2Size(node) {
+  const shape = node.shape;
+  if (shape.width !== undefined && shape.height !== undefined) {
+    return 0.5 * Math.max(shape.width, shape.height);
+  }
+  return shape.radius || 0;
+}
+
+/**
+ * The repulsion of ForceAtlas2, all nodes repel each other proportionally to
+ * the product of their masses and inversely proportionally to their distance.
+ * Regions far away are approximated by Barnes Hut.
+ *
+ * "ForceAtlas2, a Continuous Graph Layout Algorithm for Handy Network
+ * Visualization Designed for the Gephi Software"
+ * -- Mathieu JACOMY, Tommaso VENTURINI, Sebastien HEYMANN and Mathieu BASTIAN
+ * in 2014
+ *
+ * @augments BarnesHutSolver
+ */
+class ForceAtlas2RepulsionSolver extends BarnesHutSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    super(body, physicsBody, options);
+
+    this._rng = Alea("FORCE ATLAS 2 REPULSION SOLVER");
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+    this.thetaInversed = 1 / this.options.theta;
+  }
+
+  /**
+   * Calculate the forces based on the distance. Nodes that are close are
+   * repelled by their actual sizes if overlaps are prevented, a lot stronger
+   * if they overlap.
+   *
+   * @param {number} distance
+   * @param {number} dx
+   * @param {number} dy
+   * @param {Node} node
+   * @param {object} parentBranch
+   * @private
+   */
+  _calculateForces(distance, dx, dy, node, parentBranch) {
+    if (distance === 0) {
+      distance = 0.1 * this._rng();
+      dx = distance;
+    }
+
+    const massProduct =
+      this.options.scalingRatio * getForceAtlas2Mass(node) * parentBranch.mass;
+    let repulsionForce;
+    if (
+      this.options.preventOverlap === true &&
+      parentBranch.childrenCount === 1
+    ) {
+      const gap =
+        distance -
+        getForceAtlas2Size(node) -
+        getForceAtlas2Size(parentBranch.children.data);
+      if (gap > 0) {
+        repulsionForce = massProduct / (gap * gap);
+      } else {
+        repulsionForce = 100 * massProduct;
+      }
+    } else {
+      repulsionForce = massProduct / (distance * distance);
+    }
+
+    // the force points away from the branch
+    this.physicsBody.forces[node.id].x -= dx * repulsionForce;
+    this.physicsBody.forces[node.id].y -= dy * repulsionForce;
+  }
+
+  /**
+   * The branches are weighted by the masses of ForceAtlas2.
+   *
+   * @param {object} parentBranch
+   * @param {Node} node
+   * @private
+   */
+  _updateBranchMass(parentBranch, node) {
+    const centerOfMass = parentBranch.centerOfMass;
+    const mass = getForceAtlas2Mass(node);
+    const totalMass = parentBranch.mass + mass;
+    const totalMassInv = 1 / totalMass;
+
+    centerOfMass.x = centerOfMass.x * parentBranch.mass + node.x * mass;
+    centerOfMass.x *= totalMassInv;
+
+    centerOfMass.y = centerOfMass.y * parentBranch.mass + node.y * mass;
+    centerOfMass.y *= totalMassInv;
+
+    parentBranch.mass = totalMass;
+  }
+}
+
+export default ForceAtlas2RepulsionSolver;
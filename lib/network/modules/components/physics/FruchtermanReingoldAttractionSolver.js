@@ -0,0 +1,86 @@
+/**
+ * The attraction of Fruchterman-Reingold, connected nodes attract each other
+ * by the square of their distance divided by the length of the edge. Together
+ * with the repulsion two connected nodes come to rest at the edge length.
+ */
+class FruchtermanReingoldAttractionSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Calculate the attraction of all edges.
+   */
+  solve() {
+    const edgeIndices = this.physicsBody.physicsEdgeIndices;
+    const edges = this.body.edges;
+
+    for (let i = 0; i < edgeIndices.length; i++) {
+      const edge = edges[edgeIndices[i]];
+      if (
+        edge.connected === true &&
+        edge.toId !== edge.fromId &&
+        this.body.nodes[edge.toId] !== undefined &&
+        this.body.nodes[edge.fromId] !== undefined
+      ) {
+        const edgeLength =
+          edge.options.length === undefined
+            ? this.options.springLength
+            : edge.options.length;
+        if (edge.edgeType.via !== undefined) {
+          // the support node of a smooth edge splits it in halves
+          this._calculateForces(edge.from, edge.edgeType.via, 0.5 * edgeLength);
+          this._calculateForces(edge.edgeType.via, edge.to, 0.5 * edgeLength);
+        } else {
+          this._calculateForces(edge.from, edge.to, edgeLength);
+        }
+      }
+    }
+  }
+
+  /**
+   * Calculate the attraction between two nodes.
+   *
+   * @param {Node} node1
+   * @param {Node} node2
+   * @param {number} edgeLength
+   * @private
+   */
+  _calculateForces(node1, node2, edgeLength) {
+    const dx = node1.x - node2.x;
+    const dy = node1.y - node2.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const attractionForce = -distance / edgeLength;
+
+    const fx = dx * attractionForce;
+    const fy = dy * attractionForce;
+
+    // handle the case where one node is not part of the physics
+    if (this.physicsBody.forces[node1.id] !== undefined) {
+      this.physicsBody.forces[node1.id].x += fx;
+      this.physicsBody.forces[node1.id].y += fy;
+    }
+
+    if (this.physicsBody.forces[node2.id] !== undefined) {
+      this.physicsBody.forces[node2.id].x -= fx;
+      this.physicsBody.forces[node2.id].y -= fy;
+    }
+  }
+}
+
+export default FruchtermanReingoldAttractionSolver;
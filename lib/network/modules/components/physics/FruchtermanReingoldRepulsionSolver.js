@@ -0,0 +1,62 @@
+import BarnesHutSolver from "./BarnesHutSolver";
+import { Alea } from "vis-util/esnext";
+
+/**
+ * The repulsion of Fruchterman-Reingold, all nodes repel each other by the
+ * square of the ideal edge length divided by their distance. Regions far away
+ * are approximated by Barnes Hut.
+ *
+ * "Graph Drawing by Force-directed Placement"
+ * -- Thomas M. J. FRUCHTERMAN and Edward M. REINGOLD in 1991
+ *
+ * @augments BarnesHutSolver
+ */
+class FruchtermanReingoldRepulsionSolver extends BarnesHutSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    super(body, physicsBody, options);
+
+    this._rng = Alea("FRUCHTERMAN REINGOLD REPULSION SOLVER");
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+    this.thetaInversed = 1 / this.options.theta;
+  }
+
+  /**
+   * Calculate the forces based on the distance. The masses of the nodes scale
+   * the repulsion, with the default mass of 1 it's the original one.
+   *
+   * @param {number} distance
+   * @param {number} dx
+   * @param {number} dy
+   * @param {Node} node
+   * @param {object} parentBranch
+   * @private
+   */
+  _calculateForces(distance, dx, dy, node, parentBranch) {
+    if (distance === 0) {
+      distance = 0.1 * this._rng();
+      dx = distance;
+    }
+
+    const k = this.options.springLength;
+    const repulsionForce =
+      (k * k * node.options.mass * parentBranch.mass) / (distance * distance);
+
+    // the force points away from the branch
+    this.physicsBody.forces[node.id].x -= dx * repulsionForce;
+    this.physicsBody.forces[node.id].y -= dy * repulsionForce;
+  }
+}
+
+export default FruchtermanReingoldRepulsionSolver;
@@ -0,0 +1,61 @@
+/**
+ * Pulls the nodes of each group towards the centroid of the group, so that the
+ * nodes sharing a group end up close to each other. The pull grows linearly
+ * with the distance to the centroid. Nodes without a group aren't affected.
+ */
+class GroupAttractionSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {{enabled: boolean, strength: number}} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+  }
+
+  /**
+   *
+   * @param {{enabled: boolean, strength: number}} options
+   */
+  setOptions(options) {
+    this.options = options;
+  }
+
+  /**
+   * Calculate the forces towards the centroids of the groups.
+   */
+  solve() {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const forces = this.physicsBody.forces;
+    const strength = this.options.strength;
+
+    const centroids = {};
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const node = nodes[nodeIndices[i]];
+      const group = node.options.group;
+      if (group !== undefined) {
+        const centroid = centroids[group] || { x: 0, y: 0, count: 0 };
+        centroid.x += node.x;
+        centroid.y += node.y;
+        centroid.count++;
+        centroids[group] = centroid;
+      }
+    }
+
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const nodeId = nodeIndices[i];
+      const node = nodes[nodeId];
+      const group = node.options.group;
+      if (group !== undefined && centroids[group].count > 1) {
+        const centroid = centroids[group];
+        forces[nodeId].x += strength * (centroid.x / centroid.count - node.x);
+        forces[nodeId].y += strength * (centroid.y / centroid.count - node.y);
+      }
+    }
+  }
+}
+
+export default GroupAttractionSolver;
@@ -0,0 +1,360 @@
+import { physicsWorkerSource } from "./physicsWorkerSource";
+import { getAnchorStrength, isAnchored } from "./AnchorSolver";
+
+/**
+ * Get the properties of a node the solvers in the worker use, see
+ * `applyNodeDescription` in physicsWorkerThread.js for the other side. The
+ * filters of the anchors can't be sent to the worker, the indices of the
+ * anchors that pull at the node are sent instead.
+ *
+ * @param {Node} node
+ * @param {Array.<object>} anchors
+ * @returns {object}
+ * @private
+ */
+function describeNode(node, anchors) {
+  const anchorIndices = [];
+  for (let a = 0; a < anchors.length; a++) {
+    if (isAnchored(anchors[a], node)) {
+      anchorIndices.push(a);
+    }
+  }
+
+  return {
+    x: node.x,
+    y: node.y,
+    fixedX: node.options.fixed.x,
+    fixedY: node.options.fixed.y,
+    mass: node.options.mass,
+    radius: node.shape.radius,
+    width: node.shape.width,
+    height: node.shape.height,
+    degree: node.edges.length,
+    level: node.level,
+    group: node.options.group,
+    anchors: anchorIndices.join(","),
+  };
+}
+
+/**
+ * Runs the physics solvers in a web worker, this is the main thread side.
+ *
+ * The worker keeps its own copy of the nodes. Changes made on the main thread
+ * (dragging, fixing or moving nodes etc.) are sent to the worker before every
+ * request and the positions computed by the worker are applied to the nodes
+ * when they arrive. Positions of nodes that have been changed on the main
+ * thread in the meantime are kept, the worker gets them with the next request.
+ */
+class PhysicsWorker {
+  /**
+   * @param {object} body
+   * @param {object} physicsBody
+   * @param {Function} onMessage - Called with the messages of the worker
+   * after the positions have been applied.
+   * @param {Function} onError - Called if the worker fails.
+   */
+  constructor(body, physicsBody, onMessage, onError) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+
+    this.url = URL.createObjectURL(
+      new Blob([physicsWorkerSource], { type: "text/javascript" })
+    );
+    try {
+      this.worker = new Worker(this.url);
+    } catch (error) {
+      URL.revokeObjectURL(this.url);
+      throw error;
+    }
+    this.worker.onmessage = (event) => {
+      if (this._receive(event.data)) {
+        onMessage(event.data);
+      }
+    };
+    this.worker.onerror = onError;
+
+    this.anchors = [];
+    this.dataVersion = 0;
+    this.dataChanged = true;
+    this.constraints = null; // the layout constraints known by the worker
+    this.nodeIds = []; // the order of the positions sent by the worker
+    this.nodeStates = {}; // the state of the nodes as known by the worker
+
+    this.stepping = false;
+    this.restarted = false;
+    this.stabilizationRun = 0;
+    this.stabilizing = false;
+  }
+
+  /**
+   * Find out whether web workers can be created from blobs in this
+   * environment. The source of the worker is only available in the built
+   * bundles of the library.
+   *
+   * @returns {boolean}
+   * @static
+   */
+  static isSupported() {
+    return (
+      physicsWorkerSource !== null &&
+      typeof Worker === "function" &&
+      typeof Blob === "function" &&
+      typeof URL !== "undefined" &&
+      typeof URL.createObjectURL === "function"
+    );
+  }
+
+  /**
+   * Send the options to the worker.
+   *
+   * @param {object} options - The physics options.
+   */
+  setOptions(options) {
+    this.anchors = options.anchors;
+    this.worker.postMessage({
+      type: "options",
+      options: {
+        ...options,
+        worker: false,
+        anchors: options.anchors.map((anchor) => ({
+          x: anchor.x,
+          y: anchor.y,
+          strength: getAnchorStrength(anchor),
+        })),
+      },
+    });
+  }
+
+  /**
+   * Nodes or edges have been added or removed, all of them will be sent with
+   * the next request.
+   */
+  invalidateData() {
+    this.dataChanged = true;
+  }
+
+  /**
+   * The simulation has been (re)started.
+   */
+  start() {
+    // The answer to the pending step is outdated now, it can't stop the
+    // simulation anymore.
+    this.restarted = this.stepping;
+    this.worker.postMessage({ type: "start" });
+  }
+
+  /**
+   * Request one frame of the simulation unless the previous one is still
+   * being computed.
+   *
+   * @returns {boolean} True if the frame has been requested.
+   */
+  step() {
+    if (this.stepping === true) {
+      return false;
+    }
+
+    this._sync();
+    this.stepping = true;
+    this.worker.postMessage({ type: "step" });
+    return true;
+  }
+
+  /**
+   * Start a stabilization in the worker, this cancels the running one.
+   *
+   * @param {number} iterations
+   * @param {number} updateInterval
+   * @param {boolean} adaptiveTimestep
+   */
+  stabilize(iterations, updateInterval, adaptiveTimestep) {
+    this._sync();
+    this.stabilizationRun++;
+    this.stabilizing = true;
+    this.worker.postMessage({
+      type: "stabilize",
+      run: this.stabilizationRun,
+      iterations,
+      updateInterval,
+      adaptiveTimestep,
+    });
+  }
+
+  /**
+   * Stop the worker for good.
+   */
+  terminate() {
+    this.worker.terminate();
+    URL.revokeObjectURL(this.url);
+  }
+
+  /**
+   * Send the changes made on the main thread to the worker.
+   *
+   * @private
+   */
+  _sync() {
+    if (
+      this.dataChanged === true ||
+      this.constraints !== this.body.modules.layoutConstraints.constraints
+    ) {
+      this._sendData();
+      return;
+    }
+
+    const nodes = this.body.nodes;
+    const updates = [];
+    for (const nodeId in this.nodeStates) {
+      if (nodes[nodeId] !== undefined) {
+        const state = this.nodeStates[nodeId];
+        const current = describeNode(nodes[nodeId], this.anchors);
+        let update;
+        for (const key in current) {
+          if (current[key] !== state[key]) {
+            update = update || { id: nodes[nodeId].id };
+            update[key] = state[key] = current[key];
+          }
+        }
+        if (update !== undefined) {
+          updates.push(update);
+        }
+      }
+    }
+
+    if (updates.length > 0) {
+      this.worker.postMessage({ type: "update", nodes: updates });
+    }
+  }
+
+  /**
+   * Send all the nodes and edges relevant to the physics to the worker.
+   *
+   * @private
+   */
+  _sendData() {
+    const nodes = this.body.nodes;
+    const edges = this.body.edges;
+    const data = {
+      type: "data",
+      version: ++this.dataVersion,
+      nodes: [],
+      edges: [],
+    };
+    this.nodeStates = {};
+
+    const addNode = (nodeId, physics) => {
+      if (
+        this.nodeStates[nodeId] === undefined &&
+        nodes[nodeId] !== undefined
+      ) {
+        const state = describeNode(nodes[nodeId], this.anchors);
+        this.nodeStates[nodeId] = state;
+        data.nodes.push({ ...state, id: nodes[nodeId].id, physics });
+      }
+    };
+
+    // The simulated nodes go first so that their order is preserved.
+    this.nodeIds = this.physicsBody.physicsNodeIndices.slice();
+    for (let i = 0; i < this.nodeIds.length; i++) {
+      addNode(this.nodeIds[i], true);
+    }
+
+    // Edges may be attached to nodes that are not simulated, the solvers still
+    // need their positions.
+    const edgeIndices = this.physicsBody.physicsEdgeIndices;
+    for (let i = 0; i < edgeIndices.length; i++) {
+      const edge = edges[edgeIndices[i]];
+      if (edge.connected === true) {
+        const via = edge.edgeType.via;
+        data.edges.push({
+          id: edge.id,
+          fromId: edge.fromId,
+          toId: edge.toId,
+          viaId: via !== undefined ? via.id : undefined,
+          length: edge.options.length,
+          weight: edge.options.value,
+        });
+        addNode(edge.fromId, false);
+        addNode(edge.toId, false);
+        if (via !== undefined) {
+          addNode(via.id, false);
+        }
+      }
+    }
+
+    // The constraints may refer to nodes that are not simulated either.
+    const constraints = this.body.modules.layoutConstraints;
+    const constraintNodeIds = constraints.getNodeIds();
+    for (let i = 0; i < constraintNodeIds.length; i++) {
+      addNode(constraintNodeIds[i], false);
+    }
+    this.constraints = data.constraints = constraints.constraints;
+
+    this.dataChanged = false;
+    this.worker.postMessage(data);
+  }
+
+  /**
+   * Process a message from the worker before it's passed on.
+   *
+   * @param {object} message
+   * @returns {boolean} False if the message is outdated and has to be ignored.
+   * @private
+   */
+  _receive(message) {
+    if (message.type === "positions") {
+      this.stepping = false;
+      message.stabilized = message.stabilized && !this.restarted;
+      this.restarted = false;
+      this._applyPositions(message);
+      return true;
+    }
+
+    // Messages of a stabilization that has been replaced by a newer one.
+    if (message.run !== this.stabilizationRun) {
+      return false;
+    }
+    if (message.type === "stabilization") {
+      this.stabilizing = false;
+      this._applyPositions(message);
+    }
+    return true;
+  }
+
+  /**
+   * Move the nodes to the positions computed by the worker.
+   *
+   * @param {{version: number, positions: Float64Array}} message
+   * @private
+   */
+  _applyPositions(message) {
+    // The order of the positions doesn't match the nodes anymore.
+    if (message.version !== this.dataVersion) {
+      return;
+    }
+
+    const nodes = this.body.nodes;
+    const positions = message.positions;
+    for (let i = 0; i < this.nodeIds.length; i++) {
+      const node = nodes[this.nodeIds[i]];
+      const state = this.nodeStates[this.nodeIds[i]];
+      if (node !== undefined) {
+        const x = positions[2 * i];
+        const y = positions[2 * i + 1];
+        // Keep the position if the node has been moved or fixed on the main
+        // thread, the state differs then and it's sent with the next request.
+        if (node.x === state.x && node.options.fixed.x === false) {
+          node.x = x;
+        }
+        if (node.y === state.y && node.options.fixed.y === false) {
+          node.y = y;
+        }
+        state.x = x;
+        state.y = y;
+      }
+    }
+    this.body.emitter.emit("_nodesMoved", this.nodeIds);
+  }
+}
+
+export default PhysicsWorker;
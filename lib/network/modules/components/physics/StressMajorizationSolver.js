@@ -0,0 +1,141 @@
+import ShortestPaths, { UNREACHABLE } from "../algorithms/ShortestPaths";
+import { Alea } from "vis-util/esnext";
+
+/**
+ * Stress majorization, the distance of every pair of nodes should be the
+ * length of the shortest path between them, the lengths of the edges add up
+ * along the paths. Every iteration moves each node towards the position that
+ * minimizes its stress given the positions of all other nodes, weighted by the
+ * inverse square of the target distances so that the neighbourhood counts
+ * most.
+ *
+ * "Graph Drawing by Stress Majorization"
+ * -- Emden R. GANSNER, Yehuda KOREN and Stephen NORTH in 2004
+ *
+ * There are no separate repulsion and attraction, this solver accounts for all
+ * nodes and edges. The forces are the displacements towards the positions.
+ */
+class StressMajorizationSolver {
+  /**
+   * @param {object} body
+   * @param {{physicsNodeIndices: Array, physicsEdgeIndices: Array, forces: {}, velocities: {}}} physicsBody
+   * @param {object} options
+   */
+  constructor(body, physicsBody, options) {
+    this.body = body;
+    this.physicsBody = physicsBody;
+    this.setOptions(options);
+
+    this._rng = Alea("STRESS MAJORIZATION SOLVER");
+  }
+
+  /**
+   *
+   * @param {object} options
+   */
+  setOptions(options) {
+    this.options = options;
+
+    // the target distances depend on the spring length
+    this._distances = null;
+  }
+
+  /**
+   * Calculate the displacements of all nodes.
+   */
+  solve() {
+    const nodes = this.body.nodes;
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const forces = this.physicsBody.forces;
+    const size = nodeIndices.length;
+    const distances = this._getDistances();
+
+    for (let i = 0; i < size; i++) {
+      const node = nodes[nodeIndices[i]];
+      let x = 0;
+      let y = 0;
+      let totalWeight = 0;
+      for (let j = 0; j < size; j++) {
+        const distance = distances[i * size + j];
+        if (j === i || distance === 0) {
+          continue;
+        }
+
+        const other = nodes[nodeIndices[j]];
+        let dx = node.x - other.x;
+        let dy = node.y - other.y;
+        let currentDistance = Math.sqrt(dx * dx + dy * dy);
+        if (currentDistance === 0) {
+          dx = 0.1 * this._rng();
+          dy = 0;
+          currentDistance = dx;
+        }
+
+        // where the other node wants this one to be
+        const weight = 1 / (distance * distance);
+        const scale = distance / currentDistance;
+        x += weight * (other.x + dx * scale);
+        y += weight * (other.y + dy * scale);
+        totalWeight += weight;
+      }
+
+      // All nodes move at once, the full step makes neighbours that are too
+      // close jump over each other back and forth. Half of it converges.
+      if (totalWeight > 0) {
+        forces[node.id].x += 0.5 * (x / totalWeight - node.x);
+        forces[node.id].y += 0.5 * (y / totalWeight - node.y);
+      }
+    }
+  }
+
+  /**
+   * The target distances between the simulated nodes, they are kept until the
+   * nodes or edges of the simulation change.
+   *
+   * @returns {Float64Array} The distance between node i and j is at
+   * `i * size + j`.
+   * @private
+   */
+  _getDistances() {
+    const nodeIndices = this.physicsBody.physicsNodeIndices;
+    const edgeIndices = this.physicsBody.physicsEdgeIndices;
+    if (
+      this._distances !== null &&
+      this._nodeIndices === nodeIndices &&
+      this._edgeIndices === edgeIndices
+    ) {
+      return this._distances;
+    }
+
+    const paths = new ShortestPaths(
+      this.body,
+      nodeIndices,
+      edgeIndices,
+      (edge) =>
+        edge.options.length === undefined
+          ? this.options.springLength
+          : edge.options.length
+    );
+    const distances = paths.getDistances();
+
+    // unconnected parts are kept a little further apart than the longest path
+    let maxDistance = 0;
+    for (let i = 0; i < distances.length; i++) {
+      if (distances[i] !== UNREACHABLE) {
+        maxDistance = Math.max(maxDistance, distances[i]);
+      }
+    }
+    for (let i = 0; i < distances.length; i++) {
+      if (distances[i] === UNREACHABLE) {
+        distances[i] = maxDistance + this.options.springLength;
+      }
+    }
+
+    this._distances = distances;
+    this._nodeIndices = nodeIndices;
+    this._edgeIndices = edgeIndices;
+    return distances;
+  }
+}
+
+export default StressMajorizationSolver;
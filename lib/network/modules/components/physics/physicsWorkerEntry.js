@@ -0,0 +1,3 @@
+import { startPhysicsWorker } from "./physicsWorkerThread";
+
+startPhysicsWorker(self);
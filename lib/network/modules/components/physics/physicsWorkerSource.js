@@ -0,0 +1,13 @@
+/**
+ * The source code of the physics web worker.
+ *
+ * The worker is created from a blob so that it works with every bundle of the
+ * library without any additional files. The worker is built from
+ * physicsWorkerEntry.js by the physics worker Rollup plugin
+ * (rollup.physics-worker.js) which replaces this module with the bundled
+ * code. It's null in the sources, the physics run on the main
+ * thread then.
+ *
+ * @type {string | null}
+ */
+export const physicsWorkerSource = null;
@@ -0,0 +1,223 @@
+import Emitter from "component-emitter";
+import PhysicsEngine from "../../PhysicsEngine";
+import LayoutConstraints from "../algorithms/LayoutConstraints";
+
+/**
+ * Apply the properties of a node described by the main thread (see
+ * `describeNode` in PhysicsWorker.js) to the node in the worker. The nodes in
+ * the worker only have the properties the solvers use.
+ *
+ * @param {object} node - The node in the worker.
+ * @param {object} description - All or only the changed properties.
+ * @private
+ */
+function applyNodeDescription(node, description) {
+  for (const key in description) {
+    const value = description[key];
+    switch (key) {
+      case "x":
+      case "y":
+      case "level":
+        node[key] = value;
+        break;
+      case "fixedX":
+        node.options.fixed.x = value;
+        break;
+      case "fixedY":
+        node.options.fixed.y = value;
+        break;
+      case "mass":
+      case "group":
+      case "physics":
+        node.options[key] = value;
+        break;
+      case "anchors":
+        node.options.anchors = value === "" ? [] : value.split(",").map(Number);
+        break;
+      case "radius":
+      case "width":
+      case "height":
+        node.shape[key] = value;
+        break;
+      case "degree":
+        // The solvers only count the edges.
+        node.edges.length = value;
+        break;
+    }
+  }
+}
+
+/**
+ * Run the physics of the main thread in a web worker, this is the worker side
+ * of PhysicsWorker. The same PhysicsEngine simulates the nodes here, so the
+ * positions are exactly the same as they would be on the main thread.
+ *
+ * Messages from the main thread:
+ * - options: the physics options, anchors without filters.
+ * - data: all the nodes, the edges and the layout constraints.
+ * - update: changed properties of some of the nodes.
+ * - start: the simulation is (re)started.
+ * - step: run one frame of the simulation.
+ * - stabilize: run a stabilization in batches.
+ *
+ * Messages to the main thread:
+ * - positions: the positions after a frame of the simulation.
+ * - progress: the progress of a running stabilization.
+ * - stabilization: the positions after a finished stabilization.
+ *
+ * The data contains the nodes that aren't simulated (their `physics` is false)
+ * too, the edges and constraints may refer to them. The positions are sent as
+ * a Float64Array of x and y pairs in the order of the simulated nodes in the
+ * last data message.
+ *
+ * @param {object} scope - The global scope of the worker.
+ */
+export function startPhysicsWorker(scope) {
+  const body = {
+    nodes: {},
+    edges: {},
+    emitter: new Emitter(),
+    modules: {},
+  };
+  body.modules.layoutConstraints = new LayoutConstraints(body);
+  const engine = new PhysicsEngine(body);
+
+  let dataVersion = 0;
+  let stabilizationRun = null;
+
+  const postPositions = (message) => {
+    const nodeIndices = engine.physicsBody.physicsNodeIndices;
+    const positions = new Float64Array(2 * nodeIndices.length);
+    for (let i = 0; i < nodeIndices.length; i++) {
+      const node = body.nodes[nodeIndices[i]];
+      positions[2 * i] = node.x;
+      positions[2 * i + 1] = node.y;
+    }
+
+    message.version = dataVersion;
+    message.positions = positions;
+    message.stabilized = engine.stabilized;
+    scope.postMessage(message, [positions.buffer]);
+  };
+
+  const setData = (message) => {
+    body.nodes = {};
+    body.edges = {};
+
+    // The simulated nodes come first in the order of the main thread, the
+    // physics engine therefore finds them in the same order too.
+    for (const description of message.nodes) {
+      const node = {
+        id: description.id,
+        options: { fixed: {} },
+        shape: {},
+        edges: { length: 0 },
+      };
+      applyNodeDescription(node, description);
+      body.nodes[node.id] = node;
+    }
+
+    for (const { id, fromId, toId, viaId, length, weight } of message.edges) {
+      body.edges[id] = {
+        id,
+        fromId,
+        toId,
+        from: body.nodes[fromId],
+        to: body.nodes[toId],
+        connected: true,
+        edgeType: {
+          via: viaId !== undefined ? body.nodes[viaId] : undefined,
+        },
+        options: { physics: true, length, value: weight },
+      };
+    }
+
+    body.modules.layoutConstraints.constraints = message.constraints;
+    dataVersion = message.version;
+    engine.updatePhysicsData();
+  };
+
+  const stabilizationBatch = (run) => {
+    // A newer stabilization has been started in the meantime.
+    if (run !== stabilizationRun) {
+      return;
+    }
+
+    if (engine.stabilizeBatch(run.updateInterval)) {
+      scope.postMessage({
+        type: "progress",
+        run: run.id,
+        iterations: engine.stabilizationIterations,
+      });
+      // Yield so that updates from the main thread can be processed.
+      setTimeout(() => {
+        stabilizationBatch(run);
+      }, 0);
+    } else {
+      stabilizationRun = null;
+      postPositions({
+        type: "stabilization",
+        run: run.id,
+        iterations: engine.stabilizationIterations,
+      });
+    }
+  };
+
+  const start = (adaptiveTimestep) => {
+    engine.stabilized = false;
+    engine.adaptiveTimestep = adaptiveTimestep;
+    if (engine.integrator !== undefined) {
+      engine.integrator.start();
+    }
+  };
+
+  scope.onmessage = (event) => {
+    const message = event.data;
+    switch (message.type) {
+      case "options": {
+        // The filters of the anchors are replaced by the indices of the
+        // anchors each node is pulled by.
+        const anchors = message.options.anchors.map((anchor, a) => ({
+          ...anchor,
+          filter: (options) => options.anchors.indexOf(a) !== -1,
+        }));
+        engine.options = { ...message.options, anchors };
+        engine.timestep = engine.options.timestep;
+        engine.init();
+        break;
+      }
+      case "data":
+        setData(message);
+        break;
+      case "update":
+        for (const description of message.nodes) {
+          if (body.nodes[description.id] !== undefined) {
+            applyNodeDescription(body.nodes[description.id], description);
+          }
+        }
+        break;
+      case "start":
+        start(false);
+        break;
+      case "step": {
+        const iterations = engine.stabilizationIterations;
+        engine.simulateFrame();
+        postPositions({
+          type: "positions",
+          iterations: engine.stabilizationIterations - iterations,
+        });
+        break;
+      }
+      case "stabilize":
+        start(message.adaptiveTimestep);
+        engine.stabilizationIterations = 0;
+        engine.targetIterations = message.iterations;
+        stabilizationRun = {
+          id: message.run,
+          updateInterval: message.updateInterval,
+        };
+        stabilizationBatch(stabilizationRun);
+        break;
+    }
+  };
+}
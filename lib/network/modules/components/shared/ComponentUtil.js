@@ -106,6 +106,36 @@ export function pointInRect(rect, point, rotationPoint) {
   );
 }
 
+/**
+ * Recursively redirect the prototype of JSON objects to the reference object.
+ * This is used for default options.
+ *
+ * The same as bridgeObject of vis-util except that it also works without a
+ * DOM (the layout can be computed in Node.js).
+ *
+ * @param {object} referenceObject - The original object.
+ * @returns {object} The referenceObject if it's a DOM element, or a new object
+ * inheriting from the referenceObject.
+ */
+export function bridgeObject(referenceObject) {
+  if (referenceObject === null || typeof referenceObject !== "object") {
+    return null;
+  }
+  if (typeof Element !== "undefined" && referenceObject instanceof Element) {
+    // Avoid bridging DOM objects
+    return referenceObject;
+  }
+  const objectTo = Object.create(referenceObject);
+  for (const i in referenceObject) {
+    if (Object.prototype.hasOwnProperty.call(referenceObject, i)) {
+      if (typeof referenceObject[i] == "object") {
+        objectTo[i] = bridgeObject(referenceObject[i]);
+      }
+    }
+  }
+  return objectTo;
+}
+
 /**
  * Check if given value is acceptable as a label text.
  *
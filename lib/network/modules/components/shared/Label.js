@@ -413,6 +413,9 @@ class Label {
     // if no label, return
     if (this.elementOptions.label === undefined) return;
 
+    // exporters can ask for a drawing without any labels
+    if (ctx.includeLabels === false) return;
+
     // check if we have to render the label
     let viewFontSize = this.fontOptions.size * this.body.view.scale;
     if (
@@ -0,0 +1,830 @@
+import { escapeXML } from "../../xml-utils";
+
+/**
+ * Affine transformation matrix in the same order as the arguments of
+ * `CanvasRenderingContext2D.setTransform(a, b, c, d, e, f)`.
+ */
+type Matrix = [number, number, number, number, number, number];
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+interface CanvasImageLike {
+  src?: string;
+  toDataURL?(): string;
+  width: number;
+  height: number;
+}
+
+interface SVGContextState {
+  transform: Matrix;
+  fillStyle: string | SVGLinearGradient;
+  strokeStyle: string | SVGLinearGradient;
+  lineWidth: number;
+  lineCap: string;
+  lineJoin: string;
+  lineDash: number[];
+  lineDashOffset: number;
+  font: string;
+  textAlign: string;
+  textBaseline: string;
+  globalAlpha: number;
+  shadowColor: string;
+  shadowBlur: number;
+  shadowOffsetX: number;
+  shadowOffsetY: number;
+  clipPath: string | null;
+}
+
+export interface SVGContextOptions {
+  /**
+   * If false labels are not drawn into this context at all.
+   */
+  includeLabels?: boolean;
+}
+
+export interface SVGRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+const IDENTITY: Matrix = [1, 0, 0, 1, 0, 0];
+
+const TEXT_BASELINES: Record<string, string> = {
+  alphabetic: "alphabetic",
+  bottom: "text-after-edge",
+  hanging: "hanging",
+  ideographic: "ideographic",
+  middle: "central",
+  top: "text-before-edge",
+};
+
+const TEXT_ANCHORS: Record<string, string> = {
+  center: "middle",
+  end: "end",
+  left: "start",
+  right: "end",
+  start: "start",
+};
+
+/**
+ * Format a number for the output, three decimal places are more than enough
+ * for anything visible and keep the document small.
+ *
+ * @param value - The number to be formatted.
+ *
+ * @returns The formatted number.
+ */
+function num(value: number): string {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Serialize attributes into a string, attributes with null or undefined
+ * values are omitted.
+ *
+ * @param attributes - Attribute names and values.
+ *
+ * @returns The attributes including a leading space.
+ */
+function serializeAttributes(
+  attributes: Record<string, string | number | null | undefined>
+): string {
+  let result = "";
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value != null) {
+      result += ` ${name}="${escapeXML(
+        typeof value === "number" ? num(value) : value
+      )}"`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Multiply two matrices (m1 × m2).
+ *
+ * @param m1 - The left matrix.
+ * @param m2 - The right matrix.
+ *
+ * @returns The product.
+ */
+function multiply(m1: Matrix, m2: Matrix): Matrix {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * A linear gradient as created by `createLinearGradient`, it's coordinates are
+ * resolved using the transformation at the time it's used for painting.
+ */
+export class SVGLinearGradient {
+  public readonly stops: { offset: number; color: string }[] = [];
+
+  /**
+   * @param x0 - The x coordinate of the start point.
+   * @param y0 - The y coordinate of the start point.
+   * @param x1 - The x coordinate of the end point.
+   * @param y1 - The y coordinate of the end point.
+   */
+  public constructor(
+    public readonly x0: number,
+    public readonly y0: number,
+    public readonly x1: number,
+    public readonly y1: number
+  ) {}
+
+  /**
+   * @param offset - Position of the stop between 0 and 1.
+   * @param color - Color of the stop.
+   */
+  public addColorStop(offset: number, color: string): void {
+    this.stops.push({ offset, color });
+  }
+}
+
+/**
+ * Implements the subset of `CanvasRenderingContext2D` used by the network
+ * components but instead of painting pixels it records SVG elements. This way
+ * nodes, edges, arrows and labels can be replayed by their own drawing code and
+ * the output matches what is drawn on the canvas.
+ *
+ * Paths are stored in the coordinates of the document (the transformation
+ * active when a point is added is applied right away) just like the canvas
+ * does it.
+ */
+export class SVGContext {
+  /**
+   * Checked by labels, if false they don't draw anything.
+   */
+  public readonly includeLabels: boolean;
+
+  #measureCtx: CanvasRenderingContext2D | null;
+  #state: SVGContextState = {
+    transform: IDENTITY,
+    fillStyle: "#000000",
+    strokeStyle: "#000000",
+    lineWidth: 1,
+    lineCap: "butt",
+    lineJoin: "miter",
+    lineDash: [],
+    lineDashOffset: 0,
+    font: "10px sans-serif",
+    textAlign: "start",
+    textBaseline: "alphabetic",
+    globalAlpha: 1,
+    shadowColor: "rgba(0, 0, 0, 0)",
+    shadowBlur: 0,
+    shadowOffsetX: 0,
+    shadowOffsetY: 0,
+    clipPath: null,
+  };
+  #stack: SVGContextState[] = [];
+
+  #path: string[] = [];
+  #current: Point | null = null;
+  #subpathStart: Point | null = null;
+
+  #defs: string[] = [];
+  #filters = new Map<string, string>();
+  #elements: string[] = [];
+  #nextId = 0;
+
+  /**
+   * @param measureCtx - A real 2D context used to measure text. Without it
+   * text width is estimated from the font size.
+   * @param options - Additional options.
+   */
+  public constructor(
+    measureCtx: CanvasRenderingContext2D | null = null,
+    options: SVGContextOptions = {}
+  ) {
+    this.#measureCtx = measureCtx;
+    this.includeLabels = options.includeLabels !== false;
+  }
+
+  // Drawing state properties.
+
+  public get fillStyle(): string | SVGLinearGradient {
+    return this.#state.fillStyle;
+  }
+  public set fillStyle(value: string | SVGLinearGradient) {
+    this.#state.fillStyle = value;
+  }
+  public get strokeStyle(): string | SVGLinearGradient {
+    return this.#state.strokeStyle;
+  }
+  public set strokeStyle(value: string | SVGLinearGradient) {
+    this.#state.strokeStyle = value;
+  }
+  public get lineWidth(): number {
+    return this.#state.lineWidth;
+  }
+  public set lineWidth(value: number) {
+    this.#state.lineWidth = value;
+  }
+  public get lineCap(): string {
+    return this.#state.lineCap;
+  }
+  public set lineCap(value: string) {
+    this.#state.lineCap = value;
+  }
+  public get lineJoin(): string {
+    return this.#state.lineJoin;
+  }
+  public set lineJoin(value: string) {
+    this.#state.lineJoin = value;
+  }
+  public get lineDashOffset(): number {
+    return this.#state.lineDashOffset;
+  }
+  public set lineDashOffset(value: number) {
+    this.#state.lineDashOffset = value;
+  }
+  public get font(): string {
+    return this.#state.font;
+  }
+  public set font(value: string) {
+    this.#state.font = value;
+  }
+  public get textAlign(): string {
+    return this.#state.textAlign;
+  }
+  public set textAlign(value: string) {
+    this.#state.textAlign = value;
+  }
+  public get textBaseline(): string {
+    return this.#state.textBaseline;
+  }
+  public set textBaseline(value: string) {
+    this.#state.textBaseline = value;
+  }
+  public get globalAlpha(): number {
+    return this.#state.globalAlpha;
+  }
+  public set globalAlpha(value: number) {
+    this.#state.globalAlpha = value;
+  }
+  public get shadowColor(): string {
+    return this.#state.shadowColor;
+  }
+  public set shadowColor(value: string) {
+    this.#state.shadowColor = value;
+  }
+  public get shadowBlur(): number {
+    return this.#state.shadowBlur;
+  }
+  public set shadowBlur(value: number) {
+    this.#state.shadowBlur = value;
+  }
+  public get shadowOffsetX(): number {
+    return this.#state.shadowOffsetX;
+  }
+  public set shadowOffsetX(value: number) {
+    this.#state.shadowOffsetX = value;
+  }
+  public get shadowOffsetY(): number {
+    return this.#state.shadowOffsetY;
+  }
+  public set shadowOffsetY(value: number) {
+    this.#state.shadowOffsetY = value;
+  }
+
+  public setLineDash(segments: number[]): void {
+    this.#state.lineDash = segments.slice();
+  }
+  public getLineDash(): number[] {
+    return this.#state.lineDash.slice();
+  }
+
+  // State stack.
+
+  public save(): void {
+    this.#stack.push({
+      ...this.#state,
+      lineDash: this.#state.lineDash.slice(),
+    });
+  }
+  public restore(): void {
+    const state = this.#stack.pop();
+    if (state) {
+      this.#state = state;
+    }
+  }
+
+  // Transformations.
+
+  public setTransform(
+    a: number,
+    b: number,
+    c: number,
+    d: number,
+    e: number,
+    f: number
+  ): void {
+    this.#state.transform = [a, b, c, d, e, f];
+  }
+  public resetTransform(): void {
+    this.#state.transform = IDENTITY;
+  }
+  public transform(
+    a: number,
+    b: number,
+    c: number,
+    d: number,
+    e: number,
+    f: number
+  ): void {
+    this.#state.transform = multiply(this.#state.transform, [a, b, c, d, e, f]);
+  }
+  public translate(x: number, y: number): void {
+    this.transform(1, 0, 0, 1, x, y);
+  }
+  public scale(x: number, y: number): void {
+    this.transform(x, 0, 0, y, 0, 0);
+  }
+  public rotate(angle: number): void {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  }
+
+  // Paths.
+
+  public beginPath(): void {
+    this.#path = [];
+    this.#current = null;
+    this.#subpathStart = null;
+  }
+  public closePath(): void {
+    if (this.#subpathStart !== null) {
+      this.#path.push("Z");
+      this.#current = this.#subpathStart;
+    }
+  }
+  public moveTo(x: number, y: number): void {
+    const point = this.#apply(x, y);
+    this.#path.push(`M${num(point.x)} ${num(point.y)}`);
+    this.#current = point;
+    this.#subpathStart = point;
+  }
+  public lineTo(x: number, y: number): void {
+    if (this.#current === null) {
+      this.moveTo(x, y);
+      return;
+    }
+    const point = this.#apply(x, y);
+    this.#path.push(`L${num(point.x)} ${num(point.y)}`);
+    this.#current = point;
+  }
+  public quadraticCurveTo(
+    cpx: number,
+    cpy: number,
+    x: number,
+    y: number
+  ): void {
+    this.#ensureSubpath(cpx, cpy);
+    const cp = this.#apply(cpx, cpy);
+    const point = this.#apply(x, y);
+    this.#path.push(
+      `Q${num(cp.x)} ${num(cp.y)} ${num(point.x)} ${num(point.y)}`
+    );
+    this.#current = point;
+  }
+  public bezierCurveTo(
+    cp1x: number,
+    cp1y: number,
+    cp2x: number,
+    cp2y: number,
+    x: number,
+    y: number
+  ): void {
+    this.#ensureSubpath(cp1x, cp1y);
+    const cp1 = this.#apply(cp1x, cp1y);
+    const cp2 = this.#apply(cp2x, cp2y);
+    const point = this.#apply(x, y);
+    this.#path.push(
+      `C${num(cp1.x)} ${num(cp1.y)} ${num(cp2.x)} ${num(cp2.y)} ${num(
+        point.x
+      )} ${num(point.y)}`
+    );
+    this.#current = point;
+  }
+  public rect(x: number, y: number, width: number, height: number): void {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+    this.moveTo(x, y);
+  }
+  public arc(
+    x: number,
+    y: number,
+    radius: number,
+    startAngle: number,
+    endAngle: number,
+    counterclockwise = false
+  ): void {
+    const [a, b] = this.#state.transform;
+    const rotation = Math.atan2(b, a);
+    const r = radius * this.#getScale();
+    const center = this.#apply(x, y);
+
+    let sweep = counterclockwise
+      ? startAngle - endAngle
+      : endAngle - startAngle;
+    if (sweep >= 2 * Math.PI) {
+      sweep = 2 * Math.PI;
+    } else {
+      sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    }
+
+    const start = startAngle + rotation;
+    const direction = counterclockwise ? -1 : 1;
+    const pointAt = (angle: number): Point => ({
+      x: center.x + r * Math.cos(angle),
+      y: center.y + r * Math.sin(angle),
+    });
+
+    const startPoint = pointAt(start);
+    this.#path.push(
+      `${this.#current === null ? "M" : "L"}${num(startPoint.x)} ${num(
+        startPoint.y
+      )}`
+    );
+    if (this.#current === null) {
+      this.#subpathStart = startPoint;
+    }
+    this.#current = startPoint;
+
+    if (sweep === 0 || r <= 0) {
+      return;
+    }
+
+    // SVG can't draw a full circle as a single arc, split it in halves.
+    const segments = sweep > Math.PI ? 2 : 1;
+    for (let i = 1; i <= segments; ++i) {
+      const point = pointAt(start + (direction * sweep * i) / segments);
+      this.#path.push(
+        `A${num(r)} ${num(r)} 0 0 ${counterclockwise ? 0 : 1} ${num(
+          point.x
+        )} ${num(point.y)}`
+      );
+      this.#current = point;
+    }
+  }
+
+  // Painting.
+
+  public fill(): void {
+    this.#paintPath(this.#path.join(""), "fill");
+  }
+  public stroke(): void {
+    this.#paintPath(this.#path.join(""), "stroke");
+  }
+  public clip(): void {
+    const id = this.#createId("clip");
+    this.#defs.push(
+      `<clipPath${serializeAttributes({
+        id,
+        "clip-path": this.#state.clipPath && `url(#${this.#state.clipPath})`,
+        clipPathUnits: "userSpaceOnUse",
+      })}><path${serializeAttributes({ d: this.#path.join("") })}/></clipPath>`
+    );
+    this.#state.clipPath = id;
+  }
+  public fillRect(x: number, y: number, width: number, height: number): void {
+    this.#paintPath(this.#rectPath(x, y, width, height), "fill");
+  }
+  public strokeRect(x: number, y: number, width: number, height: number): void {
+    this.#paintPath(this.#rectPath(x, y, width, height), "stroke");
+  }
+  /**
+   * There is nothing to clear in a document that is built from scratch.
+   */
+  public clearRect(): void {}
+
+  public createLinearGradient(
+    x0: number,
+    y0: number,
+    x1: number,
+    y1: number
+  ): SVGLinearGradient {
+    return new SVGLinearGradient(x0, y0, x1, y1);
+  }
+
+  // Text.
+
+  public measureText(text: string): TextMetrics {
+    if (this.#measureCtx !== null) {
+      this.#measureCtx.save();
+      this.#measureCtx.font = this.#state.font;
+      const metrics = this.#measureCtx.measureText(text);
+      this.#measureCtx.restore();
+      return metrics;
+    }
+
+    const size = /(\d*\.?\d+)px/.exec(this.#state.font);
+    return {
+      width: 0.6 * (size ? +size[1] : 10) * text.length,
+    } as TextMetrics;
+  }
+  public fillText(text: string, x: number, y: number): void {
+    this.#paintText(text, x, y, "fill");
+  }
+  public strokeText(text: string, x: number, y: number): void {
+    this.#paintText(text, x, y, "stroke");
+  }
+
+  // Images.
+
+  public drawImage(image: CanvasImageLike, ...args: number[]): void {
+    const href =
+      typeof image.toDataURL === "function" ? image.toDataURL() : image.src;
+    if (href == null) {
+      return;
+    }
+
+    let sx = 0;
+    let sy = 0;
+    let sw = image.width;
+    let sh = image.height;
+    let dx, dy, dw, dh;
+    if (args.length >= 8) {
+      [sx, sy, sw, sh, dx, dy, dw, dh] = args;
+    } else if (args.length >= 4) {
+      [dx, dy, dw, dh] = args;
+    } else {
+      [dx, dy] = args;
+      dw = image.width;
+      dh = image.height;
+    }
+
+    // A nested viewport crops the source rectangle out of the image.
+    this.#elements.push(
+      `<svg${serializeAttributes({
+        x: dx,
+        y: dy,
+        width: dw,
+        height: dh,
+        viewBox: `${num(sx)} ${num(sy)} ${num(sw)} ${num(sh)}`,
+        preserveAspectRatio: "none",
+        overflow: "hidden",
+      })}><image${serializeAttributes({
+        width: image.width,
+        height: image.height,
+        href,
+        "xlink:href": href,
+      })}/></svg>`
+    );
+    this.#wrapLast(this.#state.transform);
+  }
+
+  /**
+   * Serialize everything drawn so far into a standalone SVG document.
+   *
+   * @param region - The part of the drawing (in canvas coordinates) that will
+   * be visible in the document.
+   * @param background - Optional background color of the document.
+   *
+   * @returns The SVG document.
+   */
+  public toSVG(region: SVGRegion, background?: string): string {
+    const viewBox = [region.x, region.y, region.width, region.height]
+      .map(num)
+      .join(" ");
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      `<svg${serializeAttributes({
+        xmlns: "http://www.w3.org/2000/svg",
+        "xmlns:xlink": "http://www.w3.org/1999/xlink",
+        version: "1.1",
+        width: region.width,
+        height: region.height,
+        viewBox,
+      })}>`,
+      ...(this.#defs.length ? ["<defs>", ...this.#defs, "</defs>"] : []),
+      ...(background
+        ? [
+            `<rect${serializeAttributes({
+              x: region.x,
+              y: region.y,
+              width: region.width,
+              height: region.height,
+              fill: background,
+            })}/>`,
+          ]
+        : []),
+      ...this.#elements,
+      "</svg>",
+    ].join("\n");
+  }
+
+  // Internals.
+
+  #apply(x: number, y: number): Point {
+    const [a, b, c, d, e, f] = this.#state.transform;
+    return { x: a * x + c * y + e, y: b * x + d * y + f };
+  }
+
+  #getScale(): number {
+    const [a, b, c, d] = this.#state.transform;
+    return Math.sqrt(Math.abs(a * d - b * c));
+  }
+
+  #ensureSubpath(x: number, y: number): void {
+    if (this.#current === null) {
+      this.moveTo(x, y);
+    }
+  }
+
+  #createId(prefix: string): string {
+    return `vis-${prefix}-${this.#nextId++}`;
+  }
+
+  #rectPath(x: number, y: number, width: number, height: number): string {
+    const corners = [
+      this.#apply(x, y),
+      this.#apply(x + width, y),
+      this.#apply(x + width, y + height),
+      this.#apply(x, y + height),
+    ];
+    return (
+      corners
+        .map(
+          ({ x, y }, i): string => `${i === 0 ? "M" : "L"}${num(x)} ${num(y)}`
+        )
+        .join("") + "Z"
+    );
+  }
+
+  #paint(style: string | SVGLinearGradient): string {
+    if (typeof style === "string") {
+      return style;
+    }
+
+    const id = this.#createId("gradient");
+    const start = this.#apply(style.x0, style.y0);
+    const end = this.#apply(style.x1, style.y1);
+    this.#defs.push(
+      `<linearGradient${serializeAttributes({
+        id,
+        gradientUnits: "userSpaceOnUse",
+        x1: start.x,
+        y1: start.y,
+        x2: end.x,
+        y2: end.y,
+      })}>${style.stops
+        .map(
+          ({ offset, color }): string =>
+            `<stop${serializeAttributes({ offset, "stop-color": color })}/>`
+        )
+        .join("")}</linearGradient>`
+    );
+    return `url(#${id})`;
+  }
+
+  #getShadowFilter(): string | null {
+    const { shadowColor, shadowBlur, shadowOffsetX, shadowOffsetY } =
+      this.#state;
+    if (
+      !shadowColor ||
+      /^rgba\(.*,\s*0\)$/.test(shadowColor) ||
+      shadowColor === "transparent" ||
+      (shadowBlur === 0 && shadowOffsetX === 0 && shadowOffsetY === 0)
+    ) {
+      return null;
+    }
+
+    const key = [shadowColor, shadowBlur, shadowOffsetX, shadowOffsetY].join();
+    let id = this.#filters.get(key);
+    if (id === undefined) {
+      id = this.#createId("shadow");
+      this.#filters.set(key, id);
+      this.#defs.push(
+        `<filter${serializeAttributes({
+          id,
+          x: "-50%",
+          y: "-50%",
+          width: "200%",
+          height: "200%",
+        })}><feDropShadow${serializeAttributes({
+          dx: shadowOffsetX,
+          dy: shadowOffsetY,
+          stdDeviation: shadowBlur / 2,
+          "flood-color": shadowColor,
+        })}/></filter>`
+      );
+    }
+    return id;
+  }
+
+  #commonAttributes(): Record<string, string | number | null> {
+    const filter = this.#getShadowFilter();
+    return {
+      opacity: this.#state.globalAlpha < 1 ? this.#state.globalAlpha : null,
+      filter: filter && `url(#${filter})`,
+      "clip-path": this.#state.clipPath && `url(#${this.#state.clipPath})`,
+    };
+  }
+
+  #strokeAttributes(): Record<string, string | number | null> {
+    const scale = this.#getScale();
+    const { lineDash } = this.#state;
+    return {
+      stroke: this.#paint(this.#state.strokeStyle),
+      "stroke-width": this.#state.lineWidth * scale,
+      "stroke-linecap":
+        this.#state.lineCap !== "butt" ? this.#state.lineCap : null,
+      "stroke-linejoin":
+        this.#state.lineJoin !== "miter" ? this.#state.lineJoin : null,
+      "stroke-dasharray": lineDash.length
+        ? lineDash.map((length): string => num(length * scale)).join(" ")
+        : null,
+      "stroke-dashoffset":
+        lineDash.length && this.#state.lineDashOffset
+          ? this.#state.lineDashOffset * scale
+          : null,
+    };
+  }
+
+  #paintPath(d: string, mode: "fill" | "stroke"): void {
+    if (d === "") {
+      return;
+    }
+
+    this.#elements.push(
+      `<path${serializeAttributes({
+        d,
+        ...(mode === "fill"
+          ? { fill: this.#paint(this.#state.fillStyle) }
+          : { fill: "none", ...this.#strokeAttributes() }),
+        ...this.#commonAttributes(),
+      })}/>`
+    );
+  }
+
+  #paintText(
+    text: string,
+    x: number,
+    y: number,
+    mode: "fill" | "stroke"
+  ): void {
+    const [a, b, c, d, e, f] = this.#state.transform;
+    this.#elements.push(
+      `<text${serializeAttributes({
+        x,
+        y,
+        transform:
+          this.#state.transform === IDENTITY
+            ? null
+            : `matrix(${[a, b, c, d, e, f].map(num).join(" ")})`,
+        style: `font: ${this.#state.font}; white-space: pre`,
+        "text-anchor": TEXT_ANCHORS[this.#state.textAlign] || "start",
+        "dominant-baseline":
+          TEXT_BASELINES[this.#state.textBaseline] || "alphabetic",
+        ...(mode === "fill"
+          ? { fill: this.#paint(this.#state.fillStyle) }
+          : {
+              fill: "none",
+              ...this.#strokeAttributes(),
+              "stroke-width": this.#state.lineWidth,
+            }),
+        ...this.#commonAttributes(),
+      })}>${escapeXML(text)}</text>`
+    );
+  }
+
+  #wrapLast(transform: Matrix): void {
+    const attributes = this.#commonAttributes();
+    if (
+      transform === IDENTITY &&
+      Object.values(attributes).every((value): boolean => value == null)
+    ) {
+      return;
+    }
+
+    const element = this.#elements.pop() as string;
+    this.#elements.push(
+      `<g${serializeAttributes({
+        transform:
+          transform === IDENTITY
+            ? null
+            : `matrix(${transform.map(num).join(" ")})`,
+        ...attributes,
+      })}>${element}</g>`
+    );
+  }
+}
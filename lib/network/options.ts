@@ -428,8 +428,20 @@ const allOptions: OptionsConfig = {
       autoFocus: { boolean: bool },
       __type__: { object, boolean: bool },
     },
+    layeredRendering: { boolean: bool },
+    levelOfDetail: {
+      enabled: { boolean: bool },
+      edgeThreshold: { number },
+      nodeThreshold: { number },
+      __type__: { object, boolean: bool },
+    },
     multiselect: { boolean: bool },
     navigationButtons: { boolean: bool },
+    progressiveRendering: {
+      enabled: { boolean: bool },
+      timeBudget: { number },
+      __type__: { object, boolean: bool },
+    },
     selectable: { boolean: bool },
     selectConnectedEdges: { boolean: bool },
     hoverConnectedEdges: { boolean: bool },
@@ -442,6 +454,23 @@ const allOptions: OptionsConfig = {
     randomSeed: { undefined: "undefined", number, string },
     improvedLayout: { boolean: bool },
     clusterThreshold: { number },
+    constraints: { array },
+    packComponents: {
+      enabled: { boolean: bool },
+      method: { string: ["grid", "spiral"] },
+      padding: { number },
+      __type__: { object, boolean: bool },
+    },
+    multilevel: {
+      enabled: { boolean: bool },
+      iterations: { number },
+      __type__: { object, boolean: bool },
+    },
+    sparseStress: {
+      enabled: { boolean: bool },
+      pivots: { number },
+      __type__: { object, boolean: bool },
+    },
     hierarchical: {
       enabled: { boolean: bool },
       levelSeparation: { number },
@@ -495,6 +524,31 @@ const allOptions: OptionsConfig = {
       avoidOverlap: { number },
       __type__: { object },
     },
+    forceAtlas2: {
+      theta: { number },
+      scalingRatio: { number },
+      gravity: { number },
+      strongGravityMode: { boolean: bool },
+      linLogMode: { boolean: bool },
+      dissuadeHubs: { boolean: bool },
+      edgeWeightInfluence: { number },
+      preventOverlap: { boolean: bool },
+      jitterTolerance: { number },
+      __type__: { object },
+    },
+    fruchtermanReingold: {
+      theta: { number },
+      centralGravity: { number },
+      springLength: { number },
+      temperature: { number },
+      cooling: { number },
+      __type__: { object },
+    },
+    stressMajorization: {
+      centralGravity: { number },
+      springLength: { number },
+      __type__: { object },
+    },
     repulsion: {
       centralGravity: { number },
       springLength: { number },
@@ -520,6 +574,9 @@ const allOptions: OptionsConfig = {
         "repulsion",
         "hierarchicalRepulsion",
         "forceAtlas2Based",
+        "forceAtlas2",
+        "fruchtermanReingold",
+        "stressMajorization",
       ],
     },
     stabilization: {
@@ -530,6 +587,17 @@ const allOptions: OptionsConfig = {
       fit: { boolean: bool },
       __type__: { object, boolean: bool },
     },
+    overlapRemoval: {
+      enabled: { boolean: bool },
+      padding: { number },
+      __type__: { object, boolean: bool },
+    },
+    groupAttraction: {
+      enabled: { boolean: bool },
+      strength: { number },
+      __type__: { object, boolean: bool },
+    },
+    anchors: { array },
     timestep: { number },
     adaptiveTimestep: { boolean: bool },
     wind: {
@@ -537,6 +605,7 @@ const allOptions: OptionsConfig = {
       y: { number },
       __type__: { object },
     },
+    worker: { boolean: bool },
     __type__: { object, boolean: bool },
   },
 
@@ -739,6 +808,11 @@ const configureOptions: ConfiguratorConfig = {
   layout: {
     //randomSeed: [0, 0, 500, 1],
     //improvedLayout: true,
+    packComponents: {
+      enabled: false,
+      method: ["grid", "spiral"],
+      padding: [50, 0, 200, 1],
+    },
     hierarchical: {
       enabled: false,
       levelSeparation: [150, 20, 500, 5],
@@ -769,8 +843,18 @@ const configureOptions: ConfiguratorConfig = {
       bindToWindow: true,
       autoFocus: true,
     },
+    layeredRendering: false,
+    levelOfDetail: {
+      enabled: false,
+      edgeThreshold: [0.4, 0, 1, 0.05],
+      nodeThreshold: [0.2, 0, 1, 0.05],
+    },
     multiselect: false,
     navigationButtons: false,
+    progressiveRendering: {
+      enabled: false,
+      timeBudget: [12, 1, 50, 1],
+    },
     selectable: true,
     selectConnectedEdges: true,
     hoverConnectedEdges: true,
@@ -802,6 +886,28 @@ const configureOptions: ConfiguratorConfig = {
       damping: [0.4, 0, 1, 0.01],
       avoidOverlap: [0, 0, 1, 0.01],
     },
+    forceAtlas2: {
+      theta: [1.2, 0.1, 2, 0.05],
+      scalingRatio: [2, 0.1, 100, 0.1],
+      gravity: [1, 0, 10, 0.05],
+      strongGravityMode: false,
+      linLogMode: false,
+      dissuadeHubs: false,
+      edgeWeightInfluence: [1, 0, 2, 0.05],
+      preventOverlap: false,
+      jitterTolerance: [1, 0.05, 10, 0.05],
+    },
+    fruchtermanReingold: {
+      theta: [0.5, 0.1, 1, 0.05],
+      centralGravity: [1, 0, 10, 0.05],
+      springLength: [100, 0, 500, 5],
+      temperature: [100, 0, 500, 5],
+      cooling: [0.97, 0.5, 1, 0.005],
+    },
+    stressMajorization: {
+      centralGravity: [0, 0, 10, 0.05],
+      springLength: [100, 0, 500, 5],
+    },
     repulsion: {
       centralGravity: [0.2, 0, 10, 0.05],
       springLength: [200, 0, 500, 5],
@@ -822,9 +928,20 @@ const configureOptions: ConfiguratorConfig = {
     solver: [
       "barnesHut",
       "forceAtlas2Based",
+      "forceAtlas2",
+      "fruchtermanReingold",
+      "stressMajorization",
       "repulsion",
       "hierarchicalRepulsion",
     ],
+    overlapRemoval: {
+      enabled: false,
+      padding: [10, 0, 100, 1],
+    },
+    groupAttraction: {
+      enabled: false,
+      strength: [0.01, 0, 0.2, 0.001],
+    },
     timestep: [0.5, 0.01, 1, 0.01],
     wind: {
       x: [0, -10, 10, 0.1],
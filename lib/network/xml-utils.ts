@@ -0,0 +1,71 @@
+/**
+ * Parse an XML document and check its root element.
+ *
+ * @param xml - The XML document.
+ * @param rootName - The expected local name of the root element.
+ *
+ * @returns The root element.
+ *
+ * @throws {SyntaxError} If the document is malformed or the root element is
+ * not the expected one.
+ */
+export function parseXML(xml: string, rootName: string): Element {
+  const document = new DOMParser().parseFromString(xml, "application/xml");
+  const root = document.documentElement;
+  const error = document.getElementsByTagName("parsererror")[0];
+  if (error != null) {
+    throw new SyntaxError(
+      "Invalid XML: " + (error.textContent ?? "").trim().split("\n")[0]
+    );
+  }
+  if (root.localName !== rootName) {
+    throw new SyntaxError(
+      `Root element ${rootName} expected, got ${root.localName}.`
+    );
+  }
+
+  return root;
+}
+
+/**
+ * Get the child elements with given local name (namespaces are ignored).
+ *
+ * @param parent - The element whose children will be searched.
+ * @param name - The local name of the children.
+ *
+ * @returns The matching children in document order.
+ */
+export function getChildren(parent: Element, name: string): Element[] {
+  return Array.prototype.filter.call(
+    parent.children,
+    (child: Element): boolean => child.localName === name
+  ) as Element[];
+}
+
+/**
+ * Get the first descendant with given local name (namespaces are ignored).
+ *
+ * @param parent - The element whose descendants will be searched.
+ * @param name - The local name of the descendant.
+ *
+ * @returns The descendant or null if there is none.
+ */
+export function getDescendant(parent: Element, name: string): Element | null {
+  return parent.getElementsByTagNameNS("*", name)[0] ?? null;
+}
+
+/**
+ * Escape text so that it can be safely used in XML text or attribute values.
+ *
+ * @param text - The raw text.
+ *
+ * @returns Escaped text.
+ */
+export function escapeXML(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
@@ -1,5 +1,8 @@
 import packageJSON from "./package.json";
 import { generateRollupConfiguration } from "vis-dev-utils";
+import { physicsWorker } from "./rollup.physics-worker";
+
+const physicsWorkerPlugin = physicsWorker();
 
 export default generateRollupConfiguration({
   assets: "./lib/assets",
@@ -18,4 +21,7 @@ export default generateRollupConfiguration({
   entryPoints: "./lib",
   packageJSON,
   tsconfig: "tsconfig.code.json",
-});
+}).map((configuration) => ({
+  ...configuration,
+  plugins: [physicsWorkerPlugin, ...configuration.plugins],
+}));
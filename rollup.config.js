@@ -6,6 +6,7 @@ import { terser } from "rollup-plugin-terser";
 import { generateHeader } from "vis-dev-utils";
 import assets from "postcss-assets";
 import postcss from "rollup-plugin-postcss";
+import { physicsWorker } from "./rollup.physics-worker";
 
 // TypeScript because Babel transpiles modules in isolation, therefore no type reexports.
 // CommonJS because Babel is not 100 % ESM.
@@ -13,6 +14,7 @@ import postcss from "rollup-plugin-postcss";
 const banner = generateHeader();
 
 const plugins = {
+  physicsWorker: physicsWorker(),
   nodeResolve: nodeResolve({
     browser: true,
     extensions: [".ts", ".js", ".json"],
@@ -79,6 +81,7 @@ export default [
       },
     ],
     plugins: [
+      plugins.physicsWorker,
       plugins.commonjs,
       plugins.nodeResolve,
       plugins.cssRaw,
@@ -106,6 +109,7 @@ export default [
       },
     ],
     plugins: [
+      plugins.physicsWorker,
       plugins.commonjs,
       plugins.nodeResolve,
       plugins.cssMin,
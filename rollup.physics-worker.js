@@ -0,0 +1,72 @@
+import { resolve } from "path";
+import { rollup } from "rollup";
+import babel from "rollup-plugin-babel";
+import commonjs from "rollup-plugin-commonjs";
+import nodeResolve from "rollup-plugin-node-resolve";
+import { terser } from "rollup-plugin-terser";
+import typescript from "rollup-plugin-typescript2";
+
+const physicsDir = resolve("lib/network/modules/components/physics");
+const sourceModule = resolve(physicsDir, "physicsWorkerSource.js");
+const entryModule = resolve(physicsDir, "physicsWorkerEntry.js");
+
+/**
+ * Bundle the physics web worker into a standalone script.
+ *
+ * @returns {Promise<{code: string, watchFiles: string[]}>} The code of the
+ * worker and the files it has been built from.
+ */
+async function buildWorker() {
+  const bundle = await rollup({
+    input: entryModule,
+    plugins: [
+      nodeResolve({
+        browser: true,
+        extensions: [".ts", ".js", ".json"],
+      }),
+      typescript({
+        tsconfig: "tsconfig.code.json",
+      }),
+      commonjs(),
+      babel({
+        extensions: [".ts", ".js"],
+        runtimeHelpers: true,
+      }),
+      terser(),
+    ],
+  });
+  const { output } = await bundle.generate({ format: "iife" });
+
+  return { code: output[0].code, watchFiles: bundle.watchFiles };
+}
+
+/**
+ * Replaces the placeholder of the physics web worker source with the worker
+ * built from the physics modules, see physicsWorkerSource.js. The worker is
+ * built once and shared by all the bundles using the same plugin.
+ *
+ * @returns {object} A Rollup plugin.
+ */
+export function physicsWorker() {
+  let worker;
+
+  return {
+    name: "physics-worker",
+    async load(id) {
+      if (id !== sourceModule) {
+        return null;
+      }
+
+      worker = worker || buildWorker();
+      const { code, watchFiles } = await worker;
+      for (const file of watchFiles) {
+        this.addWatchFile(file);
+      }
+
+      return `export const physicsWorkerSource = ${JSON.stringify(code)};`;
+    },
+    watchChange() {
+      worker = undefined;
+    },
+  };
+}
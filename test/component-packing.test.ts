@@ -0,0 +1,368 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import Network from "../lib/network/Network";
+import ComponentPacking from "../lib/network/modules/components/algorithms/ComponentPacking";
+import { computeLayout } from "../lib/network/headless";
+import { canvasMockify } from "./canvas-mock";
+
+type Box = { left: number; right: number; top: number; bottom: number };
+
+/**
+ * Create the part of the body the packing uses.
+ *
+ * @param sizes - The positions of the nodes and the sizes of their boxes,
+ * their ids are the indices.
+ * @param links - The nodes connected by edges.
+ * @returns The body.
+ */
+function createBody(
+  sizes: { x: number; y: number; width: number; height: number }[],
+  links: [number, number][]
+): any {
+  const body: any = { nodes: {}, nodeIndices: [], edges: {}, edgeIndices: [] };
+  sizes.forEach(({ x, y, width, height }, id): void => {
+    const node: any = {
+      id,
+      x,
+      y,
+      options: { fixed: { x: false, y: false } },
+      shape: {},
+    };
+    // the box moves with the node like the real one does after resizing
+    Object.defineProperty(node.shape, "boundingBox", {
+      get: (): Box => ({
+        left: node.x - 0.5 * width,
+        right: node.x + 0.5 * width,
+        top: node.y - 0.5 * height,
+        bottom: node.y + 0.5 * height,
+      }),
+    });
+    body.nodes[id] = node;
+    body.nodeIndices.push(id);
+  });
+  links.forEach(([fromId, toId], id): void => {
+    body.edges[id] = { fromId, toId, connected: true, edgeType: {} };
+    body.edgeIndices.push(id);
+  });
+  return body;
+}
+
+/**
+ * Get the bounding boxes of the components.
+ *
+ * @param body - The body with the nodes.
+ * @param components - The ids of the nodes of each component.
+ * @returns The boxes.
+ */
+function getBoxes(body: any, components: number[][]): Box[] {
+  return components.map(
+    (ids): Box =>
+      ids.reduce(
+        (box, id): Box => {
+          const nodeBox = body.nodes[id].shape.boundingBox;
+          return {
+            left: Math.min(box.left, nodeBox.left),
+            right: Math.max(box.right, nodeBox.right),
+            top: Math.min(box.top, nodeBox.top),
+            bottom: Math.max(box.bottom, nodeBox.bottom),
+          };
+        },
+        { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity }
+      )
+  );
+}
+
+/**
+ * Find the pairs of boxes that are closer than given padding.
+ *
+ * @param boxes - The boxes.
+ * @param padding - The space required between the boxes.
+ * @returns The indices of the boxes that overlap.
+ */
+function findOverlaps(boxes: Box[], padding: number): [number, number][] {
+  const overlaps: [number, number][] = [];
+  for (let i = 0; i < boxes.length; i++) {
+    for (let j = i + 1; j < boxes.length; j++) {
+      const a = boxes[i];
+      const b = boxes[j];
+      if (
+        Math.min(a.right, b.right) - Math.max(a.left, b.left) >
+          -padding + 1e-6 &&
+        Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > -padding + 1e-6
+      ) {
+        overlaps.push([i, j]);
+      }
+    }
+  }
+  return overlaps;
+}
+
+/**
+ * Get the area of the box around a few boxes.
+ *
+ * @param boxes - The boxes.
+ * @returns The area.
+ */
+function getTotalArea(boxes: Box[]): number {
+  const left = Math.min(...boxes.map((box): number => box.left));
+  const right = Math.max(...boxes.map((box): number => box.right));
+  const top = Math.min(...boxes.map((box): number => box.top));
+  const bottom = Math.max(...boxes.map((box): number => box.bottom));
+  return (right - left) * (bottom - top);
+}
+
+describe("Component packing", function (): void {
+  // pairs of nodes scattered far apart, the sizes differ from pair to pair
+  const scattered = [...new Array(40).keys()].map(
+    (
+      i
+    ): {
+      x: number;
+      y: number;
+      width: number;
+      height: number;
+    } => ({
+      x: ((Math.floor(i / 2) * 7919) % 5000) + (i % 2) * 60,
+      y: (Math.floor(i / 2) * 104729) % 4000,
+      width: 30 + (i % 5) * 15,
+      height: 20 + (i % 3) * 10,
+    })
+  );
+  const pairs = [...new Array(20).keys()].map((i): [number, number] => [
+    2 * i,
+    2 * i + 1,
+  ]);
+
+  for (const method of ["grid", "spiral"]) {
+    it(`Packs the components tightly (${method})`, function (): void {
+      const body = createBody(scattered, pairs);
+      const before = getBoxes(body, pairs);
+      const relative = pairs.map(([a, b]): number[] => [
+        body.nodes[b].x - body.nodes[a].x,
+        body.nodes[b].y - body.nodes[a].y,
+      ]);
+      const moved = new ComponentPacking(body, { method, padding: 20 }).solve(
+        body.nodeIndices,
+        body.edgeIndices
+      );
+
+      expect(moved).to.equal(true);
+      const after = getBoxes(body, pairs);
+      expect(findOverlaps(after, 20)).to.deep.equal([]);
+      expect(getTotalArea(after)).to.be.below(getTotalArea(before) / 50);
+      // the components are moved as a whole
+      pairs.forEach(([a, b], i): void => {
+        expect(body.nodes[b].x - body.nodes[a].x).to.be.closeTo(
+          relative[i][0],
+          1e-9
+        );
+        expect(body.nodes[b].y - body.nodes[a].y).to.be.closeTo(
+          relative[i][1],
+          1e-9
+        );
+      });
+    });
+  }
+
+  it("Places the largest component first", function (): void {
+    const body = createBody(
+      [
+        { x: 0, y: 0, width: 20, height: 20 },
+        { x: 500, y: 500, width: 200, height: 100 },
+        { x: -500, y: 300, width: 50, height: 50 },
+      ],
+      []
+    );
+    new ComponentPacking(body, { method: "grid", padding: 0 }).solve(
+      body.nodeIndices,
+      body.edgeIndices
+    );
+
+    const [small, large, medium] = getBoxes(body, [[0], [1], [2]]);
+    // the large one fills the first row
+    expect(large.bottom).to.be.at.most(medium.top);
+    expect(medium.top).to.equal(small.top);
+    expect(medium.right).to.be.at.most(small.left);
+  });
+
+  it("Packs next to components with fixed nodes", function (): void {
+    const body = createBody(
+      [
+        { x: 0, y: 0, width: 40, height: 40 },
+        { x: 100, y: 0, width: 40, height: 40 },
+        { x: 10, y: 10, width: 40, height: 40 },
+        { x: 20, y: 20, width: 40, height: 40 },
+      ],
+      [[0, 1]]
+    );
+    body.nodes[1].options.fixed.x = true;
+    new ComponentPacking(body, { method: "spiral", padding: 10 }).solve(
+      body.nodeIndices,
+      body.edgeIndices
+    );
+
+    expect(body.nodes[0]).to.include({ x: 0, y: 0 });
+    expect(body.nodes[1]).to.include({ x: 100, y: 0 });
+    expect(findOverlaps(getBoxes(body, [[0, 1], [2], [3]]), 10)).to.deep.equal(
+      []
+    );
+    expect(body.nodes[2].x).to.be.above(120);
+    expect(body.nodes[3].x).to.be.above(120);
+  });
+
+  it("Moves the support nodes of smooth edges", function (): void {
+    const body = createBody(
+      [
+        { x: 0, y: 0, width: 20, height: 20 },
+        { x: 50, y: 0, width: 20, height: 20 },
+        { x: 1000, y: 1000, width: 20, height: 20 },
+      ],
+      [[0, 1]]
+    );
+    const via = { x: 25, y: 10 };
+    body.edges[0].edgeType.via = via;
+    new ComponentPacking(body, { method: "grid", padding: 0 }).solve(
+      body.nodeIndices,
+      body.edgeIndices
+    );
+
+    expect(via.x - body.nodes[0].x).to.equal(25);
+    expect(via.y - body.nodes[0].y).to.equal(10);
+  });
+
+  it("Leaves a single component alone", function (): void {
+    const body = createBody(scattered.slice(0, 3), [
+      [0, 1],
+      [1, 2],
+    ]);
+
+    expect(
+      new ComponentPacking(body, { method: "grid", padding: 0 }).solve(
+        body.nodeIndices,
+        body.edgeIndices
+      )
+    ).to.equal(false);
+    expect(body.nodes[2]).to.include({ x: scattered[2].x, y: scattered[2].y });
+  });
+
+  describe("Layout", function (): void {
+    this.timeout(15000);
+
+    // stars of different sizes
+    const data = {
+      nodes: [...new Array(60).keys()].map((id): { id: number } => ({ id })),
+      edges: [...new Array(60).keys()]
+        .filter((id): boolean => id % 10 !== 0)
+        .map((id): { from: number; to: number } => ({
+          from: id,
+          to: id - (id % 10) + (id % 10 > 6 ? 6 : 0),
+        })),
+    };
+
+    const components = [...new Array(6).keys()].map((i): number[] =>
+      [...new Array(10).keys()].map((j): number => 10 * i + j)
+    );
+    // the positions are the centers of the dots
+    const toBoxes = (positions: any): Box[] =>
+      components.map(
+        (ids): Box => ({
+          left: Math.min(...ids.map((id): number => positions[id].x)),
+          right: Math.max(...ids.map((id): number => positions[id].x)),
+          top: Math.min(...ids.map((id): number => positions[id].y)),
+          bottom: Math.max(...ids.map((id): number => positions[id].y)),
+        })
+      );
+
+    it("Packs the components after stabilization", async function (): Promise<void> {
+      const packed = await computeLayout(data, {
+        layout: { randomSeed: 5, packComponents: { padding: 30 } },
+      });
+      const free = await computeLayout(data, {
+        layout: { randomSeed: 5 },
+      });
+
+      expect(findOverlaps(toBoxes(packed), 30)).to.deep.equal([]);
+      expect(getTotalArea(toBoxes(packed))).to.be.below(
+        getTotalArea(toBoxes(free))
+      );
+    });
+
+    it("Leaves the moved components where the simulation settles them", async function (): Promise<void> {
+      const clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      const { requestAnimationFrame, cancelAnimationFrame } = window;
+      window.requestAnimationFrame = (callback: () => void): any =>
+        setTimeout(callback, 1);
+      window.cancelAnimationFrame = (handle: any): void => {
+        clearTimeout(handle);
+      };
+
+      const network = new Network(
+        document.getElementById("mynetwork") as HTMLElement,
+        data,
+        {
+          layout: { randomSeed: 5, packComponents: { padding: 30 } },
+          physics: { minVelocity: 5 },
+        }
+      );
+      const stabilized = (): Promise<unknown> =>
+        new Promise((resolve): void => {
+          network.once("stabilized", resolve);
+        });
+      try {
+        await stabilized();
+        expect(findOverlaps(toBoxes(network.getPositions()), 30)).to.deep.equal(
+          []
+        );
+
+        const pack = spy();
+        (network as any).body.emitter.on("_packComponents", pack);
+        const positions = network.getPositions(components[0]);
+        for (const id of components[0]) {
+          network.moveNode(id, positions[id].x + 1000, positions[id].y);
+        }
+        await stabilized();
+        expect(pack.called).to.equal(false);
+      } finally {
+        network.destroy();
+        window.requestAnimationFrame = requestAnimationFrame;
+        window.cancelAnimationFrame = cancelAnimationFrame;
+        clearJSDOM();
+      }
+    });
+
+    it("Packs the trees of the hierarchical layout", async function (): Promise<void> {
+      const hierarchical = { direction: "LR", levelSeparation: 100 };
+      const packed = await computeLayout(data, {
+        layout: {
+          randomSeed: 5,
+          hierarchical,
+          packComponents: { method: "spiral" },
+        },
+        physics: false,
+      });
+      const free = await computeLayout(data, {
+        layout: { randomSeed: 5, hierarchical },
+        physics: false,
+      });
+
+      // the trees keep their shapes
+      for (let i = 0; i < 6; i++) {
+        const root = 10 * i;
+        for (let id = root + 1; id < root + 10; id++) {
+          expect(packed[id].x - packed[root].x).to.equal(
+            free[id].x - free[root].x
+          );
+          expect(packed[id].y - packed[root].y).to.be.closeTo(
+            free[id].y - free[root].y,
+            1e-6
+          );
+        }
+      }
+      const spread = (positions: any, axis: "x" | "y"): number =>
+        Math.max(...Object.values(positions).map((p: any): number => p[axis])) -
+        Math.min(...Object.values(positions).map((p: any): number => p[axis]));
+      expect(spread(packed, "y")).to.be.below(spread(free, "y"));
+    });
+  });
+});
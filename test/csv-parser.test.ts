@@ -0,0 +1,176 @@
+import { expect } from "chai";
+
+import {
+  adjacencyMatrixToGraph,
+  csvToGraph,
+  parseCSV,
+} from "../lib/network/csvParser";
+
+describe("CSV parser", function (): void {
+  describe("parseCSV", function (): void {
+    it("Handles quoting and escaping", function (): void {
+      expect(
+        parseCSV('a,"b, c","say ""hi"""\r\n"multi\nline",,x\n\n')
+      ).to.deep.equal([
+        ["a", "b, c", 'say "hi"'],
+        ["multi\nline", "", "x"],
+      ]);
+    });
+
+    it("Supports other delimiters", function (): void {
+      expect(parseCSV("a;b\n1;2", { delimiter: ";" })).to.deep.equal([
+        ["a", "b"],
+        ["1", "2"],
+      ]);
+    });
+
+    it("Reports the row of malformed quoting", function (): void {
+      expect((): void => {
+        parseCSV('a,b\nc,"d\ne,f');
+      }).to.throw(SyntaxError, "Unterminated quoted field (row 2)");
+      expect((): void => {
+        parseCSV('a,b\nc,d"e"');
+      }).to.throw(SyntaxError, "(row 2)");
+      expect((): void => {
+        parseCSV('a,b\n\n"c"d,e');
+      }).to.throw(SyntaxError, "(row 3)");
+    });
+  });
+
+  describe("csvToGraph", function (): void {
+    it("Maps columns named like the properties", function (): void {
+      expect(
+        csvToGraph(
+          "ID,Label,group,value,extra\n1,One,g,2.5,x\n2,,,,",
+          "source,target,weight,label\n1,2,3,link"
+        )
+      ).to.deep.equal({
+        nodes: [
+          {
+            id: "1",
+            label: "One",
+            group: "g",
+            value: 2.5,
+            attributes: { extra: "x" },
+          },
+          { id: "2", attributes: { extra: "" } },
+        ],
+        edges: [{ from: "1", to: "2", label: "link", value: 3 }],
+      });
+    });
+
+    it("Applies the column mapping", function (): void {
+      expect(
+        csvToGraph(
+          "Name,Department,Notes\nalice,sales,n\nbob,it,m",
+          "a,b,Kind\nalice,bob,k",
+          {
+            nodeColumns: { Name: "id", Department: "group", Notes: null },
+            edgeColumns: { a: "from", b: "to", Kind: "title" },
+          }
+        )
+      ).to.deep.equal({
+        nodes: [
+          { id: "alice", group: "sales" },
+          { id: "bob", group: "it" },
+        ],
+        edges: [{ from: "alice", to: "bob", title: "k" }],
+      });
+    });
+
+    it("Creates the nodes from the edges", function (): void {
+      expect(csvToGraph(null, "from,to\na,b\nb,c").nodes).to.deep.equal([
+        { id: "a", label: "a" },
+        { id: "b", label: "b" },
+        { id: "c", label: "c" },
+      ]);
+    });
+
+    it("Reports the offending row", function (): void {
+      const nodes = "id,label\n1,One\n2,Two";
+      expect((): void => {
+        csvToGraph("label\nOne", "from,to");
+      }).to.throw(SyntaxError, "The node table has no column for id (row 1)");
+      expect((): void => {
+        csvToGraph("id,label\n1,One\n1,Again", "from,to");
+      }).to.throw(SyntaxError, 'Duplicate node id "1" (row 3)');
+      expect((): void => {
+        csvToGraph(nodes, "from,to\n1,2\n\n1,3");
+      }).to.throw(
+        SyntaxError,
+        'Unknown node "3" in to of the edge table (row 4)'
+      );
+      expect((): void => {
+        csvToGraph(nodes, "from,to,weight\n1,2,heavy");
+      }).to.throw(SyntaxError, '"heavy" (row 2)');
+      expect((): void => {
+        csvToGraph(nodes, "from,to\n1,2,3");
+      }).to.throw(SyntaxError, "got 3 (row 2)");
+      expect((): void => {
+        csvToGraph(nodes, "from,to\n1,");
+      }).to.throw(SyntaxError, "Missing to in the edge table (row 2)");
+    });
+  });
+
+  describe("adjacencyMatrixToGraph", function (): void {
+    it("Converts a symmetric matrix into undirected edges", function (): void {
+      expect(adjacencyMatrixToGraph("0,1,0\n1,0,2\n0,2,1")).to.deep.equal({
+        nodes: [
+          { id: 0, label: "0" },
+          { id: 1, label: "1" },
+          { id: 2, label: "2" },
+        ],
+        edges: [
+          { from: 0, to: 1, value: 1 },
+          { from: 1, to: 2, value: 2 },
+          { from: 2, to: 2, value: 1 },
+        ],
+      });
+    });
+
+    it("Converts an asymmetric matrix into directed edges", function (): void {
+      expect(
+        adjacencyMatrixToGraph("a,b\n0,1\n,0", { header: true }).edges
+      ).to.deep.equal([{ from: "a", to: "b", value: 1, arrows: "to" }]);
+    });
+
+    it("Reads row labels and honors the directed option", function (): void {
+      expect(
+        adjacencyMatrixToGraph(",a,b\na,0,1\nb,1,0", {
+          header: true,
+          directed: true,
+        })
+      ).to.deep.equal({
+        nodes: [
+          { id: "a", label: "a" },
+          { id: "b", label: "b" },
+        ],
+        edges: [
+          { from: "a", to: "b", value: 1, arrows: "to" },
+          { from: "b", to: "a", value: 1, arrows: "to" },
+        ],
+      });
+    });
+
+    it("Reports the offending row", function (): void {
+      expect((): void => {
+        adjacencyMatrixToGraph("0,1\n1");
+      }).to.throw(
+        SyntaxError,
+        "Expected 2 fields in the matrix, got 1 (row 2)"
+      );
+      expect((): void => {
+        adjacencyMatrixToGraph("0,1\n1,x");
+      }).to.throw(SyntaxError, 'column 2 of the matrix, got "x" (row 2)');
+      expect((): void => {
+        adjacencyMatrixToGraph(",a,b\na,0,1\nc,1,0", { header: true });
+      }).to.throw(SyntaxError, 'Expected the row of "b", got "c" (row 3)');
+      expect((): void => {
+        adjacencyMatrixToGraph("0,1\n1,0\n0,0");
+      }).to.throw(
+        SyntaxError,
+        "Expected 3 fields in the matrix, got 2 (row 1)"
+      );
+    });
+  });
+});
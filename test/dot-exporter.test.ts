@@ -0,0 +1,210 @@
+import { expect } from "chai";
+
+import Network from "../lib/network/Network";
+import { graphToDOT, quoteDOTId } from "../lib/network/dotExporter";
+import { DOTToGraph } from "../lib/network/dotparser";
+import { canvasMockify } from "./canvas-mock";
+
+describe("DOT exporter", function (): void {
+  describe("quoteDOTId", function (): void {
+    it("Keeps identifiers and numbers bare", function (): void {
+      expect(quoteDOTId("node_1")).to.equal("node_1");
+      expect(quoteDOTId(42)).to.equal("42");
+      expect(quoteDOTId("-1.5")).to.equal("-1.5");
+    });
+
+    it("Quotes keywords and other strings", function (): void {
+      expect(quoteDOTId("node")).to.equal('"node"');
+      expect(quoteDOTId("1a")).to.equal('"1a"');
+      expect(quoteDOTId("a b")).to.equal('"a b"');
+    });
+
+    it("Escapes quotes and new lines", function (): void {
+      expect(quoteDOTId('say "hi"\nbye')).to.equal('"say \\"hi\\"\\nbye"');
+    });
+  });
+
+  describe("graphToDOT", function (): void {
+    it("Writes an undirected graph", function (): void {
+      expect(
+        graphToDOT(
+          {
+            nodes: [{ id: 1 }, { id: 2, label: "Two" }],
+            edges: [{ from: 1, to: 2 }],
+          },
+          { id: "G" }
+        )
+      ).to.equal(
+        ["graph G {", "  1;", "  2 [label=Two];", "  1 -- 2;", "}", ""].join(
+          "\n"
+        )
+      );
+    });
+
+    it("Writes arrows as directions and arrow shapes", function (): void {
+      const dot = graphToDOT({
+        nodes: [{ id: "a" }, { id: "b" }],
+        edges: [
+          { from: "a", to: "b", arrows: "to" },
+          { from: "a", to: "b", arrows: "to, from" },
+          {
+            from: "a",
+            to: "b",
+            arrows: { from: { enabled: true, type: "bar" } },
+          },
+          { from: "a", to: "b" },
+          {
+            from: "a",
+            to: "b",
+            arrows: { to: { enabled: true, type: "circle" } },
+          },
+        ],
+      });
+
+      expect(dot).to.match(/^digraph \{/);
+      expect(dot).to.include("  a -> b;\n");
+      expect(dot).to.include("  a -> b [dir=both];\n");
+      expect(dot).to.include("  a -> b [dir=back, arrowtail=tee];\n");
+      expect(dot).to.include("  a -> b [dir=none];\n");
+      expect(dot).to.include("  a -> b [arrowhead=dot];\n");
+    });
+
+    it("Writes node and edge styles", function (): void {
+      const dot = graphToDOT({
+        nodes: [
+          {
+            id: 1,
+            shape: "database",
+            color: { background: "#ffffff", border: "#000000" },
+            font: { size: 12, color: "red", face: "arial" },
+            title: "Tip",
+          },
+        ],
+        edges: [{ from: 1, to: 1, color: "blue", dashes: true, width: 2 }],
+      });
+
+      expect(dot).to.include(
+        '  1 [shape=cylinder, color="#000000", fillcolor="#ffffff", style=filled, fontsize=12, fontcolor=red, fontname=arial, tooltip=Tip];'
+      );
+      expect(dot).to.include(
+        "  1 -- 1 [color=blue, style=dashed, penwidth=2];"
+      );
+    });
+
+    it("Puts groups into clusters", function (): void {
+      const dot = graphToDOT({
+        nodes: [{ id: 1, group: "left" }, { id: 2, group: "left" }, { id: 3 }],
+        edges: [],
+      });
+
+      expect(dot).to.equal(
+        [
+          "graph {",
+          "  3;",
+          "  subgraph cluster_left {",
+          "    label=left;",
+          "    1;",
+          "    2;",
+          "  }",
+          "}",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("Writes positions with flipped y axis", function (): void {
+      const data = { nodes: [{ id: 1, x: 10, y: 20 }], edges: [] };
+
+      expect(graphToDOT(data)).to.include('1 [pos="10,-20!"];');
+      expect(graphToDOT(data, { pinPositions: false })).to.include(
+        '1 [pos="10,-20"];'
+      );
+      expect(
+        graphToDOT(data, { positions: { 1: { x: -5, y: -6 } } })
+      ).to.include('1 [pos="-5,6!"];');
+    });
+
+    it("Can be parsed back", function (): void {
+      const parsed = DOTToGraph(
+        graphToDOT({
+          nodes: [
+            { id: "a", label: 'A "quoted"\nlabel', group: "g" },
+            { id: "b", label: "Box", shape: "box" },
+          ],
+          edges: [
+            { from: "a", to: "b", label: "x", arrows: "to" },
+            { from: "b", to: "a", arrows: "" },
+          ],
+        })
+      );
+
+      expect(parsed.nodes).to.deep.include({
+        id: "a",
+        label: 'A "quoted"\nlabel',
+        group: "g",
+      });
+      expect(parsed.nodes).to.deep.include({
+        id: "b",
+        label: "Box",
+        shape: "box",
+      });
+      expect(
+        parsed.edges.map(({ from, to, label }: any): unknown => ({
+          from,
+          to,
+          label,
+        }))
+      ).to.deep.equal([
+        { from: "a", to: "b", label: "x" },
+        { from: "b", to: "a", label: undefined },
+      ]);
+    });
+  });
+
+  describe("Network", function (): void {
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      this.network = new Network(
+        this.container,
+        {
+          nodes: [
+            { id: 1, label: "First", x: 0, y: 0 },
+            { id: 2, label: "Second", x: 100, y: 50 },
+          ],
+          edges: [{ from: 1, to: 2, arrows: "to" }],
+        },
+        { physics: false }
+      );
+    });
+
+    afterEach(function () {
+      this.clearJSDOM();
+
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    it("Exports the data set", function (): void {
+      expect(this.network.toDot({ id: "net" })).to.equal(
+        [
+          "digraph net {",
+          '  1 [label=First, pos="0,0!"];',
+          '  2 [label=Second, pos="100,-50!"];',
+          "  1 -> 2;",
+          "}",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("Writes the current positions", function (): void {
+      this.network.moveNode(2, 30, 40);
+
+      expect(this.network.toDot({ positions: true })).to.include(
+        '  2 [label=Second, pos="30,-40!"];'
+      );
+    });
+  });
+});
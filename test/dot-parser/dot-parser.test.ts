@@ -64,4 +64,247 @@ describe("DOT", function (): void {
         });
       });
     });
+
+  describe("ports", function (): void {
+    it("Exposes the ports of edges", function (): void {
+      const { nodes, edges } = DOTToGraph(
+        'digraph { a:p1 -> "b":"p 2":ne -> c:s; a:w [color=red]; b:p3 -- { c d } }'
+      );
+
+      expect(nodes.map(({ id }: { id: string }): string => id)).to.deep.equal([
+        "a",
+        "b",
+        "c",
+        "d",
+      ]);
+      expect(
+        edges.map(({ from, to, fromPort, toPort }: any): unknown[] => [
+          from,
+          to,
+          fromPort,
+          toPort,
+        ])
+      ).to.deep.equal([
+        ["a", "b", "p1", "p 2:ne"],
+        ["b", "c", "p 2:ne", "s"],
+        ["b", "c", "p3", undefined],
+        ["b", "d", "p3", undefined],
+      ]);
+    });
+
+    it("Requires a port after the colon", function (): void {
+      expect((): void => {
+        parseDOT("digraph { a: -> b }");
+      }).to.throw(SyntaxError, "Port expected");
+    });
+  });
+
+  describe("attribute lists", function (): void {
+    it("Accepts commas and semicolons as separators", function (): void {
+      expect(
+        parseDOT(
+          "graph { rankdir=LR, ranksep=2; a [shape=box; color=red, label=A] }"
+        )
+      ).to.deep.equal({
+        type: "graph",
+        rankdir: "LR",
+        ranksep: 2,
+        nodes: [{ id: "a", attr: { shape: "box", color: "red", label: "A" } }],
+      });
+    });
+  });
+
+  describe("HTML labels", function (): void {
+    it("Converts them into multi-font labels", function (): void {
+      const { nodes, edges } = DOTToGraph(`digraph {
+        a [fontsize=20, label=<<B>Bold</B> &amp; <i>italic</i><br align="left"/>
+          <font color="red">a &lt; b</font>>];
+        a -> b [label=<<table><tr><td>x</td><td>y</td></tr><tr><td>z</td></tr></table>>];
+      }`);
+
+      expect(nodes[0]).to.deep.equal({
+        id: "a",
+        label: "<b>Bold</b> &amp; <i>italic</i>\na &lt; b",
+        font: { size: 20, multi: "html" },
+      });
+      expect(edges[0].label).to.equal("x y\nz");
+      expect(edges[0].font).to.deep.equal({ multi: "html" });
+    });
+
+    it("Requires balanced angle brackets", function (): void {
+      expect((): void => {
+        parseDOT("digraph { a [label=<<b>x</b>] }");
+      }).to.throw(SyntaxError, "End of HTML string > expected");
+    });
+  });
+
+  describe("graph attributes", function (): void {
+    it("Configure the hierarchical layout", function (): void {
+      expect(
+        DOTToGraph("digraph { graph [rankdir=LR]; ranksep=1; nodesep=0.5; a }")
+          .options
+      ).to.deep.equal({
+        layout: {
+          hierarchical: {
+            enabled: true,
+            sortMethod: "directed",
+            direction: "LR",
+            levelSeparation: 126,
+            nodeSpacing: 72,
+          },
+        },
+      });
+    });
+
+    it("Are ignored by other layout engines", function (): void {
+      expect(
+        DOTToGraph("digraph { layout=neato; rankdir=LR; a }").options
+      ).to.deep.equal({});
+    });
+
+    it("Turn rank constraints into levels", function (): void {
+      const { nodes, options } = DOTToGraph(`digraph {
+        a -> b -> c -> d -> b;
+        a -> e;
+        { rank=same; c e }
+        { rank=max; f }
+        { rank=min; g }
+        d -> g;
+      }`);
+
+      expect(
+        nodes.map(({ id, level }: { id: string; level: number }): unknown[] => [
+          id,
+          level,
+        ])
+      ).to.deep.equal([
+        ["a", 0],
+        ["b", 1],
+        ["c", 2],
+        ["d", 3],
+        ["e", 2],
+        ["f", 3],
+        ["g", 0],
+      ]);
+      expect(options.layout.hierarchical.enabled).to.be.true;
+    });
+
+    it("Turn clusters into groups", function (): void {
+      const { nodes, edges } = DOTToGraph(`digraph {
+        subgraph cluster_outer {
+          a -> b;
+          subgraph cluster_inner { c [group=own]; d }
+          subgraph cluster { e }
+        }
+        subgraph other { f -> a }
+      }`);
+
+      expect(
+        nodes.map(({ id, group }: { id: string; group: string }): unknown[] => [
+          id,
+          group,
+        ])
+      ).to.deep.equal([
+        ["a", "outer"],
+        ["b", "outer"],
+        ["c", "own"],
+        ["d", "inner"],
+        ["e", "cluster"],
+        ["f", undefined],
+      ]);
+      expect(
+        edges.map(({ from, to }: { from: string; to: string }): string[] => [
+          from,
+          to,
+        ])
+      ).to.deep.equal([
+        ["a", "b"],
+        ["f", "a"],
+      ]);
+    });
+  });
+
+  describe("errors", function (): void {
+    const dot = [
+      "digraph {",
+      "\ta -> b;",
+      "\tc [label=];",
+      "  d -> e [color=red",
+      "    style=%];",
+      "  f -> ; g -- h",
+      '  i -> "j',
+    ].join("\n");
+
+    it("Report the line and column", function (): void {
+      try {
+        parseDOT(dot);
+        expect.fail("parseDOT should have thrown");
+      } catch (error) {
+        expect(error).to.be.an.instanceOf(SyntaxError);
+        expect(error.message).to.equal(
+          'Attribute value expected, got "]" (line 3, column 11)\n' +
+            " c [label=];\n" +
+            "          ^"
+        );
+        expect(error).to.include({ line: 3, column: 11 });
+      }
+
+      expect((): void => {
+        parseDOT("graph { a -- b }\n}");
+      }).to.throw(
+        SyntaxError,
+        'End of file expected, got "}" (line 2, column 1)'
+      );
+    });
+
+    it("Show a part of long lines", function (): void {
+      try {
+        parseDOT(`graph { ${"a ".repeat(50)}%${" b".repeat(50)} }`);
+        expect.fail("parseDOT should have thrown");
+      } catch (error) {
+        expect(error.snippet).to.equal(
+          "...a a a a a a a a a a a a a a a a a a a a % b b b b b b b b b b b b b b b b b b b ...\n" +
+            " ".repeat(43) +
+            "^"
+        );
+      }
+    });
+
+    it("Skip invalid statements in lenient mode", function (): void {
+      const { nodes, edges, warnings } = DOTToGraph(dot, { lenient: true });
+
+      expect(nodes.map(({ id }: { id: string }): string => id)).to.deep.equal([
+        "a",
+        "b",
+        "d",
+        "e",
+        "f",
+        "g",
+        "h",
+        "i",
+      ]);
+      expect(
+        edges.map(({ from, to }: { from: string; to: string }): string[] => [
+          from,
+          to,
+        ])
+      ).to.deep.equal([
+        ["a", "b"],
+        ["g", "h"],
+      ]);
+      expect(
+        warnings.map(({ message, line, column }: any): unknown[] => [
+          message.split(",")[0],
+          line,
+          column,
+        ])
+      ).to.deep.equal([
+        ["Attribute value expected", 3, 11],
+        ["Unexpected character", 5, 11],
+        ["Identifier or subgraph expected", 6, 8],
+        ['End of string " expected', 7, 8],
+        ["Angle bracket } expected", 7, 10],
+      ]);
+    });
+  });
 });
@@ -15,6 +15,7 @@ describe("dotparser", function () {
         rankdir: "LR",
         size: "8,5",
         font: "arial",
+        attr1: 'another" attr',
         nodes: [
           {
             id: "node1",
@@ -0,0 +1,158 @@
+import { expect } from "chai";
+import { JSDOM } from "jsdom";
+
+import { parseGEXF } from "../lib/network/gexfParser";
+
+const GEXF = `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://www.gexf.net/1.2draft" xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">
+  <graph mode="dynamic" defaultedgetype="directed" timeformat="double">
+    <attributes class="node">
+      <attribute id="0" title="title" type="string"/>
+      <attribute id="1" title="score" type="float">
+        <default>0.5</default>
+      </attribute>
+    </attributes>
+    <attributes class="edge">
+      <attribute id="0" title="verified" type="boolean"/>
+    </attributes>
+    <nodes>
+      <node id="a" label="Alpha" start="1" end="3">
+        <attvalues>
+          <attvalue for="0" value="Tooltip"/>
+          <attvalue for="1" value="2"/>
+        </attvalues>
+        <viz:color r="255" g="0" b="10"/>
+        <viz:position x="15.5" y="-20" z="0"/>
+        <viz:size value="12"/>
+        <viz:shape value="square"/>
+      </node>
+      <node id="b">
+        <spells>
+          <spell start="1" end="2"/>
+          <spell start="4"/>
+        </spells>
+        <viz:color r="0" g="0" b="255" a="0.5"/>
+        <viz:shape value="image" uri="b.png"/>
+      </node>
+    </nodes>
+    <edges>
+      <edge id="0" source="a" target="b" weight="3" kind="friend" label="knows">
+        <attvalues>
+          <attvalue for="0" value="true"/>
+        </attvalues>
+        <viz:color r="1" g="2" b="3"/>
+        <viz:thickness value="4"/>
+      </edge>
+      <edge id="1" source="b" target="a" type="undirected"/>
+      <edge id="2" source="b" target="a" type="mutual"/>
+    </edges>
+  </graph>
+</gexf>`;
+
+describe("GEXF parser", function (): void {
+  before(function (): void {
+    (global as any).DOMParser = new JSDOM().window.DOMParser;
+  });
+
+  after(function (): void {
+    delete (global as any).DOMParser;
+  });
+
+  it("Converts nodes", function (): void {
+    const { nodes } = parseGEXF(GEXF, { parseColor: true });
+
+    expect(nodes).to.deep.equal([
+      {
+        id: "a",
+        fixed: false,
+        attributes: { title: "Tooltip", score: 2 },
+        label: "Alpha",
+        size: 12,
+        title: "Tooltip",
+        x: 15.5,
+        y: -20,
+        color: "rgb(255,0,10)",
+        shape: "square",
+        spells: [{ start: 1, end: 3 }],
+      },
+      {
+        id: "b",
+        fixed: false,
+        attributes: { score: 0.5 },
+        color: "rgba(0,0,255,0.5)",
+        shape: "image",
+        image: "b.png",
+        spells: [{ start: 1, end: 2 }, { start: 4 }],
+      },
+    ]);
+  });
+
+  it("Converts edges", function (): void {
+    const { edges } = parseGEXF(GEXF);
+
+    expect(edges).to.deep.equal([
+      {
+        from: "a",
+        id: "0",
+        to: "b",
+        attributes: { verified: true },
+        label: "knows",
+        arrows: "to",
+        color: "rgb(1,2,3)",
+        value: 3,
+        kind: "friend",
+        width: 4,
+      },
+      { from: "b", id: "1", to: "a" },
+      { from: "b", id: "2", to: "a", arrows: "to, from" },
+    ]);
+  });
+
+  it("Reuses the Gephi parser options", function (): void {
+    const { nodes, edges } = parseGEXF(GEXF, {
+      fixed: true,
+      inheritColor: true,
+    });
+
+    expect(nodes[0].fixed).to.be.true;
+    expect(nodes[1].fixed).to.be.false;
+    expect(nodes[0].color).to.deep.include({
+      background: "rgb(255,0,10)",
+      border: "rgb(255,0,10)",
+    });
+    expect(edges[0]).not.to.have.property("color");
+  });
+
+  it("Reads hex colors and timestamps", function (): void {
+    const { nodes } = parseGEXF(
+      `<gexf version="1.3">
+        <graph timeformat="date" timerepresentation="timestamp">
+          <nodes>
+            <node id="1">
+              <color hex="#123456"/>
+              <spells><spell timestamp="2020-01-01"/></spells>
+            </node>
+          </nodes>
+        </graph>
+      </gexf>`,
+      { parseColor: true }
+    );
+
+    expect(nodes[0]).to.deep.include({
+      color: "#123456",
+      spells: [{ start: "2020-01-01", end: "2020-01-01" }],
+    });
+  });
+
+  it("Throws on invalid input", function (): void {
+    expect((): void => {
+      parseGEXF("<gexf><graph>");
+    }).to.throw(SyntaxError, /Invalid XML/);
+    expect((): void => {
+      parseGEXF("<graphml/>");
+    }).to.throw(SyntaxError, /gexf expected/);
+    expect((): void => {
+      parseGEXF("<gexf/>");
+    }).to.throw(SyntaxError, /graph expected/);
+  });
+});
@@ -0,0 +1,313 @@
+import { expect } from "chai";
+import { JSDOM } from "jsdom";
+
+import Network from "../lib/network/Network";
+import { graphToGraphML, parseGraphML } from "../lib/network/graphmlParser";
+import { canvasMockify } from "./canvas-mock";
+
+const NETWORKX = `<?xml version="1.0" encoding="utf-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns">
+  <key id="d0" for="node" attr.name="label" attr.type="string"/>
+  <key id="d1" for="node" attr.name="importance" attr.type="double">
+    <default>1.5</default>
+  </key>
+  <key id="d2" for="edge" attr.name="weight" attr.type="int"/>
+  <key id="d3" for="node" attr.name="active" attr.type="boolean"/>
+  <graph edgedefault="undirected">
+    <node id="a"><data key="d0">Alpha</data><data key="d3">true</data></node>
+    <node id="b"><data key="d1">3</data></node>
+    <edge source="a" target="b"><data key="d2">7</data></edge>
+    <edge id="e1" source="b" target="a" directed="true"/>
+  </graph>
+</graphml>`;
+
+const YED = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">
+  <key for="node" id="d6" yfiles.type="nodegraphics"/>
+  <key for="edge" id="d10" yfiles.type="edgegraphics"/>
+  <graph edgedefault="directed" id="G">
+    <node id="n0" yfiles.foldertype="group">
+      <data key="d6"><y:ProxyAutoBoundsNode><y:Realizers active="0"><y:GroupNode><y:NodeLabel>Group</y:NodeLabel></y:GroupNode></y:Realizers></y:ProxyAutoBoundsNode></data>
+      <graph edgedefault="directed" id="n0:">
+        <node id="n0::n0">
+          <data key="d6">
+            <y:ShapeNode>
+              <y:Geometry height="30.0" width="40.0" x="10.0" y="20.0"/>
+              <y:Fill color="#FFCC00" transparent="false"/>
+              <y:BorderStyle color="#000000" type="line" width="1.0"/>
+              <y:NodeLabel>Inner</y:NodeLabel>
+              <y:Shape type="roundrectangle"/>
+            </y:ShapeNode>
+          </data>
+        </node>
+      </graph>
+    </node>
+    <node id="n1"/>
+    <edge id="e0" source="n0::n0" target="n1">
+      <data key="d10">
+        <y:PolyLineEdge>
+          <y:LineStyle color="#FF0000" type="dashed" width="2.0"/>
+          <y:Arrows source="none" target="standard"/>
+          <y:EdgeLabel>Link</y:EdgeLabel>
+        </y:PolyLineEdge>
+      </data>
+    </edge>
+    <edge id="e1" source="n0" target="n1"/>
+  </graph>
+</graphml>`;
+
+describe("GraphML parser", function (): void {
+  before(function (): void {
+    (global as any).DOMParser = new JSDOM().window.DOMParser;
+  });
+
+  after(function (): void {
+    delete (global as any).DOMParser;
+  });
+
+  describe("parseGraphML", function (): void {
+    it("Converts attributes by their key", function (): void {
+      const { nodes, edges } = parseGraphML(NETWORKX);
+
+      expect(nodes).to.deep.equal([
+        {
+          id: "a",
+          label: "Alpha",
+          attributes: { label: "Alpha", importance: 1.5, active: true },
+        },
+        { id: "b", attributes: { importance: 3 } },
+      ]);
+      expect(edges).to.deep.equal([
+        { from: "a", to: "b", value: 7, attributes: { weight: 7 } },
+        { id: "e1", from: "b", to: "a", arrows: "to" },
+      ]);
+    });
+
+    it("Applies custom attribute mapping", function (): void {
+      const { nodes } = parseGraphML(NETWORKX, {
+        attributeMapping: { importance: "value", label: null },
+      });
+
+      expect(nodes[0]).not.to.have.property("label");
+      expect(nodes[1]).to.have.property("value", 3);
+    });
+
+    it("Reads yFiles graphics and nested graphs", function (): void {
+      const { nodes, edges, warnings } = parseGraphML(YED, { fixed: true });
+
+      expect(nodes).to.deep.equal([
+        {
+          id: "n0::n0",
+          group: "n0",
+          x: 30,
+          y: 35,
+          label: "Inner",
+          color: { background: "#FFCC00", border: "#000000" },
+          shape: "box",
+          fixed: true,
+        },
+        { id: "n1" },
+      ]);
+      expect(edges).to.deep.equal([
+        {
+          id: "e0",
+          from: "n0::n0",
+          to: "n1",
+          arrows: "to",
+          label: "Link",
+          color: "#FF0000",
+          width: 2,
+          dashes: true,
+        },
+      ]);
+      expect(warnings).to.deep.equal([
+        {
+          message: "Edge n0 -> n1 omitted, node n0 contains a nested graph.",
+          edge: { id: "e1", from: "n0", to: "n1", arrows: "to" },
+        },
+      ]);
+    });
+
+    it("Reads Gephi colors", function (): void {
+      const { nodes } = parseGraphML(
+        `<graphml>
+          <key id="r" for="node" attr.name="r" attr.type="int"/>
+          <key id="g" for="node" attr.name="g" attr.type="int"/>
+          <key id="b" for="node" attr.name="b" attr.type="int"/>
+          <graph edgedefault="undirected">
+            <node id="1"><data key="r">255</data><data key="g">0</data><data key="b">10</data></node>
+          </graph>
+        </graphml>`
+      );
+
+      expect(nodes[0].color).to.equal("rgb(255,0,10)");
+    });
+
+    it("Throws on invalid input", function (): void {
+      expect((): void => {
+        parseGraphML("<graphml><graph>");
+      }).to.throw(SyntaxError, /Invalid XML/);
+      expect((): void => {
+        parseGraphML("<gexf/>");
+      }).to.throw(SyntaxError, /graphml expected/);
+      expect((): void => {
+        parseGraphML("<graphml/>");
+      }).to.throw(SyntaxError, /graph expected/);
+    });
+  });
+
+  describe("graphToGraphML", function (): void {
+    it("Declares keys and writes data", function (): void {
+      const graphML = graphToGraphML({
+        nodes: [
+          { id: 1, label: "One & only", x: 10, y: -5 },
+          { id: 2, group: "g", color: { background: "red" } },
+        ],
+        edges: [{ id: "e", from: 1, to: 2, value: 3, arrows: "to" }],
+      });
+
+      expect(graphML).to.include(
+        '<key id="d0" for="node" attr.name="label" attr.type="string"/>'
+      );
+      expect(graphML).to.include(
+        '<key id="d1" for="node" attr.name="x" attr.type="double"/>'
+      );
+      expect(graphML).to.include('<graph id="G" edgedefault="directed">');
+      expect(graphML).to.include('<data key="d0">One &amp; only</data>');
+      expect(graphML).to.include('<edge id="e" source="1" target="2">');
+    });
+
+    it("Writes undirected edges in a directed graph", function (): void {
+      const graphML = graphToGraphML({
+        nodes: [{ id: 1 }, { id: 2 }],
+        edges: [
+          { from: 1, to: 2, arrows: "from" },
+          { from: 1, to: 2 },
+        ],
+      });
+
+      expect(graphML).to.include('<edge source="2" target="1">');
+      expect(graphML).to.include(
+        '<edge source="1" target="2" directed="false">'
+      );
+    });
+
+    it("Writes yFiles graphics", function (): void {
+      const graphML = graphToGraphML(
+        {
+          nodes: [{ id: 1, label: "One", shape: "box", x: 0, y: 0 }],
+          edges: [],
+        },
+        { yFiles: true }
+      );
+
+      expect(graphML).to.include('xmlns:y="http://www.yworks.com/xml/graphml"');
+      expect(graphML).to.include(
+        '<y:Geometry x="-15" y="-15" width="30" height="30"/>'
+      );
+      expect(graphML).to.include('<y:Shape type="rectangle"/>');
+    });
+
+    it("Writes the yFiles geometry from the bounding boxes", function (): void {
+      const graphML = graphToGraphML(
+        {
+          nodes: [{ id: 1, label: "One", x: 0, y: 0 }],
+          edges: [],
+        },
+        {
+          yFiles: true,
+          boundingBoxes: { 1: { left: -40, right: 40, top: -10, bottom: 10 } },
+        }
+      );
+
+      expect(graphML).to.include(
+        '<y:Geometry x="-40" y="-10" width="80" height="20"/>'
+      );
+    });
+
+    it("Can be parsed back", function (): void {
+      const data = {
+        nodes: [
+          { id: "a", label: "A", group: "g", x: 1, y: 2 },
+          { id: "b", attributes: { custom: "kept" } },
+        ],
+        edges: [{ id: "e", from: "a", to: "b", label: "x", arrows: "to" }],
+      };
+
+      const parsed = parseGraphML(graphToGraphML(data));
+
+      expect(parsed.nodes[0]).to.include({
+        id: "a",
+        label: "A",
+        group: "g",
+        x: 1,
+        y: 2,
+      });
+      expect(parsed.nodes[1].attributes).to.deep.equal({ custom: "kept" });
+      expect(parsed.edges[0]).to.include({
+        id: "e",
+        from: "a",
+        to: "b",
+        label: "x",
+        arrows: "to",
+      });
+    });
+  });
+
+  describe("Network", function (): void {
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      this.network = new Network(
+        this.container,
+        {
+          nodes: [
+            { id: 1, label: "First", x: 0, y: 0 },
+            { id: 2, label: "Second", x: 100, y: 50 },
+          ],
+          edges: [{ from: 1, to: 2 }],
+        },
+        { physics: false }
+      );
+    });
+
+    afterEach(function () {
+      this.clearJSDOM();
+
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    it("Exports the current positions", function (): void {
+      this.network.moveNode(2, 30, 40);
+
+      const parsed = parseGraphML(this.network.toGraphML());
+
+      expect(parsed.nodes[1]).to.include({ id: "2", x: 30, y: 40 });
+      expect(parsed.edges[0]).not.to.have.property("arrows");
+    });
+
+    it("Can write the positions from the data set", function (): void {
+      this.network.moveNode(2, 30, 40);
+
+      const parsed = parseGraphML(this.network.toGraphML({ positions: false }));
+
+      expect(parsed.nodes[1]).to.include({ id: "2", x: 100, y: 50 });
+    });
+
+    it("Writes the real size of the nodes for yFiles", function (): void {
+      this.network.moveNode(2, 30, 40);
+
+      const graphML = this.network.toGraphML({ yFiles: true });
+      const { left, right, top, bottom } = this.network.getBoundingBox(2);
+
+      expect(right - left).to.be.above(30);
+      expect(graphML).to.include(
+        `<y:Geometry x="${left}" y="${top}" width="${right - left}" height="${
+          bottom - top
+        }"/>`
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { expect } from "chai";
+
+import Network from "../lib/network/Network";
+import { computeLayout, estimateTextWidth } from "../lib/network/headless";
+import { canvasMockify } from "./canvas-mock";
+
+const nodes = [
+  { id: 1, label: "Root" },
+  { id: 2, label: "A rather long label", shape: "box" },
+  { id: 3, label: "Two\nlines" },
+  { id: 4, shape: "image", image: "missing.png" },
+  ...[5, 6, 7, 8, 9].map((id): { id: number; label: string } => ({
+    id,
+    label: "Node " + id,
+  })),
+  { id: 10, hidden: true },
+];
+const edges = [
+  { from: 1, to: 2 },
+  { from: 1, to: 3 },
+  { from: 2, to: 4, label: "edge" },
+  { from: 2, to: 5 },
+  { from: 3, to: 6 },
+  { from: 6, to: 7 },
+  { from: 7, to: 8 },
+  { from: 8, to: 9 },
+  { from: 9, to: 6 },
+  { from: 9, to: 10 },
+];
+
+/**
+ * Create copies of the data, data sets write generated ids into the edges.
+ *
+ * @returns The nodes and edges.
+ */
+function getData(): { nodes: any[]; edges: any[] } {
+  return {
+    nodes: nodes.map((node): any => ({ ...node })),
+    edges: edges.map((edge): any => ({ ...edge })),
+  };
+}
+
+/**
+ * Run the callback while there is no DOM at all.
+ *
+ * @param callback - The code that must not depend on the DOM.
+ * @returns The result of the callback.
+ */
+async function withoutDOM<T>(callback: () => Promise<T>): Promise<T> {
+  const names = ["window", "document", "Element", "HTMLCanvasElement"];
+  const descriptors = names.map((name): PropertyDescriptor | undefined =>
+    Object.getOwnPropertyDescriptor(global, name)
+  );
+  for (const name of names) {
+    delete (global as any)[name];
+  }
+
+  try {
+    return await callback();
+  } finally {
+    names.forEach((name, i): void => {
+      const descriptor = descriptors[i];
+      if (descriptor) {
+        Object.defineProperty(global, name, descriptor);
+      }
+    });
+  }
+}
+
+describe("Headless layout", function (): void {
+  for (const { name, options } of [
+    {
+      name: "improved layout",
+      options: { layout: { randomSeed: 3 } },
+    },
+    {
+      name: "physics only",
+      options: {
+        layout: { randomSeed: 3, improvedLayout: false },
+        physics: {
+          solver: "forceAtlas2Based",
+          forceAtlas2Based: { avoidOverlap: 1 },
+          stabilization: { iterations: 200 },
+        },
+      },
+    },
+    {
+      name: "hierarchical layout",
+      options: {
+        layout: {
+          hierarchical: { direction: "LR", sortMethod: "hubsize" },
+        },
+        physics: { stabilization: { iterations: 200 } },
+      },
+    },
+    {
+      name: "no physics",
+      options: { layout: { randomSeed: 3 }, physics: false },
+    },
+  ]) {
+    it(`Computes the same positions as a network (${name})`, async function (): Promise<void> {
+      // The mocked canvas measures 12px per character.
+      const headless = await withoutDOM(
+        (): Promise<any> =>
+          computeLayout(getData(), {
+            ...options,
+            measureText: (text: string): number => 12 * text.length,
+          })
+      );
+
+      const clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      try {
+        const network = new Network(
+          document.getElementById("mynetwork") as HTMLElement,
+          getData(),
+          options as any
+        );
+        // The simulation goes on after the stabilization.
+        const positions =
+          options.physics === false
+            ? network.getPositions()
+            : await new Promise((resolve): void => {
+                network.once("stabilizationIterationsDone", (): void => {
+                  resolve(network.getPositions());
+                });
+              });
+
+        expect(Object.keys(headless)).to.have.lengthOf(9);
+        expect(headless).to.deep.equal(positions);
+      } finally {
+        clearJSDOM();
+      }
+    });
+  }
+
+  it("Is deterministic with a random seed", async function (): Promise<void> {
+    const options = { layout: { randomSeed: "seed" } };
+    const first = await computeLayout(getData(), options);
+    const second = await computeLayout(getData(), options);
+
+    expect(second).to.deep.equal(first);
+    expect(first[5]).to.not.deep.equal({ x: 0, y: 0 });
+  });
+
+  it("Measures the labels with given function", async function (): Promise<void> {
+    const calls: string[][] = [];
+    const measureText = (text: string, font: string): number => {
+      calls.push([text, font]);
+      return 50 * text.length;
+    };
+    const options = {
+      layout: { randomSeed: 3, improvedLayout: false },
+      physics: { barnesHut: { avoidOverlap: 1 } },
+    };
+
+    const wide = await computeLayout(getData(), { ...options, measureText });
+    const estimated = await computeLayout(getData(), options);
+
+    expect(calls).to.deep.include(["A rather long label", "14px arial"]);
+    expect(calls).to.deep.include(["lines", "14px arial"]);
+    expect(wide).to.not.deep.equal(estimated);
+  });
+
+  it("Estimates the text width from the font size", function (): void {
+    expect(estimateTextWidth("abcd", "14px arial")).to.be.closeTo(33.6, 1e-9);
+    expect(estimateTextWidth("ab", "bold 20px Helvetica")).to.equal(24);
+    expect(estimateTextWidth("", "14px arial")).to.equal(0);
+  });
+
+  it("Rejects an invalid text measurement", async function (): Promise<void> {
+    const error = await computeLayout(getData(), {
+      measureText: "12px" as any,
+    }).catch((error): Error => error);
+
+    expect(error)
+      .to.be.instanceOf(TypeError)
+      .with.property("message", "measureText has to be a function.");
+  });
+});
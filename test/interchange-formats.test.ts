@@ -0,0 +1,263 @@
+import { expect } from "chai";
+
+import Network from "../lib/network/Network";
+import {
+  graphToCytoscape,
+  parseCytoscape,
+} from "../lib/network/cytoscapeConverter";
+import { graphToJGF, parseJGF } from "../lib/network/jgfConverter";
+import { canvasMockify } from "./canvas-mock";
+
+describe("Interchange formats", function (): void {
+  describe("Cytoscape.js", function (): void {
+    const elements = [
+      {
+        group: "nodes" as const,
+        data: { id: "a", label: "Alpha", weight: 3 },
+        position: { x: 10, y: 20 },
+        classes: "important highlighted",
+        locked: true,
+      },
+      { data: { id: "b" }, classes: ["plain"] },
+      { data: { id: "ab", source: "a", target: "b", label: "to b" } },
+    ];
+
+    it("Converts an array of elements", function (): void {
+      expect(parseCytoscape(elements)).to.deep.equal({
+        nodes: [
+          {
+            id: "a",
+            label: "Alpha",
+            group: "important",
+            x: 10,
+            y: 20,
+            fixed: true,
+            attributes: { label: "Alpha", weight: 3 },
+          },
+          { id: "b", group: "plain" },
+        ],
+        edges: [
+          {
+            id: "ab",
+            from: "a",
+            to: "b",
+            label: "to b",
+            attributes: { label: "to b" },
+          },
+        ],
+      });
+    });
+
+    it("Accepts grouped elements and the output of cy.json()", function (): void {
+      const grouped = {
+        nodes: [{ data: { id: "a" } }, { data: { id: "b" } }],
+        edges: [{ data: { source: "a", target: "b" } }],
+      };
+      const expected = {
+        nodes: [{ id: "a" }, { id: "b" }],
+        edges: [{ from: "a", to: "b" }],
+      };
+
+      expect(parseCytoscape(grouped)).to.deep.equal(expected);
+      expect(parseCytoscape({ elements: grouped })).to.deep.equal(expected);
+    });
+
+    it("Throws on invalid elements", function (): void {
+      expect((): void => {
+        parseCytoscape([{ group: "edges", data: { source: "a" } }]);
+      }).to.throw(TypeError);
+      expect((): void => {
+        parseCytoscape([{ data: {} }]);
+      }).to.throw(TypeError);
+    });
+
+    it("Round-trips", function (): void {
+      const parsed = parseCytoscape(elements);
+      const exported = graphToCytoscape(parsed);
+
+      expect(exported.nodes[0]).to.deep.equal({
+        group: "nodes",
+        data: { id: "a", label: "Alpha", weight: 3 },
+        position: { x: 10, y: 20 },
+        classes: "important",
+        locked: true,
+      });
+      expect(exported.edges[0]).to.deep.equal({
+        group: "edges",
+        data: { id: "ab", source: "a", target: "b", label: "to b" },
+      });
+      expect(parseCytoscape(exported)).to.deep.equal({
+        ...parsed,
+        nodes: [parsed.nodes[0], { id: "b", group: "plain" }],
+      });
+    });
+  });
+
+  describe("JSON Graph Format", function (): void {
+    it("Converts version 2", function (): void {
+      expect(
+        parseJGF({
+          graph: {
+            directed: true,
+            nodes: {
+              a: { label: "Alpha", metadata: { x: 1, y: 2, group: "g" } },
+              b: { metadata: { position: { x: 3, y: 4 } } },
+            },
+            edges: [
+              { source: "a", target: "b", label: "ab" },
+              { id: "ba", source: "b", target: "a", directed: false },
+            ],
+          },
+        })
+      ).to.deep.equal({
+        nodes: [
+          {
+            id: "a",
+            label: "Alpha",
+            x: 1,
+            y: 2,
+            group: "g",
+            attributes: { x: 1, y: 2, group: "g" },
+          },
+          {
+            id: "b",
+            x: 3,
+            y: 4,
+            attributes: { position: { x: 3, y: 4 } },
+          },
+        ],
+        edges: [
+          { from: "a", to: "b", label: "ab", arrows: "to" },
+          { id: "ba", from: "b", to: "a" },
+        ],
+      });
+    });
+
+    it("Converts version 1 and multiple graphs", function (): void {
+      expect(
+        parseJGF({
+          graphs: [
+            {
+              nodes: [{ id: "a", label: "A" }],
+              edges: [{ source: "a", target: "a", metadata: { weight: 2 } }],
+            },
+          ],
+        })
+      ).to.deep.equal({
+        nodes: [{ id: "a", label: "A" }],
+        edges: [{ from: "a", to: "a", attributes: { weight: 2 } }],
+      });
+    });
+
+    it("Throws without a graph", function (): void {
+      expect((): void => {
+        parseJGF({});
+      }).to.throw(TypeError);
+    });
+
+    it("Round-trips", function (): void {
+      const data = {
+        nodes: [
+          { id: "a", label: "Alpha", group: "g", x: 1, y: 2 },
+          { id: "b", attributes: { custom: true } },
+        ],
+        edges: [
+          { from: "a", to: "b", arrows: "to" as const },
+          { from: "b", to: "a" },
+        ],
+      };
+      const jgf = graphToJGF(data, { label: "Graph" });
+
+      expect(jgf).to.deep.equal({
+        graph: {
+          label: "Graph",
+          directed: true,
+          nodes: {
+            a: { label: "Alpha", metadata: { group: "g", x: 1, y: 2 } },
+            b: { metadata: { custom: true } },
+          },
+          edges: [
+            { source: "a", target: "b" },
+            { source: "b", target: "a", directed: false },
+          ],
+        },
+      });
+      expect(parseJGF(jgf).edges).to.deep.equal([
+        { from: "a", to: "b", arrows: "to" },
+        { from: "b", to: "a" },
+      ]);
+    });
+  });
+
+  describe("Network.exportData", function (): void {
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      this.network = new Network(
+        this.container,
+        {
+          nodes: [
+            { id: 1, label: "First", group: "g", x: 0, y: 0 },
+            { id: 2, label: "Second", x: 100, y: 50 },
+          ],
+          edges: [{ id: "e", from: 1, to: 2, arrows: "to" }],
+        },
+        { physics: false }
+      );
+      this.network.moveNode(2, 30, 40);
+    });
+
+    afterEach(function () {
+      this.clearJSDOM();
+
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    it("Exports Cytoscape.js elements", function (): void {
+      expect(this.network.exportData("cytoscape")).to.deep.equal({
+        nodes: [
+          {
+            group: "nodes",
+            data: { id: "1", label: "First" },
+            position: { x: 0, y: 0 },
+            classes: "g",
+          },
+          {
+            group: "nodes",
+            data: { id: "2", label: "Second" },
+            position: { x: 30, y: 40 },
+          },
+        ],
+        edges: [
+          { group: "edges", data: { id: "e", source: "1", target: "2" } },
+        ],
+      });
+    });
+
+    it("Exports JGF", function (): void {
+      const jgf = this.network.exportData("jgf", { id: "net" });
+
+      expect(jgf.graph.id).to.equal("net");
+      expect(jgf.graph.directed).to.be.true;
+      expect(jgf.graph.nodes[2]).to.deep.equal({
+        label: "Second",
+        metadata: { x: 30, y: 40 },
+      });
+    });
+
+    it("Exports DOT and GraphML with positions", function (): void {
+      expect(this.network.exportData("dot")).to.include(
+        '2 [label=Second, pos="30,-40!"]'
+      );
+      expect(this.network.exportData("graphml")).to.include(
+        '<data key="d3">40</data>'
+      );
+    });
+
+    it("Rejects unknown formats", function (): void {
+      expect((): void => this.network.exportData("gml")).to.throw(TypeError);
+    });
+  });
+});
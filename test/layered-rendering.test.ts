@@ -0,0 +1,224 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import Network from "../lib/network/Network";
+import Edge from "../lib/network/modules/components/Edge";
+import Node from "../lib/network/modules/components/Node";
+import { canvasMockify } from "./canvas-mock";
+
+describe("Layered rendering", function (): void {
+  beforeEach(function () {
+    this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+    this.container = document.getElementById("mynetwork");
+    window.requestAnimationFrame = (callback: () => void): any =>
+      setTimeout(callback, 1);
+    window.cancelAnimationFrame = (handle: any): void => {
+      clearTimeout(handle);
+    };
+    // the network isn't drawn into a container without a size, the mocked
+    // canvas is shared by all tests and belongs to the first window
+    this.canvas = document.createElement("canvas");
+    for (const [name, size] of [
+      ["clientWidth", 800],
+      ["clientHeight", 600],
+    ] as [string, number][]) {
+      for (const target of [window.HTMLElement.prototype, this.canvas]) {
+        Object.defineProperty(target, name, {
+          configurable: true,
+          get: (): number => size,
+        });
+      }
+    }
+
+    this.spies = {
+      edgeDraw: spy(Edge.prototype, "draw"),
+      nodeDraw: spy(Node.prototype, "draw"),
+      beforeDrawing: spy(),
+      afterDrawing: spy(),
+    };
+  });
+
+  afterEach(function () {
+    this.spies.edgeDraw.restore();
+    this.spies.nodeDraw.restore();
+    this.network?.destroy();
+    delete this.canvas.clientWidth;
+    delete this.canvas.clientHeight;
+    this.clearJSDOM();
+    delete this.clearJSDOM;
+    delete this.container;
+    delete this.network;
+    delete this.spies;
+    delete this.canvas;
+  });
+
+  /**
+   * Create a network of a row of nodes with edges between the neighbours,
+   * all of them are in the view.
+   *
+   * @param container - The container of the network.
+   * @param spies - The spies for the drawing events.
+   * @returns The network.
+   */
+  function createNetwork(container: HTMLElement, spies: any): Network {
+    const nodes = [];
+    const edges = [];
+    for (let i = 0; i < 10; i++) {
+      nodes.push({ id: i, x: 50 * i, y: 0, shape: "dot" });
+      if (i > 0) {
+        edges.push({ id: `e${i}`, from: i - 1, to: i });
+      }
+    }
+    const network = new Network(
+      container,
+      { nodes, edges },
+      {
+        physics: false,
+        edges: { smooth: false },
+        interaction: { layeredRendering: true },
+      }
+    );
+    network.on("beforeDrawing", spies.beforeDrawing);
+    network.on("afterDrawing", spies.afterDrawing);
+    network.moveTo({ position: { x: 225, y: 0 }, scale: 1 });
+    return network;
+  }
+
+  /**
+   * Reset the spies, draw the next frame and count the calls.
+   *
+   * @param network - The network.
+   * @param spies - The spies.
+   * @returns The number of calls of each spy.
+   */
+  function drawFrame(network: Network, spies: any): Record<string, number> {
+    for (const method of Object.values(spies)) {
+      method.resetHistory();
+    }
+    (network as any).body.emitter.emit("_redraw");
+    const counts: Record<string, number> = {};
+    for (const [name, method] of Object.entries(spies)) {
+      counts[name] = method.callCount;
+    }
+    return counts;
+  }
+
+  it("Redraws only the selection", function (): void {
+    const network = (this.network = createNetwork(this.container, this.spies));
+    const renderer = (network as any).renderer;
+
+    expect(drawFrame(network, this.spies)).to.deep.equal({
+      edgeDraw: 9,
+      nodeDraw: 10,
+      beforeDrawing: 1,
+      afterDrawing: 1,
+    });
+    expect(drawFrame(network, this.spies)).to.deep.equal({
+      edgeDraw: 0,
+      nodeDraw: 0,
+      beforeDrawing: 1,
+      afterDrawing: 1,
+    });
+
+    // the edges of the node are selected too, they're drawn below the cached
+    // nodes
+    network.selectNodes([5]);
+    const drawLayer = spy(renderer, "_drawLayer");
+    expect(drawFrame(network, this.spies)).to.deep.equal({
+      edgeDraw: 2,
+      nodeDraw: 1,
+      beforeDrawing: 1,
+      afterDrawing: 1,
+    });
+    expect(
+      this.spies.edgeDraw.thisValues.map((edge: any): string => edge.id)
+    ).to.deep.equal(["e5", "e6"]);
+    expect(
+      this.spies.nodeDraw.thisValues.map((node: any): number => node.id)
+    ).to.deep.equal([5]);
+    const nodesLayer = drawLayer
+      .getCalls()
+      .find((call): boolean => call.args[1] === renderer.layers.nodes);
+    expect(this.spies.edgeDraw.lastCall.calledBefore(nodesLayer)).to.equal(
+      true
+    );
+    expect(this.spies.nodeDraw.lastCall.calledAfter(nodesLayer)).to.equal(true);
+    drawLayer.restore();
+
+    network.unselectAll();
+    expect(drawFrame(network, this.spies)).to.deep.equal({
+      edgeDraw: 0,
+      nodeDraw: 0,
+      beforeDrawing: 1,
+      afterDrawing: 1,
+    });
+  });
+
+  it("Keeps the background without beforeDrawing handlers", function (): void {
+    const network = (this.network = createNetwork(this.container, this.spies));
+    network.off("beforeDrawing", this.spies.beforeDrawing);
+    const beginLayer = spy((network as any).renderer, "_beginLayer");
+    drawFrame(network, this.spies);
+    expect(beginLayer.callCount).to.equal(3);
+
+    beginLayer.resetHistory();
+    drawFrame(network, this.spies);
+    expect(beginLayer.callCount).to.equal(0);
+
+    network.on("beforeDrawing", this.spies.beforeDrawing);
+    expect(drawFrame(network, this.spies)).to.include({
+      edgeDraw: 0,
+      nodeDraw: 0,
+      beforeDrawing: 1,
+    });
+    expect(beginLayer.callCount).to.equal(1);
+  });
+
+  it("Redraws the layers when the view or the network change", async function (): Promise<void> {
+    const network = (this.network = createNetwork(this.container, this.spies));
+    drawFrame(network, this.spies);
+
+    network.moveTo({ position: { x: 200, y: 0 } });
+    expect(drawFrame(network, this.spies)).to.include({
+      edgeDraw: 9,
+      nodeDraw: 10,
+    });
+
+    // moving a node starts the simulation, which redraws right away without
+    // physics
+    drawFrame(network, this.spies);
+    network.moveNode(3, 150, 20);
+    await new Promise((resolve): void => {
+      setTimeout(resolve, 0);
+    });
+    expect(this.spies.edgeDraw.callCount).to.equal(9);
+    expect(this.spies.nodeDraw.callCount).to.equal(10);
+
+    (network as any).body.data.edges.update({ id: "e3", color: "red" });
+    expect(drawFrame(network, this.spies)).to.include({
+      edgeDraw: 9,
+      nodeDraw: 10,
+    });
+
+    this.spies.edgeDraw.resetHistory();
+    network.redraw();
+    expect(this.spies.edgeDraw.callCount).to.equal(9);
+    expect(drawFrame(network, this.spies)).to.include({
+      edgeDraw: 0,
+      nodeDraw: 0,
+    });
+  });
+
+  it("Draws everything with every frame when turned off", function (): void {
+    const network = (this.network = createNetwork(this.container, this.spies));
+    network.setOptions({ interaction: { layeredRendering: false } });
+    drawFrame(network, this.spies);
+
+    expect(drawFrame(network, this.spies)).to.deep.equal({
+      edgeDraw: 9,
+      nodeDraw: 10,
+      beforeDrawing: 1,
+      afterDrawing: 1,
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { expect } from "chai";
+
+import LayoutConstraints from "../lib/network/modules/components/algorithms/LayoutConstraints";
+import { computeLayout } from "../lib/network/headless";
+
+/**
+ * Create the part of the body the constraints use.
+ *
+ * @param positions - The positions of the nodes, their ids are the indices.
+ * @returns The body.
+ */
+function createBody(positions: [number, number][]): any {
+  const body: any = { nodes: {}, nodeIndices: [] };
+  positions.forEach(([x, y], id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      options: { fixed: { x: false, y: false } },
+    };
+    body.nodeIndices.push(id);
+  });
+  return body;
+}
+
+/**
+ * Project the positions of the nodes.
+ *
+ * @param body - The body with the nodes.
+ * @param constraints - The constraints as given in the options.
+ * @returns The ids of the moved nodes.
+ */
+function project(body: any, constraints: any[]): number[] {
+  const layoutConstraints = new LayoutConstraints(body);
+  layoutConstraints.setConstraints(constraints);
+  return layoutConstraints.project(body.nodeIndices);
+}
+
+describe("Layout constraints", function (): void {
+  it("Aligns the nodes", function (): void {
+    const body = createBody([
+      [0, 10],
+      [50, 20],
+      [100, 60],
+    ]);
+    const moved = project(body, [
+      { type: "align", axis: "y", nodes: [0, 1, 2] },
+    ]);
+
+    expect(moved).to.deep.equal([0, 1, 2]);
+    expect([body.nodes[0].y, body.nodes[1].y, body.nodes[2].y]).to.deep.equal([
+      30, 30, 30,
+    ]);
+    expect(body.nodes[1].x).to.equal(50);
+  });
+
+  it("Aligns the nodes to the ones that can't move", function (): void {
+    const body = createBody([
+      [0, 10],
+      [50, 20],
+      [100, 60],
+    ]);
+    body.nodes[2].options.fixed.y = true;
+    // not part of the nodes that may be moved
+    body.nodeIndices = [1, 2];
+    project(body, [{ type: "align", axis: "y", nodes: [0, 1, 2] }]);
+
+    expect(body.nodes[0].y).to.equal(10);
+    expect(body.nodes[1].y).to.equal(35);
+    expect(body.nodes[2].y).to.equal(60);
+  });
+
+  it("Separates the nodes", function (): void {
+    const body = createBody([
+      [0, 0],
+      [20, 0],
+      [300, 0],
+    ]);
+    const moved = project(body, [
+      { type: "separation", axis: "x", from: 0, to: 1, gap: 100 },
+      { type: "separation", axis: "x", from: 0, to: 2, gap: 100 },
+    ]);
+
+    expect(moved).to.deep.equal([0, 1]);
+    expect(body.nodes[0].x).to.equal(-40);
+    expect(body.nodes[1].x).to.equal(60);
+    expect(body.nodes[2].x).to.equal(300);
+  });
+
+  it("Keeps the nodes in the region", function (): void {
+    const body = createBody([
+      [-50, 50],
+      [50, 500],
+      [500, -500],
+    ]);
+    body.nodes[2].options.fixed.x = true;
+    project(body, [
+      { type: "region", nodes: [0, 1, 2], left: 0, right: 100, bottom: 200 },
+    ]);
+
+    expect(body.nodes[0]).to.include({ x: 0, y: 50 });
+    expect(body.nodes[1]).to.include({ x: 50, y: 200 });
+    expect(body.nodes[2]).to.include({ x: 500, y: -500 });
+  });
+
+  it("Keeps the offsets between the nodes", function (): void {
+    const body = createBody([
+      [0, 0],
+      [10, 40],
+    ]);
+    body.nodes[0].options.fixed = { x: true, y: true };
+    project(body, [{ type: "offset", from: 0, to: 1, x: 100, y: -20 }]);
+
+    expect(body.nodes[1]).to.include({ x: 100, y: -20 });
+  });
+
+  it("Satisfies constraints that depend on each other", function (): void {
+    const body = createBody([
+      [0, 0],
+      [10, 10],
+      [20, -10],
+      [30, 30],
+    ]);
+    project(body, [
+      { type: "separation", axis: "x", from: 0, to: 1, gap: 50 },
+      { type: "separation", axis: "x", from: 1, to: 2, gap: 50 },
+      { type: "offset", from: 2, to: 3, x: 50 },
+      { type: "align", axis: "y", nodes: [0, 1, 2, 3] },
+      { type: "region", nodes: [0, 1, 2, 3], left: 0 },
+    ]);
+
+    // the projections of the constraints converge towards the solution
+    const nodes = body.nodes;
+    expect(nodes[1].x - nodes[0].x).to.be.at.least(50 - 1e-4);
+    expect(nodes[2].x - nodes[1].x).to.be.at.least(50 - 1e-4);
+    expect(nodes[3].x - nodes[2].x).to.be.closeTo(50, 1e-4);
+    expect(nodes[0].x).to.be.at.least(-1e-4);
+    for (const id of [1, 2, 3]) {
+      expect(nodes[id].y).to.be.closeTo(nodes[0].y, 1e-4);
+    }
+  });
+
+  it("Ignores nodes that don't exist", function (): void {
+    const body = createBody([[0, 0]]);
+    const moved = project(body, [
+      { type: "separation", axis: "x", from: 0, to: 7, gap: 100 },
+      { type: "align", axis: "x", nodes: [7, 8] },
+    ]);
+
+    expect(moved).to.deep.equal([]);
+  });
+
+  it("Rejects invalid constraints", function (): void {
+    const layoutConstraints = new LayoutConstraints(createBody([]));
+
+    expect((): void => {
+      layoutConstraints.setConstraints([{ type: "circle", nodes: [] }]);
+    }).to.throw(/Unknown layout constraint type "circle"/);
+    expect((): void => {
+      layoutConstraints.setConstraints([
+        { type: "align", axis: "horizontal", nodes: [] },
+      ]);
+    }).to.throw(/has to be "x" or "y"/);
+  });
+
+  describe("Layout", function (): void {
+    this.timeout(15000);
+
+    const data = {
+      nodes: [...new Array(12).keys()].map((id): { id: number } => ({ id })),
+      edges: [...new Array(11).keys()].map(
+        (id): { from: number; to: number } => ({
+          from: id + 1,
+          to: Math.floor(id / 2),
+        })
+      ),
+    };
+    const constraints = [
+      { type: "align", axis: "y", nodes: [3, 4, 5, 6] },
+      { type: "separation", axis: "x", from: 8, to: 7, gap: 150 },
+      { type: "region", nodes: [9, 10], left: 0, top: 0, right: 100 },
+      { type: "offset", from: 11, to: 0, x: 0, y: 120 },
+    ];
+
+    it("Is enforced by the physics", async function (): Promise<void> {
+      for (const solver of ["barnesHut", "forceAtlas2"]) {
+        const positions = await computeLayout(data, {
+          layout: { randomSeed: 3, constraints },
+          physics: { solver },
+        });
+
+        for (const id of [4, 5, 6]) {
+          expect(positions[id].y).to.be.closeTo(positions[3].y, 1e-6);
+        }
+        expect(positions[7].x - positions[8].x).to.be.at.least(150 - 1e-6);
+        for (const id of [9, 10]) {
+          expect(positions[id].x).to.be.within(-1e-6, 100 + 1e-6);
+          expect(positions[id].y).to.be.at.least(-1e-6);
+        }
+        expect(positions[0].x - positions[11].x).to.be.closeTo(0, 1e-6);
+        expect(positions[0].y - positions[11].y).to.be.closeTo(120, 1e-6);
+      }
+    });
+
+    it("Is respected by the hierarchical layout", async function (): Promise<void> {
+      const hierarchical = { direction: "UD", levelSeparation: 100 };
+      const free = await computeLayout(data, {
+        layout: { randomSeed: 3, hierarchical },
+        physics: false,
+      });
+      const constrained = await computeLayout(data, {
+        layout: {
+          randomSeed: 3,
+          hierarchical,
+          constraints: [
+            { type: "separation", axis: "x", from: 4, to: 3, gap: 100 },
+            { type: "align", axis: "x", nodes: [1, 5] },
+          ],
+        },
+        physics: false,
+      });
+
+      expect(constrained[3].x - constrained[4].x).to.be.at.least(100 - 1e-6);
+      expect(constrained[5].x).to.be.closeTo(constrained[1].x, 1e-6);
+      // the nodes stay on their levels
+      for (const id of Object.keys(free)) {
+        expect(constrained[id].y).to.equal(free[id].y);
+      }
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import Network from "../lib/network/Network";
+import Edge from "../lib/network/modules/components/Edge";
+import Node from "../lib/network/modules/components/Node";
+import { canvasMockify } from "./canvas-mock";
+
+describe("Level of detail", function (): void {
+  beforeEach(function () {
+    this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+    this.container = document.getElementById("mynetwork");
+    window.requestAnimationFrame = (callback: () => void): any =>
+      setTimeout(callback, 1);
+    window.cancelAnimationFrame = (handle: any): void => {
+      clearTimeout(handle);
+    };
+    // the network isn't drawn into a container without a size, the mocked
+    // canvas is shared by all tests and belongs to the first window
+    this.canvas = document.createElement("canvas");
+    for (const [name, size] of [
+      ["clientWidth", 800],
+      ["clientHeight", 600],
+    ] as [string, number][]) {
+      for (const target of [window.HTMLElement.prototype, this.canvas]) {
+        Object.defineProperty(target, name, {
+          configurable: true,
+          get: (): number => size,
+        });
+      }
+    }
+
+    this.spies = {
+      edgeDraw: spy(Edge.prototype, "draw"),
+      edgeDrawSimplified: spy(Edge.prototype, "drawSimplified"),
+      edgeDrawArrows: spy(Edge.prototype, "drawArrows"),
+      nodeDraw: spy(Node.prototype, "draw"),
+      nodeDrawSimplified: spy(Node.prototype, "drawSimplified"),
+    };
+  });
+
+  afterEach(function () {
+    for (const method of Object.values(this.spies)) {
+      method.restore();
+    }
+    this.network?.destroy();
+    delete this.canvas.clientWidth;
+    delete this.canvas.clientHeight;
+    this.clearJSDOM();
+    delete this.clearJSDOM;
+    delete this.container;
+    delete this.network;
+    delete this.spies;
+    delete this.canvas;
+  });
+
+  /**
+   * Create a network of a row of nodes with arrows between the neighbours.
+   *
+   * @param container - The container of the network.
+   * @param interaction - The interaction options.
+   * @returns The network.
+   */
+  function createNetwork(container: HTMLElement, interaction: any): Network {
+    const nodes = [];
+    const edges = [];
+    for (let i = 0; i < 20; i++) {
+      nodes.push({ id: i, x: 100 * i, y: 0, shape: "dot" });
+      if (i > 0) {
+        edges.push({ id: `e${i}`, from: i - 1, to: i, arrows: "to" });
+      }
+    }
+    return new Network(
+      container,
+      { nodes, edges },
+      { physics: false, edges: { smooth: false }, interaction }
+    );
+  }
+
+  /**
+   * Reset the spies, redraw the network and count the calls.
+   *
+   * @param network - The network.
+   * @param spies - The spies.
+   * @returns The number of calls of each spy.
+   */
+  function redraw(network: Network, spies: any): Record<string, number> {
+    for (const method of Object.values(spies)) {
+      method.resetHistory();
+    }
+    network.redraw();
+    const counts: Record<string, number> = {};
+    for (const [name, method] of Object.entries(spies)) {
+      counts[name] = method.callCount;
+    }
+    return counts;
+  }
+
+  it("Doesn't draw the edges outside of the view", function (): void {
+    const network = (this.network = createNetwork(this.container, {}));
+    network.moveTo({ position: { x: 0, y: 0 }, scale: 1 });
+
+    const counts = redraw(network, this.spies);
+    // 800 pixels wide show the edges up to x = 420 (plus the margin)
+    expect(counts.edgeDraw).to.be.within(4, 6);
+    expect(counts.edgeDrawArrows).to.equal(counts.edgeDraw);
+    expect(counts.edgeDrawSimplified).to.equal(0);
+    expect(counts.nodeDrawSimplified).to.equal(0);
+  });
+
+  it("Leaves out the details below the thresholds", function (): void {
+    const network = (this.network = createNetwork(this.container, {
+      levelOfDetail: { edgeThreshold: 0.5, nodeThreshold: 0.2 },
+    }));
+
+    network.moveTo({ position: { x: 950, y: 0 }, scale: 0.3 });
+    let counts = redraw(network, this.spies);
+    expect(counts).to.include({
+      edgeDraw: 0,
+      edgeDrawSimplified: 19,
+      edgeDrawArrows: 0,
+      nodeDrawSimplified: 0,
+    });
+    expect(counts.nodeDraw).to.equal(20);
+
+    network.moveTo({ position: { x: 950, y: 0 }, scale: 0.1 });
+    counts = redraw(network, this.spies);
+    expect(counts).to.include({
+      edgeDraw: 0,
+      edgeDrawSimplified: 19,
+      edgeDrawArrows: 0,
+      nodeDraw: 0,
+      nodeDrawSimplified: 20,
+    });
+
+    // exports show everything in full detail
+    for (const method of Object.values(this.spies)) {
+      method.resetHistory();
+    }
+    network.toSVG();
+    expect(this.spies.edgeDraw.callCount).to.equal(19);
+    expect(this.spies.edgeDrawArrows.callCount).to.equal(19);
+    expect(this.spies.nodeDraw.callCount).to.equal(20);
+    expect(this.spies.edgeDrawSimplified.callCount).to.equal(0);
+    expect(this.spies.nodeDrawSimplified.callCount).to.equal(0);
+
+    network.moveTo({ position: { x: 950, y: 0 }, scale: 0.6 });
+    counts = redraw(network, this.spies);
+    expect(counts).to.include({
+      edgeDrawSimplified: 0,
+      nodeDrawSimplified: 0,
+    });
+    expect(counts.edgeDraw).to.be.above(0);
+    expect(counts.edgeDrawArrows).to.equal(counts.edgeDraw);
+  });
+
+  it("Can be turned off", function (): void {
+    const network = (this.network = createNetwork(this.container, {
+      levelOfDetail: true,
+    }));
+    network.moveTo({ position: { x: 950, y: 0 }, scale: 0.1 });
+    expect(redraw(network, this.spies).nodeDrawSimplified).to.equal(20);
+
+    network.setOptions({ interaction: { levelOfDetail: false } });
+    const counts = redraw(network, this.spies);
+    expect(counts).to.include({
+      edgeDraw: 19,
+      edgeDrawArrows: 19,
+      edgeDrawSimplified: 0,
+      nodeDraw: 20,
+      nodeDrawSimplified: 0,
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import MultilevelLayout from "../lib/network/modules/MultilevelLayout";
+import { computeLayout } from "../lib/network/headless";
+
+type Data = { nodes: any[]; edges: { from: number; to: number }[] };
+type Positions = Record<string, { x: number; y: number }>;
+
+/**
+ * Create a grid shaped network.
+ *
+ * @param width - The number of columns.
+ * @param height - The number of rows.
+ * @returns The nodes and edges.
+ */
+function grid(width: number, height: number): Data {
+  const data: Data = { nodes: [], edges: [] };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const id = y * width + x;
+      data.nodes.push({ id });
+      if (x > 0) {
+        data.edges.push({ from: id - 1, to: id });
+      }
+      if (y > 0) {
+        data.edges.push({ from: id - width, to: id });
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * @param positions - The positions of the nodes.
+ * @param a - The id of the first node.
+ * @param b - The id of the second node.
+ * @returns The distance between given nodes.
+ */
+function distance(positions: Positions, a: number, b: number): number {
+  return Math.hypot(
+    positions[a].x - positions[b].x,
+    positions[a].y - positions[b].y
+  );
+}
+
+describe("Multilevel layout", function (): void {
+  this.timeout(15000);
+
+  const options = {
+    layout: { randomSeed: 2, clusterThreshold: 40, multilevel: true },
+    physics: { stabilization: false },
+  };
+
+  afterEach(function (): void {
+    (MultilevelLayout.prototype.solve as any).restore?.();
+  });
+
+  it("Unfolds a grid", async function (): Promise<void> {
+    const data = grid(15, 15);
+    const positions = await computeLayout(data, options);
+
+    expect(Object.keys(positions)).to.have.lengthOf(225);
+    let edgeLength = 0;
+    for (const { from, to } of data.edges) {
+      edgeLength += distance(positions, from, to) / data.edges.length;
+    }
+    // The opposite corners are 28 edges apart.
+    expect(distance(positions, 0, 224)).to.be.above(6 * edgeLength);
+    expect(distance(positions, 14, 210)).to.be.above(6 * edgeLength);
+  });
+
+  it("Is deterministic with a random seed", async function (): Promise<void> {
+    const first = await computeLayout(grid(10, 10), options);
+    const second = await computeLayout(grid(10, 10), options);
+
+    expect(second).to.deep.equal(first);
+  });
+
+  it("Collapses stars and unconnected nodes", async function (): Promise<void> {
+    const data: Data = { nodes: [{ id: 0 }], edges: [] };
+    for (let id = 1; id <= 150; id++) {
+      data.nodes.push({ id });
+      if (id <= 100) {
+        data.edges.push({ from: 0, to: id });
+      }
+    }
+    const solve = spy(MultilevelLayout.prototype, "solve");
+    const positions = await computeLayout(data, options);
+
+    expect(solve.calledOnce).to.be.true;
+    for (const id of Object.keys(positions)) {
+      expect(positions[id].x).to.be.a("number").that.is.finite;
+      expect(positions[id].y).to.be.a("number").that.is.finite;
+    }
+  });
+
+  it("Keeps fixed nodes at their positions", async function (): Promise<void> {
+    const data = grid(10, 10);
+    data.nodes[0] = { id: 0, x: 1000, y: -500, fixed: true };
+    data.nodes[55] = { id: 55, x: 100, y: 200, fixed: { x: true } };
+    const positions = await computeLayout(data, options);
+
+    expect(positions[0]).to.deep.equal({ x: 1000, y: -500 });
+    expect(positions[55].x).to.equal(100);
+    expect(positions[55].y).to.not.equal(200);
+  });
+
+  it("Isn't used below the cluster threshold", async function (): Promise<void> {
+    const solve = spy(MultilevelLayout.prototype, "solve");
+    const positions = await computeLayout(grid(5, 5), options);
+    const withoutMultilevel = await computeLayout(grid(5, 5), {
+      ...options,
+      layout: { ...options.layout, multilevel: false },
+    });
+
+    expect(solve.called).to.be.false;
+    expect(positions).to.deep.equal(withoutMultilevel);
+  });
+});
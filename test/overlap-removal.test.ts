@@ -0,0 +1,235 @@
+import { expect } from "chai";
+
+import Network from "../lib/network/Network";
+import OverlapRemoval from "../lib/network/modules/components/algorithms/OverlapRemoval";
+import { canvasMockify } from "./canvas-mock";
+
+type Box = { left: number; right: number; top: number; bottom: number };
+
+/**
+ * Create the part of the body the overlap removal uses.
+ *
+ * @param boxes - The positions of the nodes and the sizes of their boxes
+ * around them.
+ * @returns The body.
+ */
+function createBody(
+  boxes: { x: number; y: number; width: number; height: number }[]
+): any {
+  const body: any = { nodes: {}, nodeIndices: [] };
+  boxes.forEach(({ x, y, width, height }, id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      options: { physics: true, fixed: { x: false, y: false } },
+      shape: {
+        boundingBox: {
+          left: x - 0.5 * width,
+          right: x + 0.5 * width,
+          top: y - 0.5 * height,
+          bottom: y + 0.5 * height,
+        },
+      },
+    };
+    body.nodeIndices.push(id);
+  });
+  return body;
+}
+
+/**
+ * Find the pairs of boxes that are closer than given padding.
+ *
+ * @param boxes - The boxes by node id.
+ * @param padding - The space required between the boxes.
+ * @returns The ids of the nodes whose boxes overlap.
+ */
+function findOverlaps(
+  boxes: Record<string, Box>,
+  padding: number
+): [string, string][] {
+  const overlaps: [string, string][] = [];
+  const ids = Object.keys(boxes);
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = i + 1; j < ids.length; j++) {
+      const a = boxes[ids[i]];
+      const b = boxes[ids[j]];
+      if (
+        Math.min(a.right, b.right) - Math.max(a.left, b.left) >
+          -padding + 1e-6 &&
+        Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top) > -padding + 1e-6
+      ) {
+        overlaps.push([ids[i], ids[j]]);
+      }
+    }
+  }
+  return overlaps;
+}
+
+describe("Overlap removal", function (): void {
+  it("Separates along the axis with the smaller overlap", function (): void {
+    const body = createBody([
+      { x: 0, y: 0, width: 100, height: 20 },
+      { x: 90, y: 5, width: 100, height: 20 },
+    ]);
+    const moved = new OverlapRemoval(body, { padding: 10 }).solve(
+      body.nodeIndices
+    );
+
+    expect(moved).to.equal(2);
+    expect(body.nodes[0]).to.include({ x: -10, y: 0 });
+    expect(body.nodes[1]).to.include({ x: 100, y: 5 });
+  });
+
+  it("Moves the other node if one is fixed", function (): void {
+    const body = createBody([
+      { x: 0, y: 0, width: 40, height: 40 },
+      { x: 0, y: 30, width: 40, height: 40 },
+      { x: 30, y: 0, width: 40, height: 40 },
+    ]);
+    body.nodes[0].options.fixed = { x: true, y: true };
+    body.nodes[2].options.physics = false;
+    new OverlapRemoval(body, { padding: 0 }).solve(body.nodeIndices);
+
+    expect(body.nodes[0]).to.include({ x: 0, y: 0 });
+    expect(body.nodes[2]).to.include({ x: 30, y: 0 });
+    expect(body.nodes[1].y).to.equal(40);
+  });
+
+  it("Leaves nodes that don't overlap alone", function (): void {
+    const body = createBody([
+      { x: 0, y: 0, width: 40, height: 40 },
+      { x: 50, y: 0, width: 40, height: 40 },
+    ]);
+
+    expect(
+      new OverlapRemoval(body, { padding: 10 }).solve(body.nodeIndices)
+    ).to.equal(0);
+  });
+
+  it("Untangles a pile of nodes", function (): void {
+    const body = createBody(
+      [...new Array(50).keys()].map(
+        (
+          i
+        ): {
+          x: number;
+          y: number;
+          width: number;
+          height: number;
+        } => ({
+          x: (i * 7) % 13,
+          y: (i * 5) % 11,
+          width: 30 + (i % 4) * 20,
+          height: 20 + (i % 3) * 10,
+        })
+      )
+    );
+    const offsets = body.nodeIndices.map((id: number): Box => {
+      const { x, y, shape } = body.nodes[id];
+      const box = shape.boundingBox;
+      return {
+        left: box.left - x,
+        right: box.right - x,
+        top: box.top - y,
+        bottom: box.bottom - y,
+      };
+    });
+    new OverlapRemoval(body, { padding: 5 }).solve(body.nodeIndices);
+
+    const boxes: Record<string, Box> = {};
+    body.nodeIndices.forEach((id: number): void => {
+      const { x, y } = body.nodes[id];
+      boxes[id] = {
+        left: x + offsets[id].left,
+        right: x + offsets[id].right,
+        top: y + offsets[id].top,
+        bottom: y + offsets[id].bottom,
+      };
+    });
+    expect(findOverlaps(boxes, 5)).to.deep.equal([]);
+  });
+
+  describe("Network", function (): void {
+    this.timeout(15000);
+
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      window.requestAnimationFrame = (callback: () => void): any =>
+        setTimeout(callback, 1);
+      window.cancelAnimationFrame = (handle: any): void => {
+        clearTimeout(handle);
+      };
+    });
+
+    afterEach(function () {
+      this.network?.destroy();
+      this.clearJSDOM();
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    const shapes = ["box", "dot", "ellipse", "database", "star"];
+    const nodes = [...new Array(30).keys()].map(
+      (id): { id: number; label: string; shape: string } => ({
+        id,
+        label: `a long label of node ${id}`,
+        shape: shapes[id % shapes.length],
+      })
+    );
+    const edges = [...new Array(29).keys()].map(
+      (id): { from: number; to: number } => ({
+        from: id + 1,
+        to: Math.floor(id / 4),
+      })
+    );
+
+    /**
+     * Stabilize the network and get the bounding boxes of its nodes.
+     *
+     * @param container - The container of the network.
+     * @param physics - The physics options.
+     * @returns The network and the boxes.
+     */
+    async function stabilize(
+      container: HTMLElement,
+      physics: any
+    ): Promise<{ network: Network; boxes: Record<string, Box> }> {
+      const network = new Network(
+        container,
+        { nodes, edges },
+        { layout: { randomSeed: 5 }, physics }
+      );
+      await new Promise((resolve): void => {
+        network.once("stabilizationIterationsDone", resolve);
+      });
+
+      const body = (network as any).body;
+      body.emitter.emit("_resizeNodes");
+      const boxes: Record<string, Box> = {};
+      for (const id of body.nodeIndices) {
+        boxes[id] = { ...body.nodes[id].shape.boundingBox };
+      }
+      return { network, boxes };
+    }
+
+    it("Removes the overlaps of boxes and labels after stabilization", async function (): Promise<void> {
+      const physics = {
+        barnesHut: { avoidOverlap: 1 },
+        stabilization: { iterations: 300 },
+      };
+      const before = await stabilize(this.container, physics);
+      before.network.destroy();
+      expect(findOverlaps(before.boxes, 0)).to.not.be.empty;
+
+      const after = await stabilize(this.container, {
+        ...physics,
+        overlapRemoval: { padding: 8 },
+      });
+      this.network = after.network;
+      expect(findOverlaps(after.boxes, 8)).to.deep.equal([]);
+    });
+  });
+});
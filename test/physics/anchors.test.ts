@@ -0,0 +1,87 @@
+import { expect } from "chai";
+
+import AnchorSolver from "../../lib/network/modules/components/physics/AnchorSolver";
+import { computeLayout } from "../../lib/network/headless";
+
+/**
+ * Create the part of the body and the physics body the solver uses.
+ *
+ * @param nodes - The positions and the groups of the nodes, their ids are the
+ * indices.
+ * @returns The body and the physics body.
+ */
+function createBodies(nodes: [number, number, string?][]): {
+  body: any;
+  physicsBody: any;
+} {
+  const body: any = { nodes: {} };
+  const physicsBody: any = { physicsNodeIndices: [], forces: {} };
+  nodes.forEach(([x, y, group], id): void => {
+    body.nodes[id] = { id, x, y, options: { group } };
+    physicsBody.physicsNodeIndices.push(id);
+    physicsBody.forces[id] = { x: 0, y: 0 };
+  });
+  return { body, physicsBody };
+}
+
+describe("Anchors", function (): void {
+  it("Pull the nodes their filters accept", function (): void {
+    const { body, physicsBody } = createBodies([
+      [0, 0, "a"],
+      [100, 0, "b"],
+      [0, 100],
+    ]);
+    new AnchorSolver(body, physicsBody, [
+      {
+        x: 200,
+        y: 0,
+        strength: 0.1,
+        filter: (options: any): boolean => options.group === "a",
+      },
+      { x: 0, y: -100 },
+    ]).solve();
+
+    // the second anchor has the default strength of 0.05
+    expect(physicsBody.forces[0]).to.deep.equal({ x: 20, y: -5 });
+    expect(physicsBody.forces[1]).to.deep.equal({ x: -5, y: -5 });
+    expect(physicsBody.forces[2]).to.deep.equal({ x: 0, y: -10 });
+  });
+
+  it("Move the nodes towards them in the layout", async function (): Promise<void> {
+    this.timeout(15000);
+
+    const data = {
+      nodes: [...new Array(10).keys()].map(
+        (id): { id: number; group: string } => ({
+          id,
+          group: id < 5 ? "left" : "right",
+        })
+      ),
+      edges: [...new Array(9).keys()].map(
+        (id): { from: number; to: number } => ({ from: id, to: id + 1 })
+      ),
+    };
+    const positions = await computeLayout(data, {
+      layout: { randomSeed: 5 },
+      physics: {
+        anchors: [
+          {
+            x: -500,
+            y: 0,
+            filter: (options: any): boolean => options.group === "left",
+          },
+          {
+            x: 500,
+            y: 0,
+            filter: (options: any): boolean => options.group === "right",
+          },
+        ],
+      },
+    });
+
+    for (let id = 0; id < 5; id++) {
+      expect(positions[id].x).to.be.below(-150);
+      expect(positions[id + 5].x).to.be.above(150);
+    }
+  });
+});
@@ -0,0 +1,327 @@
+import { expect } from "chai";
+
+import ForceAtlas2AttractionSolver from "../../lib/network/modules/components/physics/ForceAtlas2AttractionSolver";
+import ForceAtlas2GravitySolver from "../../lib/network/modules/components/physics/ForceAtlas2GravitySolver";
+import ForceAtlas2Integrator from "../../lib/network/modules/components/physics/ForceAtlas2Integrator";
+import ForceAtlas2RepulsionSolver from "../../lib/network/modules/components/physics/ForceAtlas2RepulsionSolver";
+import { computeLayout } from "../../lib/network/headless";
+
+const defaults = {
+  theta: 1.2,
+  scalingRatio: 2,
+  gravity: 1,
+  strongGravityMode: false,
+  linLogMode: false,
+  dissuadeHubs: false,
+  edgeWeightInfluence: 1,
+  preventOverlap: false,
+  jitterTolerance: 1,
+};
+
+/**
+ * Create the part of the body and the physics body the solvers use.
+ *
+ * @param positions - The positions of the nodes, their ids are the indices.
+ * @param edges - The ids of the nodes the edges connect and their values.
+ * @returns The body and the physics body.
+ */
+function createBodies(
+  positions: [number, number][],
+  edges: [number, number, number?][] = []
+): { body: any; physicsBody: any } {
+  const body: any = { nodes: {}, edges: {} };
+  const physicsBody: any = {
+    physicsNodeIndices: [],
+    physicsEdgeIndices: [],
+    forces: {},
+    velocities: {},
+  };
+  positions.forEach(([x, y], id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      edges: [],
+      options: { mass: 1, fixed: { x: false, y: false } },
+      shape: { width: 20, height: 10 },
+    };
+    physicsBody.physicsNodeIndices.push(id);
+    physicsBody.forces[id] = { x: 0, y: 0 };
+    physicsBody.velocities[id] = { x: 0, y: 0 };
+  });
+  edges.forEach(([fromId, toId, value], id): void => {
+    const edge = {
+      id,
+      connected: true,
+      fromId,
+      toId,
+      from: body.nodes[fromId],
+      to: body.nodes[toId],
+      edgeType: {},
+      options: { value },
+    };
+    body.edges[id] = edge;
+    body.nodes[fromId].edges.push(edge);
+    body.nodes[toId].edges.push(edge);
+    physicsBody.physicsEdgeIndices.push(id);
+  });
+  return { body, physicsBody };
+}
+
+describe("ForceAtlas2", function (): void {
+  describe("Gravity", function (): void {
+    it("Doesn't depend on the distance", function (): void {
+      const { body, physicsBody } = createBodies([
+        [30, 40],
+        [-300, 400],
+      ]);
+      new ForceAtlas2GravitySolver(body, physicsBody, defaults).solve();
+
+      expect(physicsBody.forces[0].x).to.be.closeTo(-1.2, 1e-9);
+      expect(physicsBody.forces[0].y).to.be.closeTo(-1.6, 1e-9);
+      expect(physicsBody.forces[1].x).to.be.closeTo(1.2, 1e-9);
+      expect(physicsBody.forces[1].y).to.be.closeTo(-1.6, 1e-9);
+    });
+
+    it("Grows with the distance in the strong mode", function (): void {
+      const { body, physicsBody } = createBodies([
+        [30, 40],
+        [-300, 400],
+      ]);
+      new ForceAtlas2GravitySolver(body, physicsBody, {
+        ...defaults,
+        strongGravityMode: true,
+      }).solve();
+
+      expect(physicsBody.forces[0]).to.deep.equal({ x: -60, y: -80 });
+      expect(physicsBody.forces[1]).to.deep.equal({ x: 600, y: -800 });
+    });
+  });
+
+  describe("Attraction", function (): void {
+    it("Is linear and weighted by the edge value", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [100, 0],
+          [0, 50],
+        ],
+        [
+          [0, 1],
+          [0, 2, 3],
+        ]
+      );
+      new ForceAtlas2AttractionSolver(body, physicsBody, defaults).solve();
+
+      expect(physicsBody.forces[0]).to.deep.equal({ x: 100, y: 150 });
+      expect(physicsBody.forces[1]).to.deep.equal({ x: -100, y: 0 });
+      expect(physicsBody.forces[2]).to.deep.equal({ x: 0, y: -150 });
+    });
+
+    it("Raises the edge value to the edge weight influence", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [0, 10],
+        ],
+        [[0, 1, 4]]
+      );
+      new ForceAtlas2AttractionSolver(body, physicsBody, {
+        ...defaults,
+        edgeWeightInfluence: 0.5,
+      }).solve();
+
+      expect(physicsBody.forces[0]).to.deep.equal({ x: 0, y: 20 });
+    });
+
+    it("Is logarithmic in the LinLog mode", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [Math.E - 1, 0],
+        ],
+        [[0, 1]]
+      );
+      new ForceAtlas2AttractionSolver(body, physicsBody, {
+        ...defaults,
+        linLogMode: true,
+      }).solve();
+
+      expect(physicsBody.forces[0].x).to.be.closeTo(1, 1e-9);
+      expect(physicsBody.forces[1].x).to.be.closeTo(-1, 1e-9);
+    });
+
+    it("Dissuades hubs", function (): void {
+      // 0 is a hub with three outgoing edges, 3 has a single one to it.
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [10, 0],
+          [0, 10],
+          [-10, 0],
+          [-20, 0],
+        ],
+        [
+          [0, 1],
+          [0, 2],
+          [0, 3],
+          [4, 3],
+        ]
+      );
+      new ForceAtlas2AttractionSolver(body, physicsBody, {
+        ...defaults,
+        dissuadeHubs: true,
+      }).solve();
+
+      // The average mass is 13 / 5, the hub's mass is 4.
+      const coefficient = 13 / 5;
+      expect(physicsBody.forces[1].x).to.be.closeTo(
+        (-10 * coefficient) / 4,
+        1e-9
+      );
+      expect(physicsBody.forces[4].x).to.be.closeTo(
+        (10 * coefficient) / 2,
+        1e-9
+      );
+    });
+
+    it("Is skipped for overlapping nodes", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [15, 0],
+        ],
+        [[0, 1]]
+      );
+      new ForceAtlas2AttractionSolver(body, physicsBody, {
+        ...defaults,
+        preventOverlap: true,
+      }).solve();
+
+      expect(physicsBody.forces[0]).to.deep.equal({ x: 0, y: 0 });
+      expect(physicsBody.forces[1]).to.deep.equal({ x: 0, y: 0 });
+    });
+  });
+
+  describe("Repulsion", function (): void {
+    it("Is inversely proportional to the distance", function (): void {
+      const { body, physicsBody } = createBodies([
+        [0, 0],
+        [50, 0],
+      ]);
+      new ForceAtlas2RepulsionSolver(body, physicsBody, defaults).solve();
+
+      expect(physicsBody.forces[0].x).to.be.closeTo(-2 / 50, 1e-9);
+      expect(physicsBody.forces[1].x).to.be.closeTo(2 / 50, 1e-9);
+    });
+
+    it("Takes the node sizes into account", function (): void {
+      const { body, physicsBody } = createBodies([
+        [0, 0],
+        [50, 0],
+        [1000, 0],
+        [1015, 0],
+      ]);
+      new ForceAtlas2RepulsionSolver(body, physicsBody, {
+        ...defaults,
+        preventOverlap: true,
+      }).solve();
+
+      // The gap between the circles around the nodes is 30.
+      expect(physicsBody.forces[0].x).to.be.below(-(2 * 50) / (30 * 30));
+      // Overlapping nodes repel a hundred times more.
+      expect(physicsBody.forces[3].x).to.be.closeTo(100 * 2 * 15, 1);
+    });
+  });
+
+  describe("Speed", function (): void {
+    it("Slows down swinging nodes", function (): void {
+      const { body, physicsBody } = createBodies([
+        [0, 0],
+        [0, 0],
+      ]);
+      const integrator = new ForceAtlas2Integrator(body, physicsBody, defaults);
+
+      physicsBody.forces[0] = { x: 10, y: 0 };
+      physicsBody.forces[1] = { x: 10, y: 0 };
+      integrator.move();
+      const steady = body.nodes[0].x;
+      physicsBody.forces[0] = { x: 10, y: 0 };
+      physicsBody.forces[1] = { x: -10, y: 0 };
+      integrator.move();
+
+      expect(body.nodes[0].x - steady).to.be.above(0);
+      expect(body.nodes[0].x - steady).to.be.above(steady - body.nodes[1].x);
+    });
+
+    it("Doesn't move fixed nodes", function (): void {
+      const { body, physicsBody } = createBodies([
+        [0, 0],
+        [0, 0],
+      ]);
+      body.nodes[0].options.fixed = { x: true, y: false };
+      physicsBody.forces[0] = { x: 10, y: 10 };
+      physicsBody.forces[1] = { x: 10, y: 10 };
+      const displacement = new ForceAtlas2Integrator(
+        body,
+        physicsBody,
+        defaults
+      ).move();
+
+      expect(body.nodes[0].x).to.equal(0);
+      expect(body.nodes[0].y).to.be.above(0);
+      expect(body.nodes[1].x).to.be.above(0);
+      expect(displacement).to.be.above(0);
+    });
+  });
+
+  describe("Layout", function (): void {
+    this.timeout(15000);
+
+    const data = {
+      nodes: [...new Array(30).keys()].map((id): { id: number } => ({ id })),
+      edges: [...new Array(29).keys()].map(
+        (id): { from: number; to: number } => ({
+          from: id + 1,
+          to: Math.floor(id / 2),
+        })
+      ),
+    };
+
+    it("Keeps the nodes from overlapping", async function (): Promise<void> {
+      const positions = await computeLayout(data, {
+        layout: { randomSeed: 3 },
+        nodes: { shape: "dot", size: 10 },
+        physics: {
+          solver: "forceAtlas2",
+          forceAtlas2: { preventOverlap: true },
+        },
+      });
+
+      for (let a = 0; a < 30; a++) {
+        for (let b = a + 1; b < 30; b++) {
+          expect(
+            Math.hypot(
+              positions[a].x - positions[b].x,
+              positions[a].y - positions[b].y
+            )
+          ).to.be.above(18);
+        }
+      }
+    });
+
+    it("Is deterministic with a random seed", async function (): Promise<void> {
+      const options = {
+        layout: { randomSeed: 3 },
+        physics: {
+          solver: "forceAtlas2",
+          forceAtlas2: { linLogMode: true, dissuadeHubs: true },
+        },
+      };
+      const first = await computeLayout(data, options);
+      const second = await computeLayout(data, options);
+
+      expect(second).to.deep.equal(first);
+    });
+  });
+});
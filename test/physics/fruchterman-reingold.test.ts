@@ -0,0 +1,200 @@
+import { expect } from "chai";
+
+import DisplacementIntegrator from "../../lib/network/modules/components/physics/DisplacementIntegrator";
+import FruchtermanReingoldAttractionSolver from "../../lib/network/modules/components/physics/FruchtermanReingoldAttractionSolver";
+import FruchtermanReingoldRepulsionSolver from "../../lib/network/modules/components/physics/FruchtermanReingoldRepulsionSolver";
+import { computeLayout } from "../../lib/network/headless";
+
+const defaults = {
+  theta: 0.5,
+  centralGravity: 1,
+  springLength: 100,
+  temperature: 100,
+  cooling: 0.97,
+};
+
+/**
+ * Create the part of the body and the physics body the solvers use.
+ *
+ * @param positions - The positions of the nodes, their ids are the indices.
+ * @param edges - The ids of the nodes the edges connect and their lengths.
+ * @returns The body and the physics body.
+ */
+function createBodies(
+  positions: [number, number][],
+  edges: [number, number, number?][] = []
+): { body: any; physicsBody: any } {
+  const body: any = { nodes: {}, edges: {} };
+  const physicsBody: any = {
+    physicsNodeIndices: [],
+    physicsEdgeIndices: [],
+    forces: {},
+    velocities: {},
+  };
+  positions.forEach(([x, y], id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      edges: [],
+      options: { mass: 1, fixed: { x: false, y: false } },
+      shape: {},
+    };
+    physicsBody.physicsNodeIndices.push(id);
+    physicsBody.forces[id] = { x: 0, y: 0 };
+    physicsBody.velocities[id] = { x: 0, y: 0 };
+  });
+  edges.forEach(([fromId, toId, length], id): void => {
+    const edge = {
+      id,
+      connected: true,
+      fromId,
+      toId,
+      from: body.nodes[fromId],
+      to: body.nodes[toId],
+      edgeType: {},
+      options: { length },
+    };
+    body.edges[id] = edge;
+    body.nodes[fromId].edges.push(edge);
+    body.nodes[toId].edges.push(edge);
+    physicsBody.physicsEdgeIndices.push(id);
+  });
+  return { body, physicsBody };
+}
+
+describe("Fruchterman-Reingold", function (): void {
+  it("Repels by the squared spring length over the distance", function (): void {
+    const { body, physicsBody } = createBodies([
+      [0, 0],
+      [50, 0],
+    ]);
+    new FruchtermanReingoldRepulsionSolver(body, physicsBody, defaults).solve();
+
+    expect(physicsBody.forces[0].x).to.be.closeTo(-200, 1e-9);
+    expect(physicsBody.forces[1].x).to.be.closeTo(200, 1e-9);
+  });
+
+  it("Attracts by the squared distance over the edge length", function (): void {
+    const { body, physicsBody } = createBodies(
+      [
+        [0, 0],
+        [50, 0],
+        [0, 200],
+      ],
+      [
+        [0, 1],
+        [0, 2, 400],
+      ]
+    );
+    new FruchtermanReingoldAttractionSolver(
+      body,
+      physicsBody,
+      defaults
+    ).solve();
+
+    expect(physicsBody.forces[0]).to.deep.equal({ x: 25, y: 100 });
+    expect(physicsBody.forces[1]).to.deep.equal({ x: -25, y: 0 });
+    expect(physicsBody.forces[2]).to.deep.equal({ x: 0, y: -100 });
+  });
+
+  it("Splits smooth edges at their support nodes", function (): void {
+    const { body, physicsBody } = createBodies(
+      [
+        [0, 0],
+        [100, 0],
+        [50, 0],
+      ],
+      [[0, 1]]
+    );
+    body.edges[0].edgeType.via = body.nodes[2];
+    new FruchtermanReingoldAttractionSolver(
+      body,
+      physicsBody,
+      defaults
+    ).solve();
+
+    // both halves are 50 long and at rest
+    expect(physicsBody.forces[0].x).to.be.closeTo(50, 1e-9);
+    expect(physicsBody.forces[1].x).to.be.closeTo(-50, 1e-9);
+    expect(physicsBody.forces[2].x).to.be.closeTo(0, 1e-9);
+  });
+
+  describe("Temperature", function (): void {
+    it("Limits the displacement and cools down", function (): void {
+      const { body, physicsBody } = createBodies([
+        [0, 0],
+        [0, 0],
+      ]);
+      const integrator = new DisplacementIntegrator(body, physicsBody, {
+        ...defaults,
+        temperature: 10,
+        cooling: 0.5,
+      });
+
+      physicsBody.forces[0] = { x: 30, y: 40 };
+      physicsBody.forces[1] = { x: 3, y: 4 };
+      expect(integrator.move()).to.equal(10);
+      expect(body.nodes[0]).to.include({ x: 6, y: 8 });
+      expect(body.nodes[1]).to.include({ x: 3, y: 4 });
+
+      expect(integrator.move()).to.equal(5);
+      integrator.start();
+      expect(integrator.move()).to.equal(10);
+    });
+
+    it("Doesn't move fixed nodes", function (): void {
+      const { body, physicsBody } = createBodies([[0, 0]]);
+      body.nodes[0].options.fixed = { x: true, y: false };
+      physicsBody.forces[0] = { x: 10, y: 10 };
+      new DisplacementIntegrator(body, physicsBody, defaults).move();
+
+      expect(body.nodes[0]).to.include({ x: 0, y: 10 });
+    });
+  });
+
+  describe("Layout", function (): void {
+    this.timeout(15000);
+
+    it("Brings a pair of nodes to the edge length", async function (): Promise<void> {
+      const positions = await computeLayout(
+        { nodes: [{ id: 1 }, { id: 2 }], edges: [{ from: 1, to: 2 }] },
+        {
+          layout: { randomSeed: 3 },
+          edges: { smooth: false },
+          physics: {
+            solver: "fruchtermanReingold",
+            fruchtermanReingold: { centralGravity: 0, springLength: 150 },
+          },
+        }
+      );
+
+      expect(
+        Math.hypot(
+          positions[1].x - positions[2].x,
+          positions[1].y - positions[2].y
+        )
+      ).to.be.closeTo(150, 1);
+    });
+
+    it("Is deterministic with a random seed", async function (): Promise<void> {
+      const data = {
+        nodes: [...new Array(20).keys()].map((id): { id: number } => ({ id })),
+        edges: [...new Array(19).keys()].map(
+          (id): { from: number; to: number } => ({
+            from: id + 1,
+            to: Math.floor(id / 3),
+          })
+        ),
+      };
+      const options = {
+        layout: { randomSeed: 3 },
+        physics: { solver: "fruchtermanReingold" },
+      };
+      const first = await computeLayout(data, options);
+      const second = await computeLayout(data, options);
+
+      expect(second).to.deep.equal(first);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from "chai";
+
+import GroupAttractionSolver from "../../lib/network/modules/components/physics/GroupAttractionSolver";
+import { computeLayout } from "../../lib/network/headless";
+
+/**
+ * Create the part of the body and the physics body the solver uses.
+ *
+ * @param nodes - The positions and the groups of the nodes, their ids are the
+ * indices.
+ * @returns The body and the physics body.
+ */
+function createBodies(nodes: [number, number, string?][]): {
+  body: any;
+  physicsBody: any;
+} {
+  const body: any = { nodes: {} };
+  const physicsBody: any = { physicsNodeIndices: [], forces: {} };
+  nodes.forEach(([x, y, group], id): void => {
+    body.nodes[id] = { id, x, y, options: { group } };
+    physicsBody.physicsNodeIndices.push(id);
+    physicsBody.forces[id] = { x: 0, y: 0 };
+  });
+  return { body, physicsBody };
+}
+
+describe("Group attraction", function (): void {
+  it("Pulls the nodes towards the centroid of their group", function (): void {
+    const { body, physicsBody } = createBodies([
+      [0, 0, "a"],
+      [100, 0, "a"],
+      [50, 300, "a"],
+      [500, 500, "b"],
+      [700, 500, "b"],
+      [1000, 1000],
+    ]);
+    new GroupAttractionSolver(body, physicsBody, {
+      enabled: true,
+      strength: 0.1,
+    }).solve();
+
+    const forces = physicsBody.forces;
+    expect(forces[0].x).to.be.closeTo(5, 1e-9);
+    expect(forces[0].y).to.be.closeTo(10, 1e-9);
+    expect(forces[2].x).to.be.closeTo(0, 1e-9);
+    expect(forces[2].y).to.be.closeTo(-20, 1e-9);
+    expect(forces[3]).to.deep.equal({ x: 10, y: 0 });
+    expect(forces[4]).to.deep.equal({ x: -10, y: 0 });
+    expect(forces[5]).to.deep.equal({ x: 0, y: 0 });
+  });
+
+  it("Ignores groups with a single node", function (): void {
+    const { body, physicsBody } = createBodies([
+      [0, 0, "a"],
+      [100, 0, "b"],
+    ]);
+    new GroupAttractionSolver(body, physicsBody, {
+      enabled: true,
+      strength: 0.1,
+    }).solve();
+
+    expect(physicsBody.forces[0]).to.deep.equal({ x: 0, y: 0 });
+    expect(physicsBody.forces[1]).to.deep.equal({ x: 0, y: 0 });
+  });
+
+  it("Brings the groups together in the layout", async function (): Promise<void> {
+    this.timeout(15000);
+
+    // Two chains whose nodes alternate between the groups.
+    const data = {
+      nodes: [...new Array(20).keys()].map(
+        (id): { id: number; group: string } => ({
+          id,
+          group: id % 2 === 0 ? "even" : "odd",
+        })
+      ),
+      edges: [...new Array(19).keys()].map(
+        (id): { from: number; to: number } => ({ from: id, to: id + 1 })
+      ),
+    };
+    const getSpread = (positions: any, remainder: number): number => {
+      let spread = 0;
+      for (let a = remainder; a < 20; a += 2) {
+        for (let b = a + 2; b < 20; b += 2) {
+          spread += Math.hypot(
+            positions[a].x - positions[b].x,
+            positions[a].y - positions[b].y
+          );
+        }
+      }
+      return spread;
+    };
+
+    const free = await computeLayout(data, { layout: { randomSeed: 5 } });
+    const attracted = await computeLayout(data, {
+      layout: { randomSeed: 5 },
+      physics: { groupAttraction: { strength: 0.05 } },
+    });
+
+    expect(getSpread(attracted, 0)).to.be.below(0.75 * getSpread(free, 0));
+    expect(getSpread(attracted, 1)).to.be.below(0.75 * getSpread(free, 1));
+  });
+});
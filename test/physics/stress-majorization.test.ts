@@ -0,0 +1,220 @@
+import { expect } from "chai";
+
+import ShortestPaths, {
+  UNREACHABLE,
+} from "../../lib/network/modules/components/algorithms/ShortestPaths";
+import StressMajorizationSolver from "../../lib/network/modules/components/physics/StressMajorizationSolver";
+import { computeLayout } from "../../lib/network/headless";
+
+const defaults = { centralGravity: 0, springLength: 100 };
+
+/**
+ * Create the part of the body and the physics body the solver uses.
+ *
+ * @param positions - The positions of the nodes, their ids are the indices.
+ * @param edges - The ids of the nodes the edges connect and their lengths.
+ * @returns The body and the physics body.
+ */
+function createBodies(
+  positions: [number, number][],
+  edges: [number, number, number?][] = []
+): { body: any; physicsBody: any } {
+  const body: any = { nodes: {}, edges: {} };
+  const physicsBody: any = {
+    physicsNodeIndices: [],
+    physicsEdgeIndices: [],
+    forces: {},
+    velocities: {},
+  };
+  positions.forEach(([x, y], id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      edges: [],
+      options: { mass: 1, fixed: { x: false, y: false } },
+    };
+    physicsBody.physicsNodeIndices.push(id);
+    physicsBody.forces[id] = { x: 0, y: 0 };
+    physicsBody.velocities[id] = { x: 0, y: 0 };
+  });
+  edges.forEach(([fromId, toId, length], id): void => {
+    const edge = {
+      id,
+      connected: true,
+      fromId,
+      toId,
+      from: body.nodes[fromId],
+      to: body.nodes[toId],
+      edgeType: {},
+      options: { length },
+    };
+    body.edges[id] = edge;
+    body.nodes[fromId].edges.push(edge);
+    body.nodes[toId].edges.push(edge);
+    physicsBody.physicsEdgeIndices.push(id);
+  });
+  return { body, physicsBody };
+}
+
+describe("Stress majorization", function (): void {
+  describe("Shortest paths with edge lengths", function (): void {
+    it("Adds up the lengths", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [0, 0],
+          [0, 0],
+          [0, 0],
+          [0, 0],
+        ],
+        [
+          [0, 1, 10],
+          [1, 2, 10],
+          [0, 2, 30],
+          [2, 3, 5],
+        ]
+      );
+      const paths = new ShortestPaths(
+        body,
+        physicsBody.physicsNodeIndices,
+        physicsBody.physicsEdgeIndices,
+        (edge: any): number => edge.options.length
+      );
+
+      const U = UNREACHABLE;
+      expect(Array.from(paths.getDistances())).to.deep.equal([
+        ...[0, 10, 20, 25, U],
+        ...[10, 0, 10, 15, U],
+        ...[20, 10, 0, 5, U],
+        ...[25, 15, 5, 0, U],
+        ...[U, U, U, U, 0],
+      ]);
+    });
+
+    it("Runs smooth edges through their support nodes", function (): void {
+      const { body, physicsBody } = createBodies(
+        [
+          [0, 0],
+          [0, 0],
+          [0, 0],
+        ],
+        [[0, 1, 30]]
+      );
+      body.edges[0].edgeType.via = body.nodes[2];
+      const paths = new ShortestPaths(
+        body,
+        physicsBody.physicsNodeIndices,
+        physicsBody.physicsEdgeIndices,
+        (edge: any): number => edge.options.length
+      );
+
+      expect(Array.from(paths.getDistancesFrom(2))).to.deep.equal([15, 15, 0]);
+    });
+  });
+
+  it("Moves the nodes half way towards their target distances", function (): void {
+    const { body, physicsBody } = createBodies(
+      [
+        [0, 0],
+        [100, 0],
+      ],
+      [[0, 1, 200]]
+    );
+    new StressMajorizationSolver(body, physicsBody, defaults).solve();
+
+    expect(physicsBody.forces[0]).to.deep.equal({ x: -50, y: 0 });
+    expect(physicsBody.forces[1]).to.deep.equal({ x: 50, y: 0 });
+  });
+
+  it("Keeps unconnected parts further apart than the longest path", function (): void {
+    const { body, physicsBody } = createBodies(
+      [
+        [0, 0],
+        [100, 0],
+        [0, 0],
+      ],
+      [[0, 1]]
+    );
+    const solver = new StressMajorizationSolver(body, physicsBody, defaults);
+    body.nodes[2].x = 200;
+    solver.solve();
+
+    // node 2 should be 200 away from both others, at 200 or at 300
+    expect(physicsBody.forces[2]).to.deep.equal({ x: 25, y: 0 });
+  });
+
+  it("Keeps the distances until the physics data changes", function (): void {
+    const { body, physicsBody } = createBodies(
+      [
+        [0, 0],
+        [100, 0],
+      ],
+      [[0, 1, 200]]
+    );
+    const solver = new StressMajorizationSolver(body, physicsBody, defaults);
+    solver.solve();
+    body.edges[0].options.length = 100;
+    physicsBody.forces = { 0: { x: 0, y: 0 }, 1: { x: 0, y: 0 } };
+    solver.solve();
+    expect(physicsBody.forces[0].x).to.equal(-50);
+
+    physicsBody.physicsEdgeIndices = [0];
+    physicsBody.forces = { 0: { x: 0, y: 0 }, 1: { x: 0, y: 0 } };
+    solver.solve();
+    expect(physicsBody.forces[0].x).to.equal(0);
+  });
+
+  describe("Layout", function (): void {
+    this.timeout(15000);
+
+    it("Respects the edge lengths", async function (): Promise<void> {
+      const lengths = [100, 200, 50, 150];
+      const positions = await computeLayout(
+        {
+          nodes: [0, 1, 2, 3, 4].map((id): { id: number } => ({ id })),
+          edges: lengths.map(
+            (length, id): { from: number; to: number; length: number } => ({
+              from: id,
+              to: id + 1,
+              length,
+            })
+          ),
+        },
+        {
+          layout: { randomSeed: 3 },
+          physics: { solver: "stressMajorization", minVelocity: 0.1 },
+        }
+      );
+
+      lengths.forEach((length, id): void => {
+        expect(
+          Math.hypot(
+            positions[id].x - positions[id + 1].x,
+            positions[id].y - positions[id + 1].y
+          )
+        ).to.be.closeTo(length, 0.03 * length);
+      });
+    });
+
+    it("Is deterministic with a random seed", async function (): Promise<void> {
+      const data = {
+        nodes: [...new Array(20).keys()].map((id): { id: number } => ({ id })),
+        edges: [...new Array(19).keys()].map(
+          (id): { from: number; to: number } => ({
+            from: id + 1,
+            to: Math.floor(id / 3),
+          })
+        ),
+      };
+      const options = {
+        layout: { randomSeed: 3 },
+        physics: { solver: "stressMajorization" },
+      };
+      const first = await computeLayout(data, options);
+      const second = await computeLayout(data, options);
+
+      expect(second).to.deep.equal(first);
+    });
+  });
+});
@@ -0,0 +1,431 @@
+import { expect } from "chai";
+import { stub } from "sinon";
+import { deserialize, serialize } from "v8";
+
+import Network from "../../lib/network/Network";
+import * as workerSource from "../../lib/network/modules/components/physics/physicsWorkerSource";
+import { startPhysicsWorker } from "../../lib/network/modules/components/physics/physicsWorkerThread";
+import { canvasMockify } from "../canvas-mock";
+
+type Message = { type: string; [key: string]: any };
+
+/**
+ * Runs the worker in the same context, messages are structurally cloned and
+ * delivered asynchronously like in a real worker.
+ */
+class FakeWorker {
+  public static instances: FakeWorker[] = [];
+
+  public onmessage: ((event: { data: Message }) => void) | null = null;
+  public onerror: ((event: { message: string }) => void) | null = null;
+  public received: Message[] = [];
+  public terminated = false;
+  private readonly scope: {
+    onmessage: ((event: { data: Message }) => void) | null;
+    postMessage(message: Message): void;
+  };
+
+  public constructor() {
+    this.scope = {
+      onmessage: null,
+      postMessage: (message: Message): void => {
+        const copy = deserialize(serialize(message));
+        setTimeout((): void => {
+          if (!this.terminated && this.onmessage) {
+            this.onmessage({ data: copy });
+          }
+        }, 0);
+      },
+    };
+    startPhysicsWorker(this.scope);
+    FakeWorker.instances.push(this);
+  }
+
+  public postMessage(message: Message): void {
+    const copy = deserialize(serialize(message));
+    this.received.push(copy);
+    setTimeout((): void => {
+      if (!this.terminated && this.scope.onmessage) {
+        this.scope.onmessage({ data: copy });
+      }
+    }, 0);
+  }
+
+  public terminate(): void {
+    this.terminated = true;
+  }
+}
+
+const nodes = [
+  { id: 1, x: 0, y: 0, fixed: true },
+  { id: 2, mass: 2 },
+  { id: 3, physics: false, x: 150, y: -80 },
+  ...[4, 5, 6, 7, 8, 9, 10, 11, 12].map((id): { id: number } => ({ id })),
+];
+const edges = [
+  { from: 1, to: 2 },
+  { from: 2, to: 3, length: 50 },
+  { from: 3, to: 4, smooth: false },
+  ...[4, 5, 6, 7, 8, 9, 10, 11].map((id): { from: number; to: number } => ({
+    from: id,
+    to: id + 1,
+  })),
+  { from: 12, to: 4 },
+  { from: 7, to: 12 },
+  { from: 9, to: 9 },
+];
+
+describe("Physics worker", function (): void {
+  beforeEach(function () {
+    this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+    this.container = document.getElementById("mynetwork");
+    // The render loop keeps running while waiting for the worker, it can't be
+    // synchronous.
+    window.requestAnimationFrame = (callback: () => void): any =>
+      setTimeout(callback, 1);
+    window.cancelAnimationFrame = (handle: any): void => {
+      clearTimeout(handle);
+    };
+
+    FakeWorker.instances = [];
+    (global as any).Worker = FakeWorker;
+    // The source only exists in the bundles, the fake worker doesn't use it.
+    this.workerSource = stub(workerSource, "physicsWorkerSource").value(
+      "/* physics worker */"
+    );
+    if (typeof Blob !== "function") {
+      (global as any).Blob = class Blob {};
+      this.fakeBlob = true;
+    }
+    this.createObjectURL = URL.createObjectURL;
+    this.revokeObjectURL = URL.revokeObjectURL;
+    this.revokedURLs = [];
+    URL.createObjectURL = (): string => "blob:physics-worker";
+    URL.revokeObjectURL = (url: string): void => {
+      this.revokedURLs.push(url);
+    };
+  });
+
+  afterEach(function () {
+    this.network?.destroy();
+    this.clearJSDOM();
+
+    delete (global as any).Worker;
+    this.workerSource.restore();
+    if (this.fakeBlob) {
+      delete (global as any).Blob;
+    }
+    URL.createObjectURL = this.createObjectURL;
+    URL.revokeObjectURL = this.revokeObjectURL;
+
+    delete this.clearJSDOM;
+    delete this.container;
+    delete this.network;
+    delete this.workerSource;
+  });
+
+  /**
+   * Create a network and wait until the stabilization is done.
+   *
+   * @param container - The container of the network.
+   * @param physics - The physics options.
+   * @param layout - Additional layout options.
+   * @param data - The nodes and edges.
+   * @returns The network and the positions of all nodes (including the
+   * support nodes of smooth edges) after the stabilization.
+   */
+  async function stabilize(
+    container: HTMLElement,
+    physics: any,
+    layout: any = {},
+    data: any = { nodes, edges }
+  ): Promise<{ network: Network; positions: Record<string, number[]> }> {
+    const network = new Network(container, data, {
+      layout: { randomSeed: 7, ...layout },
+      physics,
+    });
+    await new Promise((resolve): void => {
+      network.once("stabilizationIterationsDone", resolve);
+    });
+
+    const positions: Record<string, number[]> = {};
+    const bodyNodes = (network as any).body.nodes;
+    for (const id of Object.keys(bodyNodes)) {
+      positions[id] = [bodyNodes[id].x, bodyNodes[id].y];
+    }
+    return { network, positions };
+  }
+
+  for (const solver of [
+    "barnesHut",
+    "forceAtlas2Based",
+    "forceAtlas2",
+    "fruchtermanReingold",
+    "stressMajorization",
+    "repulsion",
+    "hierarchicalRepulsion",
+  ]) {
+    it(`Stabilizes exactly like the main thread (${solver})`, async function (): Promise<void> {
+      const physics = { solver, stabilization: { iterations: 100 } };
+
+      const main = await stabilize(this.container, physics);
+      main.network.destroy();
+      expect(FakeWorker.instances).to.have.lengthOf(0);
+
+      const worker = await stabilize(this.container, {
+        ...physics,
+        worker: true,
+      });
+      this.network = worker.network;
+
+      expect(FakeWorker.instances).to.have.lengthOf(1);
+      expect(Object.keys(worker.positions)).to.have.lengthOf.above(
+        nodes.length
+      );
+      expect(worker.positions).to.deep.equal(main.positions);
+    });
+  }
+
+  it("Stabilizes exactly like the main thread (forceAtlas2 modes)", async function (): Promise<void> {
+    const physics = {
+      solver: "forceAtlas2",
+      forceAtlas2: {
+        strongGravityMode: true,
+        linLogMode: true,
+        dissuadeHubs: true,
+        preventOverlap: true,
+      },
+      stabilization: { iterations: 100 },
+    };
+
+    const main = await stabilize(this.container, physics);
+    main.network.destroy();
+
+    const worker = await stabilize(this.container, {
+      ...physics,
+      worker: true,
+    });
+    this.network = worker.network;
+
+    expect(FakeWorker.instances).to.have.lengthOf(1);
+    expect(worker.positions).to.deep.equal(main.positions);
+  });
+
+  for (const solver of ["barnesHut", "forceAtlas2"]) {
+    it(`Stabilizes exactly like the main thread with constraints (${solver})`, async function (): Promise<void> {
+      const physics = { solver, stabilization: { iterations: 100 } };
+      const layout = {
+        constraints: [
+          { type: "align", axis: "y", nodes: [3, 5, 6] },
+          { type: "separation", axis: "x", from: 8, to: 7, gap: 120 },
+          { type: "region", nodes: [9, 10, 11], top: 0, right: 50 },
+          { type: "offset", from: 12, to: 2, x: -80 },
+        ],
+      };
+
+      const main = await stabilize(this.container, physics, layout);
+      main.network.destroy();
+
+      const worker = await stabilize(
+        this.container,
+        { ...physics, worker: true },
+        layout
+      );
+      this.network = worker.network;
+
+      expect(FakeWorker.instances).to.have.lengthOf(1);
+      expect(worker.positions).to.deep.equal(main.positions);
+      expect(worker.positions[5][1]).to.equal(worker.positions[3][1]);
+      expect(worker.positions[2][0] - worker.positions[12][0]).to.be.closeTo(
+        -80,
+        1e-6
+      );
+    });
+  }
+
+  it("Stabilizes exactly like the main thread with groups and anchors", async function (): Promise<void> {
+    const physics = {
+      groupAttraction: { strength: 0.05 },
+      anchors: [
+        { x: 300, y: 0, filter: (options: any): boolean => options.mass > 1 },
+        { x: -200, y: 100, strength: 0.02 },
+      ],
+      stabilization: { iterations: 100 },
+    };
+    const data = {
+      nodes: nodes.map((node): any => ({
+        ...node,
+        group: node.id % 3 === 0 ? "a" : "b",
+      })),
+      edges,
+    };
+
+    const main = await stabilize(this.container, physics, {}, data);
+    main.network.destroy();
+
+    const worker = await stabilize(
+      this.container,
+      { ...physics, worker: true },
+      {},
+      data
+    );
+    this.network = worker.network;
+
+    expect(FakeWorker.instances).to.have.lengthOf(1);
+    expect(worker.positions).to.deep.equal(main.positions);
+  });
+
+  it("Emits the stabilization events", async function (): Promise<void> {
+    const events: string[] = [];
+    const progress: { iterations: number; total: number }[] = [];
+    this.network = new Network(
+      this.container,
+      { nodes, edges },
+      {
+        physics: {
+          worker: true,
+          stabilization: { iterations: 120, updateInterval: 50 },
+          minVelocity: 0,
+        },
+      }
+    );
+    for (const name of [
+      "startStabilizing",
+      "stabilizationIterationsDone",
+      "stabilized",
+    ]) {
+      this.network.on(name, (): void => {
+        events.push(name);
+      });
+    }
+    this.network.on("stabilizationProgress", (params: any): void => {
+      progress.push(params);
+    });
+
+    await new Promise((resolve): void => {
+      this.network.once("stabilizationIterationsDone", resolve);
+    });
+    this.network.stopSimulation();
+    const stabilized = await new Promise((resolve): void => {
+      this.network.once("stabilized", resolve);
+    });
+
+    expect(events).to.deep.equal([
+      "startStabilizing",
+      "stabilizationIterationsDone",
+      "stabilized",
+    ]);
+    expect(progress).to.deep.equal([
+      { iterations: 0, total: 120 },
+      { iterations: 50, total: 120 },
+      { iterations: 100, total: 120 },
+      { iterations: 120, total: 120 },
+    ]);
+    expect(stabilized).to.have.property("iterations").that.is.at.least(120);
+    expect(
+      FakeWorker.instances[0].received.map(({ type }): string => type)
+    ).to.include.members(["options", "data", "stabilize"]);
+  });
+
+  it("Streams the positions and keeps dragged nodes", async function (): Promise<void> {
+    this.network = new Network(
+      this.container,
+      { nodes, edges },
+      {
+        layout: { randomSeed: 7 },
+        physics: { worker: true, stabilization: false },
+      }
+    );
+    const bodyNodes = this.network.body.nodes;
+    const worker = FakeWorker.instances[0];
+
+    /**
+     * Wait until the worker answered a few frames.
+     */
+    const frames = async (): Promise<void> => {
+      const count = worker.received.length + 6;
+      while (worker.received.length < count) {
+        await new Promise((resolve): void => {
+          setTimeout(resolve, 5);
+        });
+      }
+    };
+
+    const initial = { x: bodyNodes[5].x, y: bodyNodes[5].y };
+    const fixed = { x: bodyNodes[1].x, y: bodyNodes[1].y };
+    await frames();
+    expect(bodyNodes[5].x).to.not.equal(initial.x);
+    expect(bodyNodes[5].y).to.not.equal(initial.y);
+
+    // The same the interaction handler does when a node is dragged.
+    bodyNodes[5].options.fixed.x = true;
+    bodyNodes[5].options.fixed.y = true;
+    bodyNodes[5].x = 1000;
+    bodyNodes[5].y = -1000;
+    this.network.startSimulation();
+    await frames();
+
+    expect(bodyNodes[5].x).to.equal(1000);
+    expect(bodyNodes[5].y).to.equal(-1000);
+    expect(worker.received).to.deep.include({
+      type: "update",
+      nodes: [{ id: 5, x: 1000, y: -1000, fixedX: true, fixedY: true }],
+    });
+
+    // Released nodes are simulated again.
+    bodyNodes[5].options.fixed.x = false;
+    bodyNodes[5].options.fixed.y = false;
+    this.network.startSimulation();
+    await frames();
+
+    expect(bodyNodes[5].x).to.be.below(1000);
+    expect(bodyNodes[5].y).to.be.above(-1000);
+    expect(bodyNodes[1].x).to.equal(fixed.x);
+    expect(bodyNodes[1].y).to.equal(fixed.y);
+  });
+
+  it("Runs on the main thread without workers", async function (): Promise<void> {
+    delete (global as any).Worker;
+
+    const { network, positions } = await stabilize(this.container, {
+      worker: true,
+      stabilization: { iterations: 100 },
+    });
+    this.network = network;
+
+    expect(FakeWorker.instances).to.have.lengthOf(0);
+    expect(positions[2][0]).to.not.equal(0);
+  });
+
+  it("Runs on the main thread without the worker source", async function (): Promise<void> {
+    this.workerSource.value(null);
+
+    const { network, positions } = await stabilize(this.container, {
+      worker: true,
+      stabilization: { iterations: 100 },
+    });
+    this.network = network;
+
+    expect(FakeWorker.instances).to.have.lengthOf(0);
+    expect(positions[2][0]).to.not.equal(0);
+  });
+
+  it("Terminates the worker", async function (): Promise<void> {
+    this.network = new Network(
+      this.container,
+      { nodes, edges },
+      { physics: { worker: true } }
+    );
+    const worker = FakeWorker.instances[0];
+
+    this.network.setOptions({ physics: { worker: false } });
+    expect(worker.terminated).to.be.true;
+    expect(this.revokedURLs).to.deep.equal(["blob:physics-worker"]);
+
+    this.network.setOptions({ physics: { worker: true } });
+    expect(FakeWorker.instances).to.have.lengthOf(2);
+    this.network.destroy();
+    delete this.network;
+    expect(FakeWorker.instances[1].terminated).to.be.true;
+  });
+});
@@ -0,0 +1,234 @@
+import { expect } from "chai";
+import { SinonFakeTimers, SinonStub, stub, useFakeTimers } from "sinon";
+
+import Network from "../lib/network/Network";
+import Edge from "../lib/network/modules/components/Edge";
+import Node from "../lib/network/modules/components/Node";
+import { canvasMockify } from "./canvas-mock";
+
+describe("Progressive rendering", function (): void {
+  beforeEach(function () {
+    this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+    this.container = document.getElementById("mynetwork");
+    window.requestAnimationFrame = (callback: () => void): any =>
+      setTimeout(callback, 1);
+    window.cancelAnimationFrame = (handle: any): void => {
+      clearTimeout(handle);
+    };
+    // the network isn't drawn into a container without a size, the mocked
+    // canvas is shared by all tests and belongs to the first window
+    this.canvas = document.createElement("canvas");
+    for (const [name, size] of [
+      ["clientWidth", 800],
+      ["clientHeight", 600],
+    ] as [string, number][]) {
+      for (const target of [window.HTMLElement.prototype, this.canvas]) {
+        Object.defineProperty(target, name, {
+          configurable: true,
+          get: (): number => size,
+        });
+      }
+    }
+
+    // every drawn item takes 4 ms and is logged
+    const clock: SinonFakeTimers = (this.clock = useFakeTimers({
+      toFake: ["Date"],
+    }));
+    this.now = stub(window.performance, "now").callsFake(
+      (): number => clock.now
+    );
+    const log: string[] = (this.log = []);
+    this.stubs = (
+      [
+        [Node.prototype, "draw", "node"],
+        [Edge.prototype, "draw", "edge"],
+        [Edge.prototype, "drawLine", "line"],
+        [Edge.prototype, "drawArrows", "arrows"],
+        [Edge.prototype, "drawLabel", "label"],
+      ] as [any, string, string][]
+    ).map(([prototype, method, name]): SinonStub => {
+      const original = prototype[method];
+      return stub(prototype, method).callsFake(function (
+        this: any,
+        ...args: any[]
+      ): any {
+        log.push(`${name} ${this.id}${this.selected ? " selected" : ""}`);
+        clock.tick(4);
+        return original.apply(this, args);
+      });
+    });
+  });
+
+  afterEach(function () {
+    for (const method of this.stubs) {
+      method.restore();
+    }
+    this.now.restore();
+    this.clock.restore();
+    this.network?.destroy();
+    delete this.canvas.clientWidth;
+    delete this.canvas.clientHeight;
+    this.clearJSDOM();
+    delete this.clearJSDOM;
+    delete this.container;
+    delete this.network;
+    delete this.canvas;
+    delete this.clock;
+    delete this.now;
+    delete this.log;
+    delete this.stubs;
+  });
+
+  /**
+   * Create a network of a row of labeled nodes with labeled arrows between
+   * the neighbours, all of them are in the view.
+   *
+   * @param container - The container of the network.
+   * @returns The network.
+   */
+  function createNetwork(container: HTMLElement): Network {
+    const nodes = [];
+    const edges = [];
+    for (let i = 0; i < 6; i++) {
+      nodes.push({ id: i, label: `${i}`, x: 50 * i, y: 0, shape: "dot" });
+      if (i > 0) {
+        edges.push({ id: i, label: `${i}`, from: i - 1, to: i, arrows: "to" });
+      }
+    }
+    const network = new Network(
+      container,
+      { nodes, edges },
+      {
+        physics: false,
+        // the mocked context has no strokeText
+        edges: { smooth: false, font: { strokeWidth: 0 } },
+        interaction: { progressiveRendering: { timeBudget: 10 } },
+      }
+    );
+    network.moveTo({ position: { x: 125, y: 0 }, scale: 1 });
+    return network;
+  }
+
+  /**
+   * Draw the next frame.
+   *
+   * @param network - The network.
+   * @param log - The log of the drawn items, it's cleared first.
+   * @returns The items drawn in this frame.
+   */
+  function drawFrame(network: Network, log: string[]): string[] {
+    log.length = 0;
+    (network as any).body.emitter.emit("_redraw");
+    return log.slice();
+  }
+
+  it("Draws in parts in the order of priority", function (): void {
+    const network = (this.network = createNetwork(this.container));
+    network.selectNodes([3], false);
+
+    const frames = [];
+    for (let i = 0; i < 20; i++) {
+      frames.push(drawFrame(network, this.log));
+    }
+
+    // the selection is drawn with every frame, the rest fills in
+    expect(frames[0]).to.deep.equal([
+      "node 0",
+      "node 1",
+      "node 2",
+      "node 3 selected",
+    ]);
+    for (const frame of frames) {
+      expect(frame[frame.length - 1]).to.equal("node 3 selected");
+      expect(frame.length).to.be.at.most(4);
+    }
+    expect(
+      frames.flat().filter((item): boolean => item !== "node 3 selected")
+    ).to.deep.equal([
+      ...[0, 1, 2, 3, 4, 5].map((id): string => `node ${id}`),
+      ...[1, 2, 3, 4, 5].map((id): string => `line ${id}`),
+      ...[1, 2, 3, 4, 5].map((id): string => `arrows ${id}`),
+      ...[1, 2, 3, 4, 5].map((id): string => `label ${id}`),
+    ]);
+    expect(frames[frames.length - 1]).to.deep.equal(["node 3 selected"]);
+  });
+
+  it("Starts over when the view changes", function (): void {
+    const network = (this.network = createNetwork(this.container));
+
+    expect(drawFrame(network, this.log)).to.deep.equal([
+      "node 0",
+      "node 1",
+      "node 2",
+    ]);
+    expect(drawFrame(network, this.log)).to.deep.equal([
+      "node 3",
+      "node 4",
+      "node 5",
+    ]);
+
+    network.moveTo({ position: { x: 100, y: 0 } });
+    expect(drawFrame(network, this.log)).to.deep.equal([
+      "node 0",
+      "node 1",
+      "node 2",
+    ]);
+  });
+
+  it("Finishes the fill before drawing moved nodes", function (): void {
+    const network = (this.network = createNetwork(this.container));
+    const renderer = (network as any).renderer;
+
+    expect(drawFrame(network, this.log)).to.deep.equal([
+      "node 0",
+      "node 1",
+      "node 2",
+    ]);
+
+    // without physics the simulation only redraws
+    this.log.length = 0;
+    (network as any).body.emitter.emit("startSimulation");
+    expect(this.log).to.deep.equal(["node 3", "node 4", "node 5"]);
+
+    while (renderer.layers.fill !== undefined) {
+      drawFrame(network, this.log);
+    }
+    expect(drawFrame(network, this.log)).to.deep.equal([
+      "node 0",
+      "node 1",
+      "node 2",
+    ]);
+  });
+
+  it("Shows the last complete layers until the new ones are finished", function (): void {
+    const network = (this.network = createNetwork(this.container));
+    const renderer = (network as any).renderer;
+
+    // nothing is shown before the first layers are finished
+    drawFrame(network, this.log);
+    const layers = renderer.layers;
+    expect(layers.nodes.view).to.equal(undefined);
+    while (layers.fill !== undefined) {
+      drawFrame(network, this.log);
+    }
+    const view = layers.nodes.view;
+    expect(view).to.include({ scale: 1, x: 275 });
+
+    network.moveTo({ position: { x: 100, y: 0 } });
+    drawFrame(network, this.log);
+    expect(layers.fill).to.not.equal(undefined);
+    expect(layers.nodes.view).to.equal(view);
+
+    while (layers.fill !== undefined) {
+      drawFrame(network, this.log);
+    }
+    expect(layers.nodes.view).to.include({ scale: 1, x: 300 });
+  });
+
+  it("Draws everything at once when turned off", function (): void {
+    const network = (this.network = createNetwork(this.container));
+    network.setOptions({ interaction: { progressiveRendering: false } });
+
+    expect(drawFrame(network, this.log)).to.have.length(6 + 5 * 3);
+  });
+});
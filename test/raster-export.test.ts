@@ -0,0 +1,139 @@
+import { expect } from "chai";
+import { stub } from "sinon";
+
+import Network from "../lib/network/Network";
+import { SVGContext } from "../lib/network/modules/svg-export";
+import { canvasMockify } from "./canvas-mock";
+
+interface FakeCanvas {
+  width: number;
+  height: number;
+  ctx: SVGContext;
+  getContext(): SVGContext;
+  toDataURL(type?: string, quality?: number): string;
+  toBlob(callback: (blob: unknown) => void, type?: string): void;
+}
+
+describe("Raster export", function (): void {
+  beforeEach(function () {
+    this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+    this.container = document.getElementById("mynetwork");
+    this.network = new Network(
+      this.container,
+      {
+        nodes: [
+          { id: 1, label: "First", x: 0, y: 0, shape: "box" },
+          { id: 2, label: "Second", x: 200, y: 0, shape: "box" },
+        ],
+        edges: [{ from: 1, to: 2 }],
+      },
+      { physics: false }
+    );
+
+    // The offscreen canvas records everything so that it can be inspected.
+    const createElement = document.createElement.bind(document);
+    this.canvases = [] as FakeCanvas[];
+    this.createElementStub = stub(document, "createElement").callsFake(
+      (tagName: string): any => {
+        if (tagName !== "canvas") {
+          return createElement(tagName);
+        }
+
+        const canvas: FakeCanvas = {
+          width: 300,
+          height: 150,
+          ctx: new SVGContext(),
+          getContext(): SVGContext {
+            return this.ctx;
+          },
+          toDataURL(type = "image/png"): string {
+            return `data:${type};base64,`;
+          },
+          toBlob(callback, type = "image/png"): void {
+            callback({ type });
+          },
+        };
+        this.canvases.push(canvas);
+        return canvas;
+      }
+    );
+  });
+
+  afterEach(function () {
+    this.createElementStub.restore();
+    this.clearJSDOM();
+
+    delete this.clearJSDOM;
+    delete this.container;
+    delete this.network;
+    delete this.canvases;
+    delete this.createElementStub;
+  });
+
+  it("Sizes the image by region and scale", function (): void {
+    const url = this.network.toDataURL({
+      scale: 2,
+      region: { top: -10, left: -20, right: 30, bottom: 40 },
+      type: "image/jpeg",
+    });
+
+    expect(url).to.equal("data:image/jpeg;base64,");
+    expect(this.canvases).to.have.lengthOf(1);
+    expect(this.canvases[0].width).to.equal(100);
+    expect(this.canvases[0].height).to.equal(100);
+  });
+
+  it("Renders the whole network by default", function (): void {
+    this.network.toDataURL({ scale: 1, background: "white" });
+
+    const canvas: FakeCanvas = this.canvases[0];
+    const svg = canvas.ctx.toSVG({
+      x: 0,
+      y: 0,
+      width: canvas.width,
+      height: canvas.height,
+    });
+    expect(canvas.width).to.be.greaterThan(200);
+    expect(svg).to.include(">First</text>");
+    expect(svg).to.include(">Second</text>");
+    expect(svg).to.include('fill="white"');
+  });
+
+  it("Doesn't change the view", function (): void {
+    this.network.moveTo({ position: { x: 10, y: 20 }, scale: 0.5 });
+    const scale = this.network.getScale();
+    const position = this.network.getViewPosition();
+
+    this.network.toDataURL({ scale: 4 });
+
+    expect(this.network.getScale()).to.equal(scale);
+    expect(this.network.getViewPosition()).to.deep.equal(position);
+  });
+
+  it("Can hide the selection", function (): void {
+    this.network.selectNodes([1]);
+
+    this.network.toDataURL({ scale: 1 });
+    this.network.toDataURL({ scale: 1, hideSelection: true });
+
+    const [selected, hidden] = this.canvases.map((canvas: FakeCanvas): string =>
+      canvas.ctx.toSVG({ x: 0, y: 0, width: 1, height: 1 })
+    );
+    expect(selected).to.include("#D2E5FF");
+    expect(hidden).not.to.include("#D2E5FF");
+    expect(this.network.getSelectedNodes()).to.deep.equal([1]);
+    expect(this.network.body.nodes[1].selected).to.be.true;
+  });
+
+  it("Resolves a blob", async function (): Promise<void> {
+    const blob = await this.network.toBlob({ type: "image/webp" });
+
+    expect(blob).to.deep.equal({ type: "image/webp" });
+  });
+
+  it("Rejects invalid scale", function (): void {
+    expect((): void => this.network.toDataURL({ scale: 0 })).to.throw(
+      TypeError
+    );
+  });
+});
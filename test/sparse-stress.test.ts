@@ -0,0 +1,214 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import ClusterEngine from "../lib/network/modules/Clustering";
+import KamadaKawai from "../lib/network/modules/KamadaKawai";
+import ShortestPaths, {
+  UNREACHABLE,
+} from "../lib/network/modules/components/algorithms/ShortestPaths";
+import { computeLayout } from "../lib/network/headless";
+
+type Data = { nodes: any[]; edges: { from: number; to: number }[] };
+type Positions = Record<string, { x: number; y: number }>;
+
+/**
+ * Create a grid shaped network.
+ *
+ * @param width - The number of columns.
+ * @param height - The number of rows.
+ * @returns The nodes and edges.
+ */
+function grid(width: number, height: number): Data {
+  const data: Data = { nodes: [], edges: [] };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const id = y * width + x;
+      data.nodes.push({ id });
+      if (x > 0) {
+        data.edges.push({ from: id - 1, to: id });
+      }
+      if (y > 0) {
+        data.edges.push({ from: id - width, to: id });
+      }
+    }
+  }
+  return data;
+}
+
+/**
+ * Create the part of the body the shortest paths and Kamada Kawai use.
+ *
+ * @param positions - The initial positions of the nodes.
+ * @param edges - The ids of the nodes the edges connect.
+ * @returns The body.
+ */
+function createBody(
+  positions: [number, number][],
+  edges: [number, number][]
+): any {
+  const body: any = { nodes: {}, nodeIndices: [], edges: {}, edgeIndices: [] };
+  positions.forEach(([x, y], id): void => {
+    body.nodes[id] = {
+      id,
+      x,
+      y,
+      predefinedPosition: false,
+      options: { fixed: { x: false, y: false } },
+    };
+    body.nodeIndices.push(id);
+  });
+  edges.forEach(([fromId, toId], id): void => {
+    body.edges[id] = { connected: true, fromId, toId };
+    body.edgeIndices.push(id);
+  });
+  return body;
+}
+
+/**
+ * @param positions - The positions of the nodes.
+ * @param a - The id of the first node.
+ * @param b - The id of the second node.
+ * @returns The distance between given nodes.
+ */
+function distance(positions: Positions, a: number, b: number): number {
+  return Math.hypot(
+    positions[a].x - positions[b].x,
+    positions[a].y - positions[b].y
+  );
+}
+
+describe("Shortest paths", function (): void {
+  it("Counts the edges between all nodes", function (): void {
+    const body = createBody(
+      [
+        [0, 0],
+        [0, 0],
+        [0, 0],
+        [0, 0],
+        [0, 0],
+      ],
+      [
+        [0, 1],
+        [1, 2],
+        [2, 0],
+        [3, 2],
+        [3, 4],
+      ]
+    );
+    body.edges[4].connected = false;
+    const paths = new ShortestPaths(body, body.nodeIndices, body.edgeIndices);
+
+    const U = UNREACHABLE;
+    expect(Array.from(paths.getDistances())).to.deep.equal([
+      ...[0, 1, 1, 2, U],
+      ...[1, 0, 1, 2, U],
+      ...[1, 1, 0, 1, U],
+      ...[2, 2, 1, 0, U],
+      ...[U, U, U, U, 0],
+    ]);
+    expect(Array.from(paths.getDistancesFrom(3))).to.deep.equal([
+      2,
+      2,
+      1,
+      0,
+      U,
+    ]);
+  });
+
+  it("Ignores edges to nodes that aren't part of the paths", function (): void {
+    const body = createBody(
+      [
+        [0, 0],
+        [0, 0],
+        [0, 0],
+      ],
+      [
+        [0, 1],
+        [1, 2],
+        [0, 2],
+      ]
+    );
+    const paths = new ShortestPaths(body, [0, 2], body.edgeIndices);
+
+    expect(Array.from(paths.getDistances())).to.deep.equal([0, 1, 1, 0]);
+  });
+});
+
+describe("Sparse stress", function (): void {
+  this.timeout(15000);
+
+  const options = {
+    layout: { randomSeed: 2, sparseStress: { pivots: 20 } },
+    physics: { stabilization: false },
+  };
+
+  afterEach(function (): void {
+    (ClusterEngine.prototype.clusterOutliers as any).restore?.();
+  });
+
+  it("Stretches a path to the spring length", function (): void {
+    const body = createBody(
+      [
+        [0, 0],
+        [30, 80],
+        [-50, 20],
+        [10, -40],
+        [70, 10],
+      ],
+      [
+        [0, 1],
+        [1, 2],
+        [2, 3],
+        [3, 4],
+      ]
+    );
+    const kamadaKawai = new KamadaKawai(body, 100, 0.05);
+    kamadaKawai.setOptions({ pivots: 5 });
+    kamadaKawai.solve(body.nodeIndices, body.edgeIndices);
+
+    const length = (a: number, b: number): number =>
+      Math.hypot(
+        body.nodes[a].x - body.nodes[b].x,
+        body.nodes[a].y - body.nodes[b].y
+      );
+    for (let i = 0; i < 4; i++) {
+      expect(length(i, i + 1)).to.be.closeTo(100, 5);
+    }
+    expect(length(0, 4)).to.be.above(350);
+  });
+
+  it("Unfolds a grid without clustering it", async function (): Promise<void> {
+    const clusterOutliers = spy(ClusterEngine.prototype, "clusterOutliers");
+    const data = grid(20, 20);
+    const positions = await computeLayout(data, options);
+
+    expect(clusterOutliers.called).to.be.false;
+    expect(Object.keys(positions)).to.have.lengthOf(400);
+    let edgeLength = 0;
+    for (const { from, to } of data.edges) {
+      edgeLength += distance(positions, from, to) / data.edges.length;
+    }
+    // The opposite corners are 38 edges apart.
+    expect(distance(positions, 0, 399)).to.be.above(20 * edgeLength);
+    expect(distance(positions, 19, 380)).to.be.above(20 * edgeLength);
+  });
+
+  it("Keeps unconnected nodes apart", async function (): Promise<void> {
+    const data = grid(5, 5);
+    data.nodes.push({ id: 25 }, { id: 26 });
+    const positions = await computeLayout(data, options);
+
+    for (const id of Object.keys(positions)) {
+      expect(positions[id].x).to.be.a("number").that.is.finite;
+      expect(positions[id].y).to.be.a("number").that.is.finite;
+    }
+    expect(distance(positions, 25, 26)).to.be.above(0);
+  });
+
+  it("Is deterministic with a random seed", async function (): Promise<void> {
+    const first = await computeLayout(grid(10, 10), options);
+    const second = await computeLayout(grid(10, 10), options);
+
+    expect(second).to.deep.equal(first);
+  });
+});
@@ -0,0 +1,320 @@
+import { expect } from "chai";
+import { spy } from "sinon";
+
+import Network from "../lib/network/Network";
+import QuadTree from "../lib/network/modules/components/algorithms/QuadTree";
+import { canvasMockify } from "./canvas-mock";
+
+type Box = { left: number; right: number; top: number; bottom: number };
+
+/**
+ * Create boxes of different sizes scattered over an area.
+ *
+ * @param count - The number of boxes.
+ * @param seed - Changes the positions and sizes.
+ * @returns The boxes, their ids are the indices.
+ */
+function createBoxes(count: number, seed: number): Box[] {
+  return [...new Array(count).keys()].map((i): Box => {
+    const x = ((i + seed) * 7919) % 2000;
+    const y = ((i + seed) * 104729) % 1500;
+    const width = ((i * 13 + seed) % 7) * 10;
+    const height = ((i * 17 + seed) % 5) * 10;
+    return { left: x, top: y, right: x + width, bottom: y + height };
+  });
+}
+
+/**
+ * Find the boxes overlapping a region by looking at all of them.
+ *
+ * @param boxes - The boxes by id.
+ * @param region - The region.
+ * @returns The ids of the overlapping boxes.
+ */
+function searchAll(boxes: Map<number, Box>, region: Box): number[] {
+  return Array.from(boxes.keys()).filter((id): boolean => {
+    const box = boxes.get(id) as Box;
+    return (
+      box.left <= region.right &&
+      box.right >= region.left &&
+      box.top <= region.bottom &&
+      box.bottom >= region.top
+    );
+  });
+}
+
+describe("Spatial index", function (): void {
+  describe("QuadTree", function (): void {
+    const regions: Box[] = [
+      { left: 0, top: 0, right: 2000, bottom: 1500 },
+      { left: 300, top: 200, right: 700, bottom: 500 },
+      { left: 1000, top: 1000, right: 1000, bottom: 1000 },
+      { left: -500, top: -500, right: -100, bottom: -100 },
+    ];
+
+    it("Finds the boxes in a region", function (): void {
+      const tree = new QuadTree();
+      const boxes = new Map<number, Box>();
+      createBoxes(500, 1).forEach((box, id): void => {
+        tree.set(id, box);
+        boxes.set(id, box);
+      });
+
+      for (const region of regions) {
+        expect(tree.search(region).sort((a, b): number => a - b)).to.deep.equal(
+          searchAll(boxes, region)
+        );
+      }
+    });
+
+    it("Keeps track of moved and removed boxes", function (): void {
+      const tree = new QuadTree();
+      const boxes = new Map<number, Box>();
+      createBoxes(500, 1).forEach((box, id): void => {
+        tree.set(id, box);
+        boxes.set(id, box);
+      });
+      tree.search(regions[0]);
+
+      // some move a bit, some far outside of the tree and some disappear
+      createBoxes(500, 2).forEach((box, id): void => {
+        if (id % 5 === 0) {
+          tree.remove(id);
+          boxes.delete(id);
+        } else if (id % 5 === 1) {
+          const moved = {
+            left: box.left * 3 - 2000,
+            top: box.top * 3 - 1500,
+            right: box.right * 3 - 2000,
+            bottom: box.bottom * 3 - 1500,
+          };
+          tree.set(id, moved);
+          boxes.set(id, moved);
+        } else if (id % 5 === 2) {
+          tree.set(id, box);
+          boxes.set(id, box);
+        }
+      });
+
+      expect(tree.getIds().sort((a, b): number => a - b)).to.deep.equal(
+        Array.from(boxes.keys())
+      );
+      for (const region of regions) {
+        expect(tree.search(region).sort((a, b): number => a - b)).to.deep.equal(
+          searchAll(boxes, region)
+        );
+      }
+    });
+
+    it("Finds the closest boxes", function (): void {
+      const tree = new QuadTree();
+      const boxes = createBoxes(300, 3);
+      boxes.forEach((box, id): void => {
+        tree.set(id, box);
+      });
+
+      const distanceTo = (box: Box, x: number, y: number): number => {
+        const dx = Math.max(box.left - x, 0, x - box.right);
+        const dy = Math.max(box.top - y, 0, y - box.bottom);
+        return Math.sqrt(dx * dx + dy * dy);
+      };
+      for (const [x, y] of [
+        [0, 0],
+        [1234, 567],
+        [-300, 2000],
+        [boxes[7].left + 1, boxes[7].top + 1],
+      ]) {
+        const distances = boxes.map((box): number => distanceTo(box, x, y));
+        const closest = Math.min(...distances);
+        expect(tree.nearest(x, y).sort((a, b): number => a - b)).to.deep.equal(
+          [...distances.keys()].filter((id): boolean => {
+            return distances[id] === closest;
+          })
+        );
+      }
+      expect(tree.nearest(-300, 2000, 10)).to.deep.equal([]);
+    });
+
+    it("Handles many boxes at the same place", function (): void {
+      const tree = new QuadTree();
+      for (let id = 0; id < 100; id++) {
+        tree.set(id, { left: 5, top: 5, right: 5, bottom: 5 });
+      }
+      tree.set(100, { left: 50, top: 50, right: 60, bottom: 60 });
+
+      expect(
+        tree.search({ left: 0, top: 0, right: 10, bottom: 10 })
+      ).to.have.length(100);
+      expect(tree.nearest(55, 70)).to.deep.equal([100]);
+    });
+  });
+
+  describe("Network", function (): void {
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      window.requestAnimationFrame = (callback: () => void): any =>
+        setTimeout(callback, 1);
+      window.cancelAnimationFrame = (handle: any): void => {
+        clearTimeout(handle);
+      };
+      // the network isn't drawn into a container without a size
+      for (const [name, size] of [
+        ["clientWidth", 800],
+        ["clientHeight", 600],
+      ] as [string, number][]) {
+        Object.defineProperty(window.HTMLElement.prototype, name, {
+          configurable: true,
+          get: (): number => size,
+        });
+      }
+    });
+
+    afterEach(function () {
+      this.network?.destroy();
+      this.clearJSDOM();
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    /**
+     * Create a network with the nodes on a grid and edges between the
+     * neighbours in each row.
+     *
+     * @param container - The container of the network.
+     * @returns The network.
+     */
+    function createNetwork(container: HTMLElement): Network {
+      const nodes = [];
+      const edges = [];
+      for (let row = 0; row < 10; row++) {
+        for (let column = 0; column < 10; column++) {
+          const id = `${row}-${column}`;
+          nodes.push({ id, x: 100 * column, y: 100 * row, shape: "dot" });
+          if (column > 0) {
+            edges.push({ id: `e${id}`, from: `${row}-${column - 1}`, to: id });
+          }
+        }
+      }
+      const network = new Network(
+        container,
+        { nodes, edges },
+        { physics: false, edges: { smooth: false } }
+      );
+      network.redraw();
+      return network;
+    }
+
+    it("Finds the nodes and edges at the pointer", function (): void {
+      const network = (this.network = createNetwork(this.container));
+
+      expect(
+        network.getNodeAt(network.canvasToDOM({ x: 300, y: 200 }))
+      ).to.equal("2-3");
+      expect(
+        network.getEdgeAt(network.canvasToDOM({ x: 350, y: 702 }))
+      ).to.equal("e7-4");
+      expect(
+        network.getNodeAt(network.canvasToDOM({ x: 350, y: 750 }))
+      ).to.equal(undefined);
+      expect(
+        network.getEdgeAt(network.canvasToDOM({ x: 350, y: 750 }))
+      ).to.equal(undefined);
+    });
+
+    it("Finds the edges in a rectangle", function (): void {
+      const network = (this.network = createNetwork(this.container));
+      const spatialIndex = (network as any).selectionHandler.spatialIndex;
+
+      expect(
+        spatialIndex.getEdgesInRegion({
+          left: 150,
+          top: 190,
+          right: 250,
+          bottom: 210,
+        })
+      ).to.deep.equal(["e2-2", "e2-3"]);
+    });
+
+    it("Finds the nodes in a rectangle", function (): void {
+      const network = (this.network = createNetwork(this.container));
+
+      expect(
+        network
+          .getNodesInRect({ left: 150, top: 50, right: 300, bottom: 200 })
+          .sort()
+      ).to.deep.equal(["1-2", "1-3", "2-2", "2-3"]);
+    });
+
+    it("Finds the nearest node", function (): void {
+      const network = (this.network = createNetwork(this.container));
+
+      expect(network.getNearestNode({ x: 420, y: 380 })).to.equal("4-4");
+      expect(network.getNearestNode({ x: -1000, y: -1000 })).to.equal("0-0");
+      expect(network.getNearestNode({ x: -1000, y: -1000 }, 100)).to.equal(
+        undefined
+      );
+    });
+
+    it("Follows moved and removed nodes", function (): void {
+      const network = (this.network = createNetwork(this.container));
+      expect(network.getNearestNode({ x: 5000, y: 0 })).to.equal("0-9");
+
+      network.moveNode("5-5", 450, 450);
+      expect(network.getNearestNode({ x: 450, y: 460 })).to.equal("5-5");
+      expect(
+        network.getNodesInRect({ left: 425, top: 425, right: 475, bottom: 475 })
+      ).to.deep.equal(["5-5"]);
+
+      (network as any).body.data.nodes.remove("5-5");
+      expect(network.getNearestNode({ x: 450, y: 460 })).to.equal("5-4");
+      expect(
+        network.getNodesInRect({ left: 425, top: 425, right: 475, bottom: 475 })
+      ).to.deep.equal([]);
+    });
+
+    it("Only moves the boxes of the moved nodes and their edges", function (): void {
+      const network = (this.network = createNetwork(this.container));
+      const spatialIndex = (network as any).selectionHandler.spatialIndex;
+      network.getNearestNode({ x: 0, y: 0 });
+
+      const setNode = spy(spatialIndex.nodeTree, "set");
+      const setEdge = spy(spatialIndex.edgeTree, "set");
+      network.moveNode("5-5", 550, 480);
+      expect(network.getNearestNode({ x: 550, y: 480 })).to.equal("5-5");
+      expect(
+        setNode.getCalls().map((call): string => call.args[0])
+      ).to.deep.equal(["5-5"]);
+      expect(
+        setEdge.getCalls().map((call): string => call.args[0])
+      ).to.deep.equal(["e5-5", "e5-6"]);
+
+      setNode.resetHistory();
+      setEdge.resetHistory();
+      network.getNearestNode({ x: 0, y: 0 });
+      expect(setNode.callCount).to.equal(0);
+      expect(setEdge.callCount).to.equal(0);
+    });
+
+    it("Moves the boxes of the moved nodes again once they have been drawn", function (): void {
+      const network = (this.network = createNetwork(this.container));
+      const spatialIndex = (network as any).selectionHandler.spatialIndex;
+      network.moveNode("5-5", 550, 480);
+      network.getNearestNode({ x: 0, y: 0 });
+
+      // the shape is still at the old position
+      const setNode = spy(spatialIndex.nodeTree, "set");
+      network.getNearestNode({ x: 0, y: 0 });
+      expect(setNode.callCount).to.equal(0);
+
+      network.redraw();
+      network.getNearestNode({ x: 0, y: 0 });
+      expect(
+        setNode
+          .getCalls()
+          .map((call): [string, boolean] => [call.args[0], call.returnValue])
+      ).to.deep.equal([["5-5", true]]);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { expect } from "chai";
+
+import Network from "../lib/network/Network";
+import { SVGContext } from "../lib/network/modules/svg-export";
+import { canvasMockify } from "./canvas-mock";
+
+const region = { x: 0, y: 0, width: 100, height: 100 };
+
+describe("SVG export", function (): void {
+  describe("SVGContext", function (): void {
+    it("Records filled and stroked paths", function (): void {
+      const ctx = new SVGContext();
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(10, 0);
+      ctx.lineTo(10, 10);
+      ctx.closePath();
+      ctx.fillStyle = "red";
+      ctx.fill();
+      ctx.strokeStyle = "blue";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+
+      const svg = ctx.toSVG(region);
+      expect(svg).to.include('<path d="M0 0L10 0L10 10Z" fill="red"/>');
+      expect(svg).to.include(
+        '<path d="M0 0L10 0L10 10Z" fill="none" stroke="blue" stroke-width="2"/>'
+      );
+    });
+
+    it("Applies transformations to the points", function (): void {
+      const ctx = new SVGContext();
+      ctx.translate(5, 5);
+      ctx.scale(2, 2);
+      ctx.beginPath();
+      ctx.moveTo(1, 1);
+      ctx.lineTo(2, 1);
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      expect(ctx.toSVG(region)).to.include(
+        '<path d="M7 7L9 7" fill="none" stroke="#000000" stroke-width="2"/>'
+      );
+    });
+
+    it("Splits full circles into two arcs", function (): void {
+      const ctx = new SVGContext();
+      ctx.beginPath();
+      ctx.arc(10, 10, 5, 0, 2 * Math.PI);
+      ctx.fill();
+
+      expect(ctx.toSVG(region)).to.include(
+        '<path d="M15 10A5 5 0 0 1 5 10A5 5 0 0 1 15 10" fill="#000000"/>'
+      );
+    });
+
+    it("Restores the state", function (): void {
+      const ctx = new SVGContext();
+      ctx.fillStyle = "red";
+      ctx.save();
+      ctx.fillStyle = "blue";
+      ctx.translate(10, 10);
+      ctx.restore();
+      ctx.fillRect(0, 0, 1, 1);
+
+      expect(ctx.toSVG(region)).to.include(
+        '<path d="M0 0L1 0L1 1L0 1Z" fill="red"/>'
+      );
+    });
+
+    it("Escapes text", function (): void {
+      const ctx = new SVGContext();
+      ctx.font = "14px arial";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText('<b>"A" & B</b>', 1, 2);
+
+      expect(ctx.toSVG(region)).to.include(
+        '<text x="1" y="2" style="font: 14px arial; white-space: pre" text-anchor="middle" dominant-baseline="central" fill="#000000">&lt;b&gt;&quot;A&quot; &amp; B&lt;/b&gt;</text>'
+      );
+    });
+
+    it("Turns gradients into definitions", function (): void {
+      const ctx = new SVGContext();
+      const gradient = ctx.createLinearGradient(0, 0, 10, 0);
+      gradient.addColorStop(0, "red");
+      gradient.addColorStop(1, "blue");
+      ctx.strokeStyle = gradient;
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(10, 0);
+      ctx.stroke();
+
+      const svg = ctx.toSVG(region);
+      expect(svg).to.include(
+        '<linearGradient id="vis-gradient-0" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="10" y2="0"><stop offset="0" stop-color="red"/><stop offset="1" stop-color="blue"/></linearGradient>'
+      );
+      expect(svg).to.include('stroke="url(#vis-gradient-0)"');
+    });
+
+    it("Adds background and view box", function (): void {
+      const svg = new SVGContext().toSVG(
+        { x: -10, y: -20, width: 30, height: 40 },
+        "white"
+      );
+
+      expect(svg).to.include('width="30" height="40" viewBox="-10 -20 30 40"');
+      expect(svg).to.include(
+        '<rect x="-10" y="-20" width="30" height="40" fill="white"/>'
+      );
+      expect(svg.trim().endsWith("</svg>")).to.be.true;
+    });
+  });
+
+  describe("Network", function (): void {
+    beforeEach(function () {
+      this.clearJSDOM = canvasMockify("<div id='mynetwork'></div>");
+      this.container = document.getElementById("mynetwork");
+      this.network = new Network(
+        this.container,
+        {
+          nodes: [
+            { id: 1, label: "First", x: 0, y: 0, shape: "box" },
+            { id: 2, x: 200, y: 0, shape: "dot" },
+          ],
+          edges: [{ from: 1, to: 2, arrows: "to", label: "Edge" }],
+        },
+        { physics: false }
+      );
+    });
+
+    afterEach(function () {
+      this.clearJSDOM();
+
+      delete this.clearJSDOM;
+      delete this.container;
+      delete this.network;
+    });
+
+    it("Exports nodes, edges and labels", function (): void {
+      const svg: string = this.network.toSVG();
+
+      expect(svg).to.match(/^<\?xml/);
+      expect(svg).to.include(">First</text>");
+      expect(svg).to.include(">Edge</text>");
+      expect(svg.match(/<path /g)).to.have.length.greaterThan(3);
+    });
+
+    it("Omits labels if requested", function (): void {
+      const svg: string = this.network.toSVG({ includeLabels: false });
+
+      expect(svg).not.to.include("<text");
+      expect(svg).to.include("<path ");
+    });
+
+    it("Uses the supplied region", function (): void {
+      const svg: string = this.network.toSVG({
+        region: { top: -50, left: -50, right: 50, bottom: 50 },
+        background: "#ffffff",
+      });
+
+      expect(svg).to.include('viewBox="-50 -50 100 100"');
+      expect(svg).to.include('fill="#ffffff"');
+    });
+
+    it("Doesn't change the view", function (): void {
+      this.network.moveTo({ position: { x: 10, y: 20 }, scale: 2 });
+      const scale = this.network.getScale();
+      const position = this.network.getViewPosition();
+
+      this.network.toSVG();
+
+      expect(this.network.getScale()).to.equal(scale);
+      expect(this.network.getViewPosition()).to.deep.equal(position);
+    });
+  });
+});
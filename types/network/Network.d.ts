@@ -164,6 +164,69 @@ export class Network {
    */
   redraw(): void;
 
+  /**
+   * Render the network into a standalone SVG document.
+   * The nodes, edges, arrows and labels are drawn the same way as on the canvas
+   * but as vector graphics, so the result stays crisp at any zoom.
+   *
+   * @param [options] what and how to export
+   * @returns the SVG document
+   */
+  toSVG(options?: SVGExportOptions): string;
+
+  /**
+   * Render the network offscreen into a raster image and return it as a data URL.
+   * Neither the view nor the canvas on the page is affected.
+   *
+   * @param [options] what and how to export
+   * @returns the image as a data URL
+   */
+  toDataURL(options?: RasterExportOptions): string;
+
+  /**
+   * Render the network offscreen into a raster image and return it as a blob.
+   * Neither the view nor the canvas on the page is affected.
+   *
+   * @param [options] what and how to export
+   * @returns a promise resolving to the image
+   */
+  toBlob(options?: RasterExportOptions): Promise<Blob>;
+
+  /**
+   * Export the current nodes and edges in the DOT language.
+   * Nodes sharing a group are put into cluster subgraphs.
+   *
+   * @param [options] how to write the document
+   * @returns the DOT document
+   */
+  toDot(options?: DOTExportOptions): string;
+
+  /**
+   * Export the current nodes, edges and positions as GraphML.
+   *
+   * @param [options] how to write the document
+   * @returns the GraphML document
+   */
+  toGraphML(options?: GraphMLExportOptions): string;
+
+  /**
+   * Export the current nodes, edges and positions in an interchange format.
+   *
+   * @param format cytoscape (Cytoscape.js elements), jgf (JSON Graph Format), dot or graphml
+   * @param [options] the options of the converter of given format
+   * @returns the elements, the JGF document or the DOT or GraphML string
+   */
+  exportData(format: "cytoscape"): { nodes: any[]; edges: any[] };
+  exportData(
+    format: "jgf",
+    options?: JGFExportOptions
+  ): { graph: { [key: string]: any } };
+  exportData(format: "dot", options?: Omit<DOTExportOptions, "positions">): string;
+  exportData(
+    format: "graphml",
+    options?: Omit<GraphMLExportOptions, "positions">
+  ): string;
+
   /**
    * Set the size of the canvas.
    * This is automatically done on a window resize.
@@ -479,6 +542,22 @@ export class Network {
    */
   getEdgeAt(position: Position): IdType;
 
+  /**
+   * Returns the ids of the nodes whose positions are inside of the rectangle,
+   * like the ones a selection box selects.
+   * The rectangle is expected to be in canvas space.
+   *
+   */
+  getNodesInRect(rect: BoundingBox): IdType[];
+
+  /**
+   * Returns the id of the node whose position is closest to the point or
+   * undefined if there is no node within maxDistance.
+   * The point is expected to be in canvas space.
+   *
+   */
+  getNearestNode(position: Position, maxDistance?: number): IdType | undefined;
+
   /**
    * Selects the nodes corresponding to the id's in the input array.
    * If highlightEdges is true or undefined, the neighbouring edges will also be selected.
@@ -680,6 +759,156 @@ export interface SelectionOptions {
   highlightEdges?: boolean;
 }
 
+/**
+ * Options interface for the SVG export.
+ */
+export interface SVGExportOptions {
+  /**
+   * The part of the network (in canvas space) that will be exported.
+   * Default value is the bounding box of all nodes.
+   */
+  region?: BoundingBox;
+
+  /**
+   * The background color of the document.
+   * Default value is none (transparent).
+   */
+  background?: string;
+
+  /**
+   * Whether to draw the labels of nodes and edges or not.
+   * Default value is true.
+   */
+  includeLabels?: boolean;
+}
+
+/**
+ * Options interface for the raster exports (toDataURL and toBlob).
+ */
+export interface RasterExportOptions {
+  /**
+   * How many pixels of the image correspond to one canvas unit.
+   * Default value is the device pixel ratio of the canvas.
+   */
+  scale?: number;
+
+  /**
+   * The part of the network (in canvas space) that will be exported.
+   * Default value is the bounding box of all nodes.
+   */
+  region?: BoundingBox;
+
+  /**
+   * The background color of the image.
+   * Default value is none (transparent).
+   */
+  background?: string;
+
+  /**
+   * If true selected and hovered nodes and edges are drawn as if they weren't.
+   * Default value is false.
+   */
+  hideSelection?: boolean;
+
+  /**
+   * The image format, for example 'image/png' or 'image/jpeg'.
+   * Default value is 'image/png'.
+   */
+  type?: string;
+
+  /**
+   * The image quality between 0 and 1 for lossy formats.
+   */
+  quality?: number;
+}
+
+/**
+ * Options interface for the DOT export.
+ */
+export interface DOTExportOptions {
+  /**
+   * The id of the graph.
+   * Default value is none.
+   */
+  id?: IdType;
+
+  /**
+   * Whether to write a digraph or a graph.
+   * Default value is a digraph if at least one edge has an arrow.
+   */
+  directed?: boolean;
+
+  /**
+   * Whether to write the current positions of the nodes as pos attributes.
+   * Default value is false.
+   */
+  positions?: boolean;
+
+  /**
+   * Whether written positions are pinned (pos="x,y!").
+   * Default value is true.
+   */
+  pinPositions?: boolean;
+}
+
+/**
+ * Options interface for the GraphML export.
+ */
+export interface GraphMLExportOptions {
+  /**
+   * The id of the graph.
+   * Default value is 'G'.
+   */
+  id?: IdType;
+
+  /**
+   * The default direction of the edges.
+   * Default value is directed if at least one edge has an arrow.
+   */
+  directed?: boolean;
+
+  /**
+   * Whether to write the current positions of the nodes as x and y attributes.
+   * Default value is true.
+   */
+  positions?: boolean;
+
+  /**
+   * Whether to also write yFiles graphics for yEd.
+   * Default value is false.
+   */
+  yFiles?: boolean;
+}
+
+/**
+ * Options interface for the JSON Graph Format export.
+ */
+export interface JGFExportOptions {
+  /**
+   * The id of the graph.
+   * Default value is none.
+   */
+  id?: IdType;
+
+  /**
+   * The label of the graph.
+   * Default value is none.
+   */
+  label?: string;
+
+  /**
+   * The metadata of the graph.
+   * Default value is none.
+   */
+  metadata?: { [key: string]: any };
+
+  /**
+   * Whether the graph is directed.
+   * Default value is directed if at least one edge has an arrow.
+   */
+  directed?: boolean;
+}
+
 /**
  * These values are in canvas space.
  */
@@ -0,0 +1,43 @@
+import { Data, Options, Position } from "./Network";
+
+/**
+ * Measure the width of a text.
+ *
+ * @param text The text to measure.
+ * @param font The CSS font of the text, for example `bold 14px arial`.
+ * @returns The width of the text in pixels.
+ */
+export type MeasureText = (text: string, font: string) => number;
+
+/**
+ * Options interface for the headless layout.
+ */
+export interface ComputeLayoutOptions extends Options {
+  /**
+   * Used to size the labels.
+   * Default value is estimateTextWidth.
+   */
+  measureText?: MeasureText;
+}
+
+/**
+ * Compute the positions of the nodes without a DOM, a canvas or a render loop.
+ *
+ * @param data The nodes and edges.
+ * @param [options] The network options, only the options of the layout,
+ * physics, groups, nodes and edges have an effect.
+ * @returns The positions of the visible nodes.
+ */
+export function computeLayout(
+  data: Data,
+  options?: ComputeLayoutOptions
+): Promise<{ [nodeId: string]: Position }>;
+
+/**
+ * Estimate the width of a text from the size of its font.
+ *
+ * @param text The text to measure.
+ * @param font The CSS font of the text.
+ * @returns The estimated width of the text in pixels.
+ */
+export function estimateTextWidth(text: string, font: string): number;